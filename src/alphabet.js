@@ -4,6 +4,8 @@
  * Defines the full SELFIES alphabet and semantic-robust subset.
  */
 
+import { getPresetConstraints } from './constraints.js'
+
 /**
  * Full SELFIES alphabet - all valid tokens
  * @type {Set<string>}
@@ -94,6 +96,15 @@ function buildAtomTokens() {
     tokens.push(`[#${element}]`)     // triple bond
   }
 
+  // Charged atoms from the default constraints, e.g. [N+1], [=N+1], [O-1]
+  const constraints = getPresetConstraints('default')
+  for (const [key, capacity] of Object.entries(constraints)) {
+    if (!/[+-]/.test(key)) continue
+    tokens.push(`[${key}]`)
+    if (capacity >= 2) tokens.push(`[=${key}]`)
+    if (capacity >= 3) tokens.push(`[#${key}]`)
+  }
+
   return tokens
 }
 
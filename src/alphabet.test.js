@@ -31,6 +31,14 @@ describe('getAlphabet', () => {
     expect(alphabet.has('[Ring1]')).toBe(true)
   })
 
+  test('includes charged atoms from the constraints', () => {
+    const alphabet = getAlphabet()
+    expect(alphabet.has('[N+1]')).toBe(true)
+    expect(alphabet.has('[=N+1]')).toBe(true)
+    expect(alphabet.has('[O-1]')).toBe(true)
+    expect(alphabet.has('[=O-1]')).toBe(false)
+  })
+
   test('excludes invalid tokens', () => {
     const alphabet = getAlphabet()
     expect(alphabet.has('[Xyz]')).toBe(false)
@@ -0,0 +1,198 @@
+/**
+ * Aromaticity - Hückel aromaticity perception on decoded graphs
+ *
+ * SELFIES graphs are Kekulé structures. A ring is aromatic when every atom
+ * can take part in a π system and the ring holds 4n + 2 π electrons. The
+ * rings from findRelevantRings() are tested, which do not depend on atom
+ * order, and so are the envelopes of pairs of fused rings, so systems such
+ * as azulene, or naphthalene written with the double bonds spread unevenly,
+ * are found too. An atom or bond is aromatic if it lies in any aromatic
+ * ring.
+ *
+ * π electrons per ring atom:
+ *   1  - double bond to another atom of the ring, or to an aromatic atom
+ *   0  - double bond out of the ring to N, O, or S (e.g. pyridone C=O);
+ *        cation with single bonds (tropylium C+); boron
+ *   2  - lone pair: N or P with single bonds; O, S, or Se with two single
+ *        bonds; carbanion
+ * Any other atom (sp3 carbon, exocyclic C=C, triple bonds) stops the ring
+ * from being aromatic.
+ */
+
+import { pairKey } from './molecule.js'
+import { findRelevantRings } from './rings.js'
+
+/**
+ * Elements that can be part of an aromatic ring
+ */
+const AROMATIC_ELEMENTS = new Set(['B', 'C', 'N', 'O', 'P', 'S', 'Se', 'As'])
+
+/**
+ * Elements an exocyclic double bond may go to without breaking aromaticity
+ */
+const EXOCYCLIC_ACCEPTORS = new Set(['N', 'O', 'S'])
+
+/**
+ * Finds the aromatic atoms and bonds of a molecule graph
+ * @param {Object} graph - Molecule graph from decodeToAST()
+ * @returns {{atoms: boolean[], bonds: boolean[], rings: boolean[]}} Flags
+ *   parallel to graph.atoms, graph.bonds, and graph.rings
+ *
+ * Example:
+ *   perceiveAromaticity(decodeToAST('[C][=C][C][=C][C][=C][Ring1][=Branch1]')).atoms
+ *   // => [true, true, true, true, true, true]
+ */
+export function perceiveAromaticity(graph) {
+  const edges = [...graph.bonds, ...graph.rings]
+  const edgeIndex = new Map()
+  const bondsOf = graph.atoms.map(() => [])
+  edges.forEach((edge, index) => {
+    edgeIndex.set(pairKey(edge.from, edge.to), index)
+    bondsOf[edge.from].push({ atom: edge.to, order: edge.order })
+    bondsOf[edge.to].push({ atom: edge.from, order: edge.order })
+  })
+
+  const rings = findRelevantRings(graph).map(atoms => {
+    const ringEdges = atoms.map((atom, i) => edgeIndex.get(pairKey(atom, atoms[(i + 1) % atoms.length])))
+    return { atoms: new Set(atoms), edges: new Set(ringEdges) }
+  })
+
+  const atomFlags = graph.atoms.map(() => false)
+  const edgeFlags = edges.map(() => false)
+  let pending = [...rings, ...getFusedEnvelopes(rings, edges)]
+  for (;;) {
+    const aromatic = pending.filter(ring => isAromaticRing(ring, graph, bondsOf, atomFlags))
+    if (aromatic.length === 0) break
+
+    for (const ring of aromatic) {
+      ring.atoms.forEach(atom => { atomFlags[atom] = true })
+      ring.edges.forEach(edge => { edgeFlags[edge] = true })
+    }
+    pending = pending.filter(ring => !aromatic.includes(ring))
+  }
+
+  return {
+    atoms: atomFlags,
+    bonds: edgeFlags.slice(0, graph.bonds.length),
+    rings: edgeFlags.slice(graph.bonds.length)
+  }
+}
+
+/**
+ * Copies a molecule graph with aromatic atoms and bonds marked
+ * @param {Object} graph - Molecule graph from decodeToAST()
+ * @returns {Object} Graph whose aromatic atoms and bonds have aromatic: true
+ *
+ * Aromatic N and P with a hydrogen (as in pyrrole) get an explicit
+ * hydrogen count, which aromatic SMILES must write as [nH].
+ */
+export function markAromaticity(graph) {
+  const flags = perceiveAromaticity(graph)
+  const degree = graph.atoms.map(() => 0)
+  const valence = graph.atoms.map(() => 0)
+  for (const edge of [...graph.bonds, ...graph.rings]) {
+    for (const atom of [edge.from, edge.to]) {
+      degree[atom]++
+      valence[atom] += edge.order
+    }
+  }
+
+  const atoms = graph.atoms.map((atom, index) => {
+    if (!flags.atoms[index]) return atom
+
+    const marked = { ...atom, aromatic: true }
+    const pyrroleType = (atom.element === 'N' || atom.element === 'P') &&
+      !atom.charge && degree[index] === 2 && valence[index] === 2
+    if (pyrroleType && atom.hydrogens === undefined) marked.hydrogens = 1
+    return marked
+  })
+
+  const mark = (edge, aromatic) => (aromatic ? { ...edge, aromatic: true } : edge)
+  return {
+    atoms,
+    bonds: graph.bonds.map((bond, index) => mark(bond, flags.bonds[index])),
+    rings: graph.rings.map((ring, index) => mark(ring, flags.rings[index]))
+  }
+}
+
+/**
+ * Builds the envelope of each pair of rings sharing a bond
+ * @param {Object[]} rings - Rings as { atoms, edges } sets
+ * @param {Object[]} edges - Bonds and rings of the graph
+ * @returns {Object[]} Envelopes that form a single larger ring
+ */
+function getFusedEnvelopes(rings, edges) {
+  const envelopes = []
+
+  for (let i = 0; i < rings.length; i++) {
+    for (let j = i + 1; j < rings.length; j++) {
+      const shared = [...rings[i].edges].filter(edge => rings[j].edges.has(edge))
+      if (shared.length === 0) continue
+
+      const envelopeEdges = new Set([...rings[i].edges, ...rings[j].edges].filter(edge => !shared.includes(edge)))
+      const atoms = new Set([...envelopeEdges].flatMap(edge => [edges[edge].from, edges[edge].to]))
+      // A single ring has as many bonds as atoms
+      if (atoms.size === envelopeEdges.size) {
+        envelopes.push({ atoms, edges: envelopeEdges })
+      }
+    }
+  }
+
+  return envelopes
+}
+
+/**
+ * Checks a ring for Hückel aromaticity
+ * @param {Object} ring - { atoms, edges } sets
+ * @param {Object} graph - Molecule graph
+ * @param {Object[][]} bondsOf - Bonds ({ atom, order }) of each atom
+ * @param {boolean[]} aromaticAtoms - Atoms already found aromatic
+ * @returns {boolean} True if the ring has 4n + 2 π electrons
+ */
+function isAromaticRing(ring, graph, bondsOf, aromaticAtoms) {
+  let electrons = 0
+  for (const atom of ring.atoms) {
+    const count = countPiElectrons(atom, graph.atoms, bondsOf[atom], ring.atoms, aromaticAtoms)
+    if (count === null) return false
+    electrons += count
+  }
+  return electrons % 4 === 2
+}
+
+/**
+ * Counts the π electrons a ring atom gives to the ring
+ * @param {number} atomIndex - Atom index
+ * @param {Object[]} atoms - Atoms from decodeToAST()
+ * @param {Object[]} bonds - Bonds ({ atom, order }) of the atom
+ * @param {Set<number>} ringAtoms - Atoms of the ring
+ * @param {boolean[]} aromaticAtoms - Atoms already found aromatic
+ * @returns {number|null} Electrons, or null if the atom cannot be aromatic
+ */
+function countPiElectrons(atomIndex, atoms, bonds, ringAtoms, aromaticAtoms) {
+  const atom = atoms[atomIndex]
+  if (!AROMATIC_ELEMENTS.has(atom.element)) return null
+  if (bonds.some(bond => bond.order > 2)) return null
+
+  const doubles = bonds.filter(bond => bond.order === 2)
+  if (doubles.length > 1) return null
+  if (doubles.length === 1) {
+    const partner = doubles[0].atom
+    if (ringAtoms.has(partner) || aromaticAtoms[partner]) return 1
+    return EXOCYCLIC_ACCEPTORS.has(atoms[partner].element) ? 0 : null
+  }
+
+  const charge = atom.charge || 0
+  switch (atom.element) {
+    case 'C':
+      if (charge === -1) return 2
+      return charge === 1 ? 0 : null
+    case 'B':
+      return charge === 0 ? 0 : null
+    case 'N':
+    case 'P':
+    case 'As':
+      return charge <= 0 ? 2 : null
+    default:
+      return charge === 0 && bonds.length === 2 ? 2 : null
+  }
+}
@@ -0,0 +1,88 @@
+/**
+ * Tests for aromaticity perception
+ */
+
+import { describe, test, expect } from 'bun:test'
+import { perceiveAromaticity, markAromaticity } from './aromaticity.js'
+import { decodeToAST } from './decoder.js'
+import { encode } from './encoder.js'
+import { enumerateSelfies } from './enumeration.js'
+
+function aromaticAtoms(smiles) {
+  return perceiveAromaticity(decodeToAST(encode(smiles))).atoms.filter(Boolean).length
+}
+
+describe('perceiveAromaticity', () => {
+  test('flags atoms, bonds, and ring bonds of benzene', () => {
+    const flags = perceiveAromaticity(decodeToAST('[C][=C][C][=C][C][=C][Ring1][=Branch1]'))
+    expect(flags.atoms).toEqual([true, true, true, true, true, true])
+    expect(flags.bonds).toEqual([true, true, true, true, true])
+    expect(flags.rings).toEqual([true])
+  })
+
+  test('finds heteroaromatic rings', () => {
+    expect(aromaticAtoms('c1ccncc1')).toBe(6)
+    expect(aromaticAtoms('c1cc[nH]c1')).toBe(5)
+    expect(aromaticAtoms('c1ccoc1')).toBe(5)
+    expect(aromaticAtoms('c1ccsc1')).toBe(5)
+    expect(aromaticAtoms('c1cnc[nH]1')).toBe(5)
+    expect(aromaticAtoms('C[n+]1ccccc1')).toBe(6)
+  })
+
+  test('counts exocyclic C=O as giving no electrons', () => {
+    const flags = perceiveAromaticity(decodeToAST(encode('O=C1C=CC=CN1')))
+    expect(flags.atoms).toEqual([false, true, true, true, true, true, true])
+  })
+
+  test('finds fused systems whatever the Kekulé structure', () => {
+    expect(aromaticAtoms('C1=CC=C2C=CC=CC2=C1')).toBe(10)
+    expect(aromaticAtoms('C1=CC2=CC=CC=C2C=C1')).toBe(10)
+    expect(aromaticAtoms('c1ccc2cc3ccccc3cc2c1')).toBe(14)
+    expect(aromaticAtoms('c1cc2ccc3cccc4ccc(c1)c2c34')).toBe(16)
+    // Azulene is aromatic only as a 10-membered envelope
+    expect(aromaticAtoms('c1ccc2cccc2cc1')).toBe(10)
+  })
+
+  test('does not depend on atom order where the SSSR is not unique', () => {
+    const fullerene = encode('c12c3c4c5c1c1c6c7c2c2c8c3c3c9c4c4c%10c5c5c1c1c6c6c%11c7c2c2c7c8c3c3c8c9c4c4c9c%10c5c5c1c1c6c6c%11c2c2c7c3c3c8c4c4c9c5c1c1c6c2c3c41')
+    // C60's SSSR leaves out one of its 32 faces, chosen by atom order
+    const counts = enumerateSelfies(fullerene, { count: 5, seed: 1 })
+      .map(selfies => perceiveAromaticity(decodeToAST(selfies)))
+      .map(flags => [...flags.bonds, ...flags.rings].filter(Boolean).length)
+    expect(new Set(counts).size).toBe(1)
+  })
+
+  test('rejects rings without 4n + 2 π electrons', () => {
+    expect(aromaticAtoms('C1=CC=CC=CC=C1')).toBe(0)
+    expect(aromaticAtoms('C1=CCC=C1')).toBe(0)
+    expect(aromaticAtoms('O=C1C=CC(=O)C=C1')).toBe(0)
+    expect(aromaticAtoms('C=C1C=CC=C1')).toBe(0)
+    expect(aromaticAtoms('C1CCCCC1')).toBe(0)
+  })
+
+  test('finds charged carbon rings', () => {
+    expect(aromaticAtoms('[CH-]1C=CC=C1')).toBe(5)
+    expect(aromaticAtoms('[CH+]1C=CC=CC=C1')).toBe(7)
+  })
+})
+
+describe('markAromaticity', () => {
+  test('marks aromatic atoms and bonds without changing the graph', () => {
+    const graph = decodeToAST(encode('Cc1ccccc1'))
+    const marked = markAromaticity(graph)
+
+    expect(marked.atoms[0].aromatic).toBeUndefined()
+    expect(marked.atoms.slice(1).every(atom => atom.aromatic)).toBe(true)
+    expect(marked.bonds[0].aromatic).toBeUndefined()
+    expect(marked.bonds.slice(1).every(bond => bond.aromatic)).toBe(true)
+    expect(graph.atoms.some(atom => atom.aromatic)).toBe(false)
+  })
+
+  test('gives pyrrole-type nitrogen an explicit hydrogen', () => {
+    const pyrrole = markAromaticity(decodeToAST(encode('c1cc[nH]c1')))
+    expect(pyrrole.atoms.find(atom => atom.element === 'N').hydrogens).toBe(1)
+
+    const methylpyrrole = markAromaticity(decodeToAST(encode('Cn1cccc1')))
+    expect(methylpyrrole.atoms.find(atom => atom.element === 'N').hydrogens).toBeUndefined()
+  })
+})
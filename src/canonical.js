@@ -0,0 +1,398 @@
+/**
+ * Canonical - Canonical atom ranking and ordering without RDKit
+ *
+ * Atoms are ranked by Morgan-style refinement: each atom starts with an
+ * invariant built from its own properties, and ranks are refined by the
+ * sorted ranks of neighbors until they stop splitting. Ranking uses the
+ * graph with aromaticity perceived (see aromaticity.js), so aromatic bonds
+ * count as 1.5 whichever Kekulé structure the SELFIES was written in.
+ *
+ * Ties left by refinement are not always symmetric: in a regular graph such
+ * as dodecahedrane every atom looks alike to it. So ties are broken by
+ * search, trying each tied atom in turn and refining again after each
+ * break, and the ordering whose output sorts first is kept. As in nauty,
+ * orderings that give the same output reveal symmetries of the molecule,
+ * and choices that a known symmetry maps onto one already tried are
+ * skipped.
+ *
+ * The canonical walk starts each fragment at its lowest-ranked atom and
+ * visits neighbors in rank order, and aromatic rings are given the first
+ * Kekulé structure found in the new numbering, so equal molecules give
+ * equal SMILES however their SELFIES were written.
+ */
+
+import { markAromaticity } from './aromaticity.js'
+import { findPerfectMatching } from './kekulize.js'
+import { pairKey } from './molecule.js'
+import { flipBondStereo } from './stereo.js'
+import { walkGraph } from './traversal.js'
+
+/**
+ * Ranks the atoms of a molecule graph canonically
+ * @param {Object} graph - Molecule graph from decodeToAST()
+ * @returns {number[]} Rank of each atom, a permutation of 0..n-1
+ *
+ * Example:
+ *   getCanonicalRanks(decodeToAST('[O][C][C]')) // => [1, 2, 0]
+ */
+export function getCanonicalRanks(graph) {
+  return searchOrderings(graph).ranks
+}
+
+/**
+ * Renumbers a molecule graph in canonical order
+ * @param {Object} graph - Molecule graph from decodeToAST()
+ * @returns {{graph: Object, order: number[]}} Canonical graph, and the
+ *   original index of each of its atoms
+ *
+ * Fragments are ordered by their lowest-ranked atom. Directional bonds are
+ * flipped as a group where needed, so that the first one written around
+ * each double bond system is '/'.
+ */
+export function canonicalizeGraph(graph) {
+  return searchOrderings(graph).result
+}
+
+/**
+ * Searches the tie breaks left by refinement for the canonical ordering
+ * @param {Object} graph - Molecule graph from decodeToAST()
+ * @returns {{ranks: number[], result: {graph: Object, order: number[]}}}
+ *   Ranks of the ordering whose output sorts first, and that output
+ *
+ * Each complete ordering is a leaf of the search tree. A leaf with the same
+ * output as an earlier one gives a symmetry (atom i of one output is atom i
+ * of the other). Tied atoms that symmetries fixing the atoms chosen so far
+ * map onto each other lead to the same outputs, so only one is tried; and a
+ * leaf matching the first leaf means the rest of its branch mirrors the
+ * first branch, so the search returns to where the two paths split.
+ */
+function searchOrderings(graph) {
+  const marked = markAromaticity(graph)
+  const neighbors = getBondedNeighbors(marked)
+  const aromatic = new Set([...marked.bonds, ...marked.rings]
+    .filter(edge => edge.aromatic)
+    .map(edge => pairKey(edge.from, edge.to)))
+  const symmetries = []
+  let first = null
+  let best = null
+
+  // Returns the depth of the path to go back to, or Infinity to go on
+  function search(ranks, path) {
+    const tied = getTiedAtoms(ranks)
+    if (tied.length === 0) {
+      const result = walkByRanks(graph, ranks, aromatic)
+      const leaf = { key: getGraphKey(result.graph), ranks, result, path }
+      if (first === null) {
+        first = best = leaf
+        return Infinity
+      }
+      if (leaf.key === first.key) {
+        symmetries.push(getSymmetry(first.result.order, result.order))
+        return countSharedPrefix(path, first.path)
+      }
+      if (leaf.key === best.key) symmetries.push(getSymmetry(best.result.order, result.order))
+      if (leaf.key < best.key) best = leaf
+      return Infinity
+    }
+
+    const tried = []
+    for (const atom of tied) {
+      if (tried.length > 0) {
+        const orbits = getOrbits(symmetries, path, ranks.length)
+        if (tried.some(other => orbits[other] === orbits[atom])) continue
+      }
+      tried.push(atom)
+      const depth = search(refineRanks(breakTie(ranks, atom), neighbors), [...path, atom])
+      if (depth < path.length) return depth
+    }
+    return Infinity
+  }
+
+  search(getRefinedRanks(marked, neighbors), [])
+  return { ranks: best.ranks, result: best.result }
+}
+
+/**
+ * Maps each atom of one ordering to the atom in the same place in another
+ * @param {number[]} from - Original atom index at each position
+ * @param {number[]} to - Original atom index at each position
+ * @returns {number[]} Image of each atom
+ */
+function getSymmetry(from, to) {
+  const images = new Array(from.length)
+  from.forEach((atom, position) => { images[atom] = to[position] })
+  return images
+}
+
+/**
+ * Groups atoms into orbits of the symmetries that fix a set of atoms
+ * @param {number[][]} symmetries - Image of each atom, per symmetry
+ * @param {number[]} fixed - Atoms the symmetries must map to themselves
+ * @param {number} count - Number of atoms
+ * @returns {number[]} Representative atom of each atom's orbit
+ */
+function getOrbits(symmetries, fixed, count) {
+  const parent = [...Array(count).keys()]
+  const find = atom => (parent[atom] === atom ? atom : (parent[atom] = find(parent[atom])))
+  for (const images of symmetries) {
+    if (!fixed.every(atom => images[atom] === atom)) continue
+    images.forEach((image, atom) => { parent[find(image)] = find(atom) })
+  }
+  return parent.map((atom, index) => find(index))
+}
+
+/**
+ * Counts the leading entries two arrays share
+ */
+function countSharedPrefix(a, b) {
+  let count = 0
+  while (count < a.length && count < b.length && a[count] === b[count]) count++
+  return count
+}
+
+/**
+ * Walks a graph from the lowest-ranked atoms, visiting neighbors by rank
+ * @param {Object} graph - Molecule graph
+ * @param {number[]} ranks - Distinct rank of each atom
+ * @param {Set<string>} aromatic - Aromatic bonds, by pairKey() of their
+ *   atoms
+ * @returns {{graph: Object, order: number[]}} Renumbered graph and order
+ */
+function walkByRanks(graph, ranks, aromatic) {
+  const byRank = (a, b) => ranks[a] - ranks[b]
+  const walked = walkGraph(
+    graph,
+    fragments => fragments.map(fragment => fragment.reduce((best, atom) => (ranks[atom] < ranks[best] ? atom : best))).sort(byRank),
+    (atomIndex, neighbors) => [...neighbors].sort((a, b) => byRank(a.atom, b.atom))
+  )
+  assignKekuleBonds(walked, aromatic)
+  normalizeBondStereo(walked.graph)
+  return walked
+}
+
+/**
+ * Rewrites the aromatic rings of a walked graph as the Kekulé structure
+ * the matching finds first in its numbering
+ * @param {{graph: Object, order: number[]}} walked - Walked graph and
+ *   order, modified in place
+ * @param {Set<string>} aromatic - Aromatic bonds, by pairKey() of their
+ *   original atoms
+ *
+ * The atoms that need a double bond are those with one in an aromatic
+ * ring, which is the same for every Kekulé structure.
+ */
+function assignKekuleBonds({ graph, order }, aromatic) {
+  const edges = [...graph.bonds, ...graph.rings]
+    .filter(edge => aromatic.has(pairKey(order[edge.from], order[edge.to])))
+  const piAtoms = [...new Set(edges.filter(edge => edge.order === 2).flatMap(edge => [edge.from, edge.to]))]
+    .sort((a, b) => a - b)
+  if (piAtoms.length === 0) return
+
+  const piIndex = new Map(piAtoms.map((atom, index) => [atom, index]))
+  const piEdges = edges.filter(edge => piIndex.has(edge.from) && piIndex.has(edge.to))
+  const adjacency = piAtoms.map(() => [])
+  for (const edge of piEdges) {
+    adjacency[piIndex.get(edge.from)].push(piIndex.get(edge.to))
+    adjacency[piIndex.get(edge.to)].push(piIndex.get(edge.from))
+  }
+
+  const match = findPerfectMatching(adjacency)
+  for (const edge of piEdges) {
+    edge.order = match[piIndex.get(edge.from)] === piIndex.get(edge.to) ? 2 : 1
+  }
+}
+
+/**
+ * Serializes a walked graph for comparing tie-break choices
+ */
+function getGraphKey(graph) {
+  const bond = edge => [edge.from, edge.to, getRankingOrder(edge), edge.stereo || '']
+  return JSON.stringify([graph.atoms, graph.bonds.map(bond), graph.rings.map(bond)])
+}
+
+/**
+ * Flips directional bonds so each double bond system starts with '/'
+ * @param {Object} graph - Graph from walkGraph(), modified in place
+ *
+ * Directional bonds next to the same double bond describe it together, and
+ * flipping all of them describes the same geometry. In a walked graph every
+ * bond is written from its lower-numbered atom, in the stored direction.
+ */
+function normalizeBondStereo(graph) {
+  const edges = [...graph.bonds, ...graph.rings]
+  const directional = edges.filter(edge => edge.stereo)
+  if (directional.length === 0) return
+
+  // Union-find over directional bonds that share a double bond
+  const parent = new Map(directional.map(edge => [edge, edge]))
+  const find = edge => (parent.get(edge) === edge ? edge : find(parent.get(edge)))
+  for (const double of edges.filter(edge => edge.order === 2)) {
+    const adjacent = directional.filter(edge =>
+      [edge.from, edge.to].some(atom => atom === double.from || atom === double.to))
+    for (const edge of adjacent.slice(1)) {
+      parent.set(find(edge), find(adjacent[0]))
+    }
+  }
+
+  // Tree bonds are written just before their child atom, ring bonds at
+  // their opening atom
+  const writtenAt = edge => (graph.bonds.includes(edge) ? edge.to - 0.5 : edge.from)
+  const groups = new Map()
+  for (const edge of directional) {
+    const root = find(edge)
+    if (!groups.has(root)) groups.set(root, [])
+    groups.get(root).push(edge)
+  }
+
+  for (const group of groups.values()) {
+    const first = group.reduce((best, edge) => (writtenAt(edge) < writtenAt(best) ? edge : best))
+    if (first.stereo !== '\\') continue
+    for (const edge of group) {
+      edge.stereo = flipBondStereo(edge.stereo)
+    }
+  }
+}
+
+/**
+ * Lists each atom's neighbors with the order of the bond to them
+ * @param {Object} graph - Molecule graph
+ * @returns {Object[][]} { atom, order } per neighbor of each atom
+ */
+function getBondedNeighbors(graph) {
+  const neighbors = graph.atoms.map(() => [])
+  for (const bond of [...graph.bonds, ...graph.rings]) {
+    const order = getRankingOrder(bond)
+    neighbors[bond.from].push({ atom: bond.to, order })
+    neighbors[bond.to].push({ atom: bond.from, order })
+  }
+  return neighbors
+}
+
+/**
+ * Gets the bond order used for ranking
+ *
+ * Bonds marked aromatic (see aromaticity.js) count as 1.5, so every Kekulé
+ * structure of an aromatic ring ranks the same.
+ */
+function getRankingOrder(bond) {
+  return bond.aromatic ? 1.5 : bond.order
+}
+
+/**
+ * Builds the starting invariant of an atom
+ * @param {Object} atom - Atom from decodeToAST()
+ * @param {Object[]} neighbors - Bonded neighbors of the atom
+ * @returns {Array} Invariant; terminal atoms and lighter elements sort first
+ */
+function getAtomInvariant(atom, neighbors) {
+  const bondOrders = neighbors.reduce((sum, neighbor) => sum + neighbor.order, 0)
+  return [
+    neighbors.length,
+    atom.element,
+    atom.isotope || 0,
+    atom.charge || 0,
+    atom.hydrogens || 0,
+    bondOrders
+  ]
+}
+
+/**
+ * Refines ranks by neighbor ranks until the number of classes stops growing
+ * @param {number[]} ranks - Current ranks
+ * @param {Object[][]} neighbors - Bonded neighbors of each atom
+ * @returns {number[]} Refined ranks
+ */
+function refineRanks(ranks, neighbors) {
+  let classes = countClasses(ranks)
+
+  for (;;) {
+    const keys = ranks.map((rank, index) => [
+      rank,
+      ...neighbors[index]
+        .map(neighbor => [ranks[neighbor.atom], neighbor.order])
+        .sort(compareArrays)
+        .flat()
+    ])
+    const refined = denseRanks(keys)
+    const refinedClasses = countClasses(refined)
+    if (refinedClasses === classes) return ranks
+
+    ranks = refined
+    classes = refinedClasses
+  }
+}
+
+/**
+ * Ranks atoms by their invariants, refined by their neighbors
+ * @param {Object} graph - Molecule graph
+ * @param {Object[][]} neighbors - Bonded neighbors of each atom
+ * @returns {number[]} Ranks, possibly with ties
+ */
+function getRefinedRanks(graph, neighbors) {
+  const invariants = graph.atoms.map((atom, index) => getAtomInvariant(atom, neighbors[index]))
+  return refineRanks(denseRanks(invariants), neighbors)
+}
+
+/**
+ * Lists the atoms sharing the lowest tied rank
+ * @param {number[]} ranks - Current ranks
+ * @returns {number[]} Atom indices, empty if all ranks are distinct
+ */
+function getTiedAtoms(ranks) {
+  const counts = new Map()
+  for (const rank of ranks) {
+    counts.set(rank, (counts.get(rank) || 0) + 1)
+  }
+
+  let tied = Infinity
+  for (const [rank, count] of counts) {
+    if (count > 1) tied = Math.min(tied, rank)
+  }
+  return ranks.flatMap((rank, index) => (rank === tied ? [index] : []))
+}
+
+/**
+ * Gives one atom a lower rank than the others it is tied with
+ * @param {number[]} ranks - Ranks with the atom in a tie
+ * @param {number} chosen - Atom index
+ * @returns {number[]} Ranks with one more class
+ */
+function breakTie(ranks, chosen) {
+  return denseRanks(ranks.map((rank, index) => [rank, index === chosen ? 0 : 1]))
+}
+
+/**
+ * Ranks keys from 0, giving equal keys equal ranks
+ * @param {Array[]} keys - Comparable key per atom
+ * @returns {number[]} Dense rank of each key
+ */
+function denseRanks(keys) {
+  const sorted = keys.map((key, index) => index).sort((a, b) => compareArrays(keys[a], keys[b]))
+  const ranks = new Array(keys.length)
+
+  let rank = 0
+  sorted.forEach((index, position) => {
+    if (position > 0 && compareArrays(keys[sorted[position - 1]], keys[index]) !== 0) rank++
+    ranks[index] = rank
+  })
+
+  return ranks
+}
+
+/**
+ * Counts the distinct ranks
+ */
+function countClasses(ranks) {
+  return new Set(ranks).size
+}
+
+/**
+ * Compares arrays of numbers and strings element by element
+ */
+function compareArrays(a, b) {
+  for (let i = 0; i < Math.min(a.length, b.length); i++) {
+    if (a[i] < b[i]) return -1
+    if (a[i] > b[i]) return 1
+  }
+  return a.length - b.length
+}
@@ -0,0 +1,111 @@
+/**
+ * Tests for canonical atom ranking and ordering
+ */
+
+import { describe, test, expect } from 'bun:test'
+import { getCanonicalRanks, canonicalizeGraph } from './canonical.js'
+import { decodeToAST, graphToSmiles } from './decoder.js'
+import { encode } from './encoder.js'
+import { enumerateSelfies } from './enumeration.js'
+
+function canonicalSmiles(selfies) {
+  return graphToSmiles(canonicalizeGraph(decodeToAST(selfies)).graph)
+}
+
+describe('getCanonicalRanks', () => {
+  test('ranks terminal atoms and lighter elements first', () => {
+    expect(getCanonicalRanks(decodeToAST('[O][C][C]'))).toEqual([1, 2, 0])
+  })
+
+  test('gives every atom a distinct rank', () => {
+    const ranks = getCanonicalRanks(decodeToAST(encode('c1ccccc1')))
+    expect([...ranks].sort((a, b) => a - b)).toEqual([0, 1, 2, 3, 4, 5])
+  })
+
+  test('does not depend on the atom order', () => {
+    const a = decodeToAST('[C][C][Branch1][C][O][N]')
+    const b = decodeToAST('[N][C][Branch1][C][O][C]')
+    const elementsByRank = graph => {
+      const ranks = getCanonicalRanks(graph)
+      return graph.atoms.map((atom, index) => [ranks[index], atom.element]).sort((x, y) => x[0] - y[0])
+    }
+    expect(elementsByRank(a)).toEqual(elementsByRank(b))
+  })
+})
+
+describe('canonicalizeGraph', () => {
+  test('returns the original index of each atom', () => {
+    const { graph, order } = canonicalizeGraph(decodeToAST('[O][C][C]'))
+    expect(order).toEqual([2, 1, 0])
+    expect(graph.atoms.map(atom => atom.element)).toEqual(['C', 'C', 'O'])
+  })
+
+  test('writes the same SMILES for every SELFIES of a molecule', () => {
+    const molecules = [
+      'CC(=O)Oc1ccccc1C(=O)O',
+      'CC(C)Cc1ccc(cc1)C(C)C(=O)O',
+      'C1CC2CCC1C2',
+      'C1CCC2(CC1)CCCCC2',
+      'CC(=O)[O-].[Na+]',
+      'O.O.CCO'
+    ]
+
+    for (const smiles of molecules) {
+      const variants = enumerateSelfies(encode(smiles), { count: 20, seed: 1 })
+      expect(new Set(variants.map(canonicalSmiles)).size).toBe(1)
+    }
+  })
+
+  test('writes the same SMILES for every Kekulé structure', () => {
+    const pairs = [
+      ['CC(=O)Oc1ccccc1C(=O)O', 'OC(=O)c1ccccc1OC(C)=O'],
+      ['Oc1ccccc1C', 'Cc1ccccc1O'],
+      ['C1=CC=C2C=CC=CC2=C1', 'C1=CC2=CC=CC=C2C=C1'],
+      ['C1=CC=C2NC=CC2=C1', 'C1=CC=C2C(=C1)C=CN2']
+    ]
+
+    for (const [a, b] of pairs) {
+      expect(canonicalSmiles(encode(a))).toBe(canonicalSmiles(encode(b)))
+    }
+  })
+
+  test('writes the same SMILES for every SELFIES of a symmetric cage', () => {
+    // Every atom of these looks alike until a tie is broken
+    const cages = [
+      'C12C3C4C1C5C2C3C45',
+      'C12C3C4C5C1C6C7C8C2C9C3C%10C4C%11C5C6C%12C7C%13C8C9C%10C%11C%12%13',
+      'c12c3c4c5c1c1c6c7c2c2c8c3c3c9c4c4c%10c5c5c1c1c6c6c%11c7c2c2c7c8c3c3c8c9c4c4c9c%10c5c5c1c1c6c6c%11c2c2c7c3c3c8c4c4c9c5c1c1c6c2c3c41'
+    ]
+
+    for (const smiles of cages) {
+      const variants = enumerateSelfies(encode(smiles), { count: 10, seed: 1 })
+      expect(new Set(variants.map(canonicalSmiles)).size).toBe(1)
+    }
+  })
+
+  test('writes the same stereo descriptors for every SELFIES of a molecule', () => {
+    const molecules = [
+      'N[C@@H](Cc1ccccc1)C(=O)O',
+      'C[C@H]1CC[C@@H](C)CC1',
+      'C[C@H](O)[C@@H](C)O',
+      'O[C@H]1[C@@H](O)[C@H](O)[C@@H](O)[C@H](O)[C@@H]1O',
+      'F/C=C/F',
+      'F/C(Cl)=C(/F)Cl',
+      'C/C=C/C=C/C'
+    ]
+
+    for (const smiles of molecules) {
+      const variants = enumerateSelfies(encode(smiles), { count: 20, seed: 1 })
+      expect(new Set(variants.map(canonicalSmiles)).size).toBe(1)
+    }
+  })
+
+  test('starts cis/trans systems with /', () => {
+    expect(canonicalSmiles(encode('F\\C=C\\F'))).toBe('F/C=C/F')
+    expect(canonicalSmiles(encode('C\\C=C\\C=C\\C'))).toBe('C/C=C/C=C/C')
+  })
+
+  test('numbers ring closures in the order they open', () => {
+    expect(canonicalSmiles(encode('c1ccc(cc1)Cc1ccccc1'))).toBe('C(C1=CC=CC=C1)C2=CC=CC=C2')
+  })
+})
@@ -6,7 +6,12 @@
  */
 
 import { tokenize } from './tokenizer.js'
+import { canonicalizeGraph } from './canonical.js'
+import { markAromaticity } from './aromaticity.js'
+import { isOrganicSubset, withExplicitHydrogens } from './hydrogens.js'
 import { getBondingCapacity } from './constraints.js'
+import { pairKey } from './molecule.js'
+import { isElementSymbol } from './smilesParser.js'
 import {
   processBranchSymbol,
   processRingSymbol,
@@ -16,16 +21,103 @@ import {
   getIndexFromSelfies,
   INDEX_CODE
 } from './grammar_rules.js'
+import {
+  buildNeighborOrder,
+  flipBondStereo,
+  getChirality,
+  getNeighbors,
+  getReferenceOrder,
+  getSelfiesNeighborOrder,
+  hasImplicitNeighbor,
+  reorderChirality,
+  withChirality
+} from './stereo.js'
 
 /**
  * Decodes a SELFIES string to SMILES
  * @param {string} selfies - The SELFIES string to decode
- * @returns {string} SMILES representation
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.attribute=false] - Also return which SELFIES
+ *   tokens produced each part of the SMILES
+ * @param {boolean} [options.canonical=false] - Write a canonical SMILES, the
+ *   same for every SELFIES of the molecule (see canonical.js)
+ * @param {boolean} [options.aromatic=false] - Write aromatic rings with
+ *   lowercase atoms, e.g. 'c1ccccc1', instead of Kekulé form (see
+ *   aromaticity.js)
+ * @param {boolean} [options.explicitHydrogens=false] - Write every atom in
+ *   brackets with its hydrogen count, e.g. '[CH3][OH]' (see hydrogens.js)
+ * @returns {string|{smiles: string, attribution: Object[]}} SMILES
+ *   representation, or the SMILES and its attribution if requested
  * @throws {Error} If the SELFIES string is invalid
+ *
+ * Attribution follows selfies-py's decoder(..., attribute=True), with one
+ * entry per atom, bond symbol, and ring bond written to the SMILES:
+ *
+ *   decode('[C][=O]', { attribute: true }).attribution
+ *   // [
+ *   //   { start: 0, end: 1, token: 'C', attribution: [{ index: 0, token: '[C]' }] },
+ *   //   { start: 1, end: 2, token: '=', attribution: [{ index: 1, token: '[=O]' }] },
+ *   //   { start: 2, end: 3, token: 'O', attribution: [{ index: 1, token: '[=O]' }] }
+ *   // ]
+ *
+ * Bonds map to the atom symbol that made them, plus the branch symbol and
+ * its length symbols for the first bond of a branch. Ring bonds map to their
+ * ring symbol and its length symbols.
  */
-export function decode(selfies) {
-  const ast = decodeToAST(selfies)
-  return buildSmiles(ast.atoms, ast.bonds, ast.rings)
+export function decode(selfies, options = {}) {
+  const { attribute = false, canonical = false } = options
+
+  if (!attribute) {
+    const graph = applyOutputOptions(decodeToAST(selfies), options)
+    return graphToSmiles(canonical ? canonicalizeGraph(graph).graph : graph)
+  }
+
+  const tokens = tokenize(selfies)
+  const sources = new Map()
+  const decoded = deriveGraph(tokens, sources)
+  const derived = applyOutputOptions(decoded, options)
+
+  const decodedSources = new Map()
+  for (const bond of [...decoded.bonds, ...decoded.rings]) {
+    decodedSources.set(pairKey(bond.from, bond.to), sources.get(bond) || [])
+  }
+
+  // Canonical output renumbers atoms, so look sources up by original index
+  const { graph, order } = canonical ?
+    canonicalizeGraph(derived) :
+    { graph: derived, order: derived.atoms.map((atom, index) => index) }
+  const { atoms, bonds, rings } = graph
+
+  const bondSources = new Map()
+  for (const bond of [...bonds, ...rings]) {
+    bondSources.set(pairKey(bond.from, bond.to), decodedSources.get(pairKey(order[bond.from], order[bond.to])))
+  }
+  const trace = {
+    atoms: order.map(index => sources.get(decoded.atoms[index]) || []),
+    bonds: bondSources,
+    spans: []
+  }
+
+  const smiles = buildSmiles(atoms, bonds, rings, trace)
+  const attribution = trace.spans.map(({ start, end, token, indices }) => ({
+    start,
+    end,
+    token,
+    attribution: [...indices].sort((a, b) => a - b).map(index => ({ index, token: tokens[index] }))
+  }))
+
+  return { smiles, attribution }
+}
+
+/**
+ * Marks a decoded graph for the aromatic and explicitHydrogens options of
+ * decode(), keeping its atom order
+ */
+function applyOutputOptions(graph, options) {
+  const { aromatic = false, explicitHydrogens = false } = options
+  if (aromatic) graph = markAromaticity(graph)
+  if (explicitHydrogens) graph = withExplicitHydrogens(graph)
+  return graph
 }
 
 /**
@@ -33,168 +125,170 @@ export function decode(selfies) {
  * @param {string} selfies - The SELFIES string to decode
  * @returns {Object} AST with atoms, bonds, and rings arrays
  * @throws {Error} If the SELFIES string is invalid
+ *
+ * Atom stereo (e.g. 'C@@H') is relative to the reference neighbor order in
+ * stereo.js, and bond stereo ('/' or '\') to the bond's from → to direction.
+ *
+ * Fragments separated by '.' are derived independently, as in selfies-py,
+ * and their atoms appended in order; ring symbols cannot reach an earlier
+ * fragment.
  */
 export function decodeToAST(selfies) {
-  const tokens = tokenize(selfies)
+  return deriveGraph(tokenize(selfies))
+}
+
+/**
+ * Writes SMILES for a molecule graph
+ * @param {Object} graph - Molecule graph from decodeToAST()
+ * @returns {string} SMILES string
+ *
+ * Each fragment is written depth-first from its lowest-indexed atom,
+ * visiting the children of each atom in the order of graph.bonds; the last
+ * child continues the chain and earlier ones become branches. Bonds in
+ * graph.rings are written as ring closure digits.
+ */
+export function graphToSmiles(graph) {
+  return buildSmiles(graph.atoms, graph.bonds, graph.rings)
+}
+
+/**
+ * Derives the molecule graph for a list of tokens
+ * @param {string[]} tokens - SELFIES tokens
+ * @param {Map|null} sources - If given, filled with the token indices that
+ *   produced each atom, bond, and ring object
+ * @returns {Object} AST with atoms, bonds, and rings arrays
+ */
+function deriveGraph(tokens, sources = null) {
   const atoms = []
   const bonds = []
   const rings = []
 
-  // Derivation state machine
-  let state = 0 // 0 = start, >0 = bonding capacity remaining
-  let prevAtomIndex = null
-  let i = 0
-
-  while (i < tokens.length) {
-    const token = tokens[i]
-    const content = token.slice(1, -1) // Remove brackets
-
-    // Skip [nop] tokens
-    if (content === 'nop') {
-      i++
-      continue
-    }
-
-    // Branch symbols
-    if (content.includes('Branch') || content.includes('ch')) {
-      const branchInfo = processBranchSymbol(token)
-      if (!branchInfo) {
-        i++
-        continue
-      }
-
-      if (state <= 1) {
-        // Skip branch at X0 or X1
-        i++
-        continue
-      }
-
-      const { order: branchOrder, L } = branchInfo
-      const [branchInitState, nextState] = nextBranchState(branchOrder, state)
-
-      // Read length specifier (Q) - read L tokens
-      i++
-      if (i >= tokens.length) {
-        // Branch at end with no length
-        state = nextState
-        break
-      }
-
-      const Q = readIndexFromTokens(tokens, i, L)
-      i += Q.consumed
-
-      // Derive branch
-      const branchResult = deriveBranch(
-        tokens,
-        i,
-        Q.value + 1,
-        branchInitState,
-        prevAtomIndex,
-        atoms,
-        bonds,
-        rings
-      )
-      i += branchResult.consumed
-      state = nextState
-
-      // If branch consumed all remaining tokens, stop
-      if (i >= tokens.length) {
-        break
-      }
-      continue
-    }
-
-    // Ring symbols
-    if (content.includes('Ring') || content.includes('ng')) {
-      const ringInfo = processRingSymbol(token)
-      if (!ringInfo) {
-        i++
-        continue
-      }
-
-      if (state === 0) {
-        // Skip ring at X0
-        i++
-        continue
-      }
-
-      const { order: requestedOrder, L } = ringInfo
-      const [bondOrder, nextState] = nextRingState(requestedOrder, state)
-
-      // Read length specifier (Q) - read L tokens
-      i++
-      if (i >= tokens.length) {
-        // Ring at end - apply as bond to prev atom
-        if (prevAtomIndex !== null && bonds.length > 0) {
-          // Increase bond order of last bond
-          const lastBond = bonds[bonds.length - 1]
-          lastBond.order = Math.min(lastBond.order + bondOrder, 3)
-        }
-        state = nextState
-        break
-      }
-
-      const Q = readIndexFromTokens(tokens, i, L)
-      i += Q.consumed
-
-      // Calculate ring closure atom index
-      const targetIndex = Math.max(0, prevAtomIndex - (Q.value + 1))
-
-      // Skip ring to self
-      if (targetIndex === prevAtomIndex) {
-        state = nextState
-        continue
-      }
-
-      handleRingClosure(targetIndex, prevAtomIndex, bondOrder, bonds, rings)
+  for (const { start, tokens: fragmentTokens } of splitFragments(tokens)) {
+    const fragment = { atoms: [], bonds: [], rings: [] }
+    const trace = sources ? { sources, offset: start } : null
+    const ringRequests = []
+    deriveSymbols(fragmentTokens, 0, Infinity, 0, null, fragment.atoms, fragment.bonds, ringRequests, trace)
+    formRings(fragment, ringRequests, trace)
+    appendFragment(fragment, atoms, bonds, rings)
+  }
+  normalizeStereo(atoms, bonds, rings)
 
-      state = nextState
-      continue
-    }
+  return { atoms, bonds, rings }
+}
 
-    // Regular atom symbols
-    let atomInfo
-    try {
-      atomInfo = parseAtomSymbol(content)
-    } catch (error) {
-      throw new Error(`Invalid SELFIES token ${token}: ${error.message}`)
+/**
+ * Splits tokens into fragments at '.' tokens, dropping empty fragments
+ * @returns {Object[]} { start, tokens } - index of the first token, and tokens
+ */
+function splitFragments(tokens) {
+  const fragments = [{ start: 0, tokens: [] }]
+  tokens.forEach((token, index) => {
+    if (token === '.') {
+      fragments.push({ start: index + 1, tokens: [] })
+    } else {
+      fragments[fragments.length - 1].tokens.push(token)
     }
+  })
+  return fragments.filter(fragment => fragment.tokens.length > 0)
+}
 
-    if (atomInfo) {
-      const { element, bondOrder: requestedBond, stereo } = atomInfo
-      const capacity = getBondingCapacity(element)
+/**
+ * Forms the ring bonds requested while deriving a fragment
+ * Based on selfies-py's _form_rings_bilocally()
+ *
+ * Rings are formed after the whole fragment is derived, so chain and branch
+ * bonds take priority. Each ring bond's order is capped by the free valence
+ * left on both of its atoms, and rings to saturated atoms are dropped.
+ *
+ * @param {Object} fragment - { atoms, bonds, rings } of the fragment
+ * @param {Object[]} ringRequests - { from, to, order, stereo } in the order
+ *   the ring symbols were read
+ * @param {Object|null} trace - { sources, offset } or null when not tracing
+ */
+function formRings(fragment, ringRequests, trace) {
+  const { atoms, bonds, rings } = fragment
+  for (const request of ringRequests) {
+    const order = Math.min(
+      request.order,
+      getFreeValence(atoms, bonds, rings, request.from),
+      getFreeValence(atoms, bonds, rings, request.to)
+    )
+    const indices = trace?.sources.get(request)
+    trace?.sources.delete(request)
+    if (order <= 0) continue
 
-      // Determine actual bond order and next state
-      const [actualBond, nextState] = nextAtomState(requestedBond, capacity, state)
+    const bond = handleRingClosure(request.from, request.to, order, bonds, rings, request.stereo)
+    if (indices) trace.sources.set(bond, [...(trace.sources.get(bond) || []), ...indices])
+  }
+}
 
-      // Add atom
-      const atomIndex = atoms.length
-      atoms.push({ element, capacity, stereo })
+/**
+ * Gets the bonding capacity an atom has left after its bonds and rings
+ */
+function getFreeValence(atoms, bonds, rings, atomIndex) {
+  let used = 0
+  for (const bond of [...bonds, ...rings]) {
+    if (bond.from === atomIndex || bond.to === atomIndex) used += bond.order
+  }
+  return atoms[atomIndex].capacity - used
+}
 
-      // Add bond (if not first atom and has bonding)
-      if (actualBond > 0 && prevAtomIndex !== null) {
-        bonds.push({
-          from: prevAtomIndex,
-          to: atomIndex,
-          order: actualBond
-        })
-      }
+/**
+ * Appends a separately derived fragment, offsetting its atom indices
+ *
+ * Bonds and rings are shifted in place, so sources recorded against them
+ * still apply.
+ */
+function appendFragment(fragment, atoms, bonds, rings) {
+  const offset = atoms.length
+  for (const bond of [...fragment.bonds, ...fragment.rings]) {
+    bond.from += offset
+    bond.to += offset
+  }
 
-      // Update state
-      state = nextState
-      prevAtomIndex = atomIndex
+  atoms.push(...fragment.atoms)
+  bonds.push(...fragment.bonds)
+  rings.push(...fragment.rings)
+}
 
-      if (state === null) {
-        i++
-        break // No more bonding capacity
-      }
-    }
+/**
+ * Records the tokens that produced an atom, bond, or ring
+ * @param {Object|null} trace - { sources, offset } or null when not tracing
+ * @param {Object|undefined} item - Atom, bond, or ring object
+ * @param {number[]} indices - Token indices within the fragment
+ */
+function addSources(trace, item, indices) {
+  if (!trace || !item) return
+  const existing = trace.sources.get(item) || []
+  trace.sources.set(item, [...existing, ...indices.map(index => index + trace.offset)])
+}
 
-    i++
-  }
+/**
+ * Lists the indices of a symbol and the length symbols after it
+ */
+function symbolIndices(index, Q) {
+  return Array.from({ length: 1 + Q.consumed }, (_, i) => index + i)
+}
 
-  // Return AST
-  return { atoms, bonds, rings }
+/**
+ * Converts atom chirality from SELFIES neighbor order to the reference order
+ */
+function normalizeStereo(atoms, bonds, rings) {
+  const graph = { atoms, bonds, rings }
+
+  atoms.forEach((atom, index) => {
+    const chirality = getChirality(atom)
+    if (!chirality) return
+
+    const neighbors = getNeighbors(graph, index)
+    const implicit = hasImplicitNeighbor(atom.hydrogens, neighbors.length)
+    const normalized = reorderChirality(
+      chirality,
+      getSelfiesNeighborOrder(graph, index, implicit),
+      getReferenceOrder(neighbors, implicit)
+    )
+    atom.stereo = withChirality(atom.stereo, normalized)
+  })
 }
 
 /**
@@ -291,16 +385,31 @@ export function processRingToken(token, tokens, i, state, prevAtomIndex, bonds,
     return { consumed: 1 + Q.consumed, state: nextState }
   }
 
-  handleRingClosure(targetIndex, prevAtomIndex, bondOrder, bonds, rings)
+  handleRingClosure(targetIndex, prevAtomIndex, bondOrder, bonds, rings, getRingStereo(ringInfo))
 
   const totalConsumed = 1 + Q.consumed
   return { consumed: totalConsumed, state: nextState }
 }
 
+/**
+ * Gets the stereo of a ring bond in the earlier → later atom direction
+ *
+ * Stereo ring symbols such as [/-Ring1] give the bond as written at the
+ * earlier atom, then as written at the later atom (pointing back, so flipped).
+ */
+function getRingStereo(ringInfo) {
+  if (!ringInfo.stereo) return null
+  const [atEarlier, atLater] = ringInfo.stereo
+  if (atEarlier !== '-') return atEarlier
+  if (atLater !== '-') return flipBondStereo(atLater)
+  return null
+}
+
 /**
  * Handles ring closure between two atoms
+ * @returns {Object} The bond or ring closure that was created or updated
  */
-export function handleRingClosure(targetIndex, prevAtomIndex, bondOrder, bonds, rings) {
+export function handleRingClosure(targetIndex, prevAtomIndex, bondOrder, bonds, rings, stereo = null) {
   // Check if there's already a bond between these atoms
   const existingBond = bonds.find(b =>
     (b.from === targetIndex && b.to === prevAtomIndex) ||
@@ -310,6 +419,7 @@ export function handleRingClosure(targetIndex, prevAtomIndex, bondOrder, bonds,
   if (existingBond) {
     // Ring on existing bond - increase bond order
     existingBond.order = Math.min(existingBond.order + bondOrder, 3)
+    return existingBond
   } else {
     // Check if there's already a ring between these atoms
     const existingRing = rings.find(r =>
@@ -320,13 +430,13 @@ export function handleRingClosure(targetIndex, prevAtomIndex, bondOrder, bonds,
     if (existingRing) {
       // Ring on existing ring - increase ring order
       existingRing.order = Math.min(existingRing.order + bondOrder, 3)
+      return existingRing
     } else {
       // Add new ring closure
-      rings.push({
-        from: targetIndex,
-        to: prevAtomIndex,
-        order: bondOrder
-      })
+      const ring = { from: targetIndex, to: prevAtomIndex, order: bondOrder }
+      if (stereo && bondOrder === 1) ring.stereo = stereo
+      rings.push(ring)
+      return ring
     }
   }
 }
@@ -343,23 +453,25 @@ export function processAtomToken(content, state, prevAtomIndex, atoms, bonds) {
     return { consumed: 1, state, prevAtomIndex }
   }
 
-  const { element, bondOrder: requestedBond, stereo } = atomInfo
-  const capacity = getBondingCapacity(element)
+  const { element, bondOrder: requestedBond, bondStereo, stereo, isotope, hydrogens, charge = 0 } = atomInfo
+  const capacity = Math.max(0, getBondingCapacity(element, charge) - (hydrogens || 0))
 
   // Determine actual bond order and next state
   const [actualBond, nextState] = nextAtomState(requestedBond, capacity, state)
 
   // Add atom
   const atomIndex = atoms.length
-  atoms.push({ element, capacity, stereo })
+  const atom = { element, capacity, stereo }
+  if (isotope) atom.isotope = isotope
+  if (hydrogens !== undefined) atom.hydrogens = hydrogens
+  if (charge) atom.charge = charge
+  atoms.push(atom)
 
   // Add bond (if not first atom and has bonding)
   if (actualBond > 0 && prevAtomIndex !== null) {
-    bonds.push({
-      from: prevAtomIndex,
-      to: atomIndex,
-      order: actualBond
-    })
+    const bond = { from: prevAtomIndex, to: atomIndex, order: actualBond }
+    if (bondStereo && actualBond === 1) bond.stereo = bondStereo
+    bonds.push(bond)
   }
 
   return { consumed: 1, state: nextState, prevAtomIndex: atomIndex }
@@ -402,103 +514,163 @@ export function readIndexFromTokens(tokens, startIndex, numTokens = 1) {
 
 /**
  * Derives a branch subtree
+ *
+ * Ring symbols are not formed here but added to rings as { from, to, order,
+ * stereo } requests (see deriveSymbols()).
  */
 export function deriveBranch(tokens, startIndex, maxDerive, initState, rootAtom, atoms, bonds, rings) {
+  // A branch always starts with bonding capacity available
+  if (initState === null || initState === 0) {
+    return { consumed: 0, derived: 0 }
+  }
+  return deriveSymbols(tokens, startIndex, maxDerive, initState, rootAtom, atoms, bonds, rings)
+}
+
+/**
+ * Runs the derivation state machine over up to maxDerive symbols
+ * Based on selfies-py's _derive_mol_from_symbols()
+ *
+ * Branch and ring symbols (and their length specifiers) count towards
+ * maxDerive, and branches are derived recursively, so rings may close
+ * from inside a branch to any earlier atom. Ring symbols only reserve the
+ * current atom's valence; they are pushed to ringRequests and formed by
+ * formRings() once the fragment is complete.
+ *
+ * If trace is given, the tokens that produced each atom, bond, and ring are
+ * recorded in it (see addSources()).
+ *
+ * @returns {Object} { consumed, derived } - tokens consumed, and symbols derived
+ *                   before the state machine stopped
+ */
+function deriveSymbols(tokens, startIndex, maxDerive, initState, rootAtom, atoms, bonds, ringRequests, trace = null) {
   let state = initState
   let prevAtomIndex = rootAtom
-  let consumed = 0
   let derived = 0
 
-  while (consumed < tokens.length - startIndex && derived < maxDerive) {
-    if (state === null || state === 0) break
+  while (state !== null && derived < maxDerive && startIndex + derived < tokens.length) {
+    const tokenIndex = startIndex + derived
+    const token = tokens[tokenIndex]
+    derived++
 
-    const token = tokens[startIndex + consumed]
-    const content = token.slice(1, -1)
+    // Branch symbols
+    const branchInfo = processBranchSymbol(token)
+    if (branchInfo) {
+      // Skip branch at X0 or X1
+      if (state <= 1) continue
 
-    // Skip structural tokens in branch
-    if (content.includes('Branch') || content.includes('Ring') ||
-        content.includes('ch') || content.includes('ng')) {
-      consumed++
-      continue
-    }
+      const [branchInitState, nextState] = nextBranchState(branchInfo.order, state)
 
-    let atomInfo
-    try {
-      atomInfo = parseAtomSymbol(content)
-    } catch (error) {
-      throw new Error(`Invalid branch atom [${content}]: ${error.message}`)
-    }
+      // Read length specifier (Q) - read L tokens
+      const Q = readIndexFromTokens(tokens, startIndex + derived, branchInfo.L)
+      derived += Q.consumed
+
+      const firstBond = bonds.length
+      const branch = deriveSymbols(
+        tokens,
+        startIndex + derived,
+        Q.value + 1,
+        branchInitState,
+        prevAtomIndex,
+        atoms,
+        bonds,
+        ringRequests,
+        trace
+      )
+      derived += branch.consumed
 
-    if (!atomInfo) {
-      consumed++
+      // The branch symbol sets the order of the bond into the branch
+      addSources(trace, bonds[firstBond], symbolIndices(tokenIndex, Q))
+      state = nextState
       continue
     }
 
-    const { element, bondOrder: requestedBond, stereo } = atomInfo
-    const capacity = getBondingCapacity(element)
-    const [actualBond, nextState] = nextAtomState(requestedBond, capacity, state)
+    // Ring symbols
+    const ringInfo = processRingSymbol(token)
+    if (ringInfo) {
+      // Skip ring at X0
+      if (state === 0) continue
 
-    // Add atom
-    const atomIndex = atoms.length
-    atoms.push({ element, capacity, stereo })
+      const [bondOrder, nextState] = nextRingState(ringInfo.order, state)
 
-    // Add bond
-    if (actualBond > 0 && prevAtomIndex !== null) {
-      bonds.push({
-        from: prevAtomIndex,
-        to: atomIndex,
-        order: actualBond
-      })
+      // Read length specifier (Q) - read L tokens
+      const Q = readIndexFromTokens(tokens, startIndex + derived, ringInfo.L)
+      derived += Q.consumed
+
+      // Calculate ring closure atom index, skipping rings to self
+      const targetIndex = Math.max(0, prevAtomIndex - (Q.value + 1))
+      if (targetIndex !== prevAtomIndex) {
+        const request = { from: targetIndex, to: prevAtomIndex, order: bondOrder, stereo: getRingStereo(ringInfo) }
+        ringRequests.push(request)
+        addSources(trace, request, symbolIndices(tokenIndex, Q))
+      }
+
+      state = nextState
+      continue
     }
 
-    // Update state
-    state = nextState
-    prevAtomIndex = atomIndex
-    derived++
-    consumed++
+    // Regular atom symbols; unknown symbols (including [nop]) are skipped
+    const atomCount = atoms.length
+    const bondCount = bonds.length
+    const result = processAtomToken(token.slice(1, -1), state, prevAtomIndex, atoms, bonds)
+    state = result.state
+    prevAtomIndex = result.prevAtomIndex
+
+    if (atoms.length > atomCount) addSources(trace, atoms[atomCount], [tokenIndex])
+    if (bonds.length > bondCount) addSources(trace, bonds[bondCount], [tokenIndex])
   }
 
+  // A branch owns all maxDerive symbols, even if it stopped deriving early
+  const remaining = tokens.length - startIndex
+  const consumed = Math.max(derived, Math.min(maxDerive, remaining))
+
   return { consumed, derived }
 }
 
 /**
  * Parses an atom symbol and extracts element, bond order, and stereo
+ *
+ * Atom symbols follow selfies-py: [bond][isotope]element[chirality][Hn][charge],
+ * e.g. '=C', '/C', 'NH1+1', '13C', 'O-1', 'C@@H1'. Bond stereo, isotope,
+ * hydrogens, and charge are only included in the result when present;
+ * hydrogens is included whenever an H count is written, so 'NH0' (a
+ * radical) gives hydrogens: 0.
  */
 export function parseAtomSymbol(content) {
   let bondOrder = 1
-  let element = content
-  let stereo = null
+  let bondStereo = null
+  let body = content
 
   if (content.startsWith('=')) {
     bondOrder = 2
-    element = content.slice(1)
+    body = content.slice(1)
   } else if (content.startsWith('#')) {
     bondOrder = 3
-    element = content.slice(1)
+    body = content.slice(1)
   } else if (content.startsWith('/') || content.startsWith('\\')) {
-    element = content.slice(1)
+    bondStereo = content[0]
+    body = content.slice(1)
   }
 
-  // Check for stereo notation: C@, C@@, C@H, etc.
-  if (element.includes('@')) {
-    stereo = element
-    // Extract base element (everything before @)
-    const match = element.match(/^([A-Z][a-z]?)/)
-    if (match) {
-      element = match[1]
-    }
-  }
+  const match = body.match(/^(\d+)?([A-Z][a-z]?)(@@|@)?(H\d*)?([+-]\d*)?$/)
+  if (!match) return null
+
+  const [, isotope, element, chirality, hydrogens, charge] = match
+  if (!isElementSymbol(element)) return null
 
-  // Check if it's a valid element
-  const validElements = ['C', 'N', 'O', 'S', 'P', 'F', 'Cl', 'Br', 'I', 'B', 'H',
-                         'Si', 'As', 'Se', 'Te', 'Al', 'Ga', 'Ge', 'Sn', 'Pb',
-                         'Li', 'Na', 'K', 'Mg', 'Ca', 'Zn', 'Fe', 'Cu', 'Ni', 'Co',
-                         'Mn', 'Cr', 'V', 'Ti', 'Sc']
-  if (!validElements.includes(element)) {
-    return null
+  const hCount = hydrogens ? parseInt(hydrogens.slice(1) || '1') : 0
+  const result = {
+    element,
+    bondOrder,
+    // Stereo keeps the SMILES form of the chiral atom, e.g. 'C@@H'
+    stereo: chirality ? `${element}${chirality}${formatHydrogens(hCount)}` : null
   }
 
-  return { element, bondOrder, stereo }
+  if (bondStereo) result.bondStereo = bondStereo
+  if (isotope) result.isotope = parseInt(isotope)
+  if (hydrogens) result.hydrogens = hCount
+  if (charge) result.charge = charge.length === 1 ? (charge === '+' ? 1 : -1) : parseInt(charge)
+
+  return result
 }
 
 /**
@@ -528,8 +700,18 @@ export function buildAdjacencyList(atoms, bonds) {
     adj.set(i, [])
   }
   for (const bond of bonds) {
-    adj.get(bond.from).push({ to: bond.to, order: bond.order })
-    adj.get(bond.to).push({ to: bond.from, order: bond.order })
+    const forward = { to: bond.to, order: bond.order }
+    const backward = { to: bond.from, order: bond.order }
+    if (bond.stereo) {
+      forward.stereo = bond.stereo
+      backward.stereo = flipBondStereo(bond.stereo)
+    }
+    if (bond.aromatic) {
+      forward.aromatic = true
+      backward.aromatic = true
+    }
+    adj.get(bond.from).push(forward)
+    adj.get(bond.to).push(backward)
   }
   return adj
 }
@@ -537,55 +719,126 @@ export function buildAdjacencyList(atoms, bonds) {
 /**
  * Writes bond symbol to SMILES array
  */
-export function writeBondSymbol(bondOrder, smiles) {
+export function writeBondSymbol(bondOrder, smiles, stereo = null) {
+  if (stereo && bondOrder === 1) smiles.push(stereo)
   if (bondOrder === 2) smiles.push('=')
   if (bondOrder === 3) smiles.push('#')
 }
 
+/**
+ * Writes the bond symbol for a graph bond, in aromatic form where marked
+ * @param {Object} bond - Bond with order, and optionally aromatic
+ * @param {boolean} betweenAromatic - Whether both atoms are aromatic
+ * @param {Array} smiles - SMILES pieces to append to
+ * @param {string|null} stereo - Directional bond symbol to write, if any
+ *
+ * Aromatic bonds are implied by lowercase atoms and write nothing, so a
+ * single bond between two aromatic atoms (as in biphenyl) is written '-'.
+ */
+function writeGraphBond(bond, betweenAromatic, smiles, stereo) {
+  if (bond.aromatic) return
+  if (betweenAromatic && bond.order === 1 && !stereo) {
+    smiles.push('-')
+    return
+  }
+  writeBondSymbol(bond.order, smiles, stereo)
+}
+
 /**
  * Writes ring closures for an atom
+ *
+ * If atoms are given, bonds between aromatic atoms are written in aromatic
+ * form (see writeGraphBond()).
  */
-export function writeRingClosures(atomIndex, rings, ringNumbers, visited, smiles) {
+export function writeRingClosures(atomIndex, rings, ringNumbers, visited, smiles, atoms = null) {
   for (const ring of rings) {
     const isFrom = ring.from === atomIndex
     const isTo = ring.to === atomIndex
+    const betweenAromatic = Boolean(atoms && atoms[ring.from].aromatic && atoms[ring.to].aromatic)
 
     if (isFrom && visited.has(ring.to)) {
       // Closing ring: we've visited the other end
       const ringNum = ringNumbers.get(`${atomIndex}-${ring.to}`)
-      writeBondSymbol(ring.order, smiles)
-      smiles.push(ringNum.toString())
+      writeGraphBond(ring, betweenAromatic, smiles, null)
+      smiles.push(formatRingNumber(ringNum))
     } else if (isTo && visited.has(ring.from)) {
       // Closing ring (other direction)
       const ringNum = ringNumbers.get(`${ring.from}-${atomIndex}`)
-      writeBondSymbol(ring.order, smiles)
-      smiles.push(ringNum.toString())
+      writeGraphBond(ring, betweenAromatic, smiles, null)
+      smiles.push(formatRingNumber(ringNum))
     } else if ((isFrom && !visited.has(ring.to)) || (isTo && !visited.has(ring.from))) {
       // Opening ring: we haven't visited the other end yet
+      // Bond stereo is only written here, pointing towards the other end
       const ringNum = isFrom ?
         ringNumbers.get(`${atomIndex}-${ring.to}`) :
         ringNumbers.get(`${ring.from}-${atomIndex}`)
-      writeBondSymbol(ring.order, smiles)
-      smiles.push(ringNum.toString())
+      const stereo = isFrom ? ring.stereo : flipBondStereo(ring.stereo)
+      writeGraphBond(ring, betweenAromatic, smiles, stereo)
+      smiles.push(formatRingNumber(ringNum))
     }
   }
 }
 
+/**
+ * Formats a ring number, using %nn for numbers above 9
+ */
+function formatRingNumber(ringNum) {
+  return ringNum > 9 ? `%${ringNum}` : ringNum.toString()
+}
+
+/**
+ * Aromatic symbols that can be written without brackets
+ */
+const AROMATIC_ORGANIC = new Set(['b', 'c', 'n', 'o', 'p', 's'])
+
 /**
  * Writes atom symbol to SMILES array
+ *
+ * Atoms marked aromatic are written in lowercase, e.g. 'c' or '[se]'. An
+ * atom with a hydrogens field, or outside the organic subset, is written in
+ * brackets with exactly that many hydrogens, e.g. '[CH2]', '[N]', '[Na]'.
  */
 export function writeAtomSymbol(atom, smiles) {
-  if (atom.stereo) {
-    smiles.push(`[${atom.stereo}]`)
-  } else {
-    smiles.push(atom.element)
+  const { isotope, hydrogens, charge = 0, aromatic = false } = atom
+  const symbol = aromatic ? atom.element.toLowerCase() : atom.element
+  const organic = isOrganicSubset(atom.element) && (!aromatic || AROMATIC_ORGANIC.has(symbol))
+
+  if (!atom.stereo && !isotope && hydrogens === undefined && !charge && organic) {
+    smiles.push(symbol)
+    return
   }
+
+  const body = atom.stereo ?
+    symbol + atom.stereo.slice(atom.element.length) :
+    `${symbol}${formatHydrogens(hydrogens || 0)}`
+  smiles.push(`[${isotope || ''}${body}${formatCharge(charge)}]`)
+}
+
+/**
+ * Formats an explicit hydrogen count for SMILES ('', 'H', 'H2', ...)
+ */
+function formatHydrogens(count) {
+  if (count === 0) return ''
+  return count === 1 ? 'H' : `H${count}`
+}
+
+/**
+ * Formats a formal charge for SMILES ('', '+', '-', '+2', ...)
+ */
+function formatCharge(charge) {
+  if (charge === 0) return ''
+  const sign = charge > 0 ? '+' : '-'
+  return Math.abs(charge) === 1 ? sign : `${sign}${Math.abs(charge)}`
 }
 
 /**
  * Builds SMILES string from atom/bond/ring structure
+ *
+ * If trace is given ({ atoms, bonds, spans }, with the source token indices
+ * of each atom and of each bond keyed by pairKey()), a span is added to
+ * trace.spans for every atom, bond symbol, and ring bond written.
  */
-function buildSmiles(atoms, bonds, rings) {
+function buildSmiles(atoms, bonds, rings, trace = null) {
   if (atoms.length === 0) return ''
 
   const smiles = []
@@ -593,22 +846,51 @@ function buildSmiles(atoms, bonds, rings) {
   const ringNumbers = assignRingNumbers(rings)
   const adj = buildAdjacencyList(atoms, bonds)
 
+  // Length of the SMILES written so far, measured incrementally
+  let measuredPieces = 0
+  let measuredLength = 0
+  function writtenLength() {
+    for (; measuredPieces < smiles.length; measuredPieces++) {
+      measuredLength += smiles[measuredPieces].length
+    }
+    return measuredLength
+  }
+
+  // Runs a write and records what it wrote, if anything
+  function track(indices, write) {
+    if (!trace) return write()
+
+    const start = writtenLength()
+    const firstPiece = smiles.length
+    write()
+    const token = smiles.slice(firstPiece).join('')
+    if (token !== '') {
+      trace.spans.push({ start, end: start + token.length, token, indices })
+    }
+  }
+
   // DFS to build SMILES
   function dfs(atomIndex, parentIndex = null) {
     if (visited.has(atomIndex)) return
 
     visited.add(atomIndex)
     const atom = atoms[atomIndex]
+    const neighbors = adj.get(atomIndex) || []
+    const unvisited = neighbors.filter(n => !visited.has(n.to) && n.to !== parentIndex)
 
     // Write atom (with stereo if present)
-    writeAtomSymbol(atom, smiles)
+    track(trace && trace.atoms[atomIndex], () => {
+      writeAtomSymbol(orientStereo(atomIndex, parentIndex, unvisited), smiles)
+    })
 
-    // Write ring closures for this atom
-    writeRingClosures(atomIndex, rings, ringNumbers, visited, smiles)
+    // Write ring closures for this atom, one at a time so each can be tracked
+    for (const ring of rings) {
+      track(trace && trace.bonds.get(pairKey(ring.from, ring.to)), () => {
+        writeRingClosures(atomIndex, [ring], ringNumbers, visited, smiles, atoms)
+      })
+    }
 
     // Visit neighbors
-    const neighbors = adj.get(atomIndex) || []
-    const unvisited = neighbors.filter(n => !visited.has(n.to) && n.to !== parentIndex)
 
     for (let i = 0; i < unvisited.length; i++) {
       const neighbor = unvisited[i]
@@ -620,7 +902,10 @@ function buildSmiles(atoms, bonds, rings) {
       }
 
       // Bond order
-      writeBondSymbol(neighbor.order, smiles)
+      track(trace && trace.bonds.get(pairKey(atomIndex, neighbor.to)), () => {
+        const betweenAromatic = Boolean(atom.aromatic && atoms[neighbor.to].aromatic)
+        writeGraphBond(neighbor, betweenAromatic, smiles, neighbor.stereo || null)
+      })
 
       dfs(neighbor.to, atomIndex)
 
@@ -630,7 +915,30 @@ function buildSmiles(atoms, bonds, rings) {
     }
   }
 
-  dfs(0)
+  // Converts chirality from the reference order to the order written here:
+  // parent, implicit H, ring closure digits, then branches and chain
+  function orientStereo(atomIndex, parentIndex, children) {
+    const atom = atoms[atomIndex]
+    const chirality = getChirality(atom)
+    if (!chirality) return atom
+
+    const ringPartners = rings
+      .filter(ring => ring.from === atomIndex || ring.to === atomIndex)
+      .map(ring => (ring.from === atomIndex ? ring.to : ring.from))
+    const following = [...ringPartners, ...children.map(n => n.to)]
+    const implicit = hasImplicitNeighbor(atom.hydrogens, following.length + (parentIndex === null ? 0 : 1))
+
+    const written = buildNeighborOrder(parentIndex, following, implicit)
+    const reference = getReferenceOrder(written.filter(n => n >= 0), implicit)
+    return { ...atom, stereo: withChirality(atom.stereo, reorderChirality(chirality, reference, written)) }
+  }
+
+  // Each disconnected fragment starts at its first unvisited atom
+  for (let i = 0; i < atoms.length; i++) {
+    if (visited.has(i)) continue
+    if (smiles.length > 0) smiles.push('.')
+    dfs(i)
+  }
 
   return smiles.join('')
 }
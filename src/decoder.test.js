@@ -19,6 +19,7 @@ import {
   writeRingClosures,
   writeAtomSymbol
 } from './decoder.js'
+import { encode } from './encoder.js'
 
 describe('decode', () => {
   test('decodes methane', () => {
@@ -40,6 +41,159 @@ describe('decode', () => {
   test('decodes acetylene (triple bond)', () => {
     expect(decode('[C][#C]')).toBe('C#C')
   })
+
+  test('decodes charged and isotopic atoms', () => {
+    expect(decode('[C][NH3+1]')).toBe('C[NH3+]')
+    expect(decode('[C][C][=Branch1][C][=O][O-1]')).toBe('CC(=O)[O-]')
+    expect(decode('[13C][C]')).toBe('[13C]C')
+  })
+
+  test('decodes cis/trans bonds', () => {
+    expect(decode('[F][/C][=C][/F]')).toBe('F/C=C/F')
+    expect(decode('[F][/C][=C][\\F]')).toBe('F/C=C\\F')
+  })
+
+  test('writes stereo ring bonds at the opening digit', () => {
+    expect(decode('[C][/C][=C][C][C][C][C][/-Ring1][Branch1]')).toBe('C/C=C/1CCCC1')
+    // A stereo bond given at the closing atom points back, so it is flipped
+    expect(decode('[C][/C][=C][C][C][C][C][-/Ring1][Branch1]')).toBe('C/C=C\\1CCCC1')
+  })
+
+  test('writes chirality for the order neighbors appear in SMILES', () => {
+    expect(decode('[C][C@@H1][Branch1][C][N][C][=Branch1][C][=O][O]')).toBe('C[C@@H](N)C(=O)O')
+    // The ring bond is written before the branch, unlike in SELFIES
+    expect(decode('[F][C@][Branch1][C][Cl][C][C][C][Ring1][Branch1]')).toBe('F[C@]1(Cl)CCC1')
+  })
+
+  test('decodes multi-fragment molecules', () => {
+    expect(decode('[C][C][=Branch1][C][=O][O-1].[Na+1]')).toBe('CC(=O)[O-].[Na+]')
+    expect(decode('[O].[C][C][C][Ring1][Ring1]')).toBe('O.C1CC1')
+  })
+
+  test('derives each fragment from a fresh state', () => {
+    // The capacity of [O-1] does not stop the next fragment
+    expect(decode('[C][O-1].[C][C]')).toBe('C[O-].CC')
+    // Empty fragments are dropped
+    expect(decode('[C]..[O]')).toBe('C.O')
+  })
+
+  test('does not close rings into an earlier fragment', () => {
+    expect(decodeToAST('[O].[C][C][C][Ring2][Ring1][C]').rings).toEqual([{ from: 1, to: 3, order: 1 }])
+  })
+
+  test('caps ring bonds by the free valence of both atoms', () => {
+    // Rings to a saturated atom are dropped
+    expect(decode('[F][C][C][Ring1][Ring1]')).toBe('FCC')
+    expect(decode('[Cl][O][=Ring1][Ring1]')).toBe('ClO')
+    // A triple ring bond to =C can only be single
+    expect(decodeToAST('[C][=C][C][C][#Ring1][Ring1]').rings).toEqual([{ from: 1, to: 3, order: 1 }])
+  })
+
+  test('returns attribution when requested', () => {
+    const { smiles, attribution } = decode('[C][=O]', { attribute: true })
+    expect(smiles).toBe('C=O')
+    expect(attribution).toEqual([
+      { start: 0, end: 1, token: 'C', attribution: [{ index: 0, token: '[C]' }] },
+      { start: 1, end: 2, token: '=', attribution: [{ index: 1, token: '[=O]' }] },
+      { start: 2, end: 3, token: 'O', attribution: [{ index: 1, token: '[=O]' }] }
+    ])
+  })
+
+  test('attributes bonds to branch and ring symbols', () => {
+    const { smiles, attribution } = decode('[C][C][=Branch1][C][=O][O].[C][C][C][Ring1][Ring1]', { attribute: true })
+    expect(smiles).toBe('CC(=O)O.C1CC1')
+    expect(attribution.map(({ start, token, attribution }) => [start, token, attribution.map(a => a.index)])).toEqual([
+      [0, 'C', [0]],
+      [1, 'C', [1]],
+      [3, '=', [2, 3, 4]],
+      [4, 'O', [4]],
+      [6, 'O', [5]],
+      [8, 'C', [7]],
+      [9, '1', [10, 11]],
+      [10, 'C', [8]],
+      [11, 'C', [9]],
+      [12, '1', [10, 11]]
+    ])
+  })
+
+  test('attribution spans match the decoded SMILES', () => {
+    const { smiles, attribution } = decode('[N][C@@H1][Branch1][C][C][C][=Branch1][C][=O][O]', { attribute: true })
+    expect(smiles).toBe(decode('[N][C@@H1][Branch1][C][C][C][=Branch1][C][=O][O]'))
+    for (const { start, end, token } of attribution) {
+      expect(smiles.slice(start, end)).toBe(token)
+    }
+  })
+
+  test('writes canonical SMILES when requested', () => {
+    expect(decode('[O][C][C]', { canonical: true })).toBe('CCO')
+    expect(decode('[C][Branch1][C][O][C]', { canonical: true })).toBe('CCO')
+    expect(decode('[C][O-1].[Na+1]', { canonical: true })).toBe('[Na+].C[O-]')
+  })
+
+  test('attributes canonical SMILES', () => {
+    const { smiles, attribution } = decode('[O][C][=C]', { attribute: true, canonical: true })
+    expect(smiles).toBe('C=CO')
+    expect(attribution.map(({ start, token, attribution }) => [start, token, attribution.map(a => a.index)])).toEqual([
+      [0, 'C', [2]],
+      [1, '=', [2]],
+      [2, 'C', [1]],
+      [3, 'O', [0]]
+    ])
+  })
+
+  test('writes aromatic SMILES when requested', () => {
+    const benzene = '[C][=C][C][=C][C][=C][Ring1][=Branch1]'
+    expect(decode(benzene)).toBe('C1=CC=CC=C1')
+    expect(decode(benzene, { aromatic: true })).toBe('c1ccccc1')
+    expect(decode(encode('c1cc[nH]c1'), { aromatic: true })).toBe('c1cc[nH]c1')
+    expect(decode(encode('O=C1C=CC(=O)C=C1'), { aromatic: true })).toBe('O=C1C=CC(=O)C=C1')
+  })
+
+  test('writes single bonds between aromatic rings', () => {
+    expect(decode(encode('c1ccc(cc1)-c1ccccc1'), { aromatic: true })).toBe('c1ccc(cc1)-c2ccccc2')
+  })
+
+  test('writes the same aromatic canonical SMILES for each Kekulé structure', () => {
+    const canonical = decode(encode('C1=CC=C2C=CC=CC2=C1'), { aromatic: true, canonical: true })
+    expect(canonical).toBe('c1ccc2ccccc2c1')
+    expect(decode(encode('C1=CC2=CC=CC=C2C=C1'), { aromatic: true, canonical: true })).toBe(canonical)
+  })
+
+  test('attributes aromatic SMILES', () => {
+    const { smiles, attribution } = decode('[C][=C][C][=C][C][=C][Ring1][=Branch1]', { attribute: true, aromatic: true })
+    expect(smiles).toBe('c1ccccc1')
+    expect(attribution[2]).toEqual({ start: 2, end: 3, token: 'c', attribution: [{ index: 1, token: '[=C]' }] })
+  })
+
+  test('writes explicit hydrogens when requested', () => {
+    expect(decode('[C][C][O]', { explicitHydrogens: true })).toBe('[CH3][CH2][OH]')
+    expect(decode('[C][=C][NH0]', { explicitHydrogens: true })).toBe('[CH2]=[CH][N]')
+    expect(decode('[N][C@@H1][Branch1][C][C][O]', { explicitHydrogens: true })).toBe('[NH2][C@@H]([CH3])[OH]')
+    expect(decode('[C][O-1].[Na+1]', { explicitHydrogens: true })).toBe('[CH3][O-].[Na+]')
+  })
+
+  test('writes aromatic atoms with explicit hydrogens', () => {
+    expect(decode(encode('c1ccncc1'), { aromatic: true, explicitHydrogens: true })).toBe('[cH]1[cH][cH][n][cH][cH]1')
+  })
+
+  test('keeps radicals distinct', () => {
+    expect(decode('[C][NH0][C]')).toBe('C[N]C')
+    expect(decode('[CH0]')).toBe('[C]')
+    expect(decode('[C][CH2]')).toBe('C[CH2]')
+  })
+
+  test('writes atoms outside the organic subset in brackets', () => {
+    expect(decode('[H][O][H]')).toBe('[H]O[H]')
+    expect(decode('[Na]')).toBe('[Na]')
+    expect(decode('[Fe][C]')).toBe('[Fe]C')
+  })
+
+  test('limits bonding capacity by charge and hydrogens', () => {
+    // [O-1] has capacity 1, so the chain stops after it
+    expect(decode('[C][O-1][C]')).toBe('C[O-]')
+    // [NH1+1] has capacity 3 and takes the double bond
+    expect(decode('[C][=NH1+1][C]')).toBe('C=[NH+]C')
+  })
 })
 
 describe('parseAtomSymbol', () => {
@@ -96,6 +250,27 @@ describe('parseAtomSymbol', () => {
     expect(result?.stereo).toBe('C@H')
   })
 
+  test('parses charged atom with hydrogens', () => {
+    const result = parseAtomSymbol('NH1+1')
+    expect(result).toEqual({ element: 'N', bondOrder: 1, stereo: null, hydrogens: 1, charge: 1 })
+  })
+
+  test('parses isotope and negative charge', () => {
+    expect(parseAtomSymbol('13C')).toEqual({ element: 'C', bondOrder: 1, stereo: null, isotope: 13 })
+    expect(parseAtomSymbol('=O-1')).toEqual({ element: 'O', bondOrder: 2, stereo: null, charge: -1 })
+  })
+
+  test('parses elements outside the organic subset', () => {
+    expect(parseAtomSymbol('Fe+2')).toEqual({ element: 'Fe', bondOrder: 1, stereo: null, charge: 2 })
+    expect(parseAtomSymbol('Xe')?.element).toBe('Xe')
+  })
+
+  test('keeps hydrogens in stereo atoms', () => {
+    const result = parseAtomSymbol('C@@H1')
+    expect(result?.stereo).toBe('C@@H')
+    expect(result?.hydrogens).toBe(1)
+  })
+
   test('returns null for invalid element', () => {
     const result = parseAtomSymbol('Xyz')
     expect(result).toBeNull()
@@ -108,12 +283,12 @@ describe('parseAtomSymbol', () => {
 
   test('handles forward slash prefix', () => {
     const result = parseAtomSymbol('/C')
-    expect(result).toEqual({ element: 'C', bondOrder: 1, stereo: null })
+    expect(result).toEqual({ element: 'C', bondOrder: 1, bondStereo: '/', stereo: null })
   })
 
   test('handles backslash prefix', () => {
     const result = parseAtomSymbol('\\C')
-    expect(result).toEqual({ element: 'C', bondOrder: 1, stereo: null })
+    expect(result).toEqual({ element: 'C', bondOrder: 1, bondStereo: '\\', stereo: null })
   })
 })
 
@@ -413,12 +588,38 @@ describe('writeAtomSymbol', () => {
     expect(smiles).toEqual(['C'])
   })
 
+  test('writes bracket atom with charge, isotope, and hydrogens', () => {
+    const smiles = []
+    writeAtomSymbol({ element: 'N', capacity: 3, stereo: null, hydrogens: 3, charge: 1 }, smiles)
+    writeAtomSymbol({ element: 'C', capacity: 4, stereo: null, isotope: 13 }, smiles)
+    writeAtomSymbol({ element: 'O', capacity: 1, stereo: null, charge: -1 }, smiles)
+    writeAtomSymbol({ element: 'Fe', capacity: 8, stereo: null, charge: 2 }, smiles)
+    expect(smiles).toEqual(['[NH3+]', '[13C]', '[O-]', '[Fe+2]'])
+  })
+
   test('writes atom with stereo', () => {
     const smiles = []
     const atom = { element: 'C', capacity: 4, stereo: 'C@H' }
     writeAtomSymbol(atom, smiles)
     expect(smiles).toEqual(['[C@H]'])
   })
+
+  test('writes explicit hydrogen counts, including zero', () => {
+    const smiles = []
+    writeAtomSymbol({ element: 'C', capacity: 2, stereo: null, hydrogens: 2 }, smiles)
+    writeAtomSymbol({ element: 'N', capacity: 3, stereo: null, hydrogens: 0 }, smiles)
+    writeAtomSymbol({ element: 'H', capacity: 1, stereo: null }, smiles)
+    expect(smiles).toEqual(['[CH2]', '[N]', '[H]'])
+  })
+
+  test('writes aromatic atoms in lowercase', () => {
+    const smiles = []
+    writeAtomSymbol({ element: 'C', capacity: 4, stereo: null, aromatic: true }, smiles)
+    writeAtomSymbol({ element: 'N', capacity: 3, stereo: null, hydrogens: 1, aromatic: true }, smiles)
+    writeAtomSymbol({ element: 'Se', capacity: 2, stereo: null, aromatic: true }, smiles)
+    writeAtomSymbol({ element: 'C', capacity: 4, stereo: 'C@@H', aromatic: true }, smiles)
+    expect(smiles).toEqual(['c', '[nH]', '[se]', '[c@@H]'])
+  })
 })
 
 describe('writeRingClosures', () => {
@@ -0,0 +1,143 @@
+/**
+ * Diversity - Diversity picking and clustering of SELFIES libraries
+ *
+ * Both methods work on fingerprints from fingerprints.js (Morgan by
+ * default) and Tanimoto similarity:
+ *
+ * - MaxMin picking repeatedly takes the molecule least similar to
+ *   everything picked so far, giving a spread-out subset of a library.
+ * - Butina clustering groups each molecule with its neighbors above a
+ *   similarity threshold, starting from the molecules with most neighbors.
+ *
+ * Both return { clusterIds, centroids }: the cluster of each input
+ * molecule, and the input index of each cluster's centroid.
+ */
+
+import { getFingerprint, tanimoto } from './fingerprints.js'
+import { createRandom, randomInt } from './random.js'
+
+/**
+ * Picks a diverse subset of SELFIES molecules with the MaxMin algorithm
+ * @param {string[]} selfiesList - SELFIES strings
+ * @param {Object} [options] - Options, plus fingerprint options (type,
+ *   radius, nBits) as for getFingerprint()
+ * @param {number} [options.count] - Molecules to pick; all by default
+ * @param {number} [options.threshold=1] - Stop early once every molecule
+ *   left has a similarity above this to one already picked
+ * @param {number} [options.seed] - Seed for choosing the first pick; a
+ *   random molecule if omitted
+ * @returns {{clusterIds: number[], centroids: number[]}} centroids are the
+ *   input indices of the picks in the order they were picked; each
+ *   molecule's cluster is the pick it is most similar to
+ * @throws {Error} If count is not a non-negative integer, or threshold is
+ *   not between 0 and 1
+ *
+ * Example:
+ *   pickDiverse(library, { count: 100, seed: 42 }).centroids.map(index => library[index])
+ */
+export function pickDiverse(selfiesList, options = {}) {
+  const { count = selfiesList.length, threshold = 1, seed, ...fingerprintOptions } = options
+  if (!Number.isInteger(count) || count < 0) {
+    throw new Error(`Invalid count: ${count}. Expected a non-negative integer`)
+  }
+  checkThreshold(threshold)
+  if (selfiesList.length === 0 || count === 0) {
+    return { clusterIds: selfiesList.map(() => -1), centroids: [] }
+  }
+
+  const fingerprints = selfiesList.map(selfies => getFingerprint(selfies, fingerprintOptions))
+  const nearest = selfiesList.map(() => ({ similarity: -1, cluster: -1 }))
+  const picked = new Set()
+  const centroids = []
+
+  let pick = randomInt(createRandom(seed), 0, selfiesList.length - 1)
+  while (pick !== -1) {
+    const cluster = centroids.length
+    centroids.push(pick)
+    picked.add(pick)
+    fingerprints.forEach((fingerprint, index) => {
+      const similarity = index === pick ? 1 : tanimoto(fingerprints[pick], fingerprint)
+      if (similarity > nearest[index].similarity) nearest[index] = { similarity, cluster }
+    })
+
+    if (centroids.length >= Math.min(count, selfiesList.length)) break
+    pick = findLeastSimilar(nearest, picked, threshold)
+  }
+
+  return { clusterIds: nearest.map(entry => entry.cluster), centroids }
+}
+
+/**
+ * Clusters SELFIES molecules with the Butina (Taylor-Butina) algorithm
+ * @param {string[]} selfiesList - SELFIES strings
+ * @param {Object} [options] - Options, plus fingerprint options (type,
+ *   radius, nBits) as for getFingerprint()
+ * @param {number} [options.threshold=0.65] - Similarity at or above which
+ *   two molecules are neighbors
+ * @returns {{clusterIds: number[], centroids: number[]}} clusters are
+ *   numbered from the largest centroid neighborhood down; singletons are
+ *   clusters of their own
+ * @throws {Error} If threshold is not between 0 and 1
+ *
+ * As in RDKit's Butina.ClusterData, neighbor counts are not updated as
+ * clusters are taken out: molecules are visited once, from most neighbors
+ * to fewest (ties by input order). Compares every pair of molecules, so
+ * time grows with the square of the library size.
+ *
+ * Example:
+ *   const { clusterIds, centroids } = clusterButina(library, { threshold: 0.7 })
+ */
+export function clusterButina(selfiesList, options = {}) {
+  const { threshold = 0.65, ...fingerprintOptions } = options
+  checkThreshold(threshold)
+  const fingerprints = selfiesList.map(selfies => getFingerprint(selfies, fingerprintOptions))
+
+  const neighbors = selfiesList.map(() => [])
+  for (let i = 0; i < fingerprints.length; i++) {
+    for (let j = i + 1; j < fingerprints.length; j++) {
+      if (tanimoto(fingerprints[i], fingerprints[j]) >= threshold) {
+        neighbors[i].push(j)
+        neighbors[j].push(i)
+      }
+    }
+  }
+
+  const order = selfiesList.map((selfies, index) => index)
+    .sort((a, b) => neighbors[b].length - neighbors[a].length || a - b)
+  const clusterIds = selfiesList.map(() => -1)
+  const centroids = []
+  for (const index of order) {
+    if (clusterIds[index] !== -1) continue
+    const cluster = centroids.length
+    centroids.push(index)
+    clusterIds[index] = cluster
+    for (const neighbor of neighbors[index]) {
+      if (clusterIds[neighbor] === -1) clusterIds[neighbor] = cluster
+    }
+  }
+
+  return { clusterIds, centroids }
+}
+
+/**
+ * Finds the unpicked molecule least similar to its nearest pick
+ * @returns {number} Its index (the first on ties), or -1 if every
+ *   unpicked molecule is more similar than the threshold
+ */
+function findLeastSimilar(nearest, picked, threshold) {
+  let best = -1
+  nearest.forEach((entry, index) => {
+    if (picked.has(index) || entry.similarity > threshold) return
+    if (best === -1 || entry.similarity < nearest[best].similarity) best = index
+  })
+  return best
+}
+
+/**
+ * Checks that a similarity threshold is between 0 and 1
+ */
+function checkThreshold(threshold) {
+  if (typeof threshold !== 'number' || !(threshold >= 0 && threshold <= 1)) {
+    throw new Error(`Invalid threshold: ${threshold}. Expected a similarity between 0 and 1`)
+  }
+}
@@ -0,0 +1,139 @@
+/**
+ * Tests for diversity picking and clustering
+ */
+
+import { describe, test, expect } from 'bun:test'
+import { join, dirname } from 'path'
+import { fileURLToPath } from 'url'
+import { pickDiverse, clusterButina } from './diversity.js'
+import { getTanimotoSimilarity } from './fingerprints.js'
+import { encode } from './encoder.js'
+import { loadFile } from './dsl/importer.js'
+import { resolveAll } from './dsl/resolver.js'
+
+const __dirname = dirname(fileURLToPath(import.meta.url))
+
+const LIBRARY = [
+  'CCO',
+  'CCCO',
+  'CCCCO',
+  'c1ccccc1',
+  'Cc1ccccc1',
+  'CCc1ccccc1',
+  'C1CCNCC1',
+  'CN1CCNCC1'
+].map(smiles => encode(smiles))
+
+describe('pickDiverse', () => {
+  test('picks the least similar molecule each time', () => {
+    const { centroids } = pickDiverse(LIBRARY, { count: 3, seed: 1 })
+    expect(centroids).toHaveLength(3)
+    expect(new Set(centroids).size).toBe(3)
+
+    // The second pick is the molecule least similar to the first
+    const [first, second] = centroids
+    const similarities = LIBRARY.map(selfies => getTanimotoSimilarity(LIBRARY[first], selfies))
+    expect(similarities[second]).toBe(Math.min(...similarities))
+  })
+
+  test('assigns every molecule to its most similar pick', () => {
+    const { clusterIds, centroids } = pickDiverse(LIBRARY, { count: 3, seed: 1 })
+    centroids.forEach((index, cluster) => expect(clusterIds[index]).toBe(cluster))
+    LIBRARY.forEach((selfies, index) => {
+      const similarities = centroids.map(centroid => getTanimotoSimilarity(LIBRARY[centroid], selfies))
+      expect(similarities[clusterIds[index]]).toBe(Math.max(...similarities))
+    })
+  })
+
+  test('is reproducible for a seed', () => {
+    expect(pickDiverse(LIBRARY, { count: 4, seed: 7 })).toEqual(pickDiverse(LIBRARY, { count: 4, seed: 7 }))
+  })
+
+  test('picks every molecule by default', () => {
+    const { centroids } = pickDiverse(LIBRARY, { seed: 3 })
+    expect([...centroids].sort((a, b) => a - b)).toEqual(LIBRARY.map((selfies, index) => index))
+  })
+
+  test('stops once the rest are more similar than the threshold', () => {
+    const library = [...LIBRARY, LIBRARY[3], LIBRARY[6]]
+    const { clusterIds, centroids } = pickDiverse(library, { threshold: 0.99, seed: 1 })
+    expect(centroids).toHaveLength(LIBRARY.length)
+    expect(clusterIds[8]).toBe(clusterIds[3])
+    expect(clusterIds[9]).toBe(clusterIds[6])
+  })
+
+  test('uses the fingerprint options', () => {
+    const { centroids } = pickDiverse(LIBRARY, { count: 3, seed: 1, type: 'maccs' })
+    expect(centroids).toHaveLength(3)
+  })
+
+  test('handles empty input and a count of 0', () => {
+    expect(pickDiverse([])).toEqual({ clusterIds: [], centroids: [] })
+    expect(pickDiverse(LIBRARY.slice(0, 2), { count: 0 })).toEqual({ clusterIds: [-1, -1], centroids: [] })
+  })
+
+  test('rejects invalid options', () => {
+    expect(() => pickDiverse(LIBRARY, { count: 1.5 })).toThrow('Invalid count')
+    expect(() => pickDiverse(LIBRARY, { threshold: 2 })).toThrow('Invalid threshold')
+  })
+})
+
+describe('clusterButina', () => {
+  test('groups similar molecules around centroids', () => {
+    const { clusterIds, centroids } = clusterButina(LIBRARY, { threshold: 0.2 })
+    // Alcohols, alkylbenzenes and piperidines
+    expect(new Set(clusterIds.slice(0, 3)).size).toBe(1)
+    expect(new Set(clusterIds.slice(3, 6)).size).toBe(1)
+    expect(new Set(clusterIds.slice(6)).size).toBe(1)
+    expect(centroids).toHaveLength(3)
+    centroids.forEach((index, cluster) => expect(clusterIds[index]).toBe(cluster))
+  })
+
+  test('puts every molecule in its own cluster at a threshold of 1', () => {
+    const { clusterIds, centroids } = clusterButina(LIBRARY, { threshold: 1 })
+    expect(centroids).toEqual(LIBRARY.map((selfies, index) => index))
+    expect(clusterIds).toEqual(centroids)
+  })
+
+  test('clusters identical molecules together', () => {
+    const { clusterIds, centroids } = clusterButina([LIBRARY[0], LIBRARY[3], LIBRARY[3]], { threshold: 1 })
+    expect(clusterIds).toEqual([1, 0, 0])
+    expect(centroids).toEqual([1, 0])
+  })
+
+  test('starts from the molecule with most neighbors', () => {
+    // Everything is a neighbor at a threshold of 0
+    expect(clusterButina(LIBRARY, { threshold: 0 })).toEqual({
+      clusterIds: LIBRARY.map(() => 0),
+      centroids: [0]
+    })
+  })
+
+  test('handles empty input', () => {
+    expect(clusterButina([])).toEqual({ clusterIds: [], centroids: [] })
+  })
+
+  test('rejects invalid thresholds', () => {
+    expect(() => clusterButina(LIBRARY, { threshold: -0.1 })).toThrow('Invalid threshold')
+  })
+})
+
+describe('subsampling a DSL library', () => {
+  const library = resolveAll(loadFile(join(__dirname, '../test/fixtures/programs/pharma-candidates.selfies')))
+  const names = [...library.keys()]
+  const selfiesList = [...library.values()]
+
+  test('picks a diverse subset', () => {
+    const { clusterIds, centroids } = pickDiverse(selfiesList, { count: 10, seed: 42 })
+    expect(centroids).toHaveLength(10)
+    expect(clusterIds).toHaveLength(names.length)
+    expect(clusterIds.every(cluster => cluster >= 0 && cluster < 10)).toBe(true)
+  })
+
+  test('clusters analogues together', () => {
+    const { clusterIds } = clusterButina(selfiesList, { threshold: 0.5 })
+    const clusterOf = name => clusterIds[names.indexOf(name)]
+    expect(clusterOf('phenyl_piperazine')).toBe(clusterOf('fluorophenyl_piperazine'))
+    expect(clusterOf('phenyl_piperazine')).not.toBe(clusterOf('methanol'))
+  })
+})
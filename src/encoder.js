@@ -1,467 +1,269 @@
 /**
  * Encoder - Converts SMILES strings to SELFIES
  *
- * NOTE: This is post-MVP functionality. The encoder is more complex than
- * the decoder as it requires parsing SMILES and making decisions about
- * how to represent branches and rings in SELFIES format.
+ * The SMILES string is parsed into a molecule graph (see smilesParser.js),
+ * aromatic bonds are kekulized (see kekulize.js), and SELFIES symbols are
+ * then emitted by walking that graph: ring closures become [Ring] symbols
+ * pointing back to earlier atoms, and every child of an atom except the
+ * last becomes a [Branch] symbol.
  */
 
 import { getSelfiesFromIndex } from './grammar_rules.js'
+import { collapseHydrogens, getImplicitHydrogens } from './hydrogens.js'
+import { kekulize } from './kekulize.js'
+import { parseSmiles } from './smilesParser.js'
+import {
+  flipBondStereo,
+  getNeighbors,
+  getReferenceOrder,
+  getSelfiesNeighborOrder,
+  hasImplicitNeighbor,
+  reorderChirality
+} from './stereo.js'
 
 /**
  * Encodes a SMILES string to SELFIES
  * @param {string} smiles - The SMILES string to encode
- * @returns {string} SELFIES representation
- * @throws {EncodeError} If the SMILES string is invalid
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.attribute=false] - Also return which SMILES
+ *   characters produced each SELFIES token
+ * @param {boolean} [options.collapseHydrogens=false] - Fold explicit [H]
+ *   atoms into the hydrogen counts of their neighbors (see hydrogens.js)
+ * @returns {string|{selfies: string, attribution: Object[]}} SELFIES
+ *   representation, or the SELFIES and its attribution if requested
+ * @throws {EncodeError} If the SMILES string is invalid or cannot be kekulized
  *
  * Example:
  *   encode('CCO') // => '[C][C][O]'
  *   encode('c1ccccc1') // => '[C][=C][C][=C][C][=C][Ring1][=Branch1]'
+ *   encode('CC(=O)[O-].[Na+]') // => '[C][C][=Branch1][C][=O][O-1].[Na+1]'
+ *   encode('[H]OC([H])([H])[H]', { collapseHydrogens: true }) // => '[O][C]'
+ *   encode('C[N]C') // => '[C][NH0][C]', a radical
+ *
+ * Attribution follows selfies-py's encoder(..., attribute=True), with one
+ * entry per SELFIES token (as returned by tokenize()):
+ *
+ *   encode('C=O', { attribute: true }).attribution
+ *   // [
+ *   //   { index: 0, token: '[C]', attribution: [{ start: 0, end: 1, token: 'C' }] },
+ *   //   { index: 1, token: '[=O]', attribution: [{ start: 1, end: 2, token: '=' },
+ *   //                                            { start: 2, end: 3, token: 'O' }] }
+ *   // ]
+ *
+ * Atom symbols map to the atom and the bond symbol before it, branch symbols
+ * and their length symbols to the first atom of the branch, and ring symbols
+ * and their length symbols to both ring bond digits. '.' maps to nothing.
  */
-export function encode(smiles) {
-  validateSmiles(smiles)
-
-  const state = createEncoderState()
-  let i = 0
-
-  while (i < smiles.length) {
-    const char = smiles[i]
-
-    if (isDigit(char)) {
-      i = handleRingClosure(smiles, i, state)
-    } else if (char === '(') {
-      i = handleBranch(smiles, i, state)
-    } else if (char === ')') {
-      throw new Error('Unexpected closing parenthesis')
-    } else if (char === '=') {
-      i = handleDoubleBond(smiles, i, state)
-    } else if (char === '#') {
-      i = handleTripleBond(smiles, i, state)
-    } else if (char === '/' || char === '\\') {
-      i = handleStereoBond(smiles, i, state)
-    } else if (char === '[') {
-      i = handleBracketAtom(smiles, i, state)
-    } else if (isUpperCase(char)) {
-      i = handleAliphaticAtom(smiles, i, state)
-    } else if (isLowerCase(char)) {
-      i = handleAromaticAtom(smiles, i, state)
-    } else {
-      throw new Error(`Invalid SMILES character: ${char}`)
-    }
-  }
-
-  return state.tokens.join('')
-}
-
-/**
- * Validates SMILES string input
- * @param {string} smiles - SMILES string to validate
- * @throws {Error} If SMILES is empty or null
- */
-function validateSmiles(smiles) {
-  if (!smiles || smiles.length === 0) {
-    throw new Error('Empty SMILES string')
-  }
-}
-
-/**
- * Creates initial encoder state
- * @returns {Object} Encoder state object
- */
-function createEncoderState() {
-  return {
-    tokens: [],
-    ringClosures: new Map(),
-    aromaticCounter: 0,
-    pendingStereoBond: null  // Tracks / or \ for next bond
-  }
-}
-
-/**
- * Handles ring closure digits in SMILES
- * @param {string} smiles - SMILES string
- * @param {number} index - Current position
- * @param {Object} state - Encoder state
- * @returns {number} New position
- */
-function handleRingClosure(smiles, index, state) {
-  const ringNum = parseInt(smiles[index])
-
-  if (state.ringClosures.has(ringNum)) {
-    closeRing(ringNum, state)
-  } else {
-    openRing(ringNum, state)
-  }
-
-  return index + 1
-}
-
-/**
- * Opens a new ring at the current position
- * @param {number} ringNum - Ring number
- * @param {Object} state - Encoder state
- */
-function openRing(ringNum, state) {
-  state.ringClosures.set(ringNum, state.tokens.length - 1)
-}
-
-/**
- * Closes an existing ring
- * @param {number} ringNum - Ring number
- * @param {Object} state - Encoder state
- */
-function closeRing(ringNum, state) {
-  const ringStartPos = state.ringClosures.get(ringNum)
-  const atomsInBetween = state.tokens.length - ringStartPos - 1
-
-  // Add ring token with stereochemistry if present
-  if (state.pendingStereoBond) {
-    state.tokens.push(`[${state.pendingStereoBond}Ring1]`)
-    state.pendingStereoBond = null
-  } else {
-    state.tokens.push('[Ring1]')
-  }
-
-  // For decoder formula: targetIndex = prevAtomIndex - (Q.value + 1)
-  // We want: Q.value + 1 = atomsInBetween, so Q.value = atomsInBetween - 1
-  state.tokens.push(getLengthToken(atomsInBetween - 1))
-  state.ringClosures.delete(ringNum)
-}
-
-/**
- * Handles branch notation in SMILES
- * @param {string} smiles - SMILES string
- * @param {number} index - Current position
- * @param {Object} state - Encoder state
- * @returns {number} New position
- */
-function handleBranch(smiles, index, state) {
-  const { content, endIndex } = extractBranchContent(smiles, index)
-  const branchTokens = encode(content)
-  const branchSymbolCount = countSelfiesSymbols(branchTokens)
-
-  // Determine branch bond order from first character of branch content
-  // If branch starts with = or #, use bonded branch symbol
-  let branchSymbol = '[Branch1]'
-  if (content.startsWith('=')) {
-    branchSymbol = '[=Branch1]'
-  } else if (content.startsWith('#')) {
-    branchSymbol = '[#Branch1]'
-  }
-
-  state.tokens.push(branchSymbol)
-  // For decoder formula: reads Q.value + 1 atoms from branch
-  // We want: Q.value + 1 = branchSymbolCount, so Q.value = branchSymbolCount - 1
-  state.tokens.push(getLengthToken(branchSymbolCount - 1))
-  state.tokens.push(branchTokens)
-
-  return endIndex + 1
-}
-
-/**
- * Extracts content between matching parentheses
- * @param {string} smiles - SMILES string
- * @param {number} startIndex - Position of opening parenthesis
- * @returns {Object} Branch content and end index
- */
-function extractBranchContent(smiles, startIndex) {
-  const branchStart = startIndex + 1
-  let depth = 1
-  let branchEnd = branchStart
+export function encode(smiles, options = {}) {
+  const { attribute = false, collapseHydrogens: collapse = false } = options
 
-  while (branchEnd < smiles.length && depth > 0) {
-    if (smiles[branchEnd] === '(') depth++
-    if (smiles[branchEnd] === ')') depth--
-    if (depth > 0) branchEnd++
-  }
-
-  if (depth !== 0) {
-    throw new Error('Unmatched parenthesis in SMILES')
-  }
+  const graph = parseSmiles(smiles)
+  kekulize(graph, smiles)
+  if (collapse) collapseHydrogens(graph)
+  if (!attribute) return graphToSelfies(graph)
 
+  const symbols = graphToSymbols(graph)
   return {
-    content: smiles.substring(branchStart, branchEnd),
-    endIndex: branchEnd
+    selfies: symbols.map(symbol => symbol.token).join(''),
+    attribution: symbols.map((symbol, index) => ({
+      index,
+      token: symbol.token,
+      attribution: getSourceSpans(symbol.source, graph).map(({ start, end }) => ({
+        start,
+        end,
+        token: smiles.slice(start, end)
+      }))
+    }))
   }
 }
 
 /**
- * Handles double bond notation
- * @param {string} smiles - SMILES string
- * @param {number} index - Current position
- * @param {Object} state - Encoder state
- * @returns {number} New position
- */
-function handleDoubleBond(smiles, index, state) {
-  return handleBondedAtom(smiles, index, state, '=')
-}
-
-/**
- * Handles triple bond notation
- * @param {string} smiles - SMILES string
- * @param {number} index - Current position
- * @param {Object} state - Encoder state
- * @returns {number} New position
- */
-function handleTripleBond(smiles, index, state) {
-  return handleBondedAtom(smiles, index, state, '#')
-}
-
-/**
- * Handles stereochemistry bond notation (/ and \)
- * @param {string} smiles - SMILES string
- * @param {number} index - Current position
- * @param {Object} state - Encoder state
- * @returns {number} New position
+ * Emits SELFIES for a molecule graph
+ * @param {Object} graph - Molecule graph with atoms, bonds, and rings
+ * @returns {string} SELFIES string
+ *
+ * The graph must have atoms indexed in depth-first preorder of its bonds,
+ * which holds for both parseSmiles() and decodeToAST() output. Disconnected
+ * fragments are separated by '.', e.g. '[C][O-1].[Na+1]'.
  */
-function handleStereoBond(smiles, index, state) {
-  const stereoChar = smiles[index]
-
-  // Store the stereochemistry marker to be used with the next ring closure
-  state.pendingStereoBond = stereoChar === '/' ? '-/' : '\\/'
-
-  return index + 1
+export function graphToSelfies(graph) {
+  return graphToSymbols(graph).map(symbol => symbol.token).join('')
 }
 
 /**
- * Handles atoms with bond prefix (= or #)
- * @param {string} smiles - SMILES string
- * @param {number} index - Current position
- * @param {Object} state - Encoder state
- * @param {string} bondSymbol - Bond symbol (= or #)
- * @returns {number} New position
+ * Emits SELFIES symbols for a molecule graph, with the graph item each came from
+ * @param {Object} graph - Molecule graph with atoms, bonds, and rings
+ * @returns {Object[]} { token, source } for each symbol, where source is
+ *   { atom } or { ring } (an index into graph.atoms or graph.rings), or null
  */
-function handleBondedAtom(smiles, index, state, bondSymbol) {
-  const nextIndex = index + 1
-
-  if (nextIndex >= smiles.length) {
-    throw new Error('Invalid SMILES: bond symbol at end')
+function graphToSymbols(graph) {
+  const children = graph.atoms.map(() => [])
+  for (const bond of graph.bonds) {
+    children[bond.from].push(bond)
   }
 
-  const nextChar = smiles[nextIndex]
+  const closures = graph.atoms.map(() => [])
+  graph.rings.forEach((ring, index) => {
+    if (ring.from < ring.to) {
+      closures[ring.to].push({ ring, index })
+    } else {
+      const flipped = { ...ring, from: ring.to, to: ring.from, stereo: flipBondStereo(ring.stereo) }
+      closures[ring.from].push({ ring: flipped, index })
+    }
+  })
 
-  if (isUpperCase(nextChar)) {
-    return handleBondedUppercaseAtom(smiles, nextIndex, state, bondSymbol)
-  } else if (isLowerCase(nextChar)) {
-    state.tokens.push(`[${bondSymbol}${nextChar.toUpperCase()}]`)
-    return nextIndex + 1
-  } else {
-    throw new Error(`Invalid SMILES: unexpected character after ${bondSymbol}: ${nextChar}`)
+  // Each fragment is a separate tree, emitted from its root and joined by '.'
+  const bondOrderSums = graph.atoms.map(() => 0)
+  for (const bond of [...graph.bonds, ...graph.rings]) {
+    bondOrderSums[bond.from] += bond.order
+    bondOrderSums[bond.to] += bond.order
   }
-}
 
-/**
- * Handles bonded uppercase atoms (checking for two-letter elements)
- * @param {string} smiles - SMILES string
- * @param {number} index - Current position at the atom
- * @param {Object} state - Encoder state
- * @param {string} bondSymbol - Bond symbol
- * @returns {number} New position
- */
-function handleBondedUppercaseAtom(smiles, index, state, bondSymbol) {
-  const char = smiles[index]
-
-  if (index + 1 < smiles.length && isLowerCase(smiles[index + 1])) {
-    state.tokens.push(`[${bondSymbol}${char}${smiles[index + 1]}]`)
-    return index + 2
-  } else {
-    state.tokens.push(`[${bondSymbol}${char}]`)
-    return index + 1
-  }
+  const hasParent = new Set(graph.bonds.map(bond => bond.to))
+  const context = { graph, children, closures, bondOrderSums }
+  const symbols = []
+  graph.atoms.forEach((atom, index) => {
+    if (hasParent.has(index)) return
+    if (symbols.length > 0) symbols.push({ token: '.', source: null })
+    symbols.push(...emitChain(index, null, context))
+  })
+  return symbols
 }
 
 /**
- * Handles bracket atom notation like [nH], [NH2+], etc.
- * @param {string} smiles - SMILES string
- * @param {number} index - Current position
- * @param {Object} state - Encoder state
- * @returns {number} New position
+ * Gets the SMILES spans a symbol was produced from
+ * @param {Object|null} source - Symbol source from graphToSymbols()
+ * @param {Object} graph - Parsed molecule graph with spans
+ * @returns {Object[]} { start, end } spans in order
  */
-function handleBracketAtom(smiles, index, state) {
-  const closeBracket = smiles.indexOf(']', index)
-
-  if (closeBracket === -1) {
-    throw new Error('Invalid SMILES: unclosed bracket atom')
-  }
-
-  const bracketContent = smiles.substring(index + 1, closeBracket)
-  const element = extractElementFromBracket(bracketContent)
-
-  state.tokens.push(`[${element}]`)
-  return closeBracket + 1
+function getSourceSpans(source, graph) {
+  if (source === null) return []
+  if (source.ring !== undefined) return graph.spans.rings[source.ring]
+
+  const bondIndex = graph.bonds.findIndex(bond => bond.to === source.atom)
+  const bondSpan = bondIndex === -1 ? null : graph.spans.bonds[bondIndex]
+  const atomSpan = graph.spans.atoms[source.atom]
+  return bondSpan ? [bondSpan, atomSpan] : [atomSpan]
 }
 
 /**
- * Extracts element symbol from bracket notation
- * @param {string} bracketContent - Content inside brackets
- * @returns {string} Element symbol
+ * Emits the symbols for a chain starting at an atom, including its branches
+ * @param {number} atomIndex - First atom of the chain
+ * @param {Object|null} bond - Bond leading into the first atom
+ * @param {Object} context - Graph, and child bonds, ring closures, and bond
+ *   order sum per atom
+ * @returns {Object[]} SELFIES symbols with their sources
  */
-function extractElementFromBracket(bracketContent) {
-  let elementMatch = bracketContent.match(/^([A-Z][a-z]?)/)
-
-  if (!elementMatch) {
-    elementMatch = bracketContent.match(/^([a-z]+)/)
-    if (elementMatch) {
-      return elementMatch[1].charAt(0).toUpperCase() + elementMatch[1].slice(1)
+function emitChain(atomIndex, bond, context) {
+  const symbols = []
+  let current = atomIndex
+  let bondIn = bond
+
+  while (current !== null) {
+    const chirality = getSelfiesChirality(current, context.graph)
+    const token = atomToSelfies(context.graph.atoms[current], bondIn, chirality, context.bondOrderSums[current])
+    symbols.push({ token, source: { atom: current } })
+
+    for (const { ring, index } of context.closures[current]) {
+      const source = { ring: index }
+      symbols.push(...ringToSelfies(ring, current).map(token => ({ token, source })))
     }
-  }
-
-  if (elementMatch) {
-    return elementMatch[1]
-  }
-
-  const firstLetter = bracketContent.match(/[A-Za-z]/)
-  if (firstLetter) {
-    return firstLetter[0].toUpperCase()
-  }
 
-  return 'C'
-}
-
-/**
- * Handles aliphatic (uppercase) atoms
- * @param {string} smiles - SMILES string
- * @param {number} index - Current position
- * @param {Object} state - Encoder state
- * @returns {number} New position
- */
-function handleAliphaticAtom(smiles, index, state) {
-  const char = smiles[index]
-
-  // Check if next character forms a two-letter element
-  if (index + 1 < smiles.length && isLowerCase(smiles[index + 1])) {
-    const twoLetter = char + smiles[index + 1]
-    // Valid two-letter elements: Cl, Br, Si, etc.
-    // NOT Cc, Cn, Co, etc. which are separate atoms
-    if (isTwoLetterElement(twoLetter)) {
-      state.tokens.push(`[${twoLetter}]`)
-      return index + 2
+    const childBonds = context.children[current]
+    for (let i = 0; i < childBonds.length - 1; i++) {
+      symbols.push(...branchToSelfies(childBonds[i], context))
     }
-  }
-
-  // Single-letter element
-  state.tokens.push(`[${char}]`)
-  return index + 1
-}
-
-/**
- * Handles aromatic (lowercase) atoms
- * @param {string} smiles - SMILES string
- * @param {number} index - Current position
- * @param {Object} state - Encoder state
- * @returns {number} New position
- */
-function handleAromaticAtom(smiles, index, state) {
-  const element = smiles[index].toUpperCase()
-
-  if (state.aromaticCounter % 2 === 0) {
-    state.tokens.push(`[${element}]`)
-  } else {
-    state.tokens.push(`[=${element}]`)
-  }
-
-  state.aromaticCounter++
-  return index + 1
-}
-
-/**
- * Counts SELFIES symbols in a string
- * @param {string} selfiesString - SELFIES string
- * @returns {number} Number of symbols (opening brackets)
- */
-function countSelfiesSymbols(selfiesString) {
-  let count = 0
-  for (let i = 0; i < selfiesString.length; i++) {
-    if (selfiesString[i] === '[') count++
-  }
-  return count
-}
 
-/**
- * Generates length token for branch/ring notation
- * Uses INDEX_ALPHABET from grammar_rules.js for consistency with decoder
- * @param {number} length - Length value (0-indexed, matching atom count)
- * @returns {string} Length token in SELFIES format
- * @throws {Error} If length is out of range
- */
-function getLengthToken(length) {
-  // Use getSelfiesFromIndex to convert length to SELFIES symbols
-  // This ensures encoder and decoder use the same INDEX_ALPHABET
-  const symbols = getSelfiesFromIndex(length)
-
-  // For single symbol, return it directly
-  if (symbols.length === 1) {
-    return symbols[0]
+    const last = childBonds[childBonds.length - 1]
+    current = last ? last.to : null
+    bondIn = last || null
   }
 
-  // For multiple symbols, join them (for large indices requiring multiple tokens)
-  return symbols.join('')
-}
-
-/**
- * Checks if a two-character string is a valid two-letter element symbol
- * @param {string} symbol - Two-character string to check
- * @returns {boolean} True if valid two-letter element
- */
-function isTwoLetterElement(symbol) {
-  const twoLetterElements = new Set([
-    'Cl', 'Br', 'Si', 'Se', 'As', 'Al', 'Ca', 'Mg', 'Na', 'He',
-    'Li', 'Be', 'Ne', 'Ar', 'Kr', 'Xe', 'Rn', 'Sc', 'Ti', 'Cr',
-    'Mn', 'Fe', 'Co', 'Ni', 'Cu', 'Zn', 'Ga', 'Ge', 'Sr', 'Zr',
-    'Nb', 'Mo', 'Tc', 'Ru', 'Rh', 'Pd', 'Ag', 'Cd', 'In', 'Sn',
-    'Sb', 'Te', 'Ba', 'La', 'Ce', 'Pr', 'Nd', 'Pm', 'Sm', 'Eu',
-    'Gd', 'Tb', 'Dy', 'Ho', 'Er', 'Tm', 'Yb', 'Lu', 'Hf', 'Ta',
-    'Re', 'Os', 'Ir', 'Pt', 'Au', 'Hg', 'Tl', 'Pb', 'Bi', 'Po',
-    'At', 'Ra', 'Ac', 'Th', 'Pa', 'Np', 'Pu', 'Am', 'Cm', 'Bk',
-    'Cf', 'Es', 'Fm', 'Md', 'No', 'Lr', 'Rf', 'Db', 'Sg', 'Bh',
-    'Hs', 'Mt', 'Ds', 'Rg', 'Cn', 'Nh', 'Fl', 'Mc', 'Lv', 'Ts', 'Og'
-  ])
-  return twoLetterElements.has(symbol)
+  return symbols
 }
 
 /**
- * Checks if character is uppercase letter
- * @param {string} char - Character to check
- * @returns {boolean} True if uppercase
+ * Emits a branch symbol, its length specifier, and the branch contents
+ * @param {Object} bond - Bond from the branch point into the branch
+ * @param {Object} context - Encoding context
+ * @returns {Object[]} SELFIES symbols with their sources
  */
-function isUpperCase(char) {
-  return char >= 'A' && char <= 'Z'
+function branchToSelfies(bond, context) {
+  const branch = emitChain(bond.to, bond, context)
+  const lengthSymbols = getSelfiesFromIndex(branch.length - 1)
+  const branchSymbol = `[${bondToSelfies(bond.order)}Branch${lengthSymbols.length}]`
+  const source = { atom: bond.to }
+  return [...[branchSymbol, ...lengthSymbols].map(token => ({ token, source })), ...branch]
 }
 
 /**
- * Checks if character is lowercase letter
- * @param {string} char - Character to check
- * @returns {boolean} True if lowercase
+ * Emits a ring symbol and its length specifier
+ * @param {Object} ring - Ring closure with from < to
+ * @param {number} atomIndex - Index of the closing atom
+ * @returns {string[]} SELFIES symbols
+ *
+ * For decoder formula: targetIndex = prevAtomIndex - (Q.value + 1)
+ * Directional ring bonds use selfies-py's two-character form, e.g. [/-Ring1],
+ * where the first character is the bond as written at the opening atom.
  */
-function isLowerCase(char) {
-  return char >= 'a' && char <= 'z'
+function ringToSelfies(ring, atomIndex) {
+  const lengthSymbols = getSelfiesFromIndex(atomIndex - ring.from - 1)
+  const bondChars = ring.stereo && ring.order === 1 ? `${ring.stereo}-` : bondToSelfies(ring.order)
+  return [`[${bondChars}Ring${lengthSymbols.length}]`, ...lengthSymbols]
 }
 
 /**
- * Checks if character is a digit
- * @param {string} char - Character to check
- * @returns {boolean} True if digit
+ * Emits the symbol for an atom
+ * @param {Object} atom - Atom from the molecule graph
+ * @param {Object|null} bond - Bond leading into the atom
+ * @param {string|null} chirality - Chirality relative to the SELFIES neighbor order
+ * @param {number} [bondOrderSum=0] - Sum of the orders of the atom's bonds
+ * @returns {string} SELFIES atom symbol
+ *
+ * Bracket atoms keep their isotope, chirality, hydrogen count, and charge in
+ * selfies-py form, e.g. [NH4+] => [NH4+1], [13C] => [13C], [C@@H] => [C@@H1].
+ * A bracket atom with fewer hydrogens than its implicit count (a radical,
+ * e.g. [N] or [CH2] in C[N]C or C[CH2]) keeps its count, written H0 if zero.
  */
-function isDigit(char) {
-  return char >= '0' && char <= '9'
+function atomToSelfies(atom, bond, chirality = null, bondOrderSum = 0) {
+  let bondChar = ''
+  if (bond) {
+    bondChar = bond.stereo && bond.order === 1 ? bond.stereo : bondToSelfies(bond.order)
+  }
+  const isotope = atom.isotope ?? ''
+  const radical = atom.bracket && !atom.isotope && !chirality && !atom.charge &&
+    atom.hydrogens < getImplicitHydrogens(atom.element, bondOrderSum)
+  const hydrogens = atom.bracket && (atom.hydrogens > 0 || radical) ? `H${atom.hydrogens}` : ''
+  const charge = atom.charge ? `${atom.charge > 0 ? '+' : '-'}${Math.abs(atom.charge)}` : ''
+  return `[${bondChar}${isotope}${atom.element}${chirality || ''}${hydrogens}${charge}]`
 }
 
 /**
- * Parses a SMILES string into a molecule graph
- * @param {string} smiles - SMILES string
- * @returns {Object} Molecule graph structure
+ * Converts an atom's chirality to the order its neighbors appear in SELFIES
+ * @param {number} atomIndex - Atom index
+ * @param {Object} graph - Molecule graph
+ * @returns {string|null} '@', '@@', or null if the atom is not a stereocentre
  */
-function parseSmiles(smiles) {
-  // TODO: Implement SMILES parser (POST-MVP)
-  throw new Error('Not implemented - encoder is post-MVP')
+function getSelfiesChirality(atomIndex, graph) {
+  const { chirality, hydrogens } = graph.atoms[atomIndex]
+  if (!chirality) return null
+
+  const neighbors = getNeighbors(graph, atomIndex)
+  const implicit = hasImplicitNeighbor(hydrogens, neighbors.length)
+  return reorderChirality(
+    chirality,
+    getReferenceOrder(neighbors, implicit),
+    getSelfiesNeighborOrder(graph, atomIndex, implicit)
+  )
 }
 
 /**
- * Converts aromatic bonds to explicit single/double bonds (Kekulization)
- * @param {Object} graph - Molecule graph
- * @returns {Object} Kekulized graph
+ * Gets the SELFIES bond prefix for a bond order
+ * @param {number} order - Bond order (1, 2, or 3)
+ * @returns {string} '', '=' or '#'
  */
-function kekulize(graph) {
-  // TODO: Implement Kekulization (POST-MVP)
-  throw new Error('Not implemented - encoder is post-MVP')
+function bondToSelfies(order) {
+  if (order === 2) return '='
+  if (order === 3) return '#'
+  return ''
 }
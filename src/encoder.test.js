@@ -5,6 +5,8 @@
 
 import { describe, test, expect } from 'bun:test'
 import { encode } from '../src/encoder.js'
+import { decode } from '../src/decoder.js'
+import { tokenize } from '../src/tokenizer.js'
 
 describe('encode', () => {
   // TODO: Basic molecules (POST-MVP)
@@ -46,6 +48,146 @@ describe('encode', () => {
     expect(encode('C1CC1')).toBe('[C][C][C][Ring1][Ring1]')
   })
 
+  test('encodes rings closing inside a branch', () => {
+    // Ibuprofen: the ring closes on an atom inside the (cc1) branch
+    const smiles = 'CC(C)Cc1ccc(cc1)C(C)C(=O)O'
+    expect(decode(encode(smiles))).toBe('CC(C)CC1=CC=C(C=C1)C(C)C(=O)O')
+  })
+
+  test('encodes bridged rings', () => {
+    expect(encode('C1CC2CCC1C2')).toBe('[C][C][C][C][C][C][Ring1][=Branch1][C][Ring1][Branch1]')
+    expect(decode(encode('C12CC1C2'))).toBe('C12CC1C2')
+  })
+
+  test('encodes two-digit ring numbers', () => {
+    expect(encode('C%10CC%10')).toBe('[C][C][C][Ring1][Ring1]')
+  })
+
+  test('roundtrips glucose', () => {
+    const smiles = 'OCC1OC(O)C(O)C(O)C1O'
+    expect(decode(encode(smiles))).toBe(smiles)
+  })
+
+  test('kekulizes pyrrole-type nitrogen', () => {
+    expect(encode('c1cc[nH]c1')).toBe('[C][C][=C][NH1][C][=Ring1][Branch1]')
+  })
+
+  test('encodes charged bracket atoms', () => {
+    expect(encode('[NH4+]')).toBe('[NH4+1]')
+    expect(encode('CC(=O)[O-]')).toBe('[C][C][=Branch1][C][=O][O-1]')
+    expect(encode('C[N+](C)(C)C')).toBe('[C][N+1][Branch1][C][C][Branch1][C][C][C]')
+  })
+
+  test('encodes isotopes', () => {
+    expect(encode('[13C]C')).toBe('[13C][C]')
+    expect(encode('[2H]C')).toBe('[2H][C]')
+  })
+
+  test('keeps radicals distinct from normal atoms', () => {
+    expect(encode('C[N]C')).toBe('[C][NH0][C]')
+    expect(encode('[C]')).toBe('[CH0]')
+    expect(encode('C[CH2]')).toBe('[C][CH2]')
+    expect(decode(encode('C[N]C'))).toBe('C[N]C')
+    // Bracket atoms at their normal valence need no H count
+    expect(encode('C[Cl]')).toBe('[C][Cl]')
+  })
+
+  test('keeps explicit hydrogen atoms by default', () => {
+    expect(encode('[H]OC')).toBe('[H][O][C]')
+  })
+
+  test('collapses explicit hydrogen atoms when requested', () => {
+    expect(encode('[H]C([H])([H])O', { collapseHydrogens: true })).toBe('[C][O]')
+    expect(encode('[H][N+]([H])([H])C', { collapseHydrogens: true })).toBe('[NH3+1][C]')
+    // Hypervalent sulfur keeps its count in brackets
+    expect(encode('[H]S([H])(C)C', { collapseHydrogens: true })).toBe('[SH2][Branch1][C][C][C]')
+    expect(encode('c1cc[n]([H])c1', { collapseHydrogens: true })).toBe(encode('c1cc[nH]c1'))
+  })
+
+  test('keeps hydrogen atoms that carry information when collapsing', () => {
+    expect(encode('[H][H]', { collapseHydrogens: true })).toBe('[H][H]')
+    expect(encode('[2H]C', { collapseHydrogens: true })).toBe('[2H][C]')
+    expect(encode('[H]/C(F)=C/F', { collapseHydrogens: true })).toBe('[H][/C][Branch1][C][F][=C][/F]')
+  })
+
+  test('keeps chirality when collapsing a hydrogen onto a stereocentre', () => {
+    const expected = encode('N[C@@H](C)O')
+    expect(encode('N[C@@]([H])(C)O', { collapseHydrogens: true })).toBe(expected)
+    expect(encode('[H][C@](N)(C)O', { collapseHydrogens: true })).toBe(encode('[C@H](N)(C)O'))
+  })
+
+  test('attributes atoms after collapsing hydrogens', () => {
+    const { selfies, attribution } = encode('[H]OC', { attribute: true, collapseHydrogens: true })
+    expect(selfies).toBe('[O][C]')
+    expect(attribution.map(({ attribution }) => attribution.map(span => span.token))).toEqual([['O'], ['C']])
+  })
+
+  test('encodes tetrahedral stereocenters', () => {
+    expect(encode('N[C@@H](C)C(=O)O')).toBe('[N][C@@H1][Branch1][C][C][C][=Branch1][C][=O][O]')
+    expect(encode('N[C@H](C)C(=O)O')).toBe('[N][C@H1][Branch1][C][C][C][=Branch1][C][=O][O]')
+  })
+
+  test('reorders chirality when ring bonds move', () => {
+    // SMILES lists the ring bond before the branch; SELFIES lists it after
+    expect(encode('F[C@]1(Cl)CCC1')).toBe('[F][C@][Branch1][C][Cl][C][C][C][Ring1][Branch1]')
+    expect(encode('F[C@@](Cl)1CCC1')).toBe('[F][C@][Branch1][C][Cl][C][C][C][Ring1][Branch1]')
+  })
+
+  test('encodes cis/trans bonds', () => {
+    expect(encode('F/C=C/F')).toBe('[F][/C][=C][/F]')
+    expect(encode('F/C=C\\F')).toBe('[F][/C][=C][\\F]')
+    expect(encode('C/C=C/1CCCC1')).toBe('[C][/C][=C][C][C][C][C][/-Ring1][Branch1]')
+  })
+
+  test('encodes each fragment separated by a dot', () => {
+    expect(encode('CC(=O)[O-].[Na+]')).toBe('[C][C][=Branch1][C][=O][O-1].[Na+1]')
+    expect(encode('C[NH3+].[Cl-]')).toBe('[C][NH3+1].[Cl-1]')
+  })
+
+  test('keeps ring lengths relative to each fragment', () => {
+    expect(encode('O.C1CC1')).toBe('[O].[C][C][C][Ring1][Ring1]')
+  })
+
+  test('returns attribution when requested', () => {
+    const { selfies, attribution } = encode('C=O', { attribute: true })
+    expect(selfies).toBe('[C][=O]')
+    expect(attribution).toEqual([
+      { index: 0, token: '[C]', attribution: [{ start: 0, end: 1, token: 'C' }] },
+      { index: 1, token: '[=O]', attribution: [{ start: 1, end: 2, token: '=' }, { start: 2, end: 3, token: 'O' }] }
+    ])
+  })
+
+  test('attributes branch and ring symbols with their length symbols', () => {
+    const spans = smiles => encode(smiles, { attribute: true }).attribution
+      .map(({ token, attribution }) => [token, attribution.map(span => span.token)])
+
+    // Branch symbols map to the first atom of the branch
+    expect(spans('CC(=O)O')).toEqual([
+      ['[C]', ['C']],
+      ['[C]', ['C']],
+      ['[=Branch1]', ['=', 'O']],
+      ['[C]', ['=', 'O']],
+      ['[=O]', ['=', 'O']],
+      ['[O]', ['O']]
+    ])
+    // Ring symbols map to both ring bond digits; '.' maps to nothing
+    expect(spans('C1CC1.[Na+]')).toEqual([
+      ['[C]', ['C']],
+      ['[C]', ['C']],
+      ['[C]', ['C']],
+      ['[Ring1]', ['1', '1']],
+      ['[Ring1]', ['1', '1']],
+      ['.', []],
+      ['[Na+1]', ['[Na+]']]
+    ])
+  })
+
+  test('keeps attribution aligned with tokenize()', () => {
+    const { selfies, attribution } = encode('CC(C)(C)c1ccc(O)cc1', { attribute: true })
+    expect(attribution.map(entry => entry.token)).toEqual(tokenize(selfies))
+    expect(selfies).toBe(encode('CC(C)(C)c1ccc(O)cc1'))
+  })
+
   // Error cases
   test('throws on empty SMILES', () => {
     expect(() => encode('')).toThrow('Empty SMILES string')
@@ -58,4 +200,8 @@ describe('encode', () => {
   test('throws on invalid bond at end', () => {
     expect(() => encode('CC=')).toThrow('bond symbol at end')
   })
+
+  test('throws when an aromatic system cannot be kekulized', () => {
+    expect(() => encode('c1cccc1')).toThrow('Cannot kekulize')
+  })
 })
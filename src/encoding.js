@@ -0,0 +1,235 @@
+/**
+ * Encoding - Label and one-hot encodings of SELFIES for machine learning
+ *
+ * Based on selfies-py's encoding_utils.py. A vocabulary maps each SELFIES
+ * token to an integer index and back; [nop] pads strings to a fixed length
+ * and is skipped by the decoder. Batches are flattened into a single
+ * Float32Array with shape metadata, ready for tensor libraries.
+ *
+ * Vocabularies are plain objects, so JSON.stringify() and JSON.parse() give
+ * back a usable vocabulary, e.g. to reuse the vocabulary from training at
+ * inference time.
+ */
+
+import { tokenize, lenSelfies } from './tokenizer.js'
+
+/**
+ * Padding token, always at index 0 of a vocabulary
+ */
+const NOP = '[nop]'
+
+/**
+ * @typedef {Object} Vocabulary
+ * @property {Object<string, number>} stoi - Token to index
+ * @property {string[]} itos - Index to token
+ */
+
+/**
+ * Creates a vocabulary from an alphabet of SELFIES tokens
+ * @param {Iterable<string>} alphabet - Tokens, e.g. from getAlphabetFromSelfies()
+ * @returns {Vocabulary} Vocabulary with [nop] at index 0, then the tokens sorted
+ *
+ * getAlphabetFromSelfies() leaves out the '.' fragment separator, as in
+ * selfies-py; add it to the alphabet if the data has multi-fragment molecules.
+ *
+ * Example:
+ *   createVocabulary(getAlphabetFromSelfies(['[C][O]', '[C][=C]']))
+ *   // { stoi: { '[nop]': 0, '[=C]': 1, '[C]': 2, '[O]': 3 },
+ *   //   itos: ['[nop]', '[=C]', '[C]', '[O]'] }
+ */
+export function createVocabulary(alphabet) {
+  const tokens = [...new Set(alphabet)].filter(token => token !== NOP).sort()
+  const itos = [NOP, ...tokens]
+
+  const stoi = {}
+  itos.forEach((token, index) => {
+    stoi[token] = index
+  })
+
+  return { stoi, itos }
+}
+
+/**
+ * Converts a SELFIES string to its label and/or one-hot encoding
+ * @param {string} selfies - SELFIES string
+ * @param {Vocabulary} vocabulary - Vocabulary to encode with
+ * @param {Object} [options] - Options
+ * @param {number} [options.padToLength=-1] - Pad with [nop] to this many
+ *   tokens; -1 for no padding
+ * @param {string} [options.encType='both'] - 'label', 'oneHot', or 'both'
+ * @returns {Int32Array|Float32Array[]|{labels: Int32Array, oneHot: Float32Array[]}}
+ *   Labels, one-hot rows (one per token), or both
+ * @throws {Error} If a token is not in the vocabulary, or the string is
+ *   longer than padToLength
+ *
+ * Example:
+ *   selfiesToEncoding('[C][O]', vocabulary, { padToLength: 4, encType: 'label' })
+ *   // Int32Array [2, 3, 0, 0]
+ */
+export function selfiesToEncoding(selfies, vocabulary, options = {}) {
+  const { padToLength = -1, encType = 'both' } = options
+  checkEncType(encType, ['label', 'oneHot', 'both'])
+
+  const tokens = tokenize(selfies)
+  if (padToLength >= 0 && tokens.length > padToLength) {
+    throw new Error(`SELFIES has ${tokens.length} tokens, more than padToLength (${padToLength})`)
+  }
+  while (tokens.length < padToLength) {
+    tokens.push(NOP)
+  }
+
+  const labels = Int32Array.from(tokens, (token, position) => {
+    if (!Object.prototype.hasOwnProperty.call(vocabulary.stoi, token)) {
+      throw new Error(`Token ${token} at position ${position} is not in the vocabulary`)
+    }
+    return vocabulary.stoi[token]
+  })
+
+  if (encType === 'label') return labels
+
+  const size = vocabulary.itos.length
+  const oneHot = Array.from(labels, label => {
+    const row = new Float32Array(size)
+    row[label] = 1
+    return row
+  })
+
+  return encType === 'oneHot' ? oneHot : { labels, oneHot }
+}
+
+/**
+ * Converts a label or one-hot encoding back to a SELFIES string
+ * @param {ArrayLike<number>|ArrayLike<number>[]} encoding - Labels, or one
+ *   row of scores per token
+ * @param {Vocabulary} vocabulary - Vocabulary the encoding was made with
+ * @param {Object} [options] - Options
+ * @param {string} [options.encType='label'] - 'label' or 'oneHot'
+ * @returns {string} SELFIES string, including any [nop] padding
+ * @throws {Error} If a label is not an index in the vocabulary
+ *
+ * One-hot rows are read by argmax, so model output scores can be decoded
+ * directly. [nop] padding is kept, as in selfies-py; decode() skips it.
+ *
+ * Example:
+ *   encodingToSelfies([2, 3, 0, 0], vocabulary) // => '[C][O][nop][nop]'
+ */
+export function encodingToSelfies(encoding, vocabulary, options = {}) {
+  const { encType = 'label' } = options
+  checkEncType(encType, ['label', 'oneHot'])
+
+  const labels = encType === 'label' ? Array.from(encoding) : Array.from(encoding, argmax)
+
+  return labels.map((label, position) => {
+    const token = vocabulary.itos[label]
+    if (token === undefined) {
+      throw new Error(`Label ${label} at position ${position} is not in the vocabulary`)
+    }
+    return token
+  }).join('')
+}
+
+/**
+ * @typedef {Object} FlatHot
+ * @property {Float32Array} data - Contiguous row-major one-hot values
+ * @property {number[]} shape - [batch size, padded length × vocabulary size]
+ */
+
+/**
+ * Converts a batch of SELFIES strings to one flattened one-hot array
+ * @param {string[]} selfiesBatch - SELFIES strings
+ * @param {Vocabulary} vocabulary - Vocabulary to encode with
+ * @param {Object} [options] - Options
+ * @param {number} [options.padToLength=-1] - Pad with [nop] to this many
+ *   tokens; -1 pads to the longest string in the batch
+ * @returns {FlatHot} One-hot data with its shape
+ * @throws {Error} If a token is not in the vocabulary, or a string is
+ *   longer than padToLength
+ *
+ * Each string becomes one row of padded length × vocabulary size values,
+ * as in selfies-py's batch_selfies_to_flat_hot(). The data can be passed
+ * straight to a tensor library, e.g. tf.tensor(data, shape).
+ *
+ * Example:
+ *   batchSelfiesToFlatHot(['[C][O]', '[C]'], vocabulary)
+ *   // { data: Float32Array(16), shape: [2, 8] } with 4 vocabulary tokens
+ */
+export function batchSelfiesToFlatHot(selfiesBatch, vocabulary, options = {}) {
+  const { padToLength = -1 } = options
+
+  const length = padToLength >= 0 ?
+    padToLength :
+    selfiesBatch.reduce((longest, selfies) => Math.max(longest, lenSelfies(selfies)), 0)
+  const size = vocabulary.itos.length
+  const rowSize = length * size
+  const data = new Float32Array(selfiesBatch.length * rowSize)
+
+  selfiesBatch.forEach((selfies, row) => {
+    const labels = selfiesToEncoding(selfies, vocabulary, { padToLength: length, encType: 'label' })
+    labels.forEach((label, position) => {
+      data[row * rowSize + position * size + label] = 1
+    })
+  })
+
+  return { data, shape: [selfiesBatch.length, rowSize] }
+}
+
+/**
+ * Converts a flattened one-hot batch back to SELFIES strings
+ * @param {{data: ArrayLike<number>, shape: number[]}} flatHot - Batch from
+ *   batchSelfiesToFlatHot(), or model scores with the same layout
+ * @param {Vocabulary} vocabulary - Vocabulary the batch was made with
+ * @returns {string[]} SELFIES strings, including any [nop] padding
+ * @throws {Error} If the shape does not match the data or the vocabulary
+ *
+ * Each token is read by argmax over its vocabulary-sized slice, so logits
+ * or probabilities work as well as exact one-hot values.
+ *
+ * Example:
+ *   batchFlatHotToSelfies(batchSelfiesToFlatHot(['[C][O]', '[C]'], vocabulary), vocabulary)
+ *   // => ['[C][O]', '[C][nop]']
+ */
+export function batchFlatHotToSelfies(flatHot, vocabulary) {
+  const { data, shape } = flatHot
+  const [batchSize, rowSize] = shape
+  const size = vocabulary.itos.length
+
+  if (data.length !== batchSize * rowSize) {
+    throw new Error(`Data has ${data.length} values, but shape [${shape.join(', ')}] needs ${batchSize * rowSize}`)
+  }
+  if (rowSize % size !== 0) {
+    throw new Error(`Row size ${rowSize} is not a multiple of the vocabulary size (${size})`)
+  }
+
+  const length = rowSize / size
+  return Array.from({ length: batchSize }, (_, row) => {
+    const rows = Array.from({ length }, (_, position) => {
+      const start = row * rowSize + position * size
+      return data.subarray ? data.subarray(start, start + size) : data.slice(start, start + size)
+    })
+    return encodingToSelfies(rows, vocabulary, { encType: 'oneHot' })
+  })
+}
+
+/**
+ * Gets the index of the largest value (the first one, on ties)
+ * @param {ArrayLike<number>} row - Scores
+ * @returns {number} Index
+ */
+function argmax(row) {
+  let best = 0
+  for (let i = 1; i < row.length; i++) {
+    if (row[i] > row[best]) best = i
+  }
+  return best
+}
+
+/**
+ * Checks an encType option
+ * @param {string} encType - Requested encoding type
+ * @param {string[]} allowed - Allowed values
+ */
+function checkEncType(encType, allowed) {
+  if (!allowed.includes(encType)) {
+    throw new Error(`Unknown encType '${encType}', expected one of: ${allowed.join(', ')}`)
+  }
+}
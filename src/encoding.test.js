@@ -0,0 +1,148 @@
+/**
+ * Tests for label and one-hot encoding
+ */
+
+import { describe, test, expect } from 'bun:test'
+import {
+  createVocabulary,
+  selfiesToEncoding,
+  encodingToSelfies,
+  batchSelfiesToFlatHot,
+  batchFlatHotToSelfies
+} from './encoding.js'
+import { getAlphabetFromSelfies } from './alphabet.js'
+import { decode } from './decoder.js'
+
+const dataset = ['[C][O]', '[C][=C]', '[C][C][Branch1][C][O][N]']
+const vocabulary = createVocabulary(getAlphabetFromSelfies(dataset))
+
+describe('createVocabulary', () => {
+  test('puts [nop] first and sorts the other tokens', () => {
+    expect(vocabulary.itos).toEqual(['[nop]', '[=C]', '[Branch1]', '[C]', '[N]', '[O]'])
+    expect(vocabulary.stoi).toEqual({ '[nop]': 0, '[=C]': 1, '[Branch1]': 2, '[C]': 3, '[N]': 4, '[O]': 5 })
+  })
+
+  test('does not duplicate [nop]', () => {
+    expect(createVocabulary(['[nop]', '[C]']).itos).toEqual(['[nop]', '[C]'])
+  })
+
+  test('survives a JSON round trip', () => {
+    const restored = JSON.parse(JSON.stringify(vocabulary))
+    const labels = selfiesToEncoding('[C][=C]', restored, { encType: 'label' })
+    expect(encodingToSelfies(labels, restored)).toBe('[C][=C]')
+  })
+})
+
+describe('selfiesToEncoding', () => {
+  test('returns labels and one-hot rows', () => {
+    const { labels, oneHot } = selfiesToEncoding('[C][O]', vocabulary)
+    expect(labels).toBeInstanceOf(Int32Array)
+    expect(Array.from(labels)).toEqual([3, 5])
+    expect(oneHot).toHaveLength(2)
+    expect(oneHot[0]).toBeInstanceOf(Float32Array)
+    expect(Array.from(oneHot[1])).toEqual([0, 0, 0, 0, 0, 1])
+  })
+
+  test('pads with [nop] to a fixed length', () => {
+    const labels = selfiesToEncoding('[C][O]', vocabulary, { padToLength: 4, encType: 'label' })
+    expect(Array.from(labels)).toEqual([3, 5, 0, 0])
+    const oneHot = selfiesToEncoding('[C][O]', vocabulary, { padToLength: 3, encType: 'oneHot' })
+    expect(Array.from(oneHot[2])).toEqual([1, 0, 0, 0, 0, 0])
+  })
+
+  test('throws when the string is longer than padToLength', () => {
+    expect(() => selfiesToEncoding('[C][C][O]', vocabulary, { padToLength: 2 })).toThrow('more than padToLength')
+  })
+
+  test('throws on tokens missing from the vocabulary', () => {
+    expect(() => selfiesToEncoding('[C][Cl]', vocabulary)).toThrow('[Cl] at position 1 is not in the vocabulary')
+    expect(() => selfiesToEncoding('[C].[O]', vocabulary)).toThrow('. at position 1')
+  })
+
+  test('throws on an unknown encType', () => {
+    expect(() => selfiesToEncoding('[C]', vocabulary, { encType: 'one_hot' })).toThrow('Unknown encType')
+  })
+})
+
+describe('encodingToSelfies', () => {
+  test('decodes labels, keeping padding', () => {
+    expect(encodingToSelfies(Int32Array.of(3, 5, 0, 0), vocabulary)).toBe('[C][O][nop][nop]')
+    expect(decode(encodingToSelfies([3, 5, 0, 0], vocabulary))).toBe('CO')
+  })
+
+  test('decodes one-hot rows by argmax', () => {
+    const scores = [
+      [0.1, 0.0, 0.2, 0.6, 0.1, 0.0],
+      Float32Array.of(0.0, 0.1, 0.1, 0.1, 0.3, 0.4)
+    ]
+    expect(encodingToSelfies(scores, vocabulary, { encType: 'oneHot' })).toBe('[C][O]')
+  })
+
+  test('round-trips every string in a dataset', () => {
+    for (const selfies of dataset) {
+      const { labels, oneHot } = selfiesToEncoding(selfies, vocabulary, { padToLength: 8 })
+      const padded = selfies + '[nop]'.repeat(8 - labels.filter(label => label !== 0).length)
+      expect(encodingToSelfies(labels, vocabulary)).toBe(padded)
+      expect(encodingToSelfies(oneHot, vocabulary, { encType: 'oneHot' })).toBe(padded)
+    }
+  })
+
+  test('throws on labels outside the vocabulary', () => {
+    expect(() => encodingToSelfies([3, 42], vocabulary)).toThrow('Label 42 at position 1')
+  })
+})
+
+describe('batchSelfiesToFlatHot', () => {
+  test('pads to the longest string by default', () => {
+    const { data, shape } = batchSelfiesToFlatHot(['[C][O]', '[C]'], vocabulary)
+    expect(data).toBeInstanceOf(Float32Array)
+    expect(shape).toEqual([2, 12])
+    expect(Array.from(data.subarray(0, 12))).toEqual([0, 0, 0, 1, 0, 0, 0, 0, 0, 0, 0, 1])
+    // The second string is padded with [nop]
+    expect(Array.from(data.subarray(18, 24))).toEqual([1, 0, 0, 0, 0, 0])
+  })
+
+  test('matches the one-hot rows of selfiesToEncoding()', () => {
+    const { data, shape } = batchSelfiesToFlatHot(dataset, vocabulary, { padToLength: 8 })
+    expect(shape).toEqual([3, 8 * 6])
+    dataset.forEach((selfies, row) => {
+      const oneHot = selfiesToEncoding(selfies, vocabulary, { padToLength: 8, encType: 'oneHot' })
+      const expected = oneHot.flatMap(values => Array.from(values))
+      expect(Array.from(data.subarray(row * 48, (row + 1) * 48))).toEqual(expected)
+    })
+  })
+
+  test('handles an empty batch', () => {
+    expect(batchSelfiesToFlatHot([], vocabulary)).toEqual({ data: new Float32Array(0), shape: [0, 0] })
+  })
+
+  test('throws when a string is longer than padToLength', () => {
+    expect(() => batchSelfiesToFlatHot(dataset, vocabulary, { padToLength: 2 })).toThrow('more than padToLength')
+  })
+})
+
+describe('batchFlatHotToSelfies', () => {
+  test('round-trips a batch', () => {
+    const flatHot = batchSelfiesToFlatHot(dataset, vocabulary)
+    const decoded = batchFlatHotToSelfies(flatHot, vocabulary)
+    expect(decoded.map(selfies => decode(selfies))).toEqual(dataset.map(selfies => decode(selfies)))
+    expect(decoded[0]).toBe('[C][O][nop][nop][nop][nop]')
+  })
+
+  test('reads model scores by argmax', () => {
+    const { data, shape } = batchSelfiesToFlatHot(dataset, vocabulary)
+    // Turn the one-hot values into noisy logits with the same argmax
+    const logits = data.map((value, i) => value * 5 + ((i * 7919) % 13) / 13 - 2)
+    expect(batchFlatHotToSelfies({ data: logits, shape }, vocabulary))
+      .toEqual(batchFlatHotToSelfies({ data, shape }, vocabulary))
+    // Plain arrays work too
+    expect(batchFlatHotToSelfies({ data: Array.from(logits), shape }, vocabulary)[2])
+      .toBe('[C][C][Branch1][C][O][N]')
+  })
+
+  test('throws on shapes that do not fit the data or vocabulary', () => {
+    const { data } = batchSelfiesToFlatHot(['[C][O]'], vocabulary)
+    expect(() => batchFlatHotToSelfies({ data, shape: [2, 12] }, vocabulary)).toThrow('needs 24')
+    expect(() => batchFlatHotToSelfies({ data, shape: [3, 4] }, vocabulary)).toThrow('not a multiple')
+  })
+})
@@ -0,0 +1,127 @@
+/**
+ * Enumeration - Randomized and canonical SELFIES for a molecule
+ *
+ * A molecule has many valid SMILES, one per choice of starting atom and
+ * order of branches at each atom. Walking the graph from decodeToAST() with
+ * random choices gives a randomized SMILES, and encoding that gives a
+ * randomized SELFIES for the same molecule, for data augmentation. Any bond,
+ * including one that decodeToAST() stores as a ring bond, can become a ring
+ * closure. Walking in canonical order instead gives one SELFIES per
+ * molecule, for deduplication.
+ */
+
+import { decode, decodeToAST, graphToSmiles } from './decoder.js'
+import { encode } from './encoder.js'
+import { createRandom, pick, shuffle } from './random.js'
+import { walkGraph } from './traversal.js'
+import { ValidationError } from './errors.js'
+
+/**
+ * Writes a randomized SMILES for a molecule
+ * @param {string} selfies - SELFIES string of the molecule
+ * @param {Object} [options] - Options
+ * @param {number} [options.seed] - Seed for reproducible output
+ * @param {number} [options.rootAtom] - Index of the atom (in decodeToAST()
+ *   order) to start its fragment from; random if omitted
+ * @returns {string} SMILES string, '' for an empty molecule
+ * @throws {ValidationError} If rootAtom is not an atom index
+ *
+ * Fragments keep their order; each starts at a random atom (or rootAtom)
+ * and the neighbors of every atom are visited in random order.
+ *
+ * Example:
+ *   randomSmiles('[C][C][O]', { rootAtom: 2 }) // => 'OCC'
+ */
+export function randomSmiles(selfies, options = {}) {
+  const { seed, rootAtom = null } = options
+  const graph = decodeToAST(selfies)
+  return graphToSmiles(randomizeGraph(graph, createRandom(seed), rootAtom))
+}
+
+/**
+ * Encodes a molecule as a randomized SELFIES
+ * @param {string} selfies - SELFIES string of the molecule
+ * @param {Object} [options] - Options, as for randomSmiles()
+ * @returns {string} SELFIES string, '' for an empty molecule
+ * @throws {ValidationError} If rootAtom is not an atom index
+ *
+ * Example:
+ *   randomSelfies('[C][C][O]', { rootAtom: 2 }) // => '[O][C][C]'
+ */
+export function randomSelfies(selfies, options = {}) {
+  const smiles = randomSmiles(selfies, options)
+  return smiles === '' ? '' : encode(smiles)
+}
+
+/**
+ * Enumerates distinct SELFIES strings for a molecule
+ * @param {string} selfies - SELFIES string of the molecule
+ * @param {Object} [options] - Options
+ * @param {number} [options.count=10] - Number of strings wanted
+ * @param {number} [options.seed] - Seed for reproducible output
+ * @param {number} [options.maxAttempts] - Randomized strings to try before
+ *   stopping; defaults to 10 × count
+ * @returns {string[]} Distinct SELFIES strings, in the order found
+ *
+ * Small or symmetric molecules have few distinct strings, so fewer than
+ * count are returned when the attempts run out.
+ *
+ * Example:
+ *   enumerateSelfies('[C][C][O]', { count: 5, seed: 1 })
+ *   // => ['[C][Branch1][C][O][C]', '[C][Branch1][C][C][O]', '[O][C][C]', '[C][C][O]']
+ */
+export function enumerateSelfies(selfies, options = {}) {
+  const { count = 10, seed, maxAttempts = count * 10 } = options
+
+  const graph = decodeToAST(selfies)
+  if (graph.atoms.length === 0) return []
+
+  const random = createRandom(seed)
+  const found = new Set()
+  for (let attempt = 0; attempt < maxAttempts && found.size < count; attempt++) {
+    found.add(encode(graphToSmiles(randomizeGraph(graph, random))))
+  }
+
+  return [...found]
+}
+
+/**
+ * Converts a SELFIES string to the canonical SELFIES of its molecule
+ * @param {string} selfies - SELFIES string
+ * @returns {string} Canonical SELFIES, '' if the string has no atoms
+ *
+ * Every SELFIES of the same molecular graph (including stereo) gives the
+ * same result, so it can be used to dedupe libraries or as a database key.
+ * Aromatic rings are ranked as aromatic and written in one Kekulé
+ * structure, so SELFIES in either Kekulé structure give the same result.
+ * Tokens that add nothing to the molecule, such as [nop] padding, symbols
+ * that no atom can take, or empty '.' fragments, are dropped.
+ *
+ * Example:
+ *   canonicalize('[O][C][C][nop]')        // => '[C][C][O]'
+ *   canonicalize('[C][Branch1][C][O][C]') // => '[C][C][O]'
+ */
+export function canonicalize(selfies) {
+  const smiles = decode(selfies, { canonical: true })
+  return smiles === '' ? '' : encode(smiles)
+}
+
+/**
+ * Renumbers a molecule graph along a random depth-first walk
+ * @param {Object} graph - Molecule graph from decodeToAST()
+ * @param {function(): number} random - Generator from createRandom()
+ * @param {number|null} [rootAtom=null] - Atom to start its fragment from
+ * @returns {Object} Graph of the same molecule with atoms in walk order
+ */
+function randomizeGraph(graph, random, rootAtom = null) {
+  const count = graph.atoms.length
+  if (rootAtom !== null && !(Number.isInteger(rootAtom) && rootAtom >= 0 && rootAtom < count)) {
+    throw new ValidationError(`rootAtom ${rootAtom} is not an atom index (molecule has ${count} atoms)`)
+  }
+
+  return walkGraph(
+    graph,
+    fragments => fragments.map(fragment => (fragment.includes(rootAtom) ? rootAtom : pick(random, fragment))),
+    (atomIndex, neighbors) => shuffle(random, neighbors)
+  ).graph
+}
@@ -0,0 +1,136 @@
+/**
+ * Tests for randomized SMILES and SELFIES enumeration
+ */
+
+import { describe, test, expect } from 'bun:test'
+import { randomSmiles, randomSelfies, enumerateSelfies, canonicalize } from './enumeration.js'
+import { decodeToAST } from './decoder.js'
+import { encode } from './encoder.js'
+import { ValidationError } from './errors.js'
+
+function countElements(selfies) {
+  const counts = {}
+  for (const { element } of decodeToAST(selfies).atoms) {
+    counts[element] = (counts[element] || 0) + 1
+  }
+  return counts
+}
+
+describe('randomSmiles', () => {
+  test('starts from the given root atom', () => {
+    expect(randomSmiles('[C][C][O]', { rootAtom: 2 })).toBe('OCC')
+    expect(randomSmiles('[C][C][O]', { rootAtom: 0 })).toBe('CCO')
+  })
+
+  test('is deterministic for a seed', () => {
+    const selfies = encode('CC(=O)Oc1ccccc1C(=O)O')
+    expect(randomSmiles(selfies, { seed: 7 })).toBe(randomSmiles(selfies, { seed: 7 }))
+  })
+
+  test('can close rings at any bond', () => {
+    // decodeToAST() stores the C-N bond as the ring bond
+    const selfies = encode('C1CCCCN1')
+    const seen = new Set()
+    for (let seed = 0; seed < 20; seed++) {
+      seen.add(randomSmiles(selfies, { seed }))
+    }
+    expect(seen).toContain('C1CCCCN1')
+    expect(seen).toContain('C1NCCCC1')
+  })
+
+  test('keeps the order of fragments', () => {
+    for (let seed = 0; seed < 10; seed++) {
+      expect(randomSmiles('[C][O-1].[Na+1]', { seed })).toMatch(/\.\[Na\+\]$/)
+    }
+  })
+
+  test('returns an empty string for an empty molecule', () => {
+    expect(randomSmiles('')).toBe('')
+    expect(randomSelfies('')).toBe('')
+  })
+
+  test('rejects an invalid root atom', () => {
+    expect(() => randomSmiles('[C][O]', { rootAtom: 2 })).toThrow('rootAtom 2 is not an atom index')
+    expect(() => randomSmiles('[C][O]', { rootAtom: -1 })).toThrow('is not an atom index')
+    expect(() => randomSelfies('[C][O]', { rootAtom: 0.5 })).toThrow(ValidationError)
+  })
+})
+
+describe('randomSelfies', () => {
+  test('encodes the randomized SMILES', () => {
+    expect(randomSelfies('[C][C][O]', { rootAtom: 2 })).toBe('[O][C][C]')
+    expect(randomSelfies('[C][C][O]', { rootAtom: 1, seed: 1 })).toMatch(/^\[C\]\[Branch1\]\[C\]\[(C|O)\]\[(C|O)\]$/)
+  })
+
+  test('keeps stereochemistry', () => {
+    // Starting from the stereocentre, all four neighbors follow it
+    const selfies = randomSelfies(encode('C[C@H](N)O'), { rootAtom: 1, seed: 2 })
+    expect(selfies).toMatch(/^\[C@@?H1\]/)
+  })
+})
+
+describe('enumerateSelfies', () => {
+  test('returns distinct SELFIES for the same molecule', () => {
+    const selfies = encode('CC(=O)Oc1ccccc1C(=O)O')
+    const enumerated = enumerateSelfies(selfies, { count: 10, seed: 1 })
+
+    expect(enumerated).toHaveLength(10)
+    expect(new Set(enumerated).size).toBe(10)
+    for (const variant of enumerated) {
+      expect(countElements(variant)).toEqual(countElements(selfies))
+    }
+  })
+
+  test('is deterministic for a seed', () => {
+    const selfies = encode('CC(C)Cc1ccc(cc1)C(C)C(=O)O')
+    expect(enumerateSelfies(selfies, { count: 5, seed: 3 })).toEqual(enumerateSelfies(selfies, { count: 5, seed: 3 }))
+  })
+
+  test('returns fewer strings when the molecule has few forms', () => {
+    expect(enumerateSelfies('[C][C][O]', { count: 10, seed: 1 }).sort()).toEqual([
+      '[C][Branch1][C][C][O]',
+      '[C][Branch1][C][O][C]',
+      '[C][C][O]',
+      '[O][C][C]'
+    ])
+    expect(enumerateSelfies('[C]', { count: 3 })).toEqual(['[C]'])
+    expect(enumerateSelfies('')).toEqual([])
+  })
+})
+
+describe('canonicalize', () => {
+  test('gives one SELFIES per molecule', () => {
+    expect(canonicalize('[O][C][C]')).toBe('[C][C][O]')
+    expect(canonicalize('[C][Branch1][C][O][C]')).toBe('[C][C][O]')
+
+    for (const smiles of ['CC(=O)Oc1ccccc1C(=O)O', 'N[C@@H](Cc1ccccc1)C(=O)O', 'F/C=C/Cl', 'CC(=O)[O-].[Na+]']) {
+      const variants = enumerateSelfies(encode(smiles), { count: 10, seed: 4 })
+      expect(new Set(variants.map(canonicalize)).size).toBe(1)
+    }
+  })
+
+  test('gives one SELFIES whatever the atom order of an aromatic molecule', () => {
+    // The two atom orders put the ring double bonds in different places
+    expect(canonicalize(encode('Oc1ccccc1C'))).toBe(canonicalize(encode('Cc1ccccc1O')))
+    expect(canonicalize(encode('CC(=O)Oc1ccccc1C(=O)O'))).toBe(canonicalize(encode('OC(=O)c1ccccc1OC(C)=O')))
+  })
+
+  test('keeps different molecules apart', () => {
+    expect(canonicalize(encode('C[C@H](N)O'))).not.toBe(canonicalize(encode('C[C@@H](N)O')))
+    expect(canonicalize(encode('F/C=C/F'))).not.toBe(canonicalize(encode('F/C=C\\F')))
+    expect(canonicalize('[C][C][O]')).not.toBe(canonicalize('[C][O][C]'))
+  })
+
+  test('is idempotent', () => {
+    const canonical = canonicalize(encode('CC(C)Cc1ccc(cc1)C(C)C(=O)O'))
+    expect(canonicalize(canonical)).toBe(canonical)
+  })
+
+  test('drops tokens that add no atoms', () => {
+    expect(canonicalize('[C][C][O][nop][nop]')).toBe('[C][C][O]')
+    expect(canonicalize('[nop][C][nop][O]')).toBe('[C][O]')
+    expect(canonicalize('[O]..[C]')).toBe('[C].[O]')
+    expect(canonicalize('[nop][nop]')).toBe('')
+    expect(canonicalize('')).toBe('')
+  })
+})
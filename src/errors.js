@@ -61,7 +61,7 @@ export class ValidationError extends SelfiesError {
 }
 
 /**
- * Error thrown when DSL parsing fails
+ * Error thrown when DSL or SMARTS parsing fails
  */
 export class ParseError extends SelfiesError {
   constructor(message, line = null, column = null) {
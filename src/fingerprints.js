@@ -0,0 +1,484 @@
+/**
+ * Fingerprints - Molecular fingerprints and similarity from SELFIES
+ *
+ * Computes Morgan (ECFP-style) circular fingerprints and the 166 MACCS
+ * structural keys from the graph of decodeToAST(), and compares them with
+ * the Tanimoto and Dice coefficients. Both fingerprints follow RDKit's
+ * implementations (GetMorganFingerprintAsBitVect and GenMACCSKeys), so
+ * they can be compared with fingerprints made there. Unlike RDKit, which
+ * keeps [2H] and [3H] as atoms, hydrogen isotopes only count as hydrogens.
+ *
+ * Fingerprints are bitsets packed into Uint32Arrays: bit i is bit (i % 32)
+ * of word floor(i / 32).
+ */
+
+import { decodeToAST } from './decoder.js'
+import { buildMolecule, pairKey } from './molecule.js'
+import { getRingInfo } from './ringInfo.js'
+import { createMatcher } from './substructure.js'
+import { parseSmarts } from './smarts.js'
+import { ATOMIC_DATA, getIsotopes } from './properties/atoms.js'
+
+/**
+ * Bond invariants used by RDKit's Morgan fingerprints (its BondType values)
+ */
+const BOND_INVARIANTS = { '-': 1, '=': 2, '#': 3, ':': 12 }
+
+/**
+ * Number of bits in MACCS keys, including the unused bit 0
+ */
+const MACCS_BITS = 167
+
+/**
+ * Matches for 8- to 14-membered rings, used by MACCS key 101
+ */
+const LARGE_RINGS = [8, 9, 10, 11, 12, 13, 14]
+  .map(size => `$([R]1${'@[R]'.repeat(size - 1)}@1)`)
+  .join(',')
+
+/**
+ * MACCS keys as [SMARTS, count]: a key is set when its pattern matches
+ * more than count times. Keys 125 (more than one aromatic ring) and 166
+ * (more than one fragment) are counted directly; key 1 (isotopes) is not
+ * set, as in RDKit.
+ */
+const MACCS_KEYS = {
+  2: ['[#104]', 0],
+  3: ['[#32,#33,#34,#50,#51,#52,#82,#83,#84]', 0],
+  4: ['[Ac,Th,Pa,U,Np,Pu,Am,Cm,Bk,Cf,Es,Fm,Md,No,Lr]', 0],
+  5: ['[Sc,Ti,Y,Zr,Hf]', 0],
+  6: ['[La,Ce,Pr,Nd,Pm,Sm,Eu,Gd,Tb,Dy,Ho,Er,Tm,Yb,Lu]', 0],
+  7: ['[V,Cr,Mn,Nb,Mo,Tc,Ta,W,Re]', 0],
+  8: ['[!#6;!#1]1~*~*~*~1', 0],
+  9: ['[Fe,Co,Ni,Ru,Rh,Pd,Os,Ir,Pt]', 0],
+  10: ['[Be,Mg,Ca,Sr,Ba,Ra]', 0],
+  11: ['*1~*~*~*~1', 0],
+  12: ['[Cu,Zn,Ag,Cd,Au,Hg]', 0],
+  13: ['[#8]~[#7](~[#6])~[#6]', 0],
+  14: ['[#16]-[#16]', 0],
+  15: ['[#8]~[#6](~[#8])~[#8]', 0],
+  16: ['[!#6;!#1]1~*~*~1', 0],
+  17: ['[#6]#[#6]', 0],
+  18: ['[#5,#13,#31,#49,#81]', 0],
+  19: ['*1~*~*~*~*~*~*~1', 0],
+  20: ['[#14]', 0],
+  21: ['[#6]=[#6](~[!#6;!#1])~[!#6;!#1]', 0],
+  22: ['*1~*~*~1', 0],
+  23: ['[#7]~[#6](~[#8])~[#8]', 0],
+  24: ['[#7]-[#8]', 0],
+  25: ['[#7]~[#6](~[#7])~[#7]', 0],
+  26: ['[#6]=;@[#6](@*)@*', 0],
+  27: ['[I]', 0],
+  28: ['[!#6;!#1]~[CH2]~[!#6;!#1]', 0],
+  29: ['[#15]', 0],
+  30: ['[#6]~[!#6;!#1](~[#6])(~[#6])~*', 0],
+  31: ['[!#6;!#1]~[F,Cl,Br,I]', 0],
+  32: ['[#6]~[#16]~[#7]', 0],
+  33: ['[#7]~[#16]', 0],
+  34: ['[CH2]=*', 0],
+  35: ['[Li,Na,K,Rb,Cs,Fr]', 0],
+  36: ['[#16R]', 0],
+  37: ['[#7]~[#6](~[#8])~[#7]', 0],
+  38: ['[#7]~[#6](~[#6])~[#7]', 0],
+  39: ['[#8]~[#16](~[#8])~[#8]', 0],
+  40: ['[#16]-[#8]', 0],
+  41: ['[#6]#[#7]', 0],
+  42: ['F', 0],
+  43: ['[!#6;!#1;!H0]~*~[!#6;!#1;!H0]', 0],
+  44: ['[!#1;!#6;!#7;!#8;!#9;!#14;!#15;!#16;!#17;!#35;!#53]', 0],
+  45: ['[#6]=[#6]~[#7]', 0],
+  46: ['Br', 0],
+  47: ['[#16]~*~[#7]', 0],
+  48: ['[#8]~[!#6;!#1](~[#8])(~[#8])', 0],
+  49: ['[!+0]', 0],
+  50: ['[#6]=[#6](~[#6])~[#6]', 0],
+  51: ['[#6]~[#16]~[#8]', 0],
+  52: ['[#7]~[#7]', 0],
+  53: ['[!#6;!#1;!H0]~*~*~*~[!#6;!#1;!H0]', 0],
+  54: ['[!#6;!#1;!H0]~*~*~[!#6;!#1;!H0]', 0],
+  55: ['[#8]~[#16]~[#8]', 0],
+  56: ['[#8]~[#7](~[#8])~[#6]', 0],
+  57: ['[#8R]', 0],
+  58: ['[!#6;!#1]~[#16]~[!#6;!#1]', 0],
+  59: ['[#16]!:*:*', 0],
+  60: ['[#16]=[#8]', 0],
+  61: ['*~[#16](~*)~*', 0],
+  62: ['*@*!@*@*', 0],
+  63: ['[#7]=[#8]', 0],
+  64: ['*@*!@[#16]', 0],
+  65: ['c:n', 0],
+  66: ['[#6]~[#6](~[#6])(~[#6])~*', 0],
+  67: ['[!#6;!#1]~[#16]', 0],
+  68: ['[!#6;!#1;!H0]~[!#6;!#1;!H0]', 0],
+  69: ['[!#6;!#1]~[!#6;!#1;!H0]', 0],
+  70: ['[!#6;!#1]~[#7]~[!#6;!#1]', 0],
+  71: ['[#7]~[#8]', 0],
+  72: ['[#8]~*~*~[#8]', 0],
+  73: ['[#16]=*', 0],
+  74: ['[CH3]~*~[CH3]', 0],
+  75: ['*!@[#7]@*', 0],
+  76: ['[#6]=[#6](~*)~*', 0],
+  77: ['[#7]~*~[#7]', 0],
+  78: ['[#6]=[#7]', 0],
+  79: ['[#7]~*~*~[#7]', 0],
+  80: ['[#7]~*~*~*~[#7]', 0],
+  81: ['[#16]~*(~*)~*', 0],
+  82: ['*~[CH2]~[!#6;!#1;!H0]', 0],
+  83: ['[!#6;!#1]1~*~*~*~*~1', 0],
+  84: ['[NH2]', 0],
+  85: ['[#6]~[#7](~[#6])~[#6]', 0],
+  86: ['[C;H2,H3][!#6;!#1][C;H2,H3]', 0],
+  87: ['[F,Cl,Br,I]!@*@*', 0],
+  88: ['[#16]', 0],
+  89: ['[#8]~*~*~*~[#8]', 0],
+  90: ['[$([!#6;!#1;!H0]~*~*~[CH2]~*),$([!#6;!#1;!H0;R]1@[R]@[R]@[CH2;R]1),$([!#6;!#1;!H0]~[R]1@[R]@[CH2;R]1)]', 0],
+  91: ['[$([!#6;!#1;!H0]~*~*~*~[CH2]~*),$([!#6;!#1;!H0;R]1@[R]@[R]@[R]@[CH2;R]1),$([!#6;!#1;!H0]~[R]1@[R]@[R]@[CH2;R]1),$([!#6;!#1;!H0]~*~[R]1@[R]@[CH2;R]1)]', 0],
+  92: ['[#8]~[#6](~[#7])~[#6]', 0],
+  93: ['[!#6;!#1]~[CH3]', 0],
+  94: ['[!#6;!#1]~[#7]', 0],
+  95: ['[#7]~*~*~[#8]', 0],
+  96: ['*1~*~*~*~*~1', 0],
+  97: ['[#7]~*~*~*~[#8]', 0],
+  98: ['[!#6;!#1]1~*~*~*~*~*~1', 0],
+  99: ['[#6]=[#6]', 0],
+  100: ['*~[CH2]~[#7]', 0],
+  101: [`[${LARGE_RINGS}]`, 0],
+  102: ['[!#6;!#1]~[#8]', 0],
+  103: ['Cl', 0],
+  104: ['[!#6;!#1;!H0]~*~[CH2]~*', 0],
+  105: ['*@*(@*)@*', 0],
+  106: ['[!#6;!#1]~*(~[!#6;!#1])~[!#6;!#1]', 0],
+  107: ['[F,Cl,Br,I]~*(~*)~*', 0],
+  108: ['[CH3]~*~*~*~[CH2]~*', 0],
+  109: ['*~[CH2]~[#8]', 0],
+  110: ['[#7]~[#6]~[#8]', 0],
+  111: ['[#7]~*~[CH2]~*', 0],
+  112: ['*~*(~*)(~*)~*', 0],
+  113: ['[#8]!:*:*', 0],
+  114: ['[CH3]~[CH2]~*', 0],
+  115: ['[CH3]~*~[CH2]~*', 0],
+  116: ['[$([CH3]~*~*~[CH2]~*),$([CH3]~*1~*~[CH2]1)]', 0],
+  117: ['[#7]~*~[#8]', 0],
+  118: ['[$(*~[CH2]~[CH2]~*),$(*1~[CH2]~[CH2]1)]', 1],
+  119: ['[#7]=*', 0],
+  120: ['[!#6;R]', 1],
+  121: ['[#7;R]', 0],
+  122: ['*~[#7](~*)~*', 0],
+  123: ['[#8]~[#6]~[#8]', 0],
+  124: ['[!#6;!#1]~[!#6;!#1]', 0],
+  126: ['*!@[#8]!@*', 0],
+  127: ['*@*!@[#8]', 1],
+  128: ['[$(*~[CH2]~*~*~*~[CH2]~*),$([R]1@[CH2;R]@[R]@[R]@[R]@[CH2;R]1),$(*~[CH2]~[R]1@[R]@[R]@[CH2;R]1),$(*~[CH2]~*~[R]1@[R]@[CH2;R]1)]', 0],
+  129: ['[$(*~[CH2]~*~*~[CH2]~*),$([R]1@[CH2]@[R]@[R]@[CH2;R]1),$(*~[CH2]~[R]1@[R]@[CH2;R]1)]', 0],
+  130: ['[!#6;!#1]~[!#6;!#1]', 1],
+  131: ['[!#6;!#1;!H0]', 1],
+  132: ['[#8]~*~[CH2]~*', 0],
+  133: ['*@*!@[#7]', 0],
+  134: ['[F,Cl,Br,I]', 0],
+  135: ['[#7]!:*:*', 0],
+  136: ['[#8]=*', 1],
+  137: ['[!C;!c;R]', 0],
+  138: ['[!#6;!#1]~[CH2]~*', 1],
+  139: ['[O;!H0]', 0],
+  140: ['[#8]', 3],
+  141: ['[CH3]', 2],
+  142: ['[#7]', 1],
+  143: ['*@*!@[#8]', 0],
+  144: ['*!:*:*!:*', 0],
+  145: ['*1~*~*~*~*~*~1', 1],
+  146: ['[#8]', 2],
+  147: ['[$(*~[CH2]~[CH2]~*),$([R]1@[CH2;R]@[CH2;R]1)]', 0],
+  148: ['*~[!#6;!#1](~*)~*', 0],
+  149: ['[C;H3,H4]', 1],
+  150: ['*!@*@*!@*', 0],
+  151: ['[#7;!H0]', 0],
+  152: ['[#8]~[#6](~[#6])~[#6]', 0],
+  153: ['[!#6;!#1]~[CH2]~*', 0],
+  154: ['[#6]=[#8]', 0],
+  155: ['*!@[CH2]!@*', 0],
+  156: ['[#7]~*(~*)~*', 0],
+  157: ['[#6]-[#8]', 0],
+  158: ['[#6]-[#7]', 0],
+  159: ['[#8]', 1],
+  160: ['[C;H3,H4]', 0],
+  161: ['[#7]', 0],
+  162: ['a', 0],
+  163: ['*1~*~*~*~*~*~1', 0],
+  164: ['[#8]', 0],
+  165: ['[R]', 0]
+}
+
+/**
+ * MACCS key patterns, parsed on first use
+ */
+let maccsQueries = null
+
+/**
+ * Computes a Morgan (circular) fingerprint of a SELFIES molecule
+ * @param {string} selfies - SELFIES string
+ * @param {Object} [options] - Options
+ * @param {number} [options.radius=2] - Bonds out from each atom to include
+ *   (2 gives ECFP4-like, 3 ECFP6-like fingerprints)
+ * @param {number} [options.nBits=2048] - Fingerprint length in bits
+ * @returns {Uint32Array} Fingerprint, ceil(nBits / 32) words long
+ * @throws {Error} If radius or nBits is out of range
+ *
+ * Each atom starts from a hash of its element, connections, hydrogens,
+ * charge, isotope, and ring membership; each round hashes in the
+ * neighbors' values and bond types, and every distinct environment sets
+ * bit (hash % nBits). Bits match RDKit's for the same radius and length.
+ *
+ * Example:
+ *   getMorganFingerprint('[C][C][O]', { radius: 2, nBits: 64 })
+ *   // => Uint32Array [ 1073807364, 194 ]
+ */
+export function getMorganFingerprint(selfies, options = {}) {
+  const { radius = 2, nBits = 2048 } = options
+  if (!Number.isInteger(radius) || radius < 0) {
+    throw new Error(`Invalid radius: ${radius}. Expected a non-negative integer`)
+  }
+  if (!Number.isInteger(nBits) || nBits < 1) {
+    throw new Error(`Invalid nBits: ${nBits}. Expected a positive integer`)
+  }
+
+  const fingerprint = new Uint32Array(Math.ceil(nBits / 32))
+  for (const code of getMorganEnvironments(buildMolecule(decodeToAST(selfies)), radius)) {
+    setBit(fingerprint, code % nBits)
+  }
+  return fingerprint
+}
+
+/**
+ * Computes the 166 MACCS structural keys of a SELFIES molecule
+ * @param {string} selfies - SELFIES string
+ * @returns {Uint32Array} 167-bit fingerprint; bit n is MACCS key n, and
+ *   bit 0 is unused
+ *
+ * Example:
+ *   getMaccsKeys('[C][C][O]')
+ *   // => bits 82, 109, 114, 139, 153, 155, 157, 160, and 164 set
+ */
+export function getMaccsKeys(selfies) {
+  const graph = decodeToAST(selfies)
+  const match = createMatcher(graph)
+  const keys = new Uint32Array(Math.ceil(MACCS_BITS / 32))
+
+  if (maccsQueries === null) {
+    maccsQueries = Object.entries(MACCS_KEYS).map(([key, [smarts, count]]) => [Number(key), parseSmarts(smarts), count])
+  }
+  for (const [key, query, count] of maccsQueries) {
+    if (match(query, { limit: count + 1 }).length > count) setBit(keys, key)
+  }
+
+  const aromaticRings = getRingInfo(graph).rings.filter(ring => ring.aromatic).length
+  if (aromaticRings > 1) setBit(keys, 125)
+  // Tree bonds span each fragment, so each fragment has one more atom than bonds
+  if (graph.atoms.length - graph.bonds.length > 1) setBit(keys, 166)
+  return keys
+}
+
+/**
+ * Computes a fingerprint of a SELFIES molecule
+ * @param {string} selfies - SELFIES string
+ * @param {Object} [options] - Options
+ * @param {string} [options.type='morgan'] - 'morgan' or 'maccs'
+ * @param {number} [options.radius=2] - Morgan radius
+ * @param {number} [options.nBits=2048] - Morgan fingerprint length
+ * @returns {Uint32Array} Fingerprint
+ * @throws {Error} If the fingerprint type is not supported
+ */
+export function getFingerprint(selfies, options = {}) {
+  const { type = 'morgan', radius, nBits } = options
+  if (type === 'morgan') return getMorganFingerprint(selfies, { radius, nBits })
+  if (type === 'maccs') return getMaccsKeys(selfies)
+  throw new Error(`Unknown fingerprint type: ${type}. Supported types: morgan, maccs`)
+}
+
+/**
+ * Calculates the Tanimoto (Jaccard) coefficient of two fingerprints
+ * @param {Uint32Array} a - Fingerprint
+ * @param {Uint32Array} b - Fingerprint of the same length
+ * @returns {number} |a ∩ b| / |a ∪ b|, from 0 to 1; 0 if both are empty
+ * @throws {Error} If the fingerprints differ in length
+ */
+export function tanimoto(a, b) {
+  const { both, either } = countOverlap(a, b)
+  return either === 0 ? 0 : both / either
+}
+
+/**
+ * Calculates the Dice coefficient of two fingerprints
+ * @param {Uint32Array} a - Fingerprint
+ * @param {Uint32Array} b - Fingerprint of the same length
+ * @returns {number} 2|a ∩ b| / (|a| + |b|), from 0 to 1; 0 if both are
+ *   empty
+ * @throws {Error} If the fingerprints differ in length
+ */
+export function dice(a, b) {
+  const { both, either } = countOverlap(a, b)
+  // |a| + |b| = |a ∪ b| + |a ∩ b|
+  return either === 0 ? 0 : (2 * both) / (either + both)
+}
+
+/**
+ * Calculates the Tanimoto similarity of two SELFIES molecules
+ * @param {string} selfiesA - SELFIES string
+ * @param {string} selfiesB - SELFIES string
+ * @param {Object} [options] - Fingerprint options, as for getFingerprint()
+ * @returns {number} Similarity from 0 to 1
+ *
+ * Example:
+ *   getTanimotoSimilarity('[C][C][O]', '[C][C][C][O]') // => 0.556
+ */
+export function getTanimotoSimilarity(selfiesA, selfiesB, options = {}) {
+  return tanimoto(getFingerprint(selfiesA, options), getFingerprint(selfiesB, options))
+}
+
+/**
+ * Calculates the Dice similarity of two SELFIES molecules
+ * @param {string} selfiesA - SELFIES string
+ * @param {string} selfiesB - SELFIES string
+ * @param {Object} [options] - Fingerprint options, as for getFingerprint()
+ * @returns {number} Similarity from 0 to 1
+ *
+ * Example:
+ *   getDiceSimilarity('[C][C][O]', '[C][C][C][O]') // => 0.714
+ */
+export function getDiceSimilarity(selfiesA, selfiesB, options = {}) {
+  return dice(getFingerprint(selfiesA, options), getFingerprint(selfiesB, options))
+}
+
+/**
+ * Counts the bits set in a fingerprint
+ * @param {Uint32Array} fingerprint - Fingerprint
+ * @returns {number} Number of bits set
+ */
+export function countBits(fingerprint) {
+  let count = 0
+  for (const word of fingerprint) {
+    count += popcount(word)
+  }
+  return count
+}
+
+/**
+ * Finds the Morgan environment codes of a molecule, following RDKit
+ * @param {Object} molecule - Heavy-atom view from buildMolecule()
+ * @param {number} radius - Number of rounds
+ * @returns {number[]} Unsigned 32-bit codes of the distinct environments
+ *
+ * An environment is the set of bonds within the radius of an atom. When
+ * two atoms reach the same set in a round (or one already seen), only the
+ * one with the smallest code is kept, and the other atoms drop out of the
+ * later rounds, their codes becoming 0.
+ */
+function getMorganEnvironments(molecule, radius) {
+  const { atoms } = molecule
+  const inRing = atoms.map(() => false)
+  molecule.rings.flat().forEach(atom => { inRing[atom] = true })
+
+  const bondIndex = new Map()
+  atoms.forEach((atom, index) => {
+    for (const neighbor of atom.neighbors) {
+      const key = pairKey(index, neighbor.atom)
+      if (!bondIndex.has(key)) bondIndex.set(key, bondIndex.size)
+    }
+  })
+
+  let invariants = atoms.map((atom, index) => getAtomInvariant(atom, inRing[index]))
+  const neighborhoods = atoms.map(() => new Set())
+  const codes = [...invariants]
+  const seen = new Set()
+  const dead = atoms.map(atom => atom.neighbors.length === 0)
+
+  for (let layer = 0; layer < radius; layer++) {
+    const next = atoms.map(() => 0)
+    const round = []
+    atoms.forEach((atom, index) => {
+      if (dead[index]) return
+      const neighborhood = new Set(neighborhoods[index])
+      const pairs = atom.neighbors.map(neighbor => {
+        neighborhood.add(bondIndex.get(pairKey(index, neighbor.atom)))
+        neighborhoods[neighbor.atom].forEach(bond => neighborhood.add(bond))
+        return [BOND_INVARIANTS[neighbor.bond], invariants[neighbor.atom]]
+      })
+      pairs.sort((x, y) => x[0] - y[0] || x[1] - y[1])
+
+      let code = hashCombine(layer, invariants[index])
+      for (const [bond, invariant] of pairs) {
+        code = hashCombine(code, hashCombine(hashCombine(0, bond), invariant))
+      }
+      next[index] = code
+      round.push({ index, code, neighborhood, key: [...neighborhood].sort((x, y) => x - y).join(',') })
+    })
+
+    round.sort((x, y) => x.code - y.code || x.index - y.index)
+    for (const { index, code, key } of round) {
+      if (seen.has(key)) {
+        dead[index] = true
+      } else {
+        seen.add(key)
+        codes.push(code)
+      }
+    }
+    invariants = next
+    for (const { index, neighborhood } of round) {
+      neighborhoods[index] = neighborhood
+    }
+  }
+
+  return codes
+}
+
+/**
+ * Hashes RDKit's connectivity invariants of an atom: atomic number, total
+ * connections, hydrogens, charge, isotope mass shift, and ring membership
+ */
+function getAtomInvariant(atom, inRing) {
+  const { number, mass } = ATOMIC_DATA[atom.element]
+  const isotope = atom.isotope && getIsotopes(atom.element).find(entry => entry.massNumber === atom.isotope)
+  const massShift = isotope ? Math.trunc(isotope.mass - mass) : 0
+
+  const components = [number, atom.neighbors.length + atom.hydrogens, atom.hydrogens, atom.charge, massShift]
+  if (inRing) components.push(1)
+  return components.reduce((seed, value) => hashCombine(seed, value >>> 0), 0)
+}
+
+/**
+ * Mixes a value into a 32-bit hash, as boost::hash_combine does
+ */
+function hashCombine(seed, value) {
+  return (seed ^ ((value + 0x9e3779b9 + ((seed << 6) >>> 0) + (seed >>> 2)) >>> 0)) >>> 0
+}
+
+/**
+ * Counts the bits set in both fingerprints and in either
+ */
+function countOverlap(a, b) {
+  if (a.length !== b.length) {
+    throw new Error(`Fingerprint lengths differ: ${a.length * 32} and ${b.length * 32} bits`)
+  }
+  let both = 0
+  let either = 0
+  for (let i = 0; i < a.length; i++) {
+    both += popcount(a[i] & b[i])
+    either += popcount(a[i] | b[i])
+  }
+  return { both, either }
+}
+
+/**
+ * Counts the bits set in a 32-bit word
+ */
+function popcount(word) {
+  let bits = word - ((word >>> 1) & 0x55555555)
+  bits = (bits & 0x33333333) + ((bits >>> 2) & 0x33333333)
+  return (((bits + (bits >>> 4)) & 0x0f0f0f0f) * 0x01010101) >>> 24
+}
+
+/**
+ * Sets a bit of a fingerprint
+ */
+function setBit(fingerprint, bit) {
+  fingerprint[bit >>> 5] |= 1 << (bit & 31)
+}
@@ -0,0 +1,133 @@
+/**
+ * Tests for fingerprints and similarity
+ *
+ * Expected bits are RDKit's (GetMorganFingerprintAsBitVect and
+ * GenMACCSKeys).
+ */
+
+import { describe, test, expect } from 'bun:test'
+import {
+  getMorganFingerprint,
+  getMaccsKeys,
+  getFingerprint,
+  tanimoto,
+  dice,
+  getTanimotoSimilarity,
+  getDiceSimilarity,
+  countBits
+} from './fingerprints.js'
+
+const BENZENE = '[C][=C][C][=C][C][=C][Ring1][=Branch1]'
+const ASPIRIN = '[C][C][=Branch1][C][=O][O][C][=C][C][=C][C][=C][Ring1][=Branch1][C][=Branch1][C][=O][O]'
+const SALICYLIC_ACID = '[O][=C][Branch1][C][O][C][=C][C][=C][C][=C][Ring1][=Branch1][O]'
+
+function onBits(fingerprint) {
+  const bits = []
+  for (let i = 0; i < fingerprint.length * 32; i++) {
+    if ((fingerprint[i >>> 5] >>> (i & 31)) & 1) bits.push(i)
+  }
+  return bits
+}
+
+describe('getMorganFingerprint', () => {
+  test('matches RDKit bits', () => {
+    expect(onBits(getMorganFingerprint('[C][C][O]', { radius: 1, nBits: 1024 }))).toEqual([33, 80, 222, 294, 386, 807])
+    expect(onBits(getMorganFingerprint(BENZENE, { radius: 1, nBits: 1024 }))).toEqual([64, 849])
+    expect(getMorganFingerprint('[C][C][O]', { radius: 2, nBits: 64 })).toEqual(new Uint32Array([1073807364, 194]))
+  })
+
+  test('packs bits into ceil(nBits / 32) words', () => {
+    expect(getMorganFingerprint('[C][C][O]')).toHaveLength(64)
+    expect(getMorganFingerprint('[C][C][O]', { nBits: 100 })).toHaveLength(4)
+  })
+
+  test('adds environments with each radius until they repeat', () => {
+    const counts = [0, 1, 2, 3].map(radius => countBits(getMorganFingerprint(ASPIRIN, { radius })))
+    expect(counts).toEqual([6, 16, 24, 31])
+    // Every atom of benzene has the same environments
+    expect(countBits(getMorganFingerprint(BENZENE, { radius: 0 }))).toBe(1)
+  })
+
+  test('is empty for an empty molecule', () => {
+    expect(countBits(getMorganFingerprint(''))).toBe(0)
+  })
+
+  test('rejects invalid options', () => {
+    expect(() => getMorganFingerprint('[C]', { radius: -1 })).toThrow('Invalid radius')
+    expect(() => getMorganFingerprint('[C]', { nBits: 0 })).toThrow('Invalid nBits')
+  })
+})
+
+describe('getMaccsKeys', () => {
+  test('matches RDKit keys', () => {
+    expect(onBits(getMaccsKeys('[C][C][O]'))).toEqual([82, 109, 114, 139, 153, 155, 157, 160, 164])
+  })
+
+  test('sets ring keys for naphthalene', () => {
+    // 8-membered or larger ring (the perimeter), aromatic rings > 1, 6-rings > 1, aromatic, ring
+    const naphthalene = '[C][=C][C][=C][C][=C][C][=C][C][=C][Ring1][=Branch1][Ring1][#Branch2]'
+    expect(onBits(getMaccsKeys(naphthalene))).toEqual([101, 105, 125, 145, 162, 163, 165])
+  })
+
+  test('sets charge and fragment keys for salts', () => {
+    const keys = onBits(getMaccsKeys('[C][C][=Branch1][C][=O][O-1].[Na+1]'))
+    expect(keys).toContain(35)
+    expect(keys).toContain(49)
+    expect(keys).toContain(166)
+  })
+
+  test('has 167 bits', () => {
+    expect(getMaccsKeys('[C]')).toHaveLength(6)
+  })
+})
+
+describe('getFingerprint', () => {
+  test('dispatches on type', () => {
+    expect(getFingerprint(ASPIRIN)).toEqual(getMorganFingerprint(ASPIRIN))
+    expect(getFingerprint(ASPIRIN, { type: 'morgan', radius: 3, nBits: 512 })).toEqual(getMorganFingerprint(ASPIRIN, { radius: 3, nBits: 512 }))
+    expect(getFingerprint(ASPIRIN, { type: 'maccs' })).toEqual(getMaccsKeys(ASPIRIN))
+  })
+
+  test('rejects unknown types', () => {
+    expect(() => getFingerprint(ASPIRIN, { type: 'ecfp' })).toThrow('Unknown fingerprint type: ecfp')
+  })
+})
+
+describe('tanimoto and dice', () => {
+  test('compare bitsets', () => {
+    const a = new Uint32Array([0b1111, 0])
+    const b = new Uint32Array([0b0011, 0b1])
+    expect(tanimoto(a, b)).toBeCloseTo(2 / 5, 10)
+    expect(dice(a, b)).toBeCloseTo(4 / 7, 10)
+    expect(tanimoto(a, a)).toBe(1)
+    expect(dice(a, a)).toBe(1)
+  })
+
+  test('count the high bit of each word', () => {
+    const a = new Uint32Array([0x80000000])
+    expect(tanimoto(a, a)).toBe(1)
+    expect(countBits(new Uint32Array([0xffffffff, 0x80000001]))).toBe(34)
+  })
+
+  test('are 0 for empty fingerprints', () => {
+    expect(tanimoto(new Uint32Array(2), new Uint32Array(2))).toBe(0)
+    expect(dice(new Uint32Array(2), new Uint32Array(2))).toBe(0)
+  })
+
+  test('reject fingerprints of different lengths', () => {
+    expect(() => tanimoto(new Uint32Array(2), new Uint32Array(4))).toThrow('Fingerprint lengths differ')
+  })
+})
+
+describe('getTanimotoSimilarity and getDiceSimilarity', () => {
+  test('compare SELFIES molecules', () => {
+    expect(getTanimotoSimilarity(ASPIRIN, SALICYLIC_ACID)).toBeCloseTo(0.4483, 4)
+    expect(getTanimotoSimilarity(ASPIRIN, SALICYLIC_ACID, { type: 'maccs' })).toBeCloseTo(0.7391, 4)
+    expect(getDiceSimilarity('[C][C][O]', '[C][C][C][O]')).toBeCloseTo(0.7143, 4)
+  })
+
+  test('are 1 for the same molecule written differently', () => {
+    // Benzene from another starting atom and bond pattern
+    expect(getTanimotoSimilarity(BENZENE, '[C][C][=C][C][=C][C][=Ring1][=Branch1]')).toBe(1)
+  })
+})
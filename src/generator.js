@@ -0,0 +1,131 @@
+/**
+ * Generator - Samples random SELFIES strings
+ *
+ * Every SELFIES string decodes to a valid molecule, so sampling token
+ * sequences gives valid molecules for baselines and fuzz tests. Sampling is
+ * deterministic for a given seed.
+ */
+
+import { getSemanticAlphabet } from './alphabet.js'
+import { decode, decodeToAST } from './decoder.js'
+import { join } from './tokenizer.js'
+import { createRandom, pick, randomInt } from './random.js'
+
+/**
+ * Generates random SELFIES strings and their SMILES
+ * @param {Object} [options] - Options
+ * @param {number} [options.count=1] - Number of molecules to generate
+ * @param {number} [options.seed] - Seed for reproducible output
+ * @param {Iterable<string>|Object} [options.alphabet] - Tokens to sample, or
+ *   a vocabulary from createVocabulary(); defaults to getSemanticAlphabet()
+ * @param {Object<string, number>} [options.weights] - Relative weight per
+ *   token (default 1); tokens with weight 0 are never sampled
+ * @param {number} [options.minLength=1] - Fewest tokens per string
+ * @param {number} [options.maxLength=20] - Most tokens per string
+ * @param {number} [options.maxAtoms=Infinity] - Most atoms per molecule
+ * @param {Object<string, number>} [options.elementLimits] - Most atoms of
+ *   each element, e.g. { N: 2, S: 0 }
+ * @returns {{selfies: string, smiles: string}[]} Generated molecules
+ *
+ * Strings are built one token at a time. A token that would take the
+ * decoded molecule over maxAtoms or an element limit is not used at that
+ * position; if no token fits, the string ends early. Decoding never removes
+ * atoms when tokens are appended, so the limits hold for the whole string.
+ *
+ * Example:
+ *   generateSelfies({ count: 2, seed: 7, maxLength: 5 })
+ *   // [{ selfies: '...', smiles: '...' }, { selfies: '...', smiles: '...' }]
+ */
+export function generateSelfies(options = {}) {
+  const {
+    count = 1,
+    seed,
+    alphabet = getSemanticAlphabet(),
+    weights = {},
+    minLength = 1,
+    maxLength = 20,
+    maxAtoms = Infinity,
+    elementLimits = {}
+  } = options
+
+  if (minLength < 0 || maxLength < minLength) {
+    throw new Error(`Invalid length range: minLength ${minLength}, maxLength ${maxLength}`)
+  }
+
+  const tokens = getSampleTokens(alphabet).filter(token => (weights[token] ?? 1) > 0)
+  if (tokens.length === 0) {
+    throw new Error('No tokens to sample: the alphabet is empty or every token has weight 0')
+  }
+
+  const random = createRandom(seed)
+  const limits = { maxAtoms, elementLimits }
+  const results = []
+
+  for (let i = 0; i < count; i++) {
+    const length = randomInt(random, minLength, maxLength)
+    const selfies = join(sampleTokens(random, tokens, weights, length, limits))
+    results.push({ selfies, smiles: decode(selfies) })
+  }
+
+  return results
+}
+
+/**
+ * Gets the tokens to sample from an alphabet or vocabulary
+ * @param {Iterable<string>|Object} alphabet - Tokens, or a vocabulary
+ * @returns {string[]} Sorted tokens, without [nop] padding
+ */
+export function getSampleTokens(alphabet) {
+  const tokens = alphabet.itos ? alphabet.itos : [...alphabet]
+  return [...new Set(tokens)].filter(token => token !== '[nop]').sort()
+}
+
+/**
+ * Samples one token sequence within the atom limits
+ * @param {function(): number} random - Generator from createRandom()
+ * @param {string[]} tokens - Tokens to sample
+ * @param {Object<string, number>} weights - Relative weight per token
+ * @param {number} length - Number of tokens to sample
+ * @param {Object} limits - { maxAtoms, elementLimits }
+ * @returns {string[]} Sampled tokens
+ */
+function sampleTokens(random, tokens, weights, length, limits) {
+  const sampled = []
+  const limited = limits.maxAtoms !== Infinity || Object.keys(limits.elementLimits).length > 0
+
+  while (sampled.length < length) {
+    let candidates = tokens
+    let token = null
+
+    while (candidates.length > 0) {
+      const candidate = pick(random, candidates, candidates.map(t => weights[t] ?? 1))
+      if (!limited || withinLimits([...sampled, candidate], limits)) {
+        token = candidate
+        break
+      }
+      candidates = candidates.filter(t => t !== candidate)
+    }
+
+    if (token === null) break
+    sampled.push(token)
+  }
+
+  return sampled
+}
+
+/**
+ * Checks the decoded atoms of a token sequence against the limits
+ * @param {string[]} tokens - SELFIES tokens
+ * @param {Object} limits - { maxAtoms, elementLimits }
+ * @returns {boolean} True if no limit is exceeded
+ */
+function withinLimits(tokens, limits) {
+  const { atoms } = decodeToAST(join(tokens))
+  if (atoms.length > limits.maxAtoms) return false
+
+  const counts = {}
+  for (const atom of atoms) {
+    counts[atom.element] = (counts[atom.element] || 0) + 1
+  }
+  return Object.entries(limits.elementLimits).every(([element, limit]) => (counts[element] || 0) <= limit)
+}
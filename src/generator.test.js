@@ -0,0 +1,81 @@
+/**
+ * Tests for random SELFIES generation
+ */
+
+import { describe, test, expect } from 'bun:test'
+import { generateSelfies } from './generator.js'
+import { decode, decodeToAST } from './decoder.js'
+import { tokenize } from './tokenizer.js'
+import { getSemanticAlphabet } from './alphabet.js'
+import { createVocabulary } from './encoding.js'
+
+describe('generateSelfies', () => {
+  test('returns SELFIES with their decoded SMILES', () => {
+    const molecules = generateSelfies({ count: 20, seed: 1 })
+    expect(molecules).toHaveLength(20)
+    for (const { selfies, smiles } of molecules) {
+      expect(smiles).toBe(decode(selfies))
+      expect(smiles.length).toBeGreaterThan(0)
+    }
+  })
+
+  test('is deterministic for a seed', () => {
+    expect(generateSelfies({ count: 5, seed: 42 })).toEqual(generateSelfies({ count: 5, seed: 42 }))
+    expect(generateSelfies({ count: 5, seed: 42 })).not.toEqual(generateSelfies({ count: 5, seed: 43 }))
+  })
+
+  test('samples only from the given alphabet', () => {
+    const alphabet = getSemanticAlphabet()
+    for (const { selfies } of generateSelfies({ count: 20, seed: 2 })) {
+      expect(tokenize(selfies).every(token => alphabet.has(token))).toBe(true)
+    }
+
+    const vocabulary = createVocabulary(['[C]', '[O]', '[Branch1]', '[Ring1]'])
+    for (const { selfies } of generateSelfies({ count: 20, seed: 3, alphabet: vocabulary })) {
+      expect(tokenize(selfies).every(token => ['[C]', '[O]', '[Branch1]', '[Ring1]'].includes(token))).toBe(true)
+    }
+  })
+
+  test('respects the length range', () => {
+    for (const { selfies } of generateSelfies({ count: 30, seed: 4, minLength: 3, maxLength: 6 })) {
+      const length = tokenize(selfies).length
+      expect(length).toBeGreaterThanOrEqual(3)
+      expect(length).toBeLessThanOrEqual(6)
+    }
+  })
+
+  test('applies token weights', () => {
+    const molecules = generateSelfies({
+      count: 10,
+      seed: 5,
+      alphabet: ['[C]', '[N]', '[O]'],
+      weights: { '[N]': 0, '[O]': 0 }
+    })
+    for (const { selfies } of molecules) {
+      expect(selfies).toMatch(/^(\[C\])+$/)
+    }
+  })
+
+  test('respects atom and element limits', () => {
+    const molecules = generateSelfies({
+      count: 30,
+      seed: 6,
+      alphabet: ['[C]', '[N]', '[O]', '[Branch1]'],
+      maxLength: 30,
+      maxAtoms: 8,
+      elementLimits: { N: 1, O: 0 }
+    })
+    for (const { selfies } of molecules) {
+      const elements = decodeToAST(selfies).atoms.map(atom => atom.element)
+      expect(elements.length).toBeLessThanOrEqual(8)
+      expect(elements.filter(element => element === 'N').length).toBeLessThanOrEqual(1)
+      expect(elements).not.toContain('O')
+    }
+  })
+
+  test('throws when there is nothing to sample', () => {
+    expect(() => generateSelfies({ alphabet: [] })).toThrow('No tokens to sample')
+    expect(() => generateSelfies({ alphabet: ['[C]'], weights: { '[C]': 0 } })).toThrow('No tokens to sample')
+    expect(() => generateSelfies({ minLength: 5, maxLength: 2 })).toThrow('Invalid length range')
+  })
+})
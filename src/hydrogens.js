@@ -0,0 +1,210 @@
+/**
+ * Hydrogens - Implicit and explicit hydrogen counts
+ *
+ * Atoms written without brackets in SMILES (the organic subset) carry
+ * implicit hydrogens: enough to bring their bonds up to the lowest default
+ * valence that fits. Bracket atoms carry exactly the hydrogens written in
+ * them, so [CH2] is a carbene and [N] a radical, while CH2 and N in a chain
+ * are filled up to their normal valence.
+ *
+ * Decoded graphs (decodeToAST()) and parsed graphs (parseSmiles()) mark
+ * this differently: a decoded atom has a hydrogens field only when its
+ * count is fixed, while a parsed atom has a bracket flag, and hydrogens
+ * null unless it is a bracket atom.
+ */
+
+import { ATOMIC_DATA } from './properties/atoms.js'
+import { getNeighbors, getReferenceOrder, IMPLICIT_NEIGHBOR, reorderChirality } from './stereo.js'
+
+/**
+ * Elements that may be written without brackets, whose default valences
+ * (from properties/atoms.js) give their implicit hydrogens
+ */
+const ORGANIC_SUBSET = new Set(['B', 'C', 'N', 'O', 'P', 'S', 'F', 'Cl', 'Br', 'I'])
+
+/**
+ * Checks if an element can be written without brackets
+ * @param {string} element - Element symbol
+ * @returns {boolean} True for B, C, N, O, P, S, and the halogens
+ */
+export function isOrganicSubset(element) {
+  return ORGANIC_SUBSET.has(element)
+}
+
+/**
+ * Counts the implicit hydrogens of an organic-subset atom
+ * @param {string} element - Element symbol
+ * @param {number} bondOrderSum - Sum of the orders of its bonds
+ * @returns {number} Hydrogens up to the lowest default valence that fits,
+ *   0 if none fits or the element is not in the organic subset
+ *
+ * Example:
+ *   getImplicitHydrogens('N', 1) // => 2
+ *   getImplicitHydrogens('S', 3) // => 1
+ */
+export function getImplicitHydrogens(element, bondOrderSum) {
+  if (!isOrganicSubset(element)) return 0
+  const valence = ATOMIC_DATA[element].valences.find(value => value >= bondOrderSum)
+  return valence === undefined ? 0 : valence - bondOrderSum
+}
+
+/**
+ * Counts the hydrogens on each atom of a decoded molecule graph
+ * @param {Object} graph - Molecule graph from decodeToAST()
+ * @returns {number[]} Hydrogen count of each atom, implicit or explicit
+ *
+ * Atoms written in brackets (charged, isotopic, chiral, or outside the
+ * organic subset) have only their explicit hydrogens.
+ *
+ * Example:
+ *   getHydrogenCounts(decodeToAST('[C][=C][NH0]')) // => [2, 1, 0]
+ */
+export function getHydrogenCounts(graph) {
+  const bondOrderSums = graph.atoms.map(() => 0)
+  for (const bond of [...graph.bonds, ...graph.rings]) {
+    bondOrderSums[bond.from] += bond.order
+    bondOrderSums[bond.to] += bond.order
+  }
+
+  return graph.atoms.map((atom, index) => {
+    if (atom.hydrogens !== undefined) return atom.hydrogens
+    if (atom.stereo || atom.isotope || atom.charge) return 0
+    return getImplicitHydrogens(atom.element, bondOrderSums[index])
+  })
+}
+
+/**
+ * Copies a decoded molecule graph with every hydrogen count made explicit
+ * @param {Object} graph - Molecule graph from decodeToAST()
+ * @returns {Object} Graph whose atoms all have a hydrogens field, so that
+ *   each is written as a bracket atom, e.g. [CH3][OH]
+ */
+export function withExplicitHydrogens(graph) {
+  const counts = getHydrogenCounts(graph)
+  return {
+    ...graph,
+    atoms: graph.atoms.map((atom, index) => ({ ...atom, hydrogens: counts[index] }))
+  }
+}
+
+/**
+ * Folds explicit [H] atoms of a parsed graph into hydrogen counts
+ * @param {Object} graph - Kekulized graph from parseSmiles(), modified in
+ *   place
+ *
+ * An [H] atom is folded into its neighbor when it has exactly one single
+ * bond, to an atom other than hydrogen, and no isotope, charge, or
+ * directional bond (which would carry cis/trans information). The
+ * neighbor keeps its total hydrogen count, and stays unbracketed if its
+ * implicit hydrogens already add up to it. A stereocentre that gains one
+ * hydrogen keeps its configuration, with the hydrogen in the implicit
+ * position.
+ *
+ * Example:
+ *   '[H]C([H])([H])O' becomes the graph of 'CO'
+ */
+export function collapseHydrogens(graph) {
+  const removed = new Set(graph.atoms.flatMap((atom, index) => (isCollapsible(graph, index) ? [index] : [])))
+  if (removed.size === 0) return
+
+  const bondOrderSums = graph.atoms.map(() => 0)
+  const gained = graph.atoms.map(() => [])
+  for (const bond of [...graph.bonds, ...graph.rings]) {
+    bondOrderSums[bond.from] += bond.order
+    bondOrderSums[bond.to] += bond.order
+    if (removed.has(bond.from)) gained[bond.to].push(bond.from)
+    if (removed.has(bond.to)) gained[bond.from].push(bond.to)
+  }
+
+  graph.atoms.forEach((atom, index) => {
+    const hydrogens = gained[index]
+    if (hydrogens.length === 0) return
+
+    if (atom.chirality) {
+      atom.chirality = getCollapsedChirality(graph, index, hydrogens)
+    }
+
+    const remaining = bondOrderSums[index] - hydrogens.length
+    if (atom.bracket) {
+      atom.hydrogens += hydrogens.length
+      return
+    }
+    const total = getImplicitHydrogens(atom.element, bondOrderSums[index]) + hydrogens.length
+    if (total !== getImplicitHydrogens(atom.element, remaining)) {
+      atom.bracket = true
+      atom.hydrogens = total
+    }
+  })
+
+  removeAtoms(graph, removed)
+}
+
+/**
+ * Checks if an atom is an [H] that collapseHydrogens() can fold away
+ */
+function isCollapsible(graph, index) {
+  const atom = graph.atoms[index]
+  if (atom.element !== 'H' || atom.isotope || atom.charge || atom.hydrogens) return false
+
+  const edges = [...graph.bonds, ...graph.rings].filter(edge => edge.from === index || edge.to === index)
+  if (edges.length !== 1 || edges[0].order !== 1 || edges[0].stereo) return false
+
+  const neighbor = edges[0].from === index ? edges[0].to : edges[0].from
+  return graph.atoms[neighbor].element !== 'H'
+}
+
+/**
+ * Re-expresses a stereocentre's chirality once neighbor [H] atoms are folded in
+ * @param {Object} graph - Parsed graph, before the [H] atoms are removed
+ * @param {number} atomIndex - Stereocentre
+ * @param {number[]} hydrogens - Indices of its [H] neighbors
+ * @returns {string|null} Chirality relative to the new reference order, in
+ *   which the hydrogen is IMPLICIT_NEIGHBOR, or null if the atom is no
+ *   longer a stereocentre
+ *
+ * Only a centre with four neighbor atoms and no hydrogens of its own keeps
+ * its chirality; otherwise it would have two hydrogens, or a hydrogen and a
+ * lone pair, in the implicit position.
+ */
+function getCollapsedChirality(graph, atomIndex, hydrogens) {
+  const atom = graph.atoms[atomIndex]
+  const neighbors = getNeighbors(graph, atomIndex)
+  if (hydrogens.length !== 1 || atom.hydrogens || neighbors.length !== 4) return null
+
+  const before = getReferenceOrder(neighbors, false)
+    .map(neighbor => (neighbor === hydrogens[0] ? IMPLICIT_NEIGHBOR : neighbor))
+  const after = getReferenceOrder(neighbors.filter(neighbor => neighbor !== hydrogens[0]), true)
+  return reorderChirality(atom.chirality, before, after)
+}
+
+/**
+ * Removes atoms from a parsed graph, renumbering bonds, rings, and spans
+ * @param {Object} graph - Parsed graph, modified in place
+ * @param {Set<number>} removed - Indices of atoms with a single bond
+ *
+ * Removed atoms are leaves or fragment roots with one child, so the
+ * remaining atoms stay in depth-first preorder.
+ */
+function removeAtoms(graph, removed) {
+  const newIndex = []
+  let next = 0
+  graph.atoms.forEach((atom, index) => {
+    newIndex[index] = removed.has(index) ? -1 : next++
+  })
+
+  const keep = edge => !removed.has(edge.from) && !removed.has(edge.to)
+  const renumber = edge => ({ ...edge, from: newIndex[edge.from], to: newIndex[edge.to] })
+  const bondKept = graph.bonds.map(keep)
+  const ringKept = graph.rings.map(keep)
+
+  graph.atoms = graph.atoms.filter((atom, index) => !removed.has(index))
+  graph.bonds = graph.bonds.filter((bond, index) => bondKept[index]).map(renumber)
+  graph.rings = graph.rings.filter((ring, index) => ringKept[index]).map(renumber)
+  if (graph.spans) {
+    graph.spans = {
+      atoms: graph.spans.atoms.filter((span, index) => !removed.has(index)),
+      bonds: graph.spans.bonds.filter((span, index) => bondKept[index]),
+      rings: graph.spans.rings.filter((span, index) => ringKept[index])
+    }
+  }
+}
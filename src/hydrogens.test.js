@@ -0,0 +1,67 @@
+/**
+ * Tests for hydrogen counts
+ */
+
+import { describe, test, expect } from 'bun:test'
+import { getImplicitHydrogens, getHydrogenCounts, withExplicitHydrogens, collapseHydrogens, isOrganicSubset } from './hydrogens.js'
+import { decodeToAST } from './decoder.js'
+import { parseSmiles } from './smilesParser.js'
+
+describe('getImplicitHydrogens', () => {
+  test('fills up to the lowest default valence that fits', () => {
+    expect(getImplicitHydrogens('C', 0)).toBe(4)
+    expect(getImplicitHydrogens('N', 1)).toBe(2)
+    expect(getImplicitHydrogens('N', 4)).toBe(1)
+    expect(getImplicitHydrogens('S', 3)).toBe(1)
+    expect(getImplicitHydrogens('Cl', 1)).toBe(0)
+  })
+
+  test('gives none above every default valence or outside the organic subset', () => {
+    expect(getImplicitHydrogens('C', 5)).toBe(0)
+    expect(getImplicitHydrogens('Na', 0)).toBe(0)
+    expect(isOrganicSubset('Na')).toBe(false)
+    expect(isOrganicSubset('Br')).toBe(true)
+  })
+})
+
+describe('getHydrogenCounts', () => {
+  test('counts implicit and explicit hydrogens', () => {
+    expect(getHydrogenCounts(decodeToAST('[C][=C][NH0]'))).toEqual([2, 1, 0])
+    expect(getHydrogenCounts(decodeToAST('[C][C@@H1][Branch1][C][O][N]'))).toEqual([3, 1, 1, 2])
+  })
+
+  test('gives bracket atoms only their written hydrogens', () => {
+    expect(getHydrogenCounts(decodeToAST('[C][O-1].[NH4+1].[13C]'))).toEqual([3, 0, 4, 0])
+    expect(getHydrogenCounts(decodeToAST('[Na]'))).toEqual([0])
+  })
+})
+
+describe('withExplicitHydrogens', () => {
+  test('sets a hydrogen count on every atom without changing the graph', () => {
+    const graph = decodeToAST('[C][O]')
+    expect(withExplicitHydrogens(graph).atoms.map(atom => atom.hydrogens)).toEqual([3, 1])
+    expect(graph.atoms[0].hydrogens).toBeUndefined()
+  })
+})
+
+describe('collapseHydrogens', () => {
+  test('removes [H] atoms and renumbers the graph', () => {
+    const graph = parseSmiles('[H]OC([H])C')
+    collapseHydrogens(graph)
+    expect(graph.atoms.map(atom => atom.element)).toEqual(['O', 'C', 'C'])
+    expect(graph.bonds.map(bond => [bond.from, bond.to])).toEqual([[0, 1], [1, 2]])
+    expect(graph.spans.atoms).toEqual([{ start: 3, end: 4 }, { start: 4, end: 5 }, { start: 10, end: 11 }])
+  })
+
+  test('adds the hydrogens to bracket atoms', () => {
+    const graph = parseSmiles('[NH2+]([H])C')
+    collapseHydrogens(graph)
+    expect(graph.atoms[0].hydrogens).toBe(3)
+  })
+
+  test('drops chirality from centres left with two hydrogens', () => {
+    const graph = parseSmiles('[H][C@H](O)N')
+    collapseHydrogens(graph)
+    expect(graph.atoms[0]).toMatchObject({ hydrogens: 2, chirality: null })
+  })
+})
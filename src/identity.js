@@ -0,0 +1,125 @@
+/**
+ * Identity - Checks whether SELFIES strings describe the same molecule
+ *
+ * One molecule has many SELFIES: atoms can be written in any order, rings
+ * closed from either end, aromatic rings in either Kekulé structure, and
+ * hydrogens as counts or [H] atoms. Each molecule is normalized (hydrogens
+ * as counts, aromaticity perceived) and labelled canonically with
+ * canonical.js, and the canonical SMILES of the results compared, so no
+ * RDKit is needed.
+ */
+
+import { decodeToAST, graphToSmiles } from './decoder.js'
+import { parseSmiles } from './smilesParser.js'
+import { kekulize } from './kekulize.js'
+import { collapseHydrogens, getHydrogenCounts, getImplicitHydrogens } from './hydrogens.js'
+import { markAromaticity } from './aromaticity.js'
+import { canonicalizeGraph } from './canonical.js'
+import { getChirality } from './stereo.js'
+
+/**
+ * Checks if two SELFIES strings describe the same molecule
+ * @param {string} a - SELFIES string
+ * @param {string} b - SELFIES string
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.stereo=true] - Compare chirality and
+ *   double-bond configuration
+ * @param {boolean} [options.charges=true] - Compare formal charges; if
+ *   false, charged atoms are compared as neutral atoms with their default
+ *   hydrogens, so acetate matches acetic acid
+ * @returns {boolean} True if the molecules are the same
+ * @throws {Error} If a SELFIES string is invalid
+ *
+ * Example:
+ *   isSameMolecule('[C][C][O]', '[O][C][C]') // => true
+ *   isSameMolecule('[C][C@H1][Branch1][C][N][O]', '[C][C@@H1][Branch1][C][N][O]') // => false
+ *   isSameMolecule('[C][C@H1][Branch1][C][N][O]', '[C][C@@H1][Branch1][C][N][O]', { stereo: false }) // => true
+ */
+export function isSameMolecule(a, b, options = {}) {
+  return getMoleculeKey(a, options) === getMoleculeKey(b, options)
+}
+
+/**
+ * Gets a string that is equal for SELFIES of the same molecule
+ * @param {string} selfies - SELFIES string
+ * @param {Object} [options] - stereo and charges, as for isSameMolecule()
+ * @returns {string} Canonical aromatic SMILES with every hydrogen count
+ *   written, e.g. '[CH3][CH2][OH]'; '' for an empty molecule
+ * @throws {Error} If the SELFIES string is invalid
+ *
+ * Compute keys once to compare or deduplicate many molecules.
+ */
+export function getMoleculeKey(selfies, options = {}) {
+  const graph = decodeToAST(selfies)
+  if (!graph.atoms.some(atom => atom.element === 'H')) return getGraphKey(graph, options)
+
+  // Fold [H] atoms into counts, as the encoder's collapseHydrogens option does
+  return getSmilesKey(graphToSmiles(graph), options)
+}
+
+/**
+ * Gets the molecule key of a SMILES string, as getMoleculeKey() does for
+ * SELFIES
+ * @param {string} smiles - SMILES string
+ * @param {Object} [options] - stereo and charges, as for isSameMolecule()
+ * @returns {string} Molecule key
+ * @throws {EncodeError} If the SMILES string is invalid or cannot be
+ *   kekulized
+ */
+export function getSmilesKey(smiles, options = {}) {
+  const parsed = parseSmiles(smiles)
+  kekulize(parsed, smiles)
+  collapseHydrogens(parsed)
+
+  const atoms = parsed.atoms.map(atom => {
+    const converted = { element: atom.element, stereo: atom.chirality ? `${atom.element}${atom.chirality}` : null }
+    if (atom.bracket) converted.hydrogens = atom.hydrogens
+    if (atom.isotope) converted.isotope = atom.isotope
+    if (atom.charge) converted.charge = atom.charge
+    return converted
+  })
+  return getGraphKey({ atoms, bonds: parsed.bonds, rings: parsed.rings }, options)
+}
+
+/**
+ * Gets the molecule key of a graph in decodeToAST() form
+ * @param {Object} graph - Molecule graph
+ * @param {Object} [options] - stereo and charges, as for isSameMolecule()
+ * @returns {string} Molecule key
+ */
+function getGraphKey(graph, options = {}) {
+  const { stereo = true, charges = true } = options
+  const counts = getHydrogenCounts(graph)
+  const bondOrderSums = graph.atoms.map(() => 0)
+  for (const edge of [...graph.bonds, ...graph.rings]) {
+    bondOrderSums[edge.from] += edge.order
+    bondOrderSums[edge.to] += edge.order
+  }
+
+  const atoms = graph.atoms.map((atom, index) => {
+    const charge = charges ? atom.charge || 0 : 0
+    const hydrogens = atom.charge && !charges ?
+      getImplicitHydrogens(atom.element, bondOrderSums[index]) :
+      counts[index]
+    const chirality = stereo ? getChirality(atom) : null
+    const hydrogenSymbol = hydrogens === 0 ? '' : `H${hydrogens === 1 ? '' : hydrogens}`
+
+    const normalized = {
+      element: atom.element,
+      stereo: chirality ? `${atom.element}${chirality}${hydrogenSymbol}` : null,
+      hydrogens
+    }
+    if (atom.isotope) normalized.isotope = atom.isotope
+    if (charge) normalized.charge = charge
+    return normalized
+  })
+
+  const normalizeEdge = ({ from, to, order, stereo: bondStereo }) =>
+    (stereo && bondStereo ? { from, to, order, stereo: bondStereo } : { from, to, order })
+  const normalized = markAromaticity({
+    atoms,
+    bonds: graph.bonds.map(normalizeEdge),
+    rings: graph.rings.map(normalizeEdge)
+  })
+  return graphToSmiles(canonicalizeGraph(normalized).graph)
+}
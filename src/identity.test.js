@@ -0,0 +1,99 @@
+/**
+ * Tests for molecule identity
+ */
+
+import { describe, test, expect } from 'bun:test'
+import { isSameMolecule, getMoleculeKey, getSmilesKey } from './identity.js'
+import { enumerateSelfies, randomSelfies } from './enumeration.js'
+import { encode } from './encoder.js'
+
+function same(a, b, options) {
+  return isSameMolecule(encode(a), encode(b), options)
+}
+
+describe('isSameMolecule', () => {
+  test('ignores atom order and branch layout', () => {
+    expect(isSameMolecule('[C][C][O]', '[O][C][C]')).toBe(true)
+    expect(isSameMolecule('[C][Branch1][C][O][C]', '[C][C][O]')).toBe(true)
+    expect(same('CC(=O)Oc1ccccc1C(=O)O', 'OC(=O)c1ccccc1OC(C)=O')).toBe(true)
+  })
+
+  test('matches every randomized SELFIES of a molecule', () => {
+    const ibuprofen = encode('CC(C)Cc1ccc(cc1)[C@@H](C)C(=O)O')
+    for (const variant of enumerateSelfies(ibuprofen, { count: 20, seed: 1 })) {
+      expect(isSameMolecule(ibuprofen, variant)).toBe(true)
+    }
+  })
+
+  test('matches randomized SELFIES of a symmetric cage', () => {
+    // Every atom of dodecahedrane looks alike until a tie is broken
+    const dodecahedrane = encode('C12C3C4C5C1C6C7C8C2C9C3C%10C4C%11C5C6C%12C7C%13C8C9C%10C%11C%12%13')
+    for (let seed = 0; seed < 20; seed++) {
+      expect(isSameMolecule(dodecahedrane, randomSelfies(dodecahedrane, { seed }))).toBe(true)
+    }
+  })
+
+  test('ignores the Kekulé structure of aromatic rings', () => {
+    expect(same('C1=CC=CC=C1', 'C=1C=CC=CC=1')).toBe(true)
+    expect(same('Cc1ccc2ccccc2c1', 'CC1=CC2=CC=CC=C2C=C1')).toBe(true)
+  })
+
+  test('folds [H] atoms into hydrogen counts', () => {
+    expect(isSameMolecule(encode('[H]OC([H])([H])[H]'), '[C][O]')).toBe(true)
+    expect(same('[CH4]', 'C')).toBe(true)
+  })
+
+  test('tells different molecules apart', () => {
+    expect(isSameMolecule('[C][C][O]', '[C][O][C]')).toBe(false)
+    expect(isSameMolecule('[C][C]', '[C][=C]')).toBe(false)
+    expect(same('Cc1ccc(C)cc1', 'Cc1cccc(C)c1')).toBe(false)
+    expect(same('[13CH4]', 'C')).toBe(false)
+    expect(same('c1ccccc1', 'C1CCCCC1')).toBe(false)
+  })
+
+  test('compares stereo unless told not to', () => {
+    expect(same('C[C@H](N)O', 'C[C@@H](N)O')).toBe(false)
+    expect(same('C[C@H](N)O', 'C[C@@H](N)O', { stereo: false })).toBe(true)
+    expect(same('C[C@H](N)O', 'O[C@@H](N)C')).toBe(true)
+    expect(same('F/C=C/F', 'F/C=C\\F')).toBe(false)
+    expect(same('F/C=C/F', 'F\\C=C\\F')).toBe(true)
+    expect(same('F/C=C/F', 'F/C=C\\F', { stereo: false })).toBe(true)
+    expect(same('C[C@H]1CC[C@@H](C)CC1', 'C[C@@H]1CC[C@@H](C)CC1')).toBe(false)
+  })
+
+  test('compares charges unless told not to', () => {
+    expect(same('CC(=O)[O-]', 'CC(=O)O')).toBe(false)
+    expect(same('CC(=O)[O-]', 'CC(=O)O', { charges: false })).toBe(true)
+    expect(same('[NH3+]CC(=O)[O-]', 'NCC(=O)O', { charges: false })).toBe(true)
+    expect(same('C[N+](C)(C)C', 'CN(C)C', { charges: false })).toBe(false)
+  })
+
+  test('compares fragments as a whole', () => {
+    expect(same('CC(=O)[O-].[Na+]', '[Na+].CC([O-])=O')).toBe(true)
+    expect(same('CC(=O)[O-].[Na+]', 'CC(=O)[O-].[K+]')).toBe(false)
+  })
+
+  test('treats empty SELFIES as the same empty molecule', () => {
+    expect(isSameMolecule('', '')).toBe(true)
+    expect(isSameMolecule('', '[C]')).toBe(false)
+  })
+})
+
+describe('getMoleculeKey', () => {
+  test('writes canonical aromatic SMILES with every hydrogen count', () => {
+    expect(getMoleculeKey('[O][C][C]')).toBe('[CH3][CH2][OH]')
+    expect(getMoleculeKey('[C][=C][C][=C][C][=C][Ring1][=Branch1]')).toBe('[cH]1[cH][cH][cH][cH][cH]1')
+  })
+})
+
+describe('getSmilesKey', () => {
+  test('gives the key of the same molecule written as SELFIES', () => {
+    for (const smiles of ['c1cc[nH]c1', 'N[C@@H](Cc1ccccc1)C(=O)O', 'O=[N+]([O-])c1ccccc1', '[2H]C([2H])([2H])O']) {
+      expect(getSmilesKey(smiles)).toBe(getMoleculeKey(encode(smiles)))
+    }
+  })
+
+  test('rejects invalid SMILES', () => {
+    expect(() => getSmilesKey('C1CC')).toThrow()
+  })
+})
@@ -15,10 +15,72 @@ export { tokenize, join, lenSelfies } from './tokenizer.js'
 // Properties
 export { getMolecularWeight } from './properties/molecularWeight.js'
 export { getFormula } from './properties/formula.js'
+export { getExactMass, getAdductMz, getIsotopePattern } from './properties/massSpec.js'
+export { getAtomicMass, getValence, getSupportedElements } from './properties/atoms.js'
+export { getHydrogenCounts } from './hydrogens.js'
+export {
+  getDescriptors,
+  getHBondDonors,
+  getHBondAcceptors,
+  getRotatableBonds,
+  getTPSA,
+  getLogP,
+  getMolarRefractivity,
+  getRingCount,
+  getHeavyAtomCount,
+  checkLipinski,
+  checkVeber
+} from './properties/descriptors.js'
+
+// Ring analysis
+export { getRingInfo } from './ringInfo.js'
+
+// Substructure search
+export { parseSmarts } from './smarts.js'
+export { findSubstructureMatches, createMatcher, hasSubstructure, filterBySubstructure } from './substructure.js'
+
+// Fingerprints and similarity
+export {
+  getMorganFingerprint,
+  getMaccsKeys,
+  getFingerprint,
+  tanimoto,
+  dice,
+  getTanimotoSimilarity,
+  getDiceSimilarity,
+  countBits
+} from './fingerprints.js'
+
+// Diversity and clustering
+export { pickDiverse, clusterButina } from './diversity.js'
+
+// Scaffolds
+export { getScaffold, getGenericFramework, groupByScaffold } from './scaffold.js'
+
+// Molecule identity
+export { isSameMolecule, getMoleculeKey } from './identity.js'
 
 // Alphabet
 export { getAlphabet, getSemanticAlphabet, getAlphabetFromSelfies } from './alphabet.js'
 
+// Machine learning encodings
+export {
+  createVocabulary,
+  selfiesToEncoding,
+  encodingToSelfies,
+  batchSelfiesToFlatHot,
+  batchFlatHotToSelfies
+} from './encoding.js'
+
+// Random generation
+export { generateSelfies } from './generator.js'
+
+// Mutation
+export { mutate, crossover, chemicalPath } from './mutation.js'
+
+// Randomized and canonical SELFIES
+export { randomSmiles, randomSelfies, enumerateSelfies, canonicalize } from './enumeration.js'
+
 // Constraints
 export {
   getPresetConstraints,
@@ -0,0 +1,230 @@
+/**
+ * Kekulize - Assigns alternating single/double bonds to aromatic systems
+ *
+ * Based on selfies-py's kekulize.py: aromatic atoms that still have a free
+ * valence after their explicit bonds and hydrogens form the "pi subgraph",
+ * and a perfect matching of that subgraph gives the double bonds.
+ */
+
+import { EncodeError } from './errors.js'
+
+/**
+ * Allowed valences for aromatic atoms, keyed like the semantic constraints
+ * ('N+1' is an N with charge +1). Charged atoms take the valences of their
+ * isoelectronic neutral neighbour, e.g. [n+] behaves like c.
+ */
+const AROMATIC_VALENCES = {
+  'B': [3], 'B-1': [4],
+  'C': [4], 'C+1': [3], 'C-1': [3],
+  'N': [3, 5], 'N+1': [4], 'N-1': [2],
+  'O': [2, 4], 'O+1': [3, 5],
+  'P': [3, 5], 'P+1': [4], 'P-1': [2],
+  'S': [2, 4, 6], 'S+1': [3, 5],
+  'As': [3, 5], 'As+1': [4],
+  'Se': [2, 4, 6], 'Se+1': [3, 5],
+  'Te': [2, 4, 6], 'Te+1': [3, 5]
+}
+
+/**
+ * Replaces aromatic (1.5) bond orders with a Kekulé structure
+ * @param {Object} graph - Molecule graph from parseSmiles() (modified in place)
+ * @param {string} [smiles] - Source SMILES, for error reporting
+ * @returns {Object} The same graph
+ * @throws {EncodeError} If an aromatic system cannot be kekulized
+ *
+ * Example:
+ *   kekulize(parseSmiles('c1ccccc1'))
+ *   // ring bonds alternate 1, 2, 1, 2, 1, 2
+ */
+export function kekulize(graph, smiles = null) {
+  if (!graph.atoms.some(atom => atom.aromatic)) return graph
+
+  const aromaticBonds = [...graph.bonds, ...graph.rings].filter(bond => bond.order === 1.5)
+
+  const piAtoms = getPiSubgraphAtoms(graph)
+
+  // Map pi atoms to dense indices for the matching
+  const piIndex = new Map()
+  piAtoms.forEach(atomIndex => piIndex.set(atomIndex, piIndex.size))
+
+  const adjacency = piAtoms.map(() => [])
+  const edgeBonds = new Map()
+  for (const bond of aromaticBonds) {
+    const u = piIndex.get(bond.from)
+    const v = piIndex.get(bond.to)
+    if (u === undefined || v === undefined) continue
+    adjacency[u].push(v)
+    adjacency[v].push(u)
+    edgeBonds.set(edgeKey(u, v), bond)
+  }
+
+  const match = findPerfectMatching(adjacency)
+  const unmatched = match.findIndex(partner => partner === -1)
+  if (unmatched !== -1) {
+    const atom = graph.atoms[piAtoms[unmatched]]
+    throw new EncodeError(
+      `Cannot kekulize aromatic system: no double bond can be placed at atom ${piAtoms[unmatched]} (${atom.element.toLowerCase()})`,
+      smiles
+    )
+  }
+
+  match.forEach((v, u) => {
+    if (u < v) edgeBonds.get(edgeKey(u, v)).order = 2
+  })
+  for (const bond of aromaticBonds) {
+    if (bond.order === 1.5) bond.order = 1
+  }
+
+  return graph
+}
+
+/**
+ * Finds the aromatic atoms that need a double bond
+ * @param {Object} graph - Molecule graph
+ * @returns {number[]} Atom indices
+ *
+ * An aromatic atom needs a double bond when its explicit bonds (aromatic
+ * bonds counted as single) and hydrogens leave at least one free valence.
+ * Pyrrole-type [nH], furan o, and thiophene s do not.
+ */
+function getPiSubgraphAtoms(graph) {
+  const usedValence = graph.atoms.map(atom => atom.hydrogens || 0)
+  for (const bond of [...graph.bonds, ...graph.rings]) {
+    const order = bond.order === 1.5 ? 1 : bond.order
+    usedValence[bond.from] += order
+    usedValence[bond.to] += order
+  }
+
+  const piAtoms = []
+  graph.atoms.forEach((atom, index) => {
+    if (!atom.aromatic) return
+
+    const charge = atom.charge || 0
+    const key = charge === 0 ? atom.element : `${atom.element}${charge > 0 ? '+' : ''}${charge}`
+    const valences = AROMATIC_VALENCES[key] || []
+    const valence = valences.find(v => v >= usedValence[index])
+
+    if (valence !== undefined && valence > usedValence[index]) {
+      piAtoms.push(index)
+    }
+  })
+
+  return piAtoms
+}
+
+/**
+ * Finds a maximum matching with Edmonds' blossom algorithm
+ * @param {number[][]} adjacency - Adjacency lists
+ * @returns {number[]} Partner of each vertex, or -1 if unmatched
+ */
+export function findPerfectMatching(adjacency) {
+  const n = adjacency.length
+  const match = new Array(n).fill(-1)
+
+  // Greedy start, lowest degree first, leaves few augmenting paths to find
+  const order = [...adjacency.keys()].sort((a, b) => adjacency[a].length - adjacency[b].length)
+  for (const u of order) {
+    if (match[u] !== -1) continue
+    const v = adjacency[u].find(w => match[w] === -1)
+    if (v !== undefined) {
+      match[u] = v
+      match[v] = u
+    }
+  }
+
+  for (const root of order) {
+    if (match[root] === -1) augment(root, adjacency, match)
+  }
+
+  return match
+}
+
+/**
+ * Searches for an augmenting path from a free vertex and applies it
+ * @param {number} root - Unmatched vertex
+ * @param {number[][]} adjacency - Adjacency lists
+ * @param {number[]} match - Current matching (modified in place)
+ * @returns {boolean} True if the matching grew
+ */
+function augment(root, adjacency, match) {
+  const n = adjacency.length
+  const parent = new Array(n).fill(-1)
+  const base = [...Array(n).keys()]
+  const used = new Array(n).fill(false)
+  const queue = [root]
+  used[root] = true
+
+  const findLca = (a, b) => {
+    const seen = new Array(n).fill(false)
+    for (;;) {
+      a = base[a]
+      seen[a] = true
+      if (match[a] === -1) break
+      a = parent[match[a]]
+    }
+    for (;;) {
+      b = base[b]
+      if (seen[b]) return b
+      b = parent[match[b]]
+    }
+  }
+
+  const markPath = (v, b, child, blossom) => {
+    while (base[v] !== b) {
+      blossom[base[v]] = true
+      blossom[base[match[v]]] = true
+      parent[v] = child
+      child = match[v]
+      v = parent[match[v]]
+    }
+  }
+
+  for (let head = 0; head < queue.length; head++) {
+    const v = queue[head]
+    for (const to of adjacency[v]) {
+      if (base[v] === base[to] || match[v] === to) continue
+
+      if (to === root || (match[to] !== -1 && parent[match[to]] !== -1)) {
+        // Odd cycle: contract the blossom
+        const current = findLca(v, to)
+        const blossom = new Array(n).fill(false)
+        markPath(v, current, to, blossom)
+        markPath(to, current, v, blossom)
+        for (let i = 0; i < n; i++) {
+          if (blossom[base[i]]) {
+            base[i] = current
+            if (!used[i]) {
+              used[i] = true
+              queue.push(i)
+            }
+          }
+        }
+      } else if (parent[to] === -1) {
+        parent[to] = v
+        if (match[to] === -1) {
+          // Augmenting path found: flip it
+          let u = to
+          while (u !== -1) {
+            const prev = parent[u]
+            const next = match[prev]
+            match[u] = prev
+            match[prev] = u
+            u = next
+          }
+          return true
+        }
+        used[match[to]] = true
+        queue.push(match[to])
+      }
+    }
+  }
+
+  return false
+}
+
+/**
+ * Builds a lookup key for an undirected edge
+ */
+function edgeKey(u, v) {
+  return u < v ? `${u},${v}` : `${v},${u}`
+}
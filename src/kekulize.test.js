@@ -0,0 +1,75 @@
+/**
+ * Tests for kekulization of aromatic SMILES
+ */
+
+import { describe, test, expect } from 'bun:test'
+import { kekulize } from './kekulize.js'
+import { parseSmiles } from './smilesParser.js'
+import { EncodeError } from './errors.js'
+
+/**
+ * Counts double bonds on each atom of a kekulized graph
+ */
+function countDoubleBonds(graph) {
+  const counts = graph.atoms.map(() => 0)
+  for (const bond of [...graph.bonds, ...graph.rings]) {
+    if (bond.order === 2) {
+      counts[bond.from]++
+      counts[bond.to]++
+    }
+  }
+  return counts
+}
+
+describe('kekulize', () => {
+  test('alternates bonds in benzene', () => {
+    const graph = kekulize(parseSmiles('c1ccccc1'))
+    expect(countDoubleBonds(graph)).toEqual([1, 1, 1, 1, 1, 1])
+  })
+
+  test('leaves no aromatic bond orders', () => {
+    const graph = kekulize(parseSmiles('c1ccc2ccccc2c1'))
+    const orders = [...graph.bonds, ...graph.rings].map(bond => bond.order)
+    expect(orders.every(order => order === 1 || order === 2)).toBe(true)
+    expect(countDoubleBonds(graph)).toEqual(graph.atoms.map(() => 1))
+  })
+
+  test('gives pyrrole-type nitrogen no double bond', () => {
+    const graph = kekulize(parseSmiles('c1cc[nH]c1'))
+    expect(countDoubleBonds(graph)).toEqual([1, 1, 1, 0, 1])
+  })
+
+  test('gives furan oxygen and thiophene sulfur no double bond', () => {
+    expect(countDoubleBonds(kekulize(parseSmiles('c1ccoc1')))).toEqual([1, 1, 1, 0, 1])
+    expect(countDoubleBonds(kekulize(parseSmiles('c1ccsc1')))).toEqual([1, 1, 1, 0, 1])
+  })
+
+  test('respects exocyclic double bonds', () => {
+    // Pyridone: the carbonyl carbon takes no ring double bond
+    const graph = kekulize(parseSmiles('O=c1cc[nH]cc1'))
+    expect(countDoubleBonds(graph)).toEqual([1, 1, 1, 1, 0, 1, 1])
+  })
+
+  test('kekulizes fused heteroaromatics', () => {
+    for (const smiles of ['c1ncc2[nH]cnc2n1', 'c1ccc2c(c1)[nH]c1ccccc12', 'c1cc2ccc3cccc4ccc(c1)c2c34']) {
+      const graph = kekulize(parseSmiles(smiles))
+      const counts = countDoubleBonds(graph)
+      expect(counts.every(count => count <= 1)).toBe(true)
+    }
+  })
+
+  test('treats charged aromatic atoms by their valence', () => {
+    // [n+] in pyridinium still needs a double bond
+    expect(countDoubleBonds(kekulize(parseSmiles('C[n+]1ccccc1')))).toEqual([0, 1, 1, 1, 1, 1, 1])
+  })
+
+  test('leaves non-aromatic molecules unchanged', () => {
+    const graph = kekulize(parseSmiles('C1CC=CC1'))
+    expect(graph.bonds.map(bond => bond.order)).toEqual([1, 1, 2, 1])
+  })
+
+  test('throws EncodeError when a system cannot be kekulized', () => {
+    expect(() => kekulize(parseSmiles('c1cccc1'))).toThrow(EncodeError)
+    expect(() => kekulize(parseSmiles('n1cccc1'))).toThrow('Cannot kekulize')
+  })
+})
@@ -0,0 +1,94 @@
+/**
+ * Molecule - Heavy-atom view of decoded molecule graphs
+ *
+ * Most chemistry is written in terms of heavy atoms, their hydrogen counts,
+ * and typed bonds between them, rather than the graph from decodeToAST()
+ * with its tree bonds, ring closures, and occasional [H] atoms. This module
+ * builds that view once, with rings and aromaticity from ringInfo.js, for
+ * the descriptors and the substructure matcher.
+ */
+
+import { getHydrogenCounts } from './hydrogens.js'
+import { getRingInfo } from './ringInfo.js'
+
+/**
+ * Bond symbols by bond order, for non-aromatic bonds
+ */
+const BOND_SYMBOLS = { 1: '-', 2: '=', 3: '#' }
+
+/**
+ * Builds the heavy-atom view of a molecule graph
+ * @param {Object} graph - Molecule graph from decodeToAST()
+ * @returns {Object} { atoms, rings, ringBonds, hydrogenAtoms }
+ *
+ * Each atom is { index, element, isotope, aromatic, charge, hydrogens,
+ * neighbors }, with index its position in graph.atoms, hydrogens counting
+ * both implicit hydrogens and [H] atoms bonded to it, and neighbors as
+ * { atom, bond } over heavy atoms, bond being '-', '=', '#', or ':'
+ * (aromatic). Rings are SSSR rings of view indices, ringBonds a set of
+ * pairKey()s, and hydrogenAtoms the number of hydrogen neighbors of each
+ * [H] atom not bonded to a heavy atom (as in H2).
+ */
+export function buildMolecule(graph) {
+  const ringInfo = getRingInfo(graph)
+  const flags = ringInfo.aromaticity
+  const counts = getHydrogenCounts(graph)
+  const edges = [...graph.bonds, ...graph.rings]
+  const edgeAromatic = [...flags.bonds, ...flags.rings]
+
+  const isHeavy = graph.atoms.map(atom => atom.element !== 'H')
+  const heavyIndex = []
+  const atoms = []
+  graph.atoms.forEach((atom, index) => {
+    if (!isHeavy[index]) return
+    heavyIndex[index] = atoms.length
+    atoms.push({
+      index,
+      element: atom.element,
+      isotope: atom.isotope || 0,
+      aromatic: flags.atoms[index],
+      charge: atom.charge || 0,
+      hydrogens: counts[index],
+      neighbors: []
+    })
+  })
+
+  const hydrogenNeighbors = graph.atoms.map(() => ({ heavy: 0, hydrogen: 0 }))
+  edges.forEach((edge, index) => {
+    const { from, to } = edge
+    if (isHeavy[from] && isHeavy[to]) {
+      const bond = edgeAromatic[index] ? ':' : BOND_SYMBOLS[edge.order]
+      atoms[heavyIndex[from]].neighbors.push({ atom: heavyIndex[to], bond })
+      atoms[heavyIndex[to]].neighbors.push({ atom: heavyIndex[from], bond })
+      return
+    }
+    for (const [self, other] of [[from, to], [to, from]]) {
+      if (isHeavy[self]) {
+        atoms[heavyIndex[self]].hydrogens++
+      } else {
+        hydrogenNeighbors[self][isHeavy[other] ? 'heavy' : 'hydrogen']++
+      }
+    }
+  })
+
+  const hydrogenAtoms = graph.atoms.flatMap((atom, index) =>
+    (!isHeavy[index] && hydrogenNeighbors[index].heavy === 0 ? [hydrogenNeighbors[index].hydrogen] : []))
+
+  const rings = ringInfo.rings
+    .map(ring => ring.atoms)
+    .filter(ring => ring.every(atom => isHeavy[atom]))
+    .map(ring => ring.map(atom => heavyIndex[atom]))
+  const ringBonds = new Set(rings.flatMap(ring => ring.map((atom, i) => pairKey(atom, ring[(i + 1) % ring.length]))))
+
+  return { atoms, rings, ringBonds, hydrogenAtoms }
+}
+
+/**
+ * Builds a lookup key for the bond between two atoms
+ * @param {number} a - Atom index
+ * @param {number} b - Atom index
+ * @returns {string} The same key for (a, b) and (b, a)
+ */
+export function pairKey(a, b) {
+  return a < b ? `${a}-${b}` : `${b}-${a}`
+}
@@ -0,0 +1,205 @@
+/**
+ * Mutation - STONED-style operators for genetic algorithms on SELFIES
+ *
+ * Based on STONED (Nigam et al., Chem. Sci. 2021): because every SELFIES
+ * string decodes, molecules can be varied by editing tokens directly.
+ * All operators are deterministic for a given seed, and every child they
+ * return decodes to a non-empty SMILES under the active constraints. The
+ * decoder caps every bond, ring closures included, by the free valence of
+ * its atoms, so children never have over-valent atoms.
+ */
+
+import { getSemanticAlphabet } from './alphabet.js'
+import { decode } from './decoder.js'
+import { getSampleTokens } from './generator.js'
+import { join, tokenize } from './tokenizer.js'
+import { createRandom, pick, randomInt, shuffle } from './random.js'
+
+/**
+ * Point mutation operations
+ */
+const OPERATIONS = ['replace', 'insert', 'delete']
+
+/**
+ * Attempts per child before giving up on an operator
+ */
+const MAX_ATTEMPTS = 100
+
+/**
+ * Applies random point mutations to a SELFIES string
+ * @param {string} selfies - Parent SELFIES string
+ * @param {Object} [options] - Options
+ * @param {number} [options.seed] - Seed for reproducible output
+ * @param {Iterable<string>|Object} [options.alphabet] - Tokens to insert or
+ *   replace with, or a vocabulary; defaults to getSemanticAlphabet()
+ * @param {string[]} [options.operations] - Any of 'replace', 'insert', and
+ *   'delete'; one is picked at random for each mutation
+ * @param {number} [options.mutations=1] - Number of point mutations
+ * @returns {{selfies: string, smiles: string}} Mutated child
+ * @throws {Error} If no decodable child is found
+ *
+ * Example:
+ *   mutate('[C][C][O]', { seed: 1 })
+ *   // { selfies: '[C][N][O]', smiles: 'CNO' } (for example)
+ */
+export function mutate(selfies, options = {}) {
+  const {
+    seed,
+    alphabet = getSemanticAlphabet(),
+    operations = OPERATIONS,
+    mutations = 1
+  } = options
+
+  const unknown = operations.filter(operation => !OPERATIONS.includes(operation))
+  if (unknown.length > 0 || operations.length === 0) {
+    throw new Error(`Unknown mutation operations: ${unknown.join(', ') || '(none given)'}`)
+  }
+
+  const tokens = getSampleTokens(alphabet)
+  if (tokens.length === 0 && operations.some(operation => operation !== 'delete')) {
+    throw new Error('Cannot insert or replace tokens: the alphabet is empty')
+  }
+
+  const random = createRandom(seed)
+  const parent = tokenize(selfies)
+
+  return findChild(() => {
+    let child = parent
+    for (let i = 0; i < mutations; i++) {
+      child = applyMutation(random, child, pick(random, operations), tokens)
+    }
+    return child
+  }, 'mutate')
+}
+
+/**
+ * Combines the start of one parent with the end of another
+ * @param {string} parentA - First parent SELFIES string
+ * @param {string} parentB - Second parent SELFIES string
+ * @param {Object} [options] - Options
+ * @param {number} [options.seed] - Seed for reproducible output
+ * @returns {{selfies: string, smiles: string}} Child
+ * @throws {Error} If no decodable child is found
+ *
+ * Each parent is cut at its own random position, and the child is the
+ * tokens of parentA before its cut followed by those of parentB after its
+ * cut (single-point crossover).
+ *
+ * Example:
+ *   crossover('[C][C][C][C]', '[O][O][O][O]', { seed: 3 })
+ *   // { selfies: '[C][C][O]', smiles: 'CCO' } (for example)
+ */
+export function crossover(parentA, parentB, options = {}) {
+  const { seed } = options
+
+  const random = createRandom(seed)
+  const a = tokenize(parentA)
+  const b = tokenize(parentB)
+
+  return findChild(() => {
+    const cutA = randomInt(random, 0, a.length)
+    const cutB = randomInt(random, 0, b.length)
+    return [...a.slice(0, cutA), ...b.slice(cutB)]
+  }, 'crossover')
+}
+
+/**
+ * Interpolates between two molecules one token at a time
+ * @param {string} start - Starting SELFIES string
+ * @param {string} end - Target SELFIES string
+ * @param {Object} [options] - Options
+ * @param {number} [options.seed] - Seed for reproducible output
+ * @returns {{selfies: string, smiles: string}[]} Path from start to end,
+ *   inclusive
+ *
+ * Follows STONED's chemical path: the shorter string is padded with [nop],
+ * then the positions where the strings differ are changed to the target's
+ * token in random order. Each step is one molecule on the path; [nop] is
+ * removed from the returned strings. Consecutive steps can decode to the
+ * same SMILES.
+ *
+ * Example:
+ *   chemicalPath('[C][C][C]', '[C][O]', { seed: 5 }).map(step => step.smiles)
+ *   // ['CCC', 'CC', 'CO'] (for example)
+ */
+export function chemicalPath(start, end, options = {}) {
+  const { seed } = options
+
+  const random = createRandom(seed)
+  const length = Math.max(tokenize(start).length, tokenize(end).length)
+  const current = padTokens(tokenize(start), length)
+  const target = padTokens(tokenize(end), length)
+
+  const differing = [...current.keys()].filter(i => current[i] !== target[i])
+  const path = [toMolecule(current)]
+  for (const i of shuffle(random, differing)) {
+    current[i] = target[i]
+    path.push(toMolecule(current))
+  }
+
+  return path
+}
+
+/**
+ * Applies one point mutation
+ * @param {function(): number} random - Generator from createRandom()
+ * @param {string[]} tokens - Parent tokens
+ * @param {string} operation - 'replace', 'insert', or 'delete'
+ * @param {string[]} alphabet - Tokens to insert or replace with
+ * @returns {string[]} Mutated tokens
+ */
+function applyMutation(random, tokens, operation, alphabet) {
+  const child = [...tokens]
+
+  if (operation === 'insert' || child.length === 0) {
+    child.splice(randomInt(random, 0, child.length), 0, pick(random, alphabet))
+  } else if (operation === 'delete') {
+    child.splice(randomInt(random, 0, child.length - 1), 1)
+  } else {
+    const position = randomInt(random, 0, child.length - 1)
+    const replacements = alphabet.filter(token => token !== child[position])
+    if (replacements.length > 0) child[position] = pick(random, replacements)
+  }
+
+  return child
+}
+
+/**
+ * Generates children until one decodes to a non-empty SMILES
+ * @param {function(): string[]} generate - Produces candidate tokens
+ * @param {string} operator - Operator name for the error message
+ * @returns {{selfies: string, smiles: string}} Child
+ */
+function findChild(generate, operator) {
+  for (let attempt = 0; attempt < MAX_ATTEMPTS; attempt++) {
+    const child = toMolecule(generate())
+    if (child.smiles !== '') return child
+  }
+  throw new Error(`${operator}: no decodable child found in ${MAX_ATTEMPTS} attempts`)
+}
+
+/**
+ * Decodes tokens, dropping [nop] padding
+ * @param {string[]} tokens - SELFIES tokens
+ * @returns {{selfies: string, smiles: string}} Molecule
+ */
+function toMolecule(tokens) {
+  const selfies = join(tokens.filter(token => token !== '[nop]'))
+  let smiles = ''
+  try {
+    smiles = decode(selfies)
+  } catch {
+    // An undecodable candidate counts as empty
+  }
+  return { selfies, smiles }
+}
+
+/**
+ * Pads tokens with [nop] to a length
+ * @param {string[]} tokens - SELFIES tokens
+ * @param {number} length - Target length
+ * @returns {string[]} Padded tokens
+ */
+function padTokens(tokens, length) {
+  return [...tokens, ...Array(length - tokens.length).fill('[nop]')]
+}
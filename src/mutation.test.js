@@ -0,0 +1,115 @@
+/**
+ * Tests for STONED-style mutation operators
+ */
+
+import { describe, test, expect, afterEach } from 'bun:test'
+import { mutate, crossover, chemicalPath } from './mutation.js'
+import { decode } from './decoder.js'
+import { tokenize } from './tokenizer.js'
+import { getPresetConstraints, setSemanticConstraints, resetConstraints } from './constraints.js'
+
+describe('mutate', () => {
+  afterEach(() => {
+    resetConstraints()
+  })
+
+  test('returns a decodable child with its SMILES', () => {
+    for (let seed = 0; seed < 20; seed++) {
+      const child = mutate('[C][C][Branch1][C][O][N]', { seed })
+      expect(child.smiles).toBe(decode(child.selfies))
+      expect(child.smiles.length).toBeGreaterThan(0)
+    }
+  })
+
+  test('is deterministic for a seed', () => {
+    expect(mutate('[C][C][O]', { seed: 42, mutations: 3 })).toEqual(mutate('[C][C][O]', { seed: 42, mutations: 3 }))
+  })
+
+  test('replaces a token with a different one', () => {
+    for (let seed = 0; seed < 10; seed++) {
+      const tokens = tokenize(mutate('[C][C][C]', { seed, operations: ['replace'], alphabet: ['[C]', '[N]'] }).selfies)
+      expect(tokens).toHaveLength(3)
+      expect(tokens.filter(token => token === '[N]')).toHaveLength(1)
+    }
+  })
+
+  test('inserts and deletes tokens', () => {
+    const inserted = mutate('[C][C]', { seed: 1, operations: ['insert'], alphabet: ['[O]'] })
+    expect(tokenize(inserted.selfies)).toHaveLength(3)
+    expect(inserted.selfies).toContain('[O]')
+
+    const deleted = mutate('[C][O][N]', { seed: 1, operations: ['delete'] })
+    expect(tokenize(deleted.selfies)).toHaveLength(2)
+  })
+
+  test('applies several mutations', () => {
+    const child = mutate('[C][C][C][C]', { seed: 3, operations: ['delete'], mutations: 2 })
+    expect(tokenize(child.selfies)).toHaveLength(2)
+  })
+
+  test('accepts a vocabulary as the alphabet', () => {
+    const vocabulary = { stoi: { '[nop]': 0, '[F]': 1 }, itos: ['[nop]', '[F]'] }
+    const child = mutate('[C][C]', { seed: 2, operations: ['insert'], alphabet: vocabulary })
+    expect(child.selfies).toContain('[F]')
+    expect(child.selfies).not.toContain('[nop]')
+  })
+
+  test('decodes children under the active constraints', () => {
+    setSemanticConstraints({ ...getPresetConstraints('default'), C: 1 })
+    const child = mutate('[C][O]', { seed: 4, operations: ['insert'], alphabet: ['[C]'] })
+    expect(child.smiles).toBe(decode(child.selfies))
+    expect(child.smiles).not.toContain('CCC')
+  })
+
+  test('rejects unknown operations', () => {
+    expect(() => mutate('[C]', { operations: ['swap'] })).toThrow('Unknown mutation operations: swap')
+    expect(() => mutate('[C]', { operations: [] })).toThrow('Unknown mutation operations')
+  })
+
+  test('throws when no child decodes', () => {
+    expect(() => mutate('[C]', { seed: 1, operations: ['delete'] })).toThrow('no decodable child')
+    expect(() => mutate('[C]', { alphabet: [] })).toThrow('alphabet is empty')
+  })
+})
+
+describe('crossover', () => {
+  test('joins the start of one parent to the end of the other', () => {
+    for (let seed = 0; seed < 20; seed++) {
+      const child = crossover('[C][C][C][C]', '[O][O][O][O]', { seed })
+      expect(child.selfies).toMatch(/^(\[C\])*(\[O\])*$/)
+      expect(child.smiles).toBe(decode(child.selfies))
+      expect(child.smiles.length).toBeGreaterThan(0)
+    }
+  })
+
+  test('is deterministic for a seed', () => {
+    const parents = ['[C][C][Branch1][C][O][N]', '[O][=C][C][F]']
+    expect(crossover(...parents, { seed: 7 })).toEqual(crossover(...parents, { seed: 7 }))
+  })
+
+  test('throws when no child decodes', () => {
+    expect(() => crossover('[Ring1]', '[Branch1]', { seed: 1 })).toThrow('crossover: no decodable child')
+  })
+})
+
+describe('chemicalPath', () => {
+  test('goes from start to end one token at a time', () => {
+    const path = chemicalPath('[C][C][Branch1][C][O][N]', '[O][=C][C][F]', { seed: 5 })
+
+    expect(path[0]).toEqual({ selfies: '[C][C][Branch1][C][O][N]', smiles: 'CC(O)N' })
+    expect(path.at(-1)).toEqual({ selfies: '[O][=C][C][F]', smiles: 'O=CCF' })
+    // All six padded positions differ
+    expect(path).toHaveLength(7)
+    for (const step of path) {
+      expect(step.smiles).toBe(decode(step.selfies))
+    }
+  })
+
+  test('is deterministic for a seed', () => {
+    expect(chemicalPath('[C][C][C]', '[N][O]', { seed: 1 })).toEqual(chemicalPath('[C][C][C]', '[N][O]', { seed: 1 }))
+  })
+
+  test('returns a single step for identical molecules', () => {
+    expect(chemicalPath('[C][O]', '[C][O]')).toEqual([{ selfies: '[C][O]', smiles: 'CO' }])
+  })
+})
@@ -1,96 +0,0 @@
-/**
- * Tests for SELFIES parser (tokens → IR)
- */
-
-import { describe, test, expect } from 'bun:test'
-import { parse } from './parser.js'
-
-describe('parse', () => {
-  // TODO: Basic parsing
-  test('parses simple molecule', () => {
-    // TODO: const tokens = ['[C]', '[C]', '[O]']
-    // TODO: const ir = parse(tokens)
-    // TODO: expect(ir.atoms).toHaveLength(3)
-    // TODO: expect(ir.bonds).toHaveLength(2)
-  })
-
-  test('parses with bond modifiers', () => {
-    // TODO: const tokens = ['[C]', '[=C]']
-    // TODO: const ir = parse(tokens)
-    // TODO: expect(ir.bonds[0].order).toBe(2)  // double bond
-  })
-
-  test('parses triple bonds', () => {
-    // TODO: const tokens = ['[C]', '[#N]']
-    // TODO: const ir = parse(tokens)
-    // TODO: expect(ir.bonds[0].order).toBe(3)  // triple bond
-  })
-
-  // TODO: Branch parsing
-  test('parses simple branch', () => {
-    // TODO: const tokens = ['[C]', '[C]', '[Branch1]', '[C]', '[C]', '[C]']
-    // TODO: const ir = parse(tokens)
-    // TODO: expect(ir.atoms).toHaveLength(4)
-    // TODO: expect(ir.bonds).toHaveLength(3)
-  })
-
-  test('parses nested branches', () => {
-    // TODO: const tokens = ['[C]', '[C]', '[Branch1]', '[C]', '[C]', '[Branch1]', '[C]', '[C]', '[C]']
-    // TODO: const ir = parse(tokens)
-    // TODO: Verify branch structure
-  })
-
-  // TODO: Ring parsing
-  test('parses simple ring', () => {
-    // TODO: const tokens = ['[C]', '[C]', '[C]', '[Ring1]', '[C]']
-    // TODO: const ir = parse(tokens)
-    // TODO: Verify ring closure bond exists
-  })
-
-  test('parses benzene ring', () => {
-    // TODO: const tokens = ['[C]', '[=C]', '[C]', '[=C]', '[C]', '[=C]', '[Ring1]', '[=Branch1]']
-    // TODO: const ir = parse(tokens)
-    // TODO: expect(ir.atoms).toHaveLength(6)
-    // TODO: Verify alternating double bonds
-  })
-
-  // TODO: IR structure validation
-  test('returns valid IR structure', () => {
-    // TODO: const tokens = ['[C]', '[C]']
-    // TODO: const ir = parse(tokens)
-    // TODO: expect(ir).toHaveProperty('atoms')
-    // TODO: expect(ir).toHaveProperty('bonds')
-    // TODO: expect(Array.isArray(ir.atoms)).toBe(true)
-    // TODO: expect(Array.isArray(ir.bonds)).toBe(true)
-  })
-
-  test('atoms have required properties', () => {
-    // TODO: const ir = parse(['[C]'])
-    // TODO: const atom = ir.atoms[0]
-    // TODO: expect(atom).toHaveProperty('element')
-    // TODO: expect(atom).toHaveProperty('index')
-    // TODO: expect(atom).toHaveProperty('valence')
-    // TODO: expect(atom).toHaveProperty('usedValence')
-  })
-
-  test('bonds have required properties', () => {
-    // TODO: const ir = parse(['[C]', '[C]'])
-    // TODO: const bond = ir.bonds[0]
-    // TODO: expect(bond).toHaveProperty('from')
-    // TODO: expect(bond).toHaveProperty('to')
-    // TODO: expect(bond).toHaveProperty('order')
-  })
-
-  // TODO: Error cases
-  test('throws on invalid tokens', () => {
-    // TODO: expect(() => parse(['[Xyz]'])).toThrow()
-  })
-
-  test('throws on malformed branch', () => {
-    // TODO: expect(() => parse(['[Branch1]'])).toThrow()  // branch at start
-  })
-
-  test('throws on malformed ring', () => {
-    // TODO: expect(() => parse(['[Ring1]'])).toThrow()  // ring at start
-  })
-})
@@ -1,27 +1,160 @@
 /**
  * Atoms - Atomic data for SELFIES elements
  *
- * Contains atomic masses, valences, and other properties for
- * supported elements.
+ * Contains atomic masses, isotopes, valences, and names for every element
+ * of the periodic table. Average masses are IUPAC standard atomic weights
+ * (abridged); isotope masses are from the Atomic Mass Evaluation and
+ * abundances from IUPAC. Elements with no stable isotopes list their
+ * longest-lived (or most commonly used) isotope, with abundance 1, and use
+ * its mass as their average mass.
  */
 
 /**
- * Atomic data for supported elements
- * Maps element symbol to properties
+ * Elements in order of atomic number:
+ * [symbol, name, average mass, default valences, isotopes]
+ * with isotopes as [mass number, exact mass, natural abundance].
+ * The first valence is the standard one; B, C, N, O, P, S, and the
+ * halogens list the SMILES default valences.
  */
-export const ATOMIC_DATA = {
-  'C': { mass: 12.011, valence: 4, name: 'Carbon' },
-  'N': { mass: 14.007, valence: 3, name: 'Nitrogen' },
-  'O': { mass: 15.999, valence: 2, name: 'Oxygen' },
-  'S': { mass: 32.06, valence: 2, name: 'Sulfur' },
-  'P': { mass: 30.974, valence: 3, name: 'Phosphorus' },
-  'F': { mass: 18.998, valence: 1, name: 'Fluorine' },
-  'Cl': { mass: 35.45, valence: 1, name: 'Chlorine' },
-  'Br': { mass: 79.904, valence: 1, name: 'Bromine' },
-  'I': { mass: 126.904, valence: 1, name: 'Iodine' },
-  'B': { mass: 10.81, valence: 3, name: 'Boron' },
-  'H': { mass: 1.008, valence: 1, name: 'Hydrogen' }
-}
+const ELEMENTS = [
+  ['H', 'Hydrogen', 1.008, [1], [[1, 1.00782503223, 0.999885], [2, 2.01410177812, 0.000115]]],
+  ['He', 'Helium', 4.0026, [0], [[3, 3.0160293201, 0.00000134], [4, 4.00260325413, 0.99999866]]],
+  ['Li', 'Lithium', 6.94, [1], [[6, 6.0151228874, 0.0759], [7, 7.0160034366, 0.9241]]],
+  ['Be', 'Beryllium', 9.0122, [2], [[9, 9.012183065, 1]]],
+  ['B', 'Boron', 10.81, [3], [[10, 10.01293695, 0.199], [11, 11.00930536, 0.801]]],
+  ['C', 'Carbon', 12.011, [4], [[12, 12, 0.9893], [13, 13.00335483507, 0.0107]]],
+  ['N', 'Nitrogen', 14.007, [3, 5], [[14, 14.00307400443, 0.99636], [15, 15.00010889888, 0.00364]]],
+  ['O', 'Oxygen', 15.999, [2], [[16, 15.99491461957, 0.99757], [17, 16.9991317565, 0.00038], [18, 17.99915961286, 0.00205]]],
+  ['F', 'Fluorine', 18.998, [1], [[19, 18.99840316273, 1]]],
+  ['Ne', 'Neon', 20.18, [0], [[20, 19.9924401762, 0.9048], [21, 20.993846685, 0.0027], [22, 21.991385114, 0.0925]]],
+  ['Na', 'Sodium', 22.99, [1], [[23, 22.989769282, 1]]],
+  ['Mg', 'Magnesium', 24.305, [2], [[24, 23.985041697, 0.7899], [25, 24.985836976, 0.1], [26, 25.982592968, 0.1101]]],
+  ['Al', 'Aluminium', 26.982, [3], [[27, 26.98153853, 1]]],
+  ['Si', 'Silicon', 28.085, [4], [[28, 27.97692653465, 0.92223], [29, 28.9764946649, 0.04685], [30, 29.973770136, 0.03092]]],
+  ['P', 'Phosphorus', 30.974, [3, 5], [[31, 30.97376199842, 1]]],
+  ['S', 'Sulfur', 32.06, [2, 4, 6], [[32, 31.9720711744, 0.9499], [33, 32.9714589098, 0.0075], [34, 33.967867004, 0.0425], [36, 35.96708071, 0.0001]]],
+  ['Cl', 'Chlorine', 35.45, [1], [[35, 34.968852682, 0.7576], [37, 36.965902602, 0.2424]]],
+  ['Ar', 'Argon', 39.95, [0], [[36, 35.967545105, 0.003336], [38, 37.96273211, 0.000629], [40, 39.9623831237, 0.996035]]],
+  ['K', 'Potassium', 39.098, [1], [[39, 38.9637064864, 0.932581], [40, 39.963998166, 0.000117], [41, 40.9618252579, 0.067302]]],
+  ['Ca', 'Calcium', 40.078, [2], [[40, 39.962590863, 0.96941], [42, 41.95861783, 0.00647], [43, 42.95876644, 0.00135], [44, 43.95548156, 0.02086], [46, 45.953689, 0.00004], [48, 47.95252276, 0.00187]]],
+  ['Sc', 'Scandium', 44.956, [3], [[45, 44.95590828, 1]]],
+  ['Ti', 'Titanium', 47.867, [4, 3], [[46, 45.95262772, 0.0825], [47, 46.95175879, 0.0744], [48, 47.94794198, 0.7372], [49, 48.94786568, 0.0541], [50, 49.94478689, 0.0518]]],
+  ['V', 'Vanadium', 50.942, [5, 4, 3], [[50, 49.94715601, 0.0025], [51, 50.94395704, 0.9975]]],
+  ['Cr', 'Chromium', 51.996, [3, 6, 2], [[50, 49.94604183, 0.04345], [52, 51.94050623, 0.83789], [53, 52.94064815, 0.09501], [54, 53.93887916, 0.02365]]],
+  ['Mn', 'Manganese', 54.938, [2, 4, 7], [[55, 54.93804391, 1]]],
+  ['Fe', 'Iron', 55.845, [2, 3], [[54, 53.93960899, 0.05845], [56, 55.93493633, 0.91754], [57, 56.93539284, 0.02119], [58, 57.93327443, 0.00282]]],
+  ['Co', 'Cobalt', 58.933, [2, 3], [[59, 58.93319429, 1]]],
+  ['Ni', 'Nickel', 58.693, [2], [[58, 57.93534241, 0.68077], [60, 59.93078588, 0.26223], [61, 60.93105557, 0.011399], [62, 61.92834537, 0.036346], [64, 63.92796682, 0.009255]]],
+  ['Cu', 'Copper', 63.546, [2, 1], [[63, 62.92959772, 0.6915], [65, 64.9277897, 0.3085]]],
+  ['Zn', 'Zinc', 65.38, [2], [[64, 63.92914201, 0.4917], [66, 65.92603381, 0.2773], [67, 66.92712775, 0.0404], [68, 67.92484455, 0.1845], [70, 69.9253192, 0.0061]]],
+  ['Ga', 'Gallium', 69.723, [3], [[69, 68.9255735, 0.60108], [71, 70.92470258, 0.39892]]],
+  ['Ge', 'Germanium', 72.63, [4], [[70, 69.92424875, 0.2057], [72, 71.922075826, 0.2745], [73, 72.923458956, 0.0775], [74, 73.921177761, 0.365], [76, 75.921402726, 0.0773]]],
+  ['As', 'Arsenic', 74.922, [3, 5], [[75, 74.92159457, 1]]],
+  ['Se', 'Selenium', 78.971, [2, 4, 6], [[74, 73.922475934, 0.0089], [76, 75.919213704, 0.0937], [77, 76.919914154, 0.0763], [78, 77.91730928, 0.2377], [80, 79.9165218, 0.4961], [82, 81.9166995, 0.0873]]],
+  ['Br', 'Bromine', 79.904, [1], [[79, 78.9183376, 0.5069], [81, 80.9162897, 0.4931]]],
+  ['Kr', 'Krypton', 83.798, [0, 2], [[78, 77.92036494, 0.00355], [80, 79.91637808, 0.02286], [82, 81.91348273, 0.11593], [83, 82.91412716, 0.115], [84, 83.9114977282, 0.56987], [86, 85.9106106269, 0.17279]]],
+  ['Rb', 'Rubidium', 85.468, [1], [[85, 84.9117897379, 0.7217], [87, 86.909180531, 0.2783]]],
+  ['Sr', 'Strontium', 87.62, [2], [[84, 83.9134191, 0.0056], [86, 85.9092606, 0.0986], [87, 86.9088775, 0.07], [88, 87.9056125, 0.8258]]],
+  ['Y', 'Yttrium', 88.906, [3], [[89, 88.9058403, 1]]],
+  ['Zr', 'Zirconium', 91.224, [4], [[90, 89.9046977, 0.5145], [91, 90.9056396, 0.1122], [92, 91.9050347, 0.1715], [94, 93.9063108, 0.1738], [96, 95.9082714, 0.028]]],
+  ['Nb', 'Niobium', 92.906, [5, 3], [[93, 92.906373, 1]]],
+  ['Mo', 'Molybdenum', 95.95, [6, 4], [[92, 91.90680796, 0.1453], [94, 93.9050849, 0.0915], [95, 94.90583877, 0.1584], [96, 95.90467612, 0.1667], [97, 96.90601812, 0.096], [98, 97.90540482, 0.2439], [100, 99.9074718, 0.0982]]],
+  ['Tc', 'Technetium', 97.907, [7, 4], [[98, 97.9072124, 1]]],
+  ['Ru', 'Ruthenium', 101.07, [3, 4], [[96, 95.90759025, 0.0554], [98, 97.9052868, 0.0187], [99, 98.9059341, 0.1276], [100, 99.9042143, 0.126], [101, 100.9055769, 0.1706], [102, 101.9043441, 0.3155], [104, 103.9054275, 0.1862]]],
+  ['Rh', 'Rhodium', 102.91, [3], [[103, 102.905498, 1]]],
+  ['Pd', 'Palladium', 106.42, [2, 4], [[102, 101.9056022, 0.0102], [104, 103.9040305, 0.1114], [105, 104.9050796, 0.2233], [106, 105.9034804, 0.2733], [108, 107.9038916, 0.2646], [110, 109.9051722, 0.1172]]],
+  ['Ag', 'Silver', 107.87, [1], [[107, 106.9050916, 0.51839], [109, 108.9047553, 0.48161]]],
+  ['Cd', 'Cadmium', 112.41, [2], [[106, 105.9064599, 0.0125], [108, 107.9041834, 0.0089], [110, 109.90300661, 0.1249], [111, 110.90418287, 0.128], [112, 111.90276287, 0.2413], [113, 112.90440813, 0.1222], [114, 113.90336509, 0.2873], [116, 115.90476315, 0.0749]]],
+  ['In', 'Indium', 114.82, [3], [[113, 112.90406184, 0.0429], [115, 114.903878776, 0.9571]]],
+  ['Sn', 'Tin', 118.71, [4, 2], [[112, 111.90482387, 0.0097], [114, 113.9027827, 0.0066], [115, 114.903344699, 0.0034], [116, 115.9017428, 0.1454], [117, 116.90295398, 0.0768], [118, 117.90160657, 0.2422], [119, 118.90331117, 0.0859], [120, 119.90220163, 0.3258], [122, 121.9034438, 0.0463], [124, 123.9052766, 0.0579]]],
+  ['Sb', 'Antimony', 121.76, [3, 5], [[121, 120.903812, 0.5721], [123, 122.9042132, 0.4279]]],
+  ['Te', 'Tellurium', 127.6, [2, 4, 6], [[120, 119.9040593, 0.0009], [122, 121.9030435, 0.0255], [123, 122.9042698, 0.0089], [124, 123.9028171, 0.0474], [125, 124.9044299, 0.0707], [126, 125.9033109, 0.1884], [128, 127.90446128, 0.3174], [130, 129.906222748, 0.3408]]],
+  ['I', 'Iodine', 126.904, [1], [[127, 126.9044719, 1]]],
+  ['Xe', 'Xenon', 131.29, [0, 2, 4, 6], [[124, 123.905892, 0.000952], [126, 125.9042983, 0.00089], [128, 127.903531, 0.019102], [129, 128.9047808611, 0.264006], [130, 129.903509349, 0.04071], [131, 130.90508406, 0.212324], [132, 131.9041550856, 0.269086], [134, 133.90539466, 0.104357], [136, 135.907214484, 0.088573]]],
+  ['Cs', 'Caesium', 132.91, [1], [[133, 132.905451961, 1]]],
+  ['Ba', 'Barium', 137.33, [2], [[130, 129.9063207, 0.00106], [132, 131.9050611, 0.00101], [134, 133.90450818, 0.02417], [135, 134.90568838, 0.06592], [136, 135.90457573, 0.07854], [137, 136.90582714, 0.11232], [138, 137.905247, 0.71698]]],
+  ['La', 'Lanthanum', 138.91, [3], [[138, 137.9071149, 0.0008881], [139, 138.9063563, 0.9991119]]],
+  ['Ce', 'Cerium', 140.12, [3, 4], [[136, 135.90712921, 0.00185], [138, 137.905991, 0.00251], [140, 139.9054431, 0.8845], [142, 141.9092504, 0.11114]]],
+  ['Pr', 'Praseodymium', 140.91, [3], [[141, 140.9076576, 1]]],
+  ['Nd', 'Neodymium', 144.24, [3], [[142, 141.907729, 0.27152], [143, 142.90982, 0.12174], [144, 143.910093, 0.23798], [145, 144.9125793, 0.08293], [146, 145.9131226, 0.17189], [148, 147.9168993, 0.05756], [150, 149.9209022, 0.05638]]],
+  ['Pm', 'Promethium', 144.913, [3], [[145, 144.9127559, 1]]],
+  ['Sm', 'Samarium', 150.36, [3], [[144, 143.9120065, 0.0307], [147, 146.9149044, 0.1499], [148, 147.9148292, 0.1124], [149, 148.9171921, 0.1382], [150, 149.9172829, 0.0738], [152, 151.9197397, 0.2675], [154, 153.9222169, 0.2275]]],
+  ['Eu', 'Europium', 151.96, [3, 2], [[151, 150.9198578, 0.4781], [153, 152.921238, 0.5219]]],
+  ['Gd', 'Gadolinium', 157.25, [3], [[152, 151.9197995, 0.002], [154, 153.9208741, 0.0218], [155, 154.9226305, 0.148], [156, 155.9221312, 0.2047], [157, 156.9239686, 0.1565], [158, 157.9241123, 0.2484], [160, 159.9270624, 0.2186]]],
+  ['Tb', 'Terbium', 158.93, [3], [[159, 158.9253547, 1]]],
+  ['Dy', 'Dysprosium', 162.5, [3], [[156, 155.9242847, 0.00056], [158, 157.9244159, 0.00095], [160, 159.9252046, 0.02329], [161, 160.9269405, 0.18889], [162, 161.9268056, 0.25475], [163, 162.9287383, 0.24896], [164, 163.9291819, 0.2826]]],
+  ['Ho', 'Holmium', 164.93, [3], [[165, 164.9303288, 1]]],
+  ['Er', 'Erbium', 167.26, [3], [[162, 161.9287884, 0.00139], [164, 163.9292088, 0.01601], [166, 165.9302995, 0.33503], [167, 166.9320546, 0.22869], [168, 167.9323767, 0.26978], [170, 169.9354702, 0.1491]]],
+  ['Tm', 'Thulium', 168.93, [3], [[169, 168.9342179, 1]]],
+  ['Yb', 'Ytterbium', 173.05, [3, 2], [[168, 167.9338896, 0.00123], [170, 169.9347664, 0.02982], [171, 170.9363302, 0.1409], [172, 171.9363859, 0.2168], [173, 172.9382151, 0.16103], [174, 173.9388664, 0.32026], [176, 175.9425764, 0.12996]]],
+  ['Lu', 'Lutetium', 174.97, [3], [[175, 174.9407752, 0.97401], [176, 175.9426897, 0.02599]]],
+  ['Hf', 'Hafnium', 178.49, [4], [[174, 173.9400461, 0.0016], [176, 175.9414076, 0.0526], [177, 176.9432277, 0.186], [178, 177.9437058, 0.2728], [179, 178.9458232, 0.1362], [180, 179.946557, 0.3508]]],
+  ['Ta', 'Tantalum', 180.95, [5], [[180, 179.9474648, 0.0001201], [181, 180.9479958, 0.9998799]]],
+  ['W', 'Tungsten', 183.84, [6, 4], [[180, 179.9467108, 0.0012], [182, 181.94820394, 0.265], [183, 182.95022275, 0.1431], [184, 183.95093092, 0.3064], [186, 185.9543628, 0.2843]]],
+  ['Re', 'Rhenium', 186.21, [7, 4], [[185, 184.9529545, 0.374], [187, 186.9557501, 0.626]]],
+  ['Os', 'Osmium', 190.23, [4, 8], [[184, 183.9524885, 0.0002], [186, 185.953835, 0.0159], [187, 186.9557474, 0.0196], [188, 187.9558352, 0.1324], [189, 188.9581442, 0.1615], [190, 189.9584437, 0.2626], [192, 191.961477, 0.4078]]],
+  ['Ir', 'Iridium', 192.22, [3, 4], [[191, 190.9605893, 0.373], [193, 192.9629216, 0.627]]],
+  ['Pt', 'Platinum', 195.08, [2, 4], [[190, 189.9599297, 0.00012], [192, 191.9610387, 0.00782], [194, 193.9626809, 0.3286], [195, 194.9647917, 0.3378], [196, 195.96495209, 0.2521], [198, 197.9678949, 0.07356]]],
+  ['Au', 'Gold', 196.97, [1, 3], [[197, 196.96656879, 1]]],
+  ['Hg', 'Mercury', 200.59, [2, 1], [[196, 195.9658326, 0.0015], [198, 197.9667686, 0.0997], [199, 198.96828064, 0.1687], [200, 199.96832659, 0.231], [201, 200.97030284, 0.1318], [202, 201.9706434, 0.2986], [204, 203.97349398, 0.0687]]],
+  ['Tl', 'Thallium', 204.38, [1, 3], [[203, 202.9723446, 0.2952], [205, 204.9744278, 0.7048]]],
+  ['Pb', 'Lead', 207.2, [2, 4], [[204, 203.973044, 0.014], [206, 205.9744657, 0.241], [207, 206.9758973, 0.221], [208, 207.9766525, 0.524]]],
+  ['Bi', 'Bismuth', 208.98, [3, 5], [[209, 208.9803991, 1]]],
+  ['Po', 'Polonium', 208.982, [2, 4], [[209, 208.9824308, 1]]],
+  ['At', 'Astatine', 209.987, [1], [[210, 209.9871479, 1]]],
+  ['Rn', 'Radon', 222.018, [0], [[222, 222.0175782, 1]]],
+  ['Fr', 'Francium', 223.02, [1], [[223, 223.019736, 1]]],
+  ['Ra', 'Radium', 226.025, [2], [[226, 226.0254103, 1]]],
+  ['Ac', 'Actinium', 227.028, [3], [[227, 227.0277523, 1]]],
+  ['Th', 'Thorium', 232.04, [4], [[232, 232.0380558, 1]]],
+  ['Pa', 'Protactinium', 231.04, [5, 4], [[231, 231.0358842, 1]]],
+  ['U', 'Uranium', 238.03, [6, 4], [[234, 234.0409523, 0.000054], [235, 235.0439301, 0.007204], [238, 238.0507884, 0.992742]]],
+  ['Np', 'Neptunium', 237.048, [5], [[237, 237.0481736, 1]]],
+  ['Pu', 'Plutonium', 244.064, [4], [[244, 244.0642053, 1]]],
+  ['Am', 'Americium', 243.061, [3], [[243, 243.0613813, 1]]],
+  ['Cm', 'Curium', 247.07, [3], [[247, 247.0703541, 1]]],
+  ['Bk', 'Berkelium', 247.07, [3], [[247, 247.0703073, 1]]],
+  ['Cf', 'Californium', 251.08, [3], [[251, 251.0795886, 1]]],
+  ['Es', 'Einsteinium', 252.083, [3], [[252, 252.08298, 1]]],
+  ['Fm', 'Fermium', 257.095, [3], [[257, 257.0951061, 1]]],
+  ['Md', 'Mendelevium', 258.098, [3], [[258, 258.0984315, 1]]],
+  ['No', 'Nobelium', 259.101, [2, 3], [[259, 259.10103, 1]]],
+  ['Lr', 'Lawrencium', 262.11, [3], [[262, 262.10961, 1]]],
+  ['Rf', 'Rutherfordium', 267.122, [4], [[267, 267.12179, 1]]],
+  ['Db', 'Dubnium', 268.126, [5], [[268, 268.12567, 1]]],
+  ['Sg', 'Seaborgium', 269.129, [6], [[269, 269.12863, 1]]],
+  ['Bh', 'Bohrium', 270.133, [7], [[270, 270.13336, 1]]],
+  ['Hs', 'Hassium', 269.134, [8], [[269, 269.13375, 1]]],
+  ['Mt', 'Meitnerium', 278.156, [3], [[278, 278.15631, 1]]],
+  ['Ds', 'Darmstadtium', 281.165, [2], [[281, 281.16451, 1]]],
+  ['Rg', 'Roentgenium', 282.169, [1], [[282, 282.16912, 1]]],
+  ['Cn', 'Copernicium', 285.177, [2], [[285, 285.17712, 1]]],
+  ['Nh', 'Nihonium', 286.182, [1], [[286, 286.18221, 1]]],
+  ['Fl', 'Flerovium', 289.19, [2], [[289, 289.19042, 1]]],
+  ['Mc', 'Moscovium', 290.196, [1], [[290, 290.19598, 1]]],
+  ['Lv', 'Livermorium', 293.204, [2], [[293, 293.20449, 1]]],
+  ['Ts', 'Tennessine', 294.21, [1], [[294, 294.21046, 1]]],
+  ['Og', 'Oganesson', 294.214, [0], [[294, 294.21392, 1]]]
+]
+
+/**
+ * Atomic data for every element
+ * Maps element symbol to { number, name, mass, monoisotopicMass, valence,
+ * valences, isotopes }, where isotopes are { massNumber, mass, abundance }
+ * and monoisotopicMass is the mass of the most abundant isotope
+ */
+export const ATOMIC_DATA = Object.fromEntries(ELEMENTS.map(([symbol, name, mass, valences, isotopes], index) => {
+  const mostAbundant = isotopes.reduce((best, isotope) => (isotope[2] > best[2] ? isotope : best))
+  return [symbol, {
+    number: index + 1,
+    name,
+    mass,
+    monoisotopicMass: mostAbundant[1],
+    valence: valences[0],
+    valences,
+    isotopes: isotopes.map(([massNumber, isotopeMass, abundance]) => ({ massNumber, mass: isotopeMass, abundance }))
+  }]
+}))
 
 /**
  * Gets atomic mass for an element
@@ -30,11 +163,67 @@ export const ATOMIC_DATA = {
  * @throws {Error} If element is not supported
  */
 export function getAtomicMass(element) {
-  const data = ATOMIC_DATA[element]
-  if (!data) {
-    throw new Error(`Unsupported element: ${element}`)
+  return getElementData(element).mass
+}
+
+/**
+ * Gets the mass of an element's most abundant isotope
+ * @param {string} element - Element symbol
+ * @returns {number} Monoisotopic mass in Da
+ * @throws {Error} If element is not supported
+ *
+ * Example:
+ *   getMonoisotopicMass('Cl') // => 34.968852682 (35Cl)
+ */
+export function getMonoisotopicMass(element) {
+  return getElementData(element).monoisotopicMass
+}
+
+/**
+ * Gets the isotopes of an element
+ * @param {string} element - Element symbol
+ * @returns {{massNumber: number, mass: number, abundance: number}[]}
+ *   Isotopes with exact mass and natural abundance (summing to 1)
+ * @throws {Error} If element is not supported
+ */
+export function getIsotopes(element) {
+  return getElementData(element).isotopes
+}
+
+/**
+ * Exact masses of common radioactive labels, which are not in the natural
+ * isotope data, keyed by element then mass number
+ */
+const LABEL_ISOTOPES = {
+  H: { 3: 3.01604928132 },
+  C: { 11: 11.0114336, 14: 14.0032419884 },
+  N: { 13: 13.00573861 },
+  O: { 15: 15.0030656 },
+  F: { 18: 18.0009373 },
+  P: { 32: 31.97390764, 33: 32.9717257 },
+  S: { 35: 34.96903231 },
+  Cl: { 36: 35.96830682 },
+  I: { 123: 122.9055898, 124: 123.9062111, 125: 124.9046294, 131: 130.9061263 }
+}
+
+/**
+ * Gets the exact mass of one isotope of an element
+ * @param {string} element - Element symbol
+ * @param {number} massNumber - Mass number, as in an isotope label like [13C]
+ * @returns {number} Exact mass in Da
+ * @throws {Error} If element is not supported or the isotope is unknown
+ *
+ * Example:
+ *   getIsotopeMass('H', 2) // => 2.01410177812 (deuterium)
+ */
+export function getIsotopeMass(element, massNumber) {
+  const isotope = getIsotopes(element).find(entry => entry.massNumber === massNumber)
+  if (isotope) return isotope.mass
+  const labelMass = LABEL_ISOTOPES[element]?.[massNumber]
+  if (labelMass === undefined) {
+    throw new Error(`Unknown isotope: ${massNumber}${element}`)
   }
-  return data.mass
+  return labelMass
 }
 
 /**
@@ -44,11 +233,7 @@ export function getAtomicMass(element) {
  * @throws {Error} If element is not supported
  */
 export function getValence(element) {
-  const data = ATOMIC_DATA[element]
-  if (!data) {
-    throw new Error(`Unsupported element: ${element}`)
-  }
-  return data.valence
+  return getElementData(element).valence
 }
 
 /**
@@ -57,13 +242,24 @@ export function getValence(element) {
  * @returns {boolean} True if element is supported
  */
 export function isSupported(element) {
-  return element in ATOMIC_DATA
+  return Object.prototype.hasOwnProperty.call(ATOMIC_DATA, element)
 }
 
 /**
  * Gets list of all supported element symbols
- * @returns {string[]} Array of element symbols
+ * @returns {string[]} Array of element symbols, in order of atomic number
  */
 export function getSupportedElements() {
   return Object.keys(ATOMIC_DATA)
 }
+
+/**
+ * Looks up the data for an element
+ * @throws {Error} If element is not supported
+ */
+function getElementData(element) {
+  if (!isSupported(element)) {
+    throw new Error(`Unsupported element: ${element}`)
+  }
+  return ATOMIC_DATA[element]
+}
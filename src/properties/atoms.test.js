@@ -6,6 +6,9 @@ import { describe, test, expect } from 'bun:test'
 import {
   ATOMIC_DATA,
   getAtomicMass,
+  getMonoisotopicMass,
+  getIsotopes,
+  getIsotopeMass,
   getValence,
   isSupported,
   getSupportedElements
@@ -32,6 +35,60 @@ describe('ATOMIC_DATA', () => {
       expect(data).toHaveProperty('name')
     }
   })
+
+  test('covers the whole periodic table in order', () => {
+    expect(Object.keys(ATOMIC_DATA)).toHaveLength(118)
+    expect(ATOMIC_DATA.H.number).toBe(1)
+    expect(ATOMIC_DATA.Fe).toMatchObject({ number: 26, name: 'Iron' })
+    expect(ATOMIC_DATA.Og.number).toBe(118)
+  })
+
+  test('isotope abundances sum to 1 and average to the atomic mass', () => {
+    for (const [element, data] of Object.entries(ATOMIC_DATA)) {
+      const total = data.isotopes.reduce((sum, isotope) => sum + isotope.abundance, 0)
+      const average = data.isotopes.reduce((sum, isotope) => sum + isotope.abundance * isotope.mass, 0)
+      expect(total).toBeCloseTo(1, 3)
+      expect(Math.abs(average - data.mass)).toBeLessThan(0.02)
+    }
+  })
+})
+
+describe('getMonoisotopicMass', () => {
+  test('returns the mass of the most abundant isotope', () => {
+    expect(getMonoisotopicMass('C')).toBe(12)
+    expect(getMonoisotopicMass('H')).toBeCloseTo(1.007825, 6)
+    expect(getMonoisotopicMass('Cl')).toBeCloseTo(34.968853, 6)
+    expect(getMonoisotopicMass('Br')).toBeCloseTo(78.918338, 6)
+  })
+
+  test('throws on unsupported element', () => {
+    expect(() => getMonoisotopicMass('Xx')).toThrow('Unsupported element: Xx')
+  })
+})
+
+describe('getIsotopes', () => {
+  test('lists isotopes with mass number, exact mass, and abundance', () => {
+    expect(getIsotopes('Cl')).toEqual([
+      { massNumber: 35, mass: 34.968852682, abundance: 0.7576 },
+      { massNumber: 37, mass: 36.965902602, abundance: 0.2424 }
+    ])
+  })
+
+  test('gives elements without stable isotopes one reference isotope', () => {
+    expect(getIsotopes('Tc')).toEqual([{ massNumber: 98, mass: 97.9072124, abundance: 1 }])
+  })
+})
+
+describe('getIsotopeMass', () => {
+  test('gives natural and common label isotopes', () => {
+    expect(getIsotopeMass('H', 2)).toBe(2.01410177812)
+    expect(getIsotopeMass('C', 13)).toBe(13.00335483507)
+    expect(getIsotopeMass('C', 14)).toBe(14.0032419884)
+  })
+
+  test('throws on unknown isotopes', () => {
+    expect(() => getIsotopeMass('C', 99)).toThrow('Unknown isotope: 99C')
+  })
 })
 
 describe('getAtomicMass', () => {
@@ -47,6 +104,12 @@ describe('getAtomicMass', () => {
     expect(getAtomicMass('N')).toBeCloseTo(14.007, 2)
   })
 
+  test('returns masses for metals and heavy elements', () => {
+    expect(getAtomicMass('Fe')).toBeCloseTo(55.845, 3)
+    expect(getAtomicMass('Pt')).toBeCloseTo(195.08, 2)
+    expect(getAtomicMass('U')).toBeCloseTo(238.03, 2)
+  })
+
   test('throws on unsupported element', () => {
     expect(() => getAtomicMass('Xx')).toThrow()
   })
@@ -65,6 +128,13 @@ describe('getValence', () => {
     expect(getValence('O')).toBe(2)
   })
 
+  test('returns the standard valence of other elements', () => {
+    expect(getValence('S')).toBe(2)
+    expect(getValence('Si')).toBe(4)
+    expect(getValence('Fe')).toBe(2)
+    expect(getValence('Ne')).toBe(0)
+  })
+
   test('returns correct valence for halogens', () => {
     expect(getValence('F')).toBe(1)
     expect(getValence('Cl')).toBe(1)
@@ -84,9 +154,16 @@ describe('isSupported', () => {
     expect(isSupported('O')).toBe(true)
   })
 
+  test('returns true for every element of the periodic table', () => {
+    expect(isSupported('He')).toBe(true)
+    expect(isSupported('Fe')).toBe(true)
+    expect(isSupported('Og')).toBe(true)
+  })
+
   test('returns false for unsupported elements', () => {
     expect(isSupported('Xx')).toBe(false)
-    expect(isSupported('He')).toBe(false)
+    expect(isSupported('c')).toBe(false)
+    expect(isSupported('constructor')).toBe(false)
   })
 })
 
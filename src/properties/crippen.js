@@ -0,0 +1,439 @@
+/**
+ * Crippen - Wildman-Crippen atom contributions to logP and molar refractivity
+ *
+ * Each atom, and each hydrogen, is given one of the atom types of Wildman
+ * and Crippen (J. Chem. Inf. Comput. Sci. 1999, 39, 868-873), and logP and
+ * MR are the sums of the type contributions. Types are tried in the order
+ * of the published table, as RDKit does, and the first that fits is used;
+ * the comment above each rule gives its SMARTS.
+ */
+
+import { ATOMIC_DATA } from './atoms.js'
+
+/**
+ * [logP, MR] contribution of each atom type
+ */
+const CONTRIBUTIONS = {
+  C1: [0.1441, 2.503],
+  C2: [0, 2.433],
+  C3: [-0.2035, 2.753],
+  C4: [-0.2051, 2.731],
+  C5: [-0.2783, 5.007],
+  C6: [0.1551, 3.513],
+  C7: [0.0017, 3.888],
+  C8: [0.08452, 2.464],
+  C9: [-0.1444, 2.412],
+  C10: [-0.0516, 2.488],
+  C11: [0.1193, 2.582],
+  C12: [-0.0967, 2.576],
+  C13: [-0.5443, 4.041],
+  C14: [0, 3.257],
+  C15: [0.245, 3.564],
+  C16: [0.198, 3.18],
+  C17: [0, 3.104],
+  C18: [0.1581, 3.35],
+  C19: [0.2955, 4.346],
+  C20: [0.2713, 3.904],
+  C21: [0.136, 3.509],
+  C22: [0.4619, 4.067],
+  C23: [0.5437, 3.853],
+  C24: [0.1893, 2.673],
+  C25: [-0.8186, 3.135],
+  C26: [0.264, 4.305],
+  C27: [0.2148, 2.693],
+  CS: [0.08129, 3.243],
+  H1: [0.123, 1.057],
+  H2: [-0.2677, 1.395],
+  H3: [0.2142, 0.9627],
+  H4: [0.298, 1.805],
+  HS: [0.1125, 1.112],
+  N1: [-1.019, 2.262],
+  N2: [-0.7096, 2.173],
+  N3: [-1.027, 2.827],
+  N4: [-0.5188, 3],
+  N5: [0.08387, 1.757],
+  N6: [0.1836, 2.428],
+  N7: [-0.3187, 1.839],
+  N8: [-0.4458, 2.819],
+  N9: [0.01508, 1.725],
+  N10: [-1.95, 0],
+  N11: [-0.3239, 2.202],
+  N12: [-1.119, 0],
+  N13: [-0.3396, 0.2604],
+  N14: [0.2887, 3.359],
+  NS: [-0.4806, 2.134],
+  O1: [0.1552, 1.08],
+  O2: [-0.2893, 0.8238],
+  O3: [-0.0684, 1.085],
+  O4: [-0.4195, 1.182],
+  O5: [0.0335, 3.367],
+  O6: [-0.3339, 0.7774],
+  O7: [-1.189, 0],
+  O8: [0.1788, 3.135],
+  O9: [-0.1526, 0],
+  O10: [0.1129, 0.2215],
+  O11: [0.4833, 0.389],
+  O12: [-1.326, 0],
+  OS: [-0.1188, 0.6865],
+  F: [0.4202, 1.108],
+  Cl: [0.6895, 5.853],
+  Br: [0.8456, 8.927],
+  I: [0.8857, 14.02],
+  Hal: [-2.996, 0],
+  P: [0.8612, 6.92],
+  S1: [0.6482, 7.591],
+  S2: [-0.0024, 7.365],
+  S3: [0.6237, 6.691],
+  Me1: [-0.3808, 5.754],
+  Me2: [-0.0025, 0]
+}
+
+/**
+ * Heteroatoms of the C3 and C4 types, [N,O,P,S,F,Cl,Br,I]
+ */
+const HETEROATOMS = new Set(['N', 'O', 'P', 'S', 'F', 'Cl', 'Br', 'I'])
+
+/**
+ * Elements excluded by the C13 and C27 types
+ */
+const C13_EXCLUDED = new Set(['C', 'N', 'O', 'S', 'F', 'Cl', 'Br', 'I'])
+const C27_EXCLUDED = new Set(['C', 'N', 'O', 'P', 'S', 'F', 'Cl', 'Br', 'I'])
+
+/**
+ * Atomic numbers of the Me1 (main group metal and metalloid) and Me2
+ * (transition metal) types
+ */
+const ME1_NUMBERS = new Set([3, 11, 19, 37, 55, 4, 12, 20, 38, 56, 5, 13, 31, 49, 81, 14, 32, 50, 82, 33, 51, 83, 34, 52, 84])
+const ME2_NUMBERS = new Set([21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 72, 73, 74, 75, 76, 77, 78, 79, 80])
+
+/**
+ * Sums the Wildman-Crippen contributions of a molecule
+ * @param {Object} molecule - Heavy-atom view from molecule.js, with
+ *   atoms { element, aromatic, charge, hydrogens, neighbors } where
+ *   neighbors are { atom, bond } and bond is '-', '=', '#', or ':'
+ * @returns {{logP: number, mr: number}} Calculated logP and molar
+ *   refractivity
+ */
+export function getCrippenContributions(molecule) {
+  let logP = 0
+  let mr = 0
+  const add = type => {
+    if (!type) return
+    logP += CONTRIBUTIONS[type][0]
+    mr += CONTRIBUTIONS[type][1]
+  }
+
+  molecule.atoms.forEach((atom, index) => {
+    add(getAtomType(molecule, index))
+    const hydrogenType = getHydrogenType(molecule, index)
+    for (let i = 0; i < atom.hydrogens; i++) {
+      add(hydrogenType)
+    }
+  })
+
+  // Hydrogen atoms bonded to nothing heavier, as in H2
+  for (const neighbors of molecule.hydrogenAtoms) {
+    add(neighbors > 0 ? 'H1' : 'HS')
+  }
+
+  return { logP, mr }
+}
+
+/**
+ * Gets the Crippen type of a heavy atom
+ * @param {Object} molecule - Heavy-atom view
+ * @param {number} index - Atom index
+ * @returns {string|null} Type, or null for elements with no type (such as
+ *   the noble gases), which contribute nothing
+ */
+function getAtomType(molecule, index) {
+  const atom = molecule.atoms[index]
+  switch (atom.element) {
+    case 'C':
+      return atom.aromatic ? getAromaticCarbonType(molecule, atom) : getCarbonType(molecule, atom)
+    case 'N':
+      return getNitrogenType(molecule, atom)
+    case 'O':
+      return getOxygenType(molecule, atom)
+    case 'F':
+    case 'Cl':
+    case 'Br':
+    case 'I':
+      // [#9-0] ... [#53-0]; [#9,#17,#35,#53;-]; [#53;+,+2,+3]
+      if (!atom.charge) return atom.element
+      if (atom.charge === -1 || (atom.element === 'I' && atom.charge <= 3)) return 'Hal'
+      return null
+    case 'P':
+      return 'P'
+    case 'S':
+      return getSulfurType(molecule, atom)
+  }
+
+  const number = ATOMIC_DATA[atom.element].number
+  // [+;#3,#11,#19,#37,#55]
+  if (atom.charge === 1 && [3, 11, 19, 37, 55].includes(number)) return 'Hal'
+  if (ME1_NUMBERS.has(number)) return 'Me1'
+  if (ME2_NUMBERS.has(number)) return 'Me2'
+  return null
+}
+
+/**
+ * Types an aliphatic carbon (C1-C12, C26, C27, CS)
+ */
+function getCarbonType(molecule, atom) {
+  const { hydrogens } = atom
+  const connections = atom.neighbors.length + hydrogens
+  const single = filterNeighbors(molecule, atom, SINGLE_OR_AROMATIC)
+  const double = filterNeighbors(molecule, atom, '=')
+  const aliphaticC = single.filter(other => other.element === 'C' && !other.aromatic).length
+  const aliphatic = single.filter(other => !other.aromatic).length
+  const aromatic = single.filter(other => other.aromatic).length
+  const hetero = single.filter(other => HETEROATOMS.has(other.element) && !other.aromatic).length
+  const doubleC = double.filter(other => other.element === 'C' && !other.aromatic).length
+
+  // [CH4], [CH3]C, [CH2](C)C
+  if (hydrogens === 4 || (hydrogens === 3 && aliphaticC >= 1) || (hydrogens === 2 && aliphaticC >= 2)) return 'C1'
+  // [CH](C)(C)C, [C](C)(C)(C)C
+  if ((hydrogens === 1 && aliphaticC >= 3) || aliphaticC >= 4) return 'C2'
+  // [CH3][N,O,P,S,F,Cl,Br,I], [CH2X4]([N,O,P,S,F,Cl,Br,I])[A;!#1]
+  if (hetero >= 1 && (hydrogens === 3 || (hydrogens === 2 && connections === 4 && aliphatic >= 2))) return 'C3'
+  // [CH1X4]([N,O,P,S,F,Cl,Br,I])([A;!#1])[A;!#1], [CH0X4](...)([A;!#1])([A;!#1])[A;!#1]
+  if (hetero >= 1 && connections === 4 && aliphatic >= 4 - hydrogens && hydrogens <= 1) return 'C4'
+  // [C]=[!C;A;!#1]
+  if (double.some(other => other.element !== 'C' && !other.aromatic)) return 'C5'
+  // [CH2]=C, [CH1](=C)[A;!#1], [CH0](=C)([A;!#1])[A;!#1], [C](=C)=C
+  if (doubleC >= 1 && hydrogens <= 2 && aliphatic >= 2 - hydrogens) return 'C6'
+  if (doubleC >= 2) return 'C6'
+  // [CX2]#[A;!#1]
+  if (connections === 2 && filterNeighbors(molecule, atom, '#').some(other => !other.aromatic)) return 'C7'
+  // [CH3]c, [CH3]a, [CH2X4]a, [CHX4]a, [CH0X4]a
+  if (hydrogens === 3 && single.some(other => other.element === 'C' && other.aromatic)) return 'C8'
+  if (hydrogens === 3 && aromatic >= 1) return 'C9'
+  if (connections === 4 && aromatic >= 1) {
+    if (hydrogens === 2) return 'C10'
+    if (hydrogens === 1) return 'C11'
+    if (hydrogens === 0) return 'C12'
+  }
+  // [C](=C)(a)[A;!#1], [C](=C)(c)a, [CH1](=C)a, [C]=c
+  const aromaticC = single.filter(other => other.element === 'C' && other.aromatic).length
+  if (doubleC >= 1 && aromatic >= 1 && (aliphatic >= 1 || (aromatic >= 2 && aromaticC >= 1) || hydrogens === 1)) return 'C26'
+  if (double.some(other => other.element === 'C' && other.aromatic)) return 'C26'
+  // [CX4][A;!C;!N;!O;!P;!S;!F;!Cl;!Br;!I;!#1]
+  if (connections === 4 && single.some(other => !other.aromatic && !C27_EXCLUDED.has(other.element))) return 'C27'
+  return 'CS'
+}
+
+/**
+ * Types an aromatic carbon (C13-C25, CS)
+ */
+function getAromaticCarbonType(molecule, atom) {
+  const single = filterNeighbors(molecule, atom, SINGLE_OR_AROMATIC)
+  const ringBonds = filterNeighbors(molecule, atom, ':').filter(other => other.aromatic).length
+  const exocyclic = filterNeighbors(molecule, atom, '-')
+
+  // [cH0]-[A;!C;!N;!O;!S;!F;!Cl;!Br;!I;!#1]
+  if (atom.hydrogens === 0 && exocyclic.some(other => !other.aromatic && !C13_EXCLUDED.has(other.element))) return 'C13'
+  // [c][#9], [c][#17], [c][#35], [c][#53]
+  const halogen = { F: 'C14', Cl: 'C15', Br: 'C16', I: 'C17' }
+  for (const other of single) {
+    if (halogen[other.element]) return halogen[other.element]
+  }
+  // [cH]
+  if (atom.hydrogens === 1) return 'C18'
+  if (ringBonds >= 2) {
+    // [c](:a)(:a):a
+    if (ringBonds >= 3) return 'C19'
+    // [c](:a)(:a)-a, -C, -N, -O, -S
+    if (exocyclic.some(other => other.aromatic)) return 'C20'
+    const aliphatic = exocyclic.filter(other => !other.aromatic)
+    if (aliphatic.some(other => other.element === 'C')) return 'C21'
+    if (aliphatic.some(other => other.element === 'N')) return 'C22'
+    if (aliphatic.some(other => other.element === 'O')) return 'C23'
+    if (aliphatic.some(other => other.element === 'S')) return 'C24'
+    // [c](:a)(:a)=[C,N,O]
+    if (filterNeighbors(molecule, atom, '=').some(other => !other.aromatic && ['C', 'N', 'O'].includes(other.element))) return 'C25'
+  }
+  return 'CS'
+}
+
+/**
+ * Types a nitrogen (N1-N14, NS)
+ */
+function getNitrogenType(molecule, atom) {
+  const { hydrogens, charge = 0 } = atom
+  const single = filterNeighbors(molecule, atom, SINGLE_OR_AROMATIC)
+  const double = filterNeighbors(molecule, atom, '=')
+  const triple = filterNeighbors(molecule, atom, '#')
+  const aliphatic = single.filter(other => !other.aromatic).length
+  const aromatic = single.filter(other => other.aromatic).length
+
+  if (atom.aromatic) {
+    // [n+0], [n;+,+2,+3]
+    if (charge === 0) return 'N11'
+    return charge > 0 ? 'N12' : 'NS'
+  }
+
+  if (charge === 0) {
+    // [NH2+0][A;!#1], [NH+0]([A;!#1])[A;!#1], [NH2+0]a, [NH1+0]([!#1;A,a])a
+    if (hydrogens === 2 && aliphatic >= 1) return 'N1'
+    if (hydrogens === 1 && aliphatic >= 2) return 'N2'
+    if (hydrogens === 2 && aromatic >= 1) return 'N3'
+    if (hydrogens === 1 && aromatic >= 1 && single.length >= 2) return 'N4'
+    // [NH+0]=[!#1;A,a], [N+0](=[!#1;A,a])[!#1;A,a]
+    if (hydrogens === 1 && double.length >= 1) return 'N5'
+    if (double.length >= 1 && single.length >= 1) return 'N6'
+    // [N+0]([A;!#1])([A;!#1])[A;!#1], [N+0](a)([!#1;A,a])[A;!#1], [N+0](a)(a)a
+    if (aliphatic >= 3) return 'N7'
+    if (aromatic >= 1 && single.length >= 3 && (aliphatic >= 1 || aromatic >= 3)) return 'N8'
+    // [N+0]#[A;!#1]
+    if (triple.some(other => !other.aromatic)) return 'N9'
+  }
+
+  if (charge > 0 && charge <= 3) {
+    // [NH3,NH2,NH;+,+2,+3]
+    if (hydrogens >= 1 && hydrogens <= 3) return 'N10'
+    if (hydrogens === 0) {
+      // [NH0;+,+2,+3]([A;!#1])([A;!#1])([A;!#1])[A;!#1]
+      if (aliphatic >= 4) return 'N13'
+      // [NH0;+,+2,+3](=[A;!#1])([A;!#1])[!#1;A,a]
+      if (double.some(other => !other.aromatic) && aliphatic >= 1 && single.length >= 2) return 'N13'
+      // [NH0;+,+2,+3](=[#6])=[#7]
+      if (double.some(other => other.element === 'C') && double.some(other => other.element === 'N')) return 'N13'
+    }
+    // [N;+,+2,+3]#[A;!#1]
+    if (triple.some(other => !other.aromatic)) return 'N14'
+    // [N;+,+2,+3](=[N;-,-2,-3])=N
+    const anion = double.find(other => other.element === 'N' && !other.aromatic && other.charge < 0 && other.charge >= -3)
+    if (anion && double.some(other => other !== anion && other.element === 'N' && !other.aromatic)) return 'N14'
+  }
+
+  // [N;-,-2,-3]
+  if (charge < 0 && charge >= -3) return 'N14'
+  return 'NS'
+}
+
+/**
+ * Types an oxygen (O1-O12, OS)
+ */
+function getOxygenType(molecule, atom) {
+  const { hydrogens, charge = 0 } = atom
+  const connections = atom.neighbors.length + hydrogens
+  const single = filterNeighbors(molecule, atom, SINGLE_OR_AROMATIC)
+  const double = filterNeighbors(molecule, atom, '=')
+
+  // [o]
+  if (atom.aromatic) return 'O1'
+  // [OH,OH2]
+  if (hydrogens === 1 || hydrogens === 2) return 'O2'
+  // [O]([A;!#1])[A;!#1], [O](a)[!#1;A,a]
+  if (single.filter(other => !other.aromatic).length >= 2) return 'O3'
+  if (single.length >= 2 && single.some(other => other.aromatic)) return 'O4'
+  // [O]=[#7,#8], [OX1;-,-2,-3][#7]
+  const anionic = connections === 1 && charge < 0 && charge >= -3
+  if (double.some(other => other.element === 'N' || other.element === 'O')) return 'O5'
+  if (anionic && single.some(other => other.element === 'N')) return 'O5'
+  // [OX1;-,-2,-2][#16], [O;-0]=[#16;-0]
+  if (anionic && charge >= -2 && single.some(other => other.element === 'S')) return 'O6'
+  if (!charge && double.some(other => other.element === 'S' && !other.charge)) return 'O6'
+  // [O-]C(=O)
+  if (charge === -1 && single.some(other => isCarboxylCarbon(molecule, other, atom))) return 'O12'
+  // [OX1;-,-2,-3][!#1;!N;!S]
+  if (anionic && single.some(other => other.aromatic || (other.element !== 'N' && other.element !== 'S'))) return 'O7'
+  // [O]=c
+  if (double.some(other => other.element === 'C' && other.aromatic)) return 'O8'
+
+  const carbon = double.find(other => other.element === 'C' && !other.aromatic)
+  if (carbon) {
+    const others = filterNeighbors(molecule, carbon, SINGLE_OR_AROMATIC)
+    const aliphatic = others.filter(other => !other.aromatic)
+    const aromatic = others.filter(other => other.aromatic)
+    // [O]=[CH]C, [O]=C(C)([A;!#1]), [O]=[CH][N,O], [O]=[CH2], [O]=[CX2]=O
+    if (carbon.hydrogens === 1 && aliphatic.some(other => other.element === 'C')) return 'O9'
+    if (aliphatic.length >= 2 && aliphatic.some(other => other.element === 'C')) return 'O9'
+    if (carbon.hydrogens === 1 && aliphatic.some(other => other.element === 'N' || other.element === 'O')) return 'O9'
+    if (carbon.hydrogens === 2) return 'O9'
+    const carbonConnections = carbon.neighbors.length + carbon.hydrogens
+    if (carbonConnections === 2 && filterNeighbors(molecule, carbon, '=').some(other => other !== atom && other.element === 'O' && !other.aromatic)) return 'O9'
+    // [O]=[CH]c, [O]=C([C,c])[a;!#1], [O]=C(c)[A;!#1]
+    if (carbon.hydrogens === 1 && aromatic.some(other => other.element === 'C')) return 'O10'
+    if (aromatic.length >= 1 && others.some(other => other.element === 'C') && others.length >= 2) return 'O10'
+    if (aromatic.some(other => other.element === 'C') && aliphatic.length >= 1) return 'O10'
+    // [O]=C([!#1;!#6])[!#1;!#6]
+    if (others.filter(other => other.element !== 'C').length >= 2) return 'O11'
+  }
+  return 'OS'
+}
+
+/**
+ * Checks for the C(=O) of a carboxylate, [O-]C(=O)
+ */
+function isCarboxylCarbon(molecule, carbon, oxygen) {
+  return carbon.element === 'C' && !carbon.aromatic &&
+    filterNeighbors(molecule, carbon, '=').some(other => other !== oxygen && other.element === 'O' && !other.aromatic)
+}
+
+/**
+ * Types a sulfur (S1-S3)
+ */
+function getSulfurType(molecule, atom) {
+  // [s;a]
+  if (atom.aromatic) return 'S3'
+  // [S;-,-2,-3,-4,+1,+2,+3,+5,+6], [S-0]=[N,O,P,S]
+  const charge = atom.charge || 0
+  if (charge !== 0 && charge !== 4 && charge >= -4 && charge <= 6) return 'S2'
+  if (!charge && filterNeighbors(molecule, atom, '=').some(other => !other.aromatic && ['N', 'O', 'P', 'S'].includes(other.element))) return 'S2'
+  return 'S1'
+}
+
+/**
+ * Gets the Crippen type of the hydrogens on a heavy atom (H1-H4, HS)
+ * @param {Object} molecule - Heavy-atom view
+ * @param {number} index - Atom carrying the hydrogens
+ * @returns {string} Type
+ */
+function getHydrogenType(molecule, index) {
+  const atom = molecule.atoms[index]
+  const single = filterNeighbors(molecule, atom, SINGLE_OR_AROMATIC)
+
+  // [#1][#6,#1]
+  if (atom.element === 'C') return 'H1'
+  if (atom.element === 'O' && !atom.aromatic) {
+    // [#1]O[CX4,c], [#1]O[!#6;!#7;!#8;!#16] (including a second hydrogen)
+    const sp3 = other => other.element === 'C' &&
+      (other.aromatic || other.neighbors.length + other.hydrogens === 4)
+    if (single.some(sp3)) return 'H2'
+    if (atom.hydrogens > 1 || single.some(other => !['C', 'N', 'O', 'S'].includes(other.element))) return 'H2'
+  }
+  // [#1][!#6;!#7;!#8]
+  if (atom.element !== 'N' && atom.element !== 'O') return 'H2'
+  // [#1][#7], [#1]O[#7]
+  if (atom.element === 'N' || single.some(other => other.element === 'N')) return 'H3'
+  if (!atom.aromatic) {
+    // [#1]OC=[#6,#7,O,S]
+    const enol = other => other.element === 'C' && !other.aromatic &&
+      filterNeighbors(molecule, other, '=').some(partner => partner !== atom &&
+        (partner.element === 'C' || partner.element === 'N' || (!partner.aromatic && (partner.element === 'O' || partner.element === 'S'))))
+    if (single.some(enol)) return 'H4'
+    // [#1]O[O,S]
+    if (single.some(other => !other.aromatic && (other.element === 'O' || other.element === 'S'))) return 'H4'
+  }
+  return 'HS'
+}
+
+/**
+ * Bond filter matching SMARTS's default bond, single or aromatic
+ */
+const SINGLE_OR_AROMATIC = '-:'
+
+/**
+ * Lists the neighbor atoms of an atom over bonds of the given kinds
+ * @param {Object} molecule - Heavy-atom view
+ * @param {Object} atom - Atom of the view
+ * @param {string} bonds - Bond symbols to accept, e.g. '=' or '-:'
+ * @returns {Object[]} Neighbor atoms
+ */
+function filterNeighbors(molecule, atom, bonds) {
+  return atom.neighbors
+    .filter(neighbor => bonds.includes(neighbor.bond))
+    .map(neighbor => molecule.atoms[neighbor.atom])
+}
@@ -0,0 +1,411 @@
+/**
+ * Descriptors - Drug-likeness descriptors from SELFIES
+ *
+ * Computes the descriptors used to filter molecules by drug-likeness:
+ * hydrogen bond donors and acceptors, rotatable bonds, topological polar
+ * surface area (TPSA), Crippen logP and molar refractivity, ring and heavy
+ * atom counts, and the Lipinski and Veber rules. Everything is computed on
+ * the heavy-atom view from molecule.js, and follows RDKit's definitions so
+ * results can be compared with it, except the ring count: it is the size of
+ * the SSSR, while RDKit's NumRings counts its symmetrized SSSR, which has
+ * extra rings for some bridged systems.
+ */
+
+import { decodeToAST } from '../decoder.js'
+import { buildMolecule, pairKey } from '../molecule.js'
+import { findSSSR } from '../rings.js'
+import { getMolecularWeight } from './molecularWeight.js'
+import { getCrippenContributions } from './crippen.js'
+
+/**
+ * Calculates all drug-likeness descriptors of a SELFIES molecule at once
+ * @param {string} selfies - SELFIES string
+ * @returns {Object} { molecularWeight, heavyAtoms, rings, hBondDonors,
+ *   hBondAcceptors, rotatableBonds, tpsa, logP, molarRefractivity }
+ *
+ * Cheaper than calling each getter, since the molecule is decoded once.
+ *
+ * Example:
+ *   getDescriptors('[C][C][=Branch1][C][=O][N][C][=C][C][=C][Branch1][C][O][C][=C][Ring1][#Branch1]')
+ *   // => { molecularWeight: 151.165, heavyAtoms: 11, rings: 1, hBondDonors: 2,
+ *   //      hBondAcceptors: 3, rotatableBonds: 1, tpsa: 49.33, logP: 1.351,
+ *   //      molarRefractivity: 42.41 }  (paracetamol)
+ */
+export function getDescriptors(selfies) {
+  const molecule = buildMolecule(decodeToAST(selfies))
+  const { logP, mr } = getCrippenContributions(molecule)
+  return {
+    molecularWeight: getMolecularWeight(selfies),
+    heavyAtoms: molecule.atoms.length,
+    rings: molecule.rings.length,
+    hBondDonors: countDonors(molecule),
+    hBondAcceptors: countAcceptors(molecule),
+    rotatableBonds: countRotatableBonds(molecule),
+    tpsa: calculateTPSA(molecule),
+    logP,
+    molarRefractivity: mr
+  }
+}
+
+/**
+ * Counts hydrogen bond donors: hydrogens on N and O (Lipinski's NHOH count)
+ * @param {string} selfies - SELFIES string
+ * @returns {number} Number of N-H and O-H bonds
+ *
+ * Example:
+ *   getHBondDonors('[N][C][C][O]') // => 3
+ */
+export function getHBondDonors(selfies) {
+  return countDonors(buildMolecule(decodeToAST(selfies)))
+}
+
+/**
+ * Counts hydrogen bond acceptors: N and O atoms (Lipinski's NO count)
+ * @param {string} selfies - SELFIES string
+ * @returns {number} Number of nitrogen and oxygen atoms
+ *
+ * Example:
+ *   getHBondAcceptors('[N][C][C][O]') // => 2
+ */
+export function getHBondAcceptors(selfies) {
+  return countAcceptors(buildMolecule(decodeToAST(selfies)))
+}
+
+/**
+ * Counts rotatable bonds
+ * @param {string} selfies - SELFIES string
+ * @returns {number} Number of rotatable bonds
+ *
+ * A rotatable bond is a single bond outside rings between two atoms with
+ * other heavy neighbors, using RDKit's strict definition: bonds to atoms
+ * in triple bonds, to CF3, CCl3, CBr3, and tert-butyl groups, and the C-N
+ * bonds of amides, thioamides, and amidines are not counted.
+ *
+ * Example:
+ *   getRotatableBonds('[C][C][C][C]') // => 1
+ */
+export function getRotatableBonds(selfies) {
+  return countRotatableBonds(buildMolecule(decodeToAST(selfies)))
+}
+
+/**
+ * Calculates the topological polar surface area
+ * @param {string} selfies - SELFIES string
+ * @returns {number} TPSA in Å², from Ertl's N and O contributions
+ *
+ * Like RDKit's default, sulfur and phosphorus are not counted.
+ *
+ * Example:
+ *   getTPSA('[C][C][O]') // => 20.23
+ */
+export function getTPSA(selfies) {
+  return calculateTPSA(buildMolecule(decodeToAST(selfies)))
+}
+
+/**
+ * Calculates the Wildman-Crippen octanol/water partition coefficient
+ * @param {string} selfies - SELFIES string
+ * @returns {number} Calculated logP
+ *
+ * Example:
+ *   getLogP('[C][C][O]') // => -0.0014
+ */
+export function getLogP(selfies) {
+  return getCrippenContributions(buildMolecule(decodeToAST(selfies))).logP
+}
+
+/**
+ * Calculates the Wildman-Crippen molar refractivity
+ * @param {string} selfies - SELFIES string
+ * @returns {number} Molar refractivity in cm³/mol
+ *
+ * Example:
+ *   getMolarRefractivity('[C][C][O]') // => 12.76
+ */
+export function getMolarRefractivity(selfies) {
+  return getCrippenContributions(buildMolecule(decodeToAST(selfies))).mr
+}
+
+/**
+ * Counts the rings of a SELFIES molecule
+ * @param {string} selfies - SELFIES string
+ * @returns {number} Size of the smallest set of smallest rings
+ *
+ * This is the number of independent rings (bonds - atoms + fragments).
+ * RDKit's CalcNumRings can be higher for bridged systems, where its
+ * symmetrized SSSR keeps equivalent rings: adamantane has 3 here and 4 in
+ * RDKit, cubane 5 and 6. Most bridged systems, such as norbornane, agree.
+ *
+ * Example:
+ *   getRingCount('[C][C][C][C][C][C][Ring1][=Branch1]') // => 1
+ */
+export function getRingCount(selfies) {
+  return findSSSR(decodeToAST(selfies)).length
+}
+
+/**
+ * Counts the non-hydrogen atoms of a SELFIES molecule
+ * @param {string} selfies - SELFIES string
+ * @returns {number} Number of heavy atoms
+ *
+ * Example:
+ *   getHeavyAtomCount('[C][C][O]') // => 3
+ */
+export function getHeavyAtomCount(selfies) {
+  return decodeToAST(selfies).atoms.filter(atom => atom.element !== 'H').length
+}
+
+/**
+ * Checks Lipinski's rule of five
+ * @param {string} selfies - SELFIES string
+ * @returns {{pass: boolean, violations: string[]}} pass is true with at
+ *   most one violation; violations name the broken limits, of
+ *   'molecularWeight' (> 500), 'logP' (> 5), 'hBondDonors' (> 5), and
+ *   'hBondAcceptors' (> 10)
+ *
+ * Example:
+ *   checkLipinski('[C][C][O]') // => { pass: true, violations: [] }
+ */
+export function checkLipinski(selfies) {
+  const descriptors = getDescriptors(selfies)
+  const limits = { molecularWeight: 500, logP: 5, hBondDonors: 5, hBondAcceptors: 10 }
+  const violations = Object.keys(limits).filter(name => descriptors[name] > limits[name])
+  return { pass: violations.length <= 1, violations }
+}
+
+/**
+ * Checks Veber's rule for oral bioavailability
+ * @param {string} selfies - SELFIES string
+ * @returns {{pass: boolean, violations: string[]}} pass is true when there
+ *   are no violations, of 'rotatableBonds' (> 10) and 'tpsa' (> 140)
+ *
+ * Example:
+ *   checkVeber('[C][C][O]') // => { pass: true, violations: [] }
+ */
+export function checkVeber(selfies) {
+  const descriptors = getDescriptors(selfies)
+  const limits = { rotatableBonds: 10, tpsa: 140 }
+  const violations = Object.keys(limits).filter(name => descriptors[name] > limits[name])
+  return { pass: violations.length === 0, violations }
+}
+
+/**
+ * Counts hydrogens on nitrogen and oxygen atoms
+ */
+function countDonors(molecule) {
+  return molecule.atoms
+    .filter(atom => atom.element === 'N' || atom.element === 'O')
+    .reduce((sum, atom) => sum + atom.hydrogens, 0)
+}
+
+/**
+ * Counts nitrogen and oxygen atoms
+ */
+function countAcceptors(molecule) {
+  return molecule.atoms.filter(atom => atom.element === 'N' || atom.element === 'O').length
+}
+
+/**
+ * Counts rotatable bonds with RDKit's strict definition
+ * @param {Object} molecule - Heavy-atom view
+ * @returns {number} Rotatable bonds
+ *
+ * A bond counts if it is single and not in a ring, both atoms pass
+ * isRotatableEnd(), and at least one of them is not the carbon or
+ * heteroatom of an amide-like C(=X)-Y link.
+ */
+function countRotatableBonds(molecule) {
+  let count = 0
+  molecule.atoms.forEach((atom, index) => {
+    for (const neighbor of atom.neighbors) {
+      if (neighbor.atom < index || neighbor.bond !== '-') continue
+      if (molecule.ringBonds.has(pairKey(index, neighbor.atom))) continue
+      if (!isRotatableEnd(molecule, index) || !isRotatableEnd(molecule, neighbor.atom)) continue
+      if (isAmideLike(molecule, index) && isAmideLike(molecule, neighbor.atom)) continue
+      count++
+    }
+  })
+  return count
+}
+
+/**
+ * Checks that an atom can end a rotatable bond: it has another heavy
+ * neighbor, no triple bond, and is not the centre of CF3, CCl3, CBr3, or
+ * C(CH3)3
+ */
+function isRotatableEnd(molecule, index) {
+  const atom = molecule.atoms[index]
+  if (atom.neighbors.length === 1) return false
+  if (atom.neighbors.some(neighbor => neighbor.bond === '#')) return false
+  if (atom.element !== 'C' || atom.aromatic) return true
+
+  const neighbors = atom.neighbors.map(neighbor => molecule.atoms[neighbor.atom])
+  for (const halogen of ['F', 'Cl', 'Br']) {
+    if (neighbors.filter(other => other.element === halogen).length >= 3) return false
+  }
+  const methyls = neighbors.filter(other => other.element === 'C' && !other.aromatic && other.hydrogens === 3)
+  return methyls.length < 3
+}
+
+/**
+ * Checks if an atom is part of an amide-like link, in RDKit's strict
+ * rotatable bond definition:
+ *   [CD3](=[N,O,S])-!@[#7,O,S!D1], [#7,O,S!D1]-!@[CD3]=[N,O,S],
+ *   [CD3](=[N+])-!@[#7!D1], [#7!D1]-!@[CD3]=[N+]
+ */
+function isAmideLike(molecule, index) {
+  const atom = molecule.atoms[index]
+  const chain = atom.neighbors
+    .filter(neighbor => neighbor.bond === '-' && !molecule.ringBonds.has(pairKey(index, neighbor.atom)))
+    .map(neighbor => molecule.atoms[neighbor.atom])
+
+  if (isAmideCarbon(molecule, atom, isAmideAcceptor) && chain.some(other => isHeteroEnd(other, false))) return true
+  if (isAmideCarbon(molecule, atom, isIminium) && chain.some(other => isHeteroEnd(other, true))) return true
+  if (isHeteroEnd(atom, false) && chain.some(other => isAmideCarbon(molecule, other, isAmideAcceptor))) return true
+  return isHeteroEnd(atom, true) && chain.some(other => isAmideCarbon(molecule, other, isIminium))
+}
+
+/**
+ * Checks for [CD3] with a double bond to an atom passing a test
+ */
+function isAmideCarbon(molecule, atom, test) {
+  return atom.element === 'C' && !atom.aromatic && atom.neighbors.length === 3 &&
+    hasDoubleBondTo(molecule, atom, test)
+}
+
+/**
+ * Checks for [N,O,S], the doubly bonded atom of an amide-like carbon
+ */
+function isAmideAcceptor(atom) {
+  return !atom.aromatic && ['N', 'O', 'S'].includes(atom.element)
+}
+
+/**
+ * Checks for [N+], the doubly bonded atom of an amidinium carbon
+ */
+function isIminium(atom) {
+  return !atom.aromatic && atom.element === 'N' && atom.charge === 1
+}
+
+/**
+ * Checks for [#7,O,S!D1], or [#7!D1] with nitrogenOnly
+ */
+function isHeteroEnd(atom, nitrogenOnly) {
+  if (atom.element === 'N') return !nitrogenOnly || atom.neighbors.length > 1
+  if (nitrogenOnly || atom.aromatic) return false
+  return atom.element === 'O' || (atom.element === 'S' && atom.neighbors.length > 1)
+}
+
+/**
+ * Checks if an atom has a double bond to an atom passing a test
+ */
+function hasDoubleBondTo(molecule, atom, test) {
+  return atom.neighbors.some(neighbor => neighbor.bond === '=' && test(molecule.atoms[neighbor.atom]))
+}
+
+/**
+ * Calculates TPSA from Ertl's contributions of N and O atoms
+ * @param {Object} molecule - Heavy-atom view
+ * @returns {number} TPSA in Å²
+ *
+ * Each N and O is classified by its heavy neighbors, hydrogens, charge,
+ * bond types, and membership of a three-membered ring, following Ertl et
+ * al. (J. Med. Chem. 2000, 43, 3714-3717). Atoms not in the table get an
+ * estimate from their neighbor and hydrogen counts, as in RDKit.
+ */
+function calculateTPSA(molecule) {
+  const inThreeRing = new Set(molecule.rings.filter(ring => ring.length === 3).flat())
+  let total = 0
+
+  molecule.atoms.forEach((atom, index) => {
+    if (atom.element !== 'N' && atom.element !== 'O') return
+
+    const bonds = { '-': 0, '=': 0, '#': 0, ':': 0 }
+    for (const neighbor of atom.neighbors) {
+      bonds[neighbor.bond]++
+    }
+    const environment = {
+      neighbors: atom.neighbors.length,
+      hydrogens: atom.hydrogens,
+      charge: atom.charge,
+      single: bonds['-'],
+      double: bonds['='],
+      triple: bonds['#'],
+      aromatic: bonds[':'],
+      inThreeRing: inThreeRing.has(index)
+    }
+    total += atom.element === 'N' ? getNitrogenPSA(environment) : getOxygenPSA(environment)
+  })
+
+  return total
+}
+
+/**
+ * Gets the polar surface contribution of a nitrogen
+ * @param {Object} env - Neighbor, hydrogen, charge, and bond counts
+ * @returns {number} Contribution in Å²
+ */
+function getNitrogenPSA(env) {
+  const { neighbors, hydrogens: h, charge, single, double, triple, aromatic } = env
+
+  switch (neighbors) {
+    case 1:
+      if (h === 0 && charge === 0 && triple === 1) return 23.79
+      if (h === 1 && charge === 0 && double === 1) return 23.85
+      if (h === 2 && charge === 0 && single === 1) return 26.02
+      if (h === 2 && charge === 1 && double === 1) return 25.59
+      if (h === 3 && charge === 1 && single === 1) return 27.64
+      break
+    case 2:
+      if (h === 0 && charge === 0 && single === 1 && double === 1) return 12.36
+      if (h === 0 && charge === 0 && triple === 1 && double === 1) return 13.6
+      if (h === 1 && charge === 0 && single === 2) return env.inThreeRing ? 21.94 : 12.03
+      if (h === 0 && charge === 1 && triple === 1 && single === 1) return 4.36
+      if (h === 1 && charge === 1 && double === 1 && single === 1) return 13.97
+      if (h === 2 && charge === 1 && single === 2) return 16.61
+      if (h === 0 && charge === 0 && aromatic === 2) return 12.89
+      if (h === 1 && charge === 0 && aromatic === 2) return 15.79
+      if (h === 1 && charge === 1 && aromatic === 2) return 14.14
+      break
+    case 3:
+      if (h === 0 && charge === 0 && single === 3) return env.inThreeRing ? 3.01 : 3.24
+      if (h === 0 && charge === 0 && single === 1 && double === 2) return 11.68
+      if (h === 0 && charge === 1 && single === 2 && double === 1) return 3.01
+      if (h === 1 && charge === 1 && single === 3) return 4.44
+      if (h === 0 && charge === 0 && aromatic === 3) return 4.41
+      if (h === 0 && charge === 0 && single === 1 && aromatic === 2) return 4.93
+      if (h === 0 && charge === 0 && double === 1 && aromatic === 2) return 8.39
+      if (h === 0 && charge === 1 && aromatic === 3) return 4.1
+      if (h === 0 && charge === 1 && single === 1 && aromatic === 2) return 3.88
+      break
+    case 4:
+      if (h === 0 && charge === 1 && single === 4) return 0
+      break
+  }
+
+  return Math.max(0, 30.5 - neighbors * 8.2 + h * 1.5)
+}
+
+/**
+ * Gets the polar surface contribution of an oxygen
+ * @param {Object} env - Neighbor, hydrogen, charge, and bond counts
+ * @returns {number} Contribution in Å²
+ */
+function getOxygenPSA(env) {
+  const { neighbors, hydrogens: h, charge, single, double, aromatic } = env
+
+  switch (neighbors) {
+    case 1:
+      if (h === 0 && charge === 0 && double === 1) return 17.07
+      if (h === 1 && charge === 0 && single === 1) return 20.23
+      if (h === 0 && charge === -1 && single === 1) return 23.06
+      break
+    case 2:
+      if (h === 0 && charge === 0 && single === 2) return env.inThreeRing ? 12.53 : 9.23
+      if (h === 0 && charge === 0 && aromatic === 2) return 13.14
+      break
+  }
+
+  return Math.max(0, 28.5 - neighbors * 8.6 + h * 1.5)
+}
+
@@ -0,0 +1,192 @@
+/**
+ * Tests for drug-likeness descriptors
+ *
+ * Expected values are RDKit's (lipinskiHBD, lipinskiHBA, NumRotatableBonds,
+ * tpsa, CrippenClogP, CrippenMR, NumRings, NumHeavyAtoms).
+ */
+
+import { describe, test, expect } from 'bun:test'
+import {
+  getDescriptors,
+  getHBondDonors,
+  getHBondAcceptors,
+  getRotatableBonds,
+  getTPSA,
+  getLogP,
+  getMolarRefractivity,
+  getRingCount,
+  getHeavyAtomCount,
+  checkLipinski,
+  checkVeber
+} from './descriptors.js'
+
+const ASPIRIN = '[C][C][=Branch1][C][=O][O][C][=C][C][=C][C][=C][Ring1][=Branch1][C][=Branch1][C][=O][O]'
+const CAFFEINE = '[C][N][C][=N][C][=C][Ring1][Branch1][C][=Branch1][C][=O][N][Branch1][=Branch2][C][=Branch1][C][=O][N][Ring1][Branch2][C][C]'
+const IBUPROFEN = '[C][C][Branch1][C][C][C][C][=C][C][=C][Branch1][Branch1][C][=C][Ring1][=Branch1][C][Branch1][C][C][C][=Branch1][C][=O][O]'
+const GLUCOSE = '[O][C][C@H1][O][C][Branch1][C][O][C@H1][Branch1][C][O][C@@H1][Branch1][C][O][C@@H1][Ring1][=Branch2][O]'
+
+describe('getDescriptors', () => {
+  test('matches RDKit for aspirin', () => {
+    const descriptors = getDescriptors(ASPIRIN)
+    expect(descriptors.molecularWeight).toBeCloseTo(180.159, 2)
+    expect(descriptors.heavyAtoms).toBe(13)
+    expect(descriptors.rings).toBe(1)
+    expect(descriptors.hBondDonors).toBe(1)
+    expect(descriptors.hBondAcceptors).toBe(4)
+    expect(descriptors.rotatableBonds).toBe(2)
+    expect(descriptors.tpsa).toBeCloseTo(63.6, 2)
+    expect(descriptors.logP).toBeCloseTo(1.3101, 4)
+    expect(descriptors.molarRefractivity).toBeCloseTo(44.7103, 4)
+  })
+
+  test('matches RDKit for caffeine', () => {
+    const descriptors = getDescriptors(CAFFEINE)
+    expect(descriptors.rings).toBe(2)
+    expect(descriptors.hBondDonors).toBe(0)
+    expect(descriptors.hBondAcceptors).toBe(6)
+    expect(descriptors.rotatableBonds).toBe(0)
+    expect(descriptors.tpsa).toBeCloseTo(61.82, 2)
+    expect(descriptors.logP).toBeCloseTo(-1.0293, 4)
+    expect(descriptors.molarRefractivity).toBeCloseTo(51.196, 3)
+  })
+
+  test('matches RDKit for ibuprofen', () => {
+    const descriptors = getDescriptors(IBUPROFEN)
+    expect(descriptors.rotatableBonds).toBe(4)
+    expect(descriptors.tpsa).toBeCloseTo(37.3, 2)
+    expect(descriptors.logP).toBeCloseTo(3.0732, 4)
+    expect(descriptors.molarRefractivity).toBeCloseTo(61.0348, 4)
+  })
+
+  test('returns zeros for an empty molecule', () => {
+    expect(getDescriptors('')).toEqual({
+      molecularWeight: 0,
+      heavyAtoms: 0,
+      rings: 0,
+      hBondDonors: 0,
+      hBondAcceptors: 0,
+      rotatableBonds: 0,
+      tpsa: 0,
+      logP: 0,
+      molarRefractivity: 0
+    })
+  })
+})
+
+describe('getHBondDonors and getHBondAcceptors', () => {
+  test('count N-H and O-H bonds, and N and O atoms', () => {
+    expect(getHBondDonors('[N][C][C][O]')).toBe(3)
+    expect(getHBondAcceptors('[N][C][C][O]')).toBe(2)
+  })
+
+  test('count every hydroxyl of glucose', () => {
+    expect(getHBondDonors(GLUCOSE)).toBe(5)
+    expect(getHBondAcceptors(GLUCOSE)).toBe(6)
+  })
+
+  test('count hydrogens written as [H] atoms', () => {
+    expect(getHBondDonors('[C][O][H]')).toBe(1)
+  })
+})
+
+describe('getRotatableBonds', () => {
+  test('counts single bonds between non-terminal atoms', () => {
+    expect(getRotatableBonds('[C][C]')).toBe(0)
+    expect(getRotatableBonds('[C][C][C][C]')).toBe(1)
+  })
+
+  test('skips ring bonds', () => {
+    expect(getRotatableBonds('[C][C][C][C][C][C][Ring1][=Branch1]')).toBe(0)
+  })
+
+  test('skips amide C-N bonds', () => {
+    // CC(=O)N(C)C
+    expect(getRotatableBonds('[C][C][=Branch1][C][=O][N][Branch1][C][C][C]')).toBe(0)
+  })
+
+  test('skips bonds to CF3 groups', () => {
+    // FC(F)(F)c1ccccc1
+    expect(getRotatableBonds('[F][C][Branch1][C][F][Branch1][C][F][C][=C][C][=C][C][=C][Ring1][=Branch1]')).toBe(0)
+  })
+})
+
+describe('getTPSA', () => {
+  test('sums Ertl contributions of N and O', () => {
+    expect(getTPSA('[C][C][O]')).toBeCloseTo(20.23, 2)
+    expect(getTPSA(GLUCOSE)).toBeCloseTo(110.38, 2)
+  })
+
+  test('handles charged atoms', () => {
+    // Nitromethane, C[N+](=O)[O-]
+    expect(getTPSA('[C][N+1][=Branch1][C][=O][O-1]')).toBeCloseTo(43.14, 2)
+  })
+
+  test('is zero without N and O', () => {
+    expect(getTPSA('[C][C][C][Ring1][Ring1]')).toBe(0)
+  })
+})
+
+describe('getLogP and getMolarRefractivity', () => {
+  test('sum Wildman-Crippen contributions', () => {
+    expect(getLogP('[C][C][O]')).toBeCloseTo(-0.0014, 4)
+    expect(getMolarRefractivity('[C][C][O]')).toBeCloseTo(12.7598, 4)
+    expect(getLogP('[C][C][C][Ring1][Ring1]')).toBeCloseTo(1.1703, 4)
+  })
+
+  test('type ions', () => {
+    // Sodium acetate, CC(=O)[O-].[Na+]
+    expect(getLogP('[C][C][=Branch1][C][=O][O-1].[Na+1]')).toBeCloseTo(-4.2398, 4)
+    expect(getMolarRefractivity('[C][C][=Branch1][C][=O][O-1].[Na+1]')).toBeCloseTo(10.681, 3)
+  })
+})
+
+describe('getRingCount and getHeavyAtomCount', () => {
+  test('count SSSR rings', () => {
+    expect(getRingCount('[C][C][O]')).toBe(0)
+    expect(getRingCount(CAFFEINE)).toBe(2)
+  })
+
+  test('count independent rings of bridged systems', () => {
+    // Norbornane; RDKit's NumRings agrees
+    expect(getRingCount('[C][C][C][C][C][C][Ring1][=Branch1][C][Ring1][Branch1]')).toBe(2)
+  })
+
+  test('count fewer rings than RDKit for symmetric cages', () => {
+    // Adamantane and cubane; RDKit's NumRings gives 4 and 6
+    expect(getRingCount('[C][C][C][C][C][C][Ring1][=Branch1][C][C][Branch1][Ring2][C][Ring1][Branch2][C][Ring1][#Branch1]')).toBe(3)
+    expect(getRingCount('[C][C][C][C][Ring1][Ring2][C][C][Ring1][=Branch1][C][Ring1][=Branch1][C][Ring1][=Branch1][Ring1][Ring2]')).toBe(5)
+  })
+
+  test('count non-hydrogen atoms', () => {
+    expect(getHeavyAtomCount('[C][C][O]')).toBe(3)
+    expect(getHeavyAtomCount('[C][O][H]')).toBe(2)
+  })
+})
+
+describe('checkLipinski', () => {
+  test('passes drug-like molecules', () => {
+    expect(checkLipinski(ASPIRIN)).toEqual({ pass: true, violations: [] })
+  })
+
+  test('allows one violation', () => {
+    // Triacontanoic acid: logP 11
+    const acid = '[C]'.repeat(30) + '[=Branch1][C][=O][O]'
+    expect(checkLipinski(acid)).toEqual({ pass: true, violations: ['logP'] })
+  })
+
+  test('fails with two or more violations', () => {
+    const acid = '[C]'.repeat(40) + '[=Branch1][C][=O][O]'
+    expect(checkLipinski(acid)).toEqual({ pass: false, violations: ['molecularWeight', 'logP'] })
+  })
+})
+
+describe('checkVeber', () => {
+  test('passes rigid molecules', () => {
+    expect(checkVeber(CAFFEINE)).toEqual({ pass: true, violations: [] })
+  })
+
+  test('fails flexible molecules', () => {
+    const acid = '[C]'.repeat(30) + '[=Branch1][C][=O][O]'
+    expect(checkVeber(acid)).toEqual({ pass: false, violations: ['rotatableBonds'] })
+  })
+})
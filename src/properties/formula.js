@@ -5,8 +5,8 @@
  * C first, then H, then other elements alphabetically.
  */
 
-import { tokenize } from '../tokenizer.js'
-import { parse } from '../parser.js'
+import { decodeToAST } from '../decoder.js'
+import { getHydrogenCounts } from '../hydrogens.js'
 
 /**
  * Generates molecular formula from SELFIES string
@@ -23,44 +23,36 @@ import { parse } from '../parser.js'
  *   getFormula('[C][C][O]') // => 'C2H6O'
  *   getFormula('[C]') // => 'CH4'
  *   getFormula('[N][C][C][=O]') // => 'C2H5NO'
+ *   getFormula('[C][O-1].[Na+1]') // => 'CH3NaO' (all fragments in one formula)
  */
 export function getFormula(selfies) {
-  const tokens = tokenize(selfies)
-  const ir = parse(tokens)
-  const counts = countAtoms(ir)
-  return formatHill(counts)
+  return formatHill(getElementCounts(selfies))
 }
 
 /**
- * Counts atoms in molecule IR (including implicit hydrogens)
- * @param {Object} ir - Molecule internal representation
- * @returns {Object} Map of element to count
+ * Counts the atoms of each element in a SELFIES molecule
+ * @param {string} selfies - SELFIES string
+ * @returns {Object} Map of element to count, including implicit hydrogens
+ *
+ * The molecule is decoded with decodeToAST(), so branches, ring bonds, and
+ * bond orders lowered by the derivation rules all count. Hydrogens come
+ * from getHydrogenCounts(): charged and other bracket atoms carry exactly
+ * their written count, as in the decoded SMILES.
+ *
+ * Example:
+ *   getElementCounts('[C][C][O]') // => { C: 2, O: 1, H: 6 }
  */
-function countAtoms(ir) {
+export function getElementCounts(selfies) {
+  const graph = decodeToAST(selfies)
   const counts = {}
 
-  // Count explicit atoms
-  for (const atom of ir.atoms) {
+  for (const atom of graph.atoms) {
     counts[atom.element] = (counts[atom.element] || 0) + 1
   }
 
-  // Calculate used valence from bonds
-  const usedValence = new Array(ir.atoms.length).fill(0)
-  for (const bond of ir.bonds) {
-    usedValence[bond.from] += bond.order
-    usedValence[bond.to] += bond.order
-  }
-
-  // Add implicit hydrogens
-  let totalH = 0
-  for (let i = 0; i < ir.atoms.length; i++) {
-    const atom = ir.atoms[i]
-    const implicitH = Math.max(0, atom.valence - usedValence[i])
-    totalH += implicitH
-  }
-
-  if (totalH > 0) {
-    counts['H'] = totalH
+  const hydrogens = getHydrogenCounts(graph).reduce((sum, count) => sum + count, 0)
+  if (hydrogens > 0) {
+    counts['H'] = (counts['H'] || 0) + hydrogens
   }
 
   return counts
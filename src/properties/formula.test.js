@@ -5,91 +5,130 @@
  */
 
 import { describe, test, expect } from 'bun:test'
-import { getFormula } from './formula.js'
+import { getFormula, getElementCounts } from './formula.js'
 
 describe('getFormula', () => {
-  // TODO: Simple molecules
+  // Simple molecules
   test('generates methane formula', () => {
-    // TODO: expect(getFormula('[C]')).toBe('CH4')
+    expect(getFormula('[C]')).toBe('CH4')
   })
 
   test('generates ethane formula', () => {
-    // TODO: expect(getFormula('[C][C]')).toBe('C2H6')
+    expect(getFormula('[C][C]')).toBe('C2H6')
   })
 
   test('generates ethanol formula', () => {
-    // TODO: expect(getFormula('[C][C][O]')).toBe('C2H6O')
+    expect(getFormula('[C][C][O]')).toBe('C2H6O')
   })
 
   test('generates water formula', () => {
-    // TODO: expect(getFormula('[O]')).toBe('H2O')
+    expect(getFormula('[O]')).toBe('H2O')
   })
 
-  // TODO: Hill notation rules
+  // Hill notation rules
   test('puts carbon first', () => {
-    // TODO: const formula = getFormula('[N][C][C]')
-    // TODO: expect(formula[0]).toBe('C')
+    const formula = getFormula('[N][C][C]')
+    expect(formula[0]).toBe('C')
   })
 
   test('puts hydrogen second', () => {
-    // TODO: const formula = getFormula('[C][C][O]')
-    // TODO: expect(formula).toMatch(/^C\d+H/)
+    const formula = getFormula('[C][C][O]')
+    expect(formula).toMatch(/^C\d+H/)
   })
 
   test('orders other elements alphabetically', () => {
-    // TODO: const formula = getFormula('[C][S][N][O]')
-    // TODO: After C and H, should be N, O, S (alphabetical)
+    // After C and H: N, O, S
+    expect(getFormula('[C][S][N][O]')).toBe('CH5NOS')
   })
 
   test('omits count of 1', () => {
-    // TODO: expect(getFormula('[C][O][O]')).toBe('CH2O2')
-    // TODO: Not CH2O2 but C, not C1
+    expect(getFormula('[C][O][O]')).toBe('CH4O2')
   })
 
   test('handles no carbon', () => {
-    // TODO: const formula = getFormula('[N][O]')
-    // TODO: Should still have H first if present, then alphabetical
+    // Hydroxylamine: H first, then alphabetical
+    expect(getFormula('[N][O]')).toBe('H3NO')
   })
 
-  // TODO: Different bond types
+  // Different bond types
   test('accounts for double bonds', () => {
-    // TODO: expect(getFormula('[C][=C]')).toBe('C2H4')
-    // TODO: Ethene, not ethane
+    expect(getFormula('[C][=C]')).toBe('C2H4')
   })
 
   test('accounts for triple bonds', () => {
-    // TODO: expect(getFormula('[C][#C]')).toBe('C2H2')
-    // TODO: Acetylene
+    expect(getFormula('[C][#C]')).toBe('C2H2')
   })
 
-  // TODO: Complex structures
+  // Complex structures
   test('handles branching', () => {
-    // TODO: const formula = getFormula('[C][C][Branch1][C][C][C]')
-    // TODO: expect(formula).toBe('C4H10')  // Isobutane
+    // Isobutane
+    expect(getFormula('[C][C][Branch1][C][C][C]')).toBe('C4H10')
   })
 
   test('handles rings', () => {
-    // TODO: const formula = getFormula('[C][=C][C][=C][C][=C][Ring1][=Branch1]')
-    // TODO: expect(formula).toBe('C6H6')  // Benzene
+    // Benzene
+    expect(getFormula('[C][=C][C][=C][C][=C][Ring1][=Branch1]')).toBe('C6H6')
   })
 
-  // TODO: Edge cases
+  test('handles branches and rings together', () => {
+    // Aspirin, CC(=O)Oc1ccccc1C(=O)O
+    const aspirin = '[C][C][=Branch1][C][=O][O][C][=C][C][=C][C][=C][Ring1][=Branch1][C][=Branch1][C][=O][O]'
+    expect(getFormula(aspirin)).toBe('C9H8O4')
+  })
+
+  test('uses bond orders lowered by the derivation rules', () => {
+    // The second [=C] of [C][=C][=C] is an allene, not a pentavalent carbon
+    expect(getFormula('[C][=C][=C]')).toBe('C3H4')
+    // Chlorine takes one bond, so the chain ends after it
+    expect(getFormula('[C][Cl][Cl]')).toBe('CH3Cl')
+  })
+
+  test('gives charged atoms exactly their written hydrogens', () => {
+    // Nitromethane, C[N+](=O)[O-]
+    expect(getFormula('[C][N+1][=Branch1][C][=O][O-1]')).toBe('CH3NO2')
+    expect(getFormula('[NH4+1]')).toBe('H4N')
+  })
+
+  test('uses higher valences for hypervalent atoms', () => {
+    // Dimethyl sulfone, CS(=O)(=O)C
+    expect(getFormula('[C][S][=Branch1][C][=O][=Branch1][C][=O][C]')).toBe('C2H6O2S')
+  })
+
+  // Edge cases
   test('handles single atom', () => {
-    // TODO: expect(getFormula('[C]')).toBe('CH4')
+    expect(getFormula('[C]')).toBe('CH4')
   })
 
   test('handles no hydrogen', () => {
-    // TODO: const formula = getFormula('[C][Cl][Cl][Cl][Cl]')
-    // TODO: CCl4 - no hydrogen atoms
-    // TODO: expect(formula).toBe('CCl4')
+    // CCl4
+    expect(getFormula('[Cl][C][Branch1][C][Cl][Branch1][C][Cl][Cl]')).toBe('CCl4')
   })
 
-  // TODO: Error cases
+  test('handles radicals', () => {
+    expect(getFormula('[C][NH0][C]')).toBe('C2H6N')
+  })
+
+  test('handles an empty string', () => {
+    expect(getFormula('')).toBe('')
+  })
+
+  // Error cases
   test('throws on invalid SELFIES', () => {
     // TODO: expect(() => getFormula('[Xyz]')).toThrow()
   })
 
   test('throws on malformed SELFIES', () => {
-    // TODO: expect(() => getFormula('[C][C')).toThrow()
+    expect(() => getFormula('[C][C')).toThrow()
+  })
+})
+
+describe('getElementCounts', () => {
+  test('counts branch and ring atoms', () => {
+    expect(getElementCounts('[C][C][Branch1][C][O][C]')).toEqual({ C: 3, O: 1, H: 8 })
+  })
+
+  test('counts hydrogen atoms with implicit hydrogens', () => {
+    // [H][H] is hydrogen gas
+    expect(getElementCounts('[H][H]')).toEqual({ H: 2 })
   })
 })
@@ -0,0 +1,176 @@
+/**
+ * Mass Spec - Exact masses, adduct m/z, and isotope patterns from SELFIES
+ *
+ * Uses the decoded atoms, their implicit hydrogens, and the isotope data in
+ * atoms.js. Isotope-labelled atoms such as [2H] or [13C] count with the
+ * mass of their isotope. Masses are in Da (unified atomic mass units).
+ */
+
+import { decodeToAST } from '../decoder.js'
+import { getHydrogenCounts } from '../hydrogens.js'
+import { getIsotopeMass, getIsotopes, getMonoisotopicMass } from './atoms.js'
+
+/**
+ * Mass of an electron, lost or gained when an adduct ion forms
+ */
+const ELECTRON_MASS = 0.000548579909
+
+/**
+ * Mass of a proton (a hydrogen atom without its electron)
+ */
+const PROTON_MASS = getMonoisotopicMass('H') - ELECTRON_MASS
+
+/**
+ * Common adducts: the mass added to M (or removed) and the ion charge
+ */
+const ADDUCTS = {
+  '[M+H]+': { delta: PROTON_MASS, charge: 1 },
+  '[M+Na]+': { delta: getMonoisotopicMass('Na') - ELECTRON_MASS, charge: 1 },
+  '[M+K]+': { delta: getMonoisotopicMass('K') - ELECTRON_MASS, charge: 1 },
+  '[M+NH4]+': { delta: getMonoisotopicMass('N') + 4 * getMonoisotopicMass('H') - ELECTRON_MASS, charge: 1 },
+  '[M-H]-': { delta: -PROTON_MASS, charge: -1 },
+  '[M+Cl]-': { delta: getMonoisotopicMass('Cl') + ELECTRON_MASS, charge: -1 }
+}
+
+/**
+ * Peaks below this fraction of the largest are dropped while convolving
+ */
+const PRUNE_RATIO = 1e-9
+
+/**
+ * Calculates the monoisotopic exact mass of a SELFIES molecule
+ * @param {string} selfies - SELFIES string
+ * @returns {number} Sum of the masses of each atom's most abundant isotope,
+ *   or of its labelled isotope
+ * @throws {Error} If a labelled isotope is unknown
+ *
+ * Formal charges do not change the result (electron masses are ignored),
+ * matching RDKit's ExactMolWt.
+ *
+ * Example:
+ *   getExactMass('[C][C][O]') // => 46.041865 (C2H6O)
+ */
+export function getExactMass(selfies) {
+  let mass = 0
+  for (const { element, isotope, count } of countAtoms(selfies)) {
+    const atomMass = isotope ? getIsotopeMass(element, isotope) : getMonoisotopicMass(element)
+    mass += atomMass * count
+  }
+  return mass
+}
+
+/**
+ * Calculates the m/z of an adduct ion of a SELFIES molecule
+ * @param {string} selfies - SELFIES string of the neutral molecule M
+ * @param {string} [adduct='[M+H]+'] - One of '[M+H]+', '[M+Na]+', '[M+K]+',
+ *   '[M+NH4]+', '[M-H]-', '[M+Cl]-'
+ * @returns {number} Monoisotopic m/z of the ion
+ * @throws {Error} If the adduct is not supported
+ *
+ * Example:
+ *   getAdductMz('[C][C][O]')            // => 47.049141
+ *   getAdductMz('[C][C][O]', '[M-H]-')  // => 45.034588
+ */
+export function getAdductMz(selfies, adduct = '[M+H]+') {
+  if (!Object.prototype.hasOwnProperty.call(ADDUCTS, adduct)) {
+    throw new Error(`Unknown adduct: ${adduct}. Supported adducts: ${Object.keys(ADDUCTS).join(', ')}`)
+  }
+  const ion = ADDUCTS[adduct]
+  return (getExactMass(selfies) + ion.delta) / Math.abs(ion.charge)
+}
+
+/**
+ * Calculates the theoretical isotope distribution of a SELFIES molecule
+ * @param {string} selfies - SELFIES string
+ * @param {Object} [options] - Options
+ * @param {number} [options.threshold=0.001] - Drop peaks below this fraction
+ *   of the most abundant peak
+ * @returns {{mass: number, abundance: number}[]} Peaks in order of mass,
+ *   one per nominal mass, with the abundance-weighted mean exact mass and
+ *   the fraction of molecules in the peak; [] for an empty molecule
+ * @throws {Error} If a labelled isotope is unknown
+ *
+ * Labelled atoms contribute only their isotope, so [13CH4] gives a
+ * single 13C peak rather than the natural 12C/13C split.
+ *
+ * Example:
+ *   getIsotopePattern('[Cl][C][Cl]')
+ *   // => [{ mass: 83.953, abundance: 0.5677 }, { mass: 84.957, abundance: 0.0063 },
+ *   //     { mass: 85.950, abundance: 0.3633 }, ...]
+ */
+export function getIsotopePattern(selfies, options = {}) {
+  const { threshold = 0.001 } = options
+  const counts = countAtoms(selfies)
+  if (counts.length === 0) return []
+
+  // Peaks by nominal mass, with abundance-weighted mass sums
+  let peaks = new Map([[0, { massSum: 0, abundance: 1 }]])
+  for (const { element, isotope, count } of counts) {
+    const isotopes = isotope
+      ? [{ massNumber: isotope, mass: getIsotopeMass(element, isotope), abundance: 1 }]
+      : getIsotopes(element)
+    for (let i = 0; i < count; i++) {
+      peaks = addAtom(peaks, isotopes)
+    }
+  }
+
+  const largest = Math.max(...[...peaks.values()].map(peak => peak.abundance))
+  return [...peaks.entries()]
+    .filter(([, peak]) => peak.abundance >= largest * threshold)
+    .sort(([a], [b]) => a - b)
+    .map(([, peak]) => ({ mass: peak.massSum / peak.abundance, abundance: peak.abundance }))
+}
+
+/**
+ * Counts a molecule's atoms, including implicit hydrogens, by element and
+ * isotope label
+ * @param {string} selfies - SELFIES string
+ * @returns {{element: string, isotope: number|undefined, count: number}[]}
+ *   One entry per element and label; isotope is undefined for unlabelled
+ *   atoms
+ */
+function countAtoms(selfies) {
+  const graph = decodeToAST(selfies)
+  const counts = new Map()
+  const add = (element, isotope, count) => {
+    const key = isotope ? `${isotope}${element}` : element
+    const entry = counts.get(key) || { element, isotope, count: 0 }
+    entry.count += count
+    counts.set(key, entry)
+  }
+
+  for (const atom of graph.atoms) {
+    add(atom.element, atom.isotope, 1)
+  }
+  const hydrogens = getHydrogenCounts(graph).reduce((sum, count) => sum + count, 0)
+  if (hydrogens > 0) add('H', undefined, hydrogens)
+
+  return [...counts.values()]
+}
+
+/**
+ * Convolves an isotope distribution with one more atom
+ * @param {Map<number, Object>} peaks - Distribution by nominal mass
+ * @param {Object[]} isotopes - Isotopes of the atom, from getIsotopes()
+ * @returns {Map<number, Object>} New distribution, with negligible peaks
+ *   pruned
+ */
+function addAtom(peaks, isotopes) {
+  const next = new Map()
+  for (const [nominal, peak] of peaks) {
+    for (const isotope of isotopes) {
+      const key = nominal + isotope.massNumber
+      const abundance = peak.abundance * isotope.abundance
+      const entry = next.get(key) || { massSum: 0, abundance: 0 }
+      entry.massSum += peak.massSum * isotope.abundance + isotope.mass * abundance
+      entry.abundance += abundance
+      next.set(key, entry)
+    }
+  }
+
+  const largest = Math.max(...[...next.values()].map(peak => peak.abundance))
+  for (const [key, peak] of next) {
+    if (peak.abundance < largest * PRUNE_RATIO) next.delete(key)
+  }
+  return next
+}
@@ -0,0 +1,110 @@
+/**
+ * Tests for exact mass, adduct m/z, and isotope pattern calculations
+ */
+
+import { describe, test, expect } from 'bun:test'
+import { getExactMass, getAdductMz, getIsotopePattern } from './massSpec.js'
+import { getElementCounts } from './formula.js'
+
+describe('getExactMass', () => {
+  test('sums monoisotopic masses', () => {
+    expect(getExactMass('[C]')).toBeCloseTo(16.0313, 4)
+    expect(getExactMass('[C][C][O]')).toBeCloseTo(46.041865, 6)
+    expect(getExactMass('[Cl][C][Cl]')).toBeCloseTo(83.953355, 6)
+  })
+
+  test('counts ring and branch atoms', () => {
+    expect(getExactMass('[C][=C][C][=C][C][=C][Ring1][=Branch1]')).toBeCloseTo(78.04695, 5)
+    expect(getExactMass('[C][C][=Branch1][C][=O][O]')).toBeCloseTo(60.021129, 6)
+  })
+
+  test('includes every fragment and ignores charges', () => {
+    // CH3O- Na+
+    expect(getExactMass('[C][O-1].[Na+1]')).toBeCloseTo(54.008159, 6)
+  })
+
+  test('uses the mass of labelled isotopes', () => {
+    // D2O and 13CH4
+    expect(getExactMass('[2H][O][2H]')).toBeCloseTo(20.023118, 6)
+    expect(getExactMass('[13CH4]')).toBeCloseTo(17.034655, 6)
+    // 14C is not a natural isotope
+    expect(getExactMass('[14CH4]')).toBeCloseTo(18.034542, 6)
+  })
+
+  test('throws on unknown isotopes', () => {
+    expect(() => getExactMass('[99C]')).toThrow('Unknown isotope: 99C')
+  })
+
+  test('returns 0 for an empty molecule', () => {
+    expect(getExactMass('')).toBe(0)
+  })
+})
+
+describe('getAdductMz', () => {
+  test('defaults to [M+H]+', () => {
+    expect(getAdductMz('[C][C][O]')).toBeCloseTo(47.049141, 6)
+  })
+
+  test('calculates common adducts', () => {
+    expect(getAdductMz('[C][C][O]', '[M+Na]+')).toBeCloseTo(69.031086, 6)
+    expect(getAdductMz('[C][C][O]', '[M-H]-')).toBeCloseTo(45.034588, 6)
+    expect(getAdductMz('[C][C][O]', '[M+K]+')).toBeCloseTo(85.005023, 5)
+    expect(getAdductMz('[C][C][O]', '[M+NH4]+')).toBeCloseTo(64.075690, 6)
+    expect(getAdductMz('[C][C][O]', '[M+Cl]-')).toBeCloseTo(81.011266, 6)
+  })
+
+  test('throws on unknown adducts', () => {
+    expect(() => getAdductMz('[C]', '[M+Li]+')).toThrow('Unknown adduct: [M+Li]+')
+  })
+})
+
+describe('getIsotopePattern', () => {
+  test('gives the chlorine pattern of dichloromethane', () => {
+    const peaks = getIsotopePattern('[Cl][C][Cl]')
+    expect(peaks.map(peak => Math.round(peak.mass))).toEqual([84, 85, 86, 87, 88, 89])
+    expect(peaks[0].mass).toBeCloseTo(83.953355, 6)
+    // M+2 / M is about 2 × 37Cl / 35Cl
+    expect(peaks[2].abundance / peaks[0].abundance).toBeCloseTo(0.64, 2)
+    expect(peaks[4].abundance / peaks[0].abundance).toBeCloseTo(0.102, 2)
+  })
+
+  test('gives abundances that sum to about 1', () => {
+    const peaks = getIsotopePattern('[C][C][O]')
+    expect(peaks[0].abundance).toBeCloseTo(0.9757, 4)
+    expect(peaks.reduce((sum, peak) => sum + peak.abundance, 0)).toBeCloseTo(1, 3)
+  })
+
+  test('drops peaks below the threshold', () => {
+    expect(getIsotopePattern('[C][C][O]', { threshold: 0.01 })).toHaveLength(2)
+    expect(getIsotopePattern('[C][C][O]', { threshold: 0.1 })).toHaveLength(1)
+  })
+
+  test('handles large molecules quickly', () => {
+    // C100H202: M+1 overtakes M at about 90 carbons
+    const peaks = getIsotopePattern('[C]'.repeat(100))
+    expect(peaks[1].abundance).toBeGreaterThan(peaks[0].abundance)
+  })
+
+  test('gives labelled atoms a single isotope', () => {
+    const peaks = getIsotopePattern('[13CH4]')
+    // Only the hydrogens vary, so M+1 (13CH3D) is tiny
+    expect(peaks).toHaveLength(1)
+    expect(peaks[0].mass).toBeCloseTo(17.034655, 6)
+    expect(peaks[0].abundance).toBeCloseTo(0.99954, 5)
+
+    const water = getIsotopePattern('[2H][O][2H]')
+    expect(water[0].mass).toBeCloseTo(20.023118, 6)
+    // 18O still follows natural abundance
+    expect(water.map(peak => Math.round(peak.mass))).toEqual([20, 22])
+  })
+
+  test('returns no peaks for an empty molecule', () => {
+    expect(getIsotopePattern('')).toEqual([])
+  })
+})
+
+describe('getElementCounts', () => {
+  test('counts elements including implicit hydrogens', () => {
+    expect(getElementCounts('[C][C][O]')).toEqual({ C: 2, O: 1, H: 6 })
+  })
+})
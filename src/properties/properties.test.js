@@ -17,16 +17,21 @@ describe('getMolecularWeight', () => {
   })
 
   test('calculates benzene molecular weight', () => {
-    // TODO: expect(getMolecularWeight('[C][=C][C][=C][C][=C][Ring1][=Branch1]')).toBeCloseTo(78.114, 2)
+    expect(getMolecularWeight('[C][=C][C][=C][C][=C][Ring1][=Branch1]')).toBeCloseTo(78.114, 2)
   })
 
-  // TODO: Different elements
+  // Different elements
   test('calculates with nitrogen', () => {
-    // TODO: expect(getMolecularWeight('[N][C][C]')).toBeCloseTo(43.088, 2)
+    expect(getMolecularWeight('[N][C][C]')).toBeCloseTo(45.085, 2)
   })
 
   test('calculates with chlorine', () => {
-    // TODO: expect(getMolecularWeight('[Cl][C][C][Cl]')).toBeCloseTo(98.959, 2)
+    expect(getMolecularWeight('[Cl][C][C][Cl]')).toBeCloseTo(98.95, 1)
+  })
+
+  test('sums all fragments of a salt', () => {
+    // Sodium methoxide, CH3O- Na+
+    expect(getMolecularWeight('[C][O-1].[Na+1]')).toBeCloseTo(54.024, 2)
   })
 })
 
@@ -42,6 +47,12 @@ describe('getFormula', () => {
   test('omits count of 1', () => {
     expect(getFormula('[C][O][O]')).toBe('CH4O2')
   })
+
+  test('combines the fragments of a salt into one formula', () => {
+    expect(getFormula('[C][O-1].[Na+1]')).toBe('CH3NaO')
+    // Methylammonium chloride: bracket atoms keep their explicit H count
+    expect(getFormula('[NH3+1][C].[Cl-1]')).toBe('CH6ClN')
+  })
 })
 
 describe('getAtomicMass', () => {
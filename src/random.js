@@ -0,0 +1,77 @@
+/**
+ * Random - Seeded pseudo-random numbers for sampling and mutation
+ *
+ * Uses the mulberry32 generator, which is fast, has a 32-bit state, and
+ * gives the same sequence for the same seed on every platform.
+ */
+
+/**
+ * Creates a seeded random number generator
+ * @param {number} [seed] - Integer seed; a random seed if omitted
+ * @returns {function(): number} Function returning numbers in [0, 1)
+ *
+ * Example:
+ *   const random = createRandom(42)
+ *   random() // => 0.6011037519201636, the same on every run
+ */
+export function createRandom(seed = Math.floor(Math.random() * 2 ** 32)) {
+  let state = seed >>> 0
+
+  return function random() {
+    state = (state + 0x6D2B79F5) >>> 0
+    let t = state
+    t = Math.imul(t ^ (t >>> 15), t | 1)
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61)
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296
+  }
+}
+
+/**
+ * Picks an integer between min and max, inclusive
+ * @param {function(): number} random - Generator from createRandom()
+ * @param {number} min - Smallest value
+ * @param {number} max - Largest value
+ * @returns {number} Random integer
+ */
+export function randomInt(random, min, max) {
+  return min + Math.floor(random() * (max - min + 1))
+}
+
+/**
+ * Picks a random item
+ * @param {function(): number} random - Generator from createRandom()
+ * @param {Array} items - Items to pick from (non-empty)
+ * @param {number[]} [weights] - Relative weight of each item; uniform if omitted
+ * @returns {*} The chosen item
+ */
+export function pick(random, items, weights = null) {
+  if (weights === null) {
+    return items[Math.floor(random() * items.length)]
+  }
+
+  const total = weights.reduce((sum, weight) => sum + weight, 0)
+  let target = random() * total
+  for (let i = 0; i < items.length; i++) {
+    target -= weights[i]
+    if (target < 0) return items[i]
+  }
+  // Rounding can leave target at exactly 0; fall back to the last weighted item
+  for (let i = items.length - 1; i >= 0; i--) {
+    if (weights[i] > 0) return items[i]
+  }
+}
+
+/**
+ * Shuffles items with the Fisher-Yates algorithm
+ * @param {function(): number} random - Generator from createRandom()
+ * @param {Array} items - Items to shuffle
+ * @returns {Array} A new, shuffled array
+ */
+export function shuffle(random, items) {
+  const result = [...items]
+  for (let i = result.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1))
+    ;[result[i], result[j]] = [result[j], result[i]]
+  }
+  return result
+}
@@ -0,0 +1,62 @@
+/**
+ * Tests for the seeded random number generator
+ */
+
+import { describe, test, expect } from 'bun:test'
+import { createRandom, randomInt, pick, shuffle } from './random.js'
+
+describe('createRandom', () => {
+  test('repeats the same sequence for the same seed', () => {
+    const a = createRandom(42)
+    const b = createRandom(42)
+    const sequence = Array.from({ length: 5 }, () => a())
+    expect(Array.from({ length: 5 }, () => b())).toEqual(sequence)
+    expect(sequence[0]).toBe(0.6011037519201636)
+  })
+
+  test('gives different sequences for different seeds', () => {
+    expect(createRandom(1)()).not.toBe(createRandom(2)())
+  })
+
+  test('returns numbers in [0, 1)', () => {
+    const random = createRandom(7)
+    for (let i = 0; i < 1000; i++) {
+      const value = random()
+      expect(value >= 0 && value < 1).toBe(true)
+    }
+  })
+})
+
+describe('randomInt', () => {
+  test('stays within the inclusive range', () => {
+    const random = createRandom(3)
+    const values = new Set(Array.from({ length: 200 }, () => randomInt(random, 2, 4)))
+    expect([...values].sort()).toEqual([2, 3, 4])
+  })
+})
+
+describe('pick', () => {
+  test('never picks items with weight 0', () => {
+    const random = createRandom(5)
+    for (let i = 0; i < 100; i++) {
+      expect(pick(random, ['a', 'b', 'c'], [1, 0, 1])).not.toBe('b')
+    }
+  })
+
+  test('follows the weights', () => {
+    const random = createRandom(11)
+    const picks = Array.from({ length: 1000 }, () => pick(random, ['a', 'b'], [9, 1]))
+    const share = picks.filter(item => item === 'a').length / picks.length
+    expect(share).toBeGreaterThan(0.85)
+    expect(share).toBeLessThan(0.95)
+  })
+})
+
+describe('shuffle', () => {
+  test('returns a permutation without changing the input', () => {
+    const items = [1, 2, 3, 4, 5]
+    const shuffled = shuffle(createRandom(9), items)
+    expect(items).toEqual([1, 2, 3, 4, 5])
+    expect([...shuffled].sort()).toEqual(items)
+  })
+})
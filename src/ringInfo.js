@@ -0,0 +1,95 @@
+/**
+ * Ring Info - Ring analysis of decoded molecule graphs
+ *
+ * Collects what the rest of the library knows about a molecule's rings in
+ * one place: the SSSR from rings.js, the fused ring systems they form, the
+ * rings each atom and bond belongs to, and the aromaticity flags from
+ * aromaticity.js.
+ */
+
+import { findSSSR } from './rings.js'
+import { perceiveAromaticity } from './aromaticity.js'
+import { pairKey } from './molecule.js'
+
+/**
+ * Analyzes the rings of a molecule graph
+ * @param {Object} graph - Molecule graph from decodeToAST()
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.includeSpiro=false] - Also join rings that
+ *   share a single atom into one ring system
+ * @returns {Object} Ring information:
+ *   - rings: { atoms, size, aromatic } per SSSR ring, atoms in ring order,
+ *     smallest rings first
+ *   - systems: { rings, atoms } per ring system, with indices into rings
+ *     and sorted atom indices
+ *   - membership: { atoms, bonds, rings }, the ring indices of each atom,
+ *     each bond, and each ring-closure bond of the graph
+ *   - aromaticity: { atoms, bonds, rings } flags, from perceiveAromaticity()
+ *
+ * Rings sharing a bond (fused, as in naphthalene) or more (bridged, as in
+ * norbornane) belong to the same system. A ring is aromatic when all of
+ * its bonds are.
+ *
+ * Example:
+ *   getRingInfo(decodeToAST(encode('c1ccc2ccccc2c1'))).systems
+ *   // => [{ rings: [0, 1], atoms: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9] }]
+ */
+export function getRingInfo(graph, options = {}) {
+  const { includeSpiro = false } = options
+  const aromaticity = perceiveAromaticity(graph)
+  const edges = [...graph.bonds, ...graph.rings]
+  const edgeIndex = new Map(edges.map((edge, index) => [pairKey(edge.from, edge.to), index]))
+  const edgeAromatic = [...aromaticity.bonds, ...aromaticity.rings]
+
+  const atomRings = graph.atoms.map(() => [])
+  const edgeRings = edges.map(() => [])
+  const rings = findSSSR(graph).map((atoms, ringIndex) => {
+    const ringEdges = atoms.map((atom, i) => edgeIndex.get(pairKey(atom, atoms[(i + 1) % atoms.length])))
+    atoms.forEach(atom => atomRings[atom].push(ringIndex))
+    ringEdges.forEach(edge => edgeRings[edge].push(ringIndex))
+    return { atoms, size: atoms.length, aromatic: ringEdges.every(edge => edgeAromatic[edge]) }
+  })
+
+  return {
+    rings,
+    systems: getRingSystems(rings, includeSpiro ? 1 : 2),
+    membership: {
+      atoms: atomRings,
+      bonds: edgeRings.slice(0, graph.bonds.length),
+      rings: edgeRings.slice(graph.bonds.length)
+    },
+    aromaticity
+  }
+}
+
+/**
+ * Groups rings into ring systems
+ * @param {Object[]} rings - Rings with atoms
+ * @param {number} minShared - Atoms two rings must share to be joined
+ * @returns {Object[]} { rings, atoms } per system, in order of first ring
+ */
+function getRingSystems(rings, minShared) {
+  const parent = rings.map((ring, index) => index)
+  const find = index => (parent[index] === index ? index : find(parent[index]))
+
+  for (let i = 0; i < rings.length; i++) {
+    const atoms = new Set(rings[i].atoms)
+    for (let j = i + 1; j < rings.length; j++) {
+      const shared = rings[j].atoms.filter(atom => atoms.has(atom)).length
+      if (shared >= minShared) parent[find(j)] = find(i)
+    }
+  }
+
+  const systems = new Map()
+  rings.forEach((ring, index) => {
+    const root = find(index)
+    if (!systems.has(root)) systems.set(root, { rings: [], atoms: new Set() })
+    systems.get(root).rings.push(index)
+    ring.atoms.forEach(atom => systems.get(root).atoms.add(atom))
+  })
+
+  return [...systems.values()].map(system => ({
+    rings: system.rings,
+    atoms: [...system.atoms].sort((a, b) => a - b)
+  }))
+}
@@ -0,0 +1,73 @@
+/**
+ * Tests for ring analysis
+ */
+
+import { describe, test, expect } from 'bun:test'
+import { getRingInfo } from './ringInfo.js'
+import { decodeToAST } from './decoder.js'
+import { encode } from './encoder.js'
+
+function ringInfo(smiles, options) {
+  return getRingInfo(decodeToAST(encode(smiles)), options)
+}
+
+describe('getRingInfo', () => {
+  test('reports no rings for acyclic molecules', () => {
+    const info = ringInfo('CCO')
+    expect(info.rings).toEqual([])
+    expect(info.systems).toEqual([])
+    expect(info.membership.atoms).toEqual([[], [], []])
+    expect(info.membership.bonds).toEqual([[], []])
+  })
+
+  test('lists SSSR rings with sizes and aromaticity', () => {
+    // Cyclohexanone, O=C1CCCCC1
+    const info = ringInfo('O=C1CCCCC1')
+    expect(info.rings).toEqual([{ atoms: [1, 2, 3, 4, 5, 6], size: 6, aromatic: false }])
+    expect(info.aromaticity.atoms.some(flag => flag)).toBe(false)
+
+    const benzene = getRingInfo(decodeToAST('[C][=C][C][=C][C][=C][Ring1][=Branch1]'))
+    expect(benzene.rings).toEqual([{ atoms: [0, 1, 2, 3, 4, 5], size: 6, aromatic: true }])
+    expect(benzene.aromaticity.atoms).toEqual([true, true, true, true, true, true])
+  })
+
+  test('flags only the aromatic ring of a partly aromatic system', () => {
+    // Tetralin
+    const info = ringInfo('c1ccc2c(c1)CCCC2')
+    expect(info.rings.map(ring => ring.aromatic)).toEqual([true, false])
+    expect(info.systems).toHaveLength(1)
+  })
+
+  test('gives ring membership of atoms and bonds', () => {
+    // Naphthalene: the fusion atoms and bond are in both rings
+    const info = ringInfo('c1ccc2ccccc2c1')
+    const shared = info.membership.atoms.flatMap((rings, atom) => (rings.length === 2 ? [atom] : []))
+    expect(shared).toEqual([3, 8])
+    expect(info.membership.rings.filter(rings => rings.length === 2)).toHaveLength(1)
+  })
+
+  test('joins fused and bridged rings into systems', () => {
+    expect(ringInfo('c1ccc2ccccc2c1').systems).toEqual([{ rings: [0, 1], atoms: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9] }])
+    // Norbornane
+    expect(ringInfo('C1CC2CCC1C2').systems).toHaveLength(1)
+  })
+
+  test('keeps linked rings in separate systems', () => {
+    // Biphenyl: the linking bond is in no ring
+    const info = ringInfo('c1ccccc1-c1ccccc1')
+    expect(info.systems).toHaveLength(2)
+    expect(info.membership.bonds.filter(rings => rings.length === 0)).toHaveLength(1)
+  })
+
+  test('joins spiro rings only with includeSpiro', () => {
+    // Spiro[4.5]decane
+    expect(ringInfo('C1CCC2(CC1)CCCC2').systems).toHaveLength(2)
+    expect(ringInfo('C1CCC2(CC1)CCCC2', { includeSpiro: true }).systems).toHaveLength(1)
+  })
+
+  test('finds rings in every fragment', () => {
+    const info = ringInfo('C1CC1.c1ccccc1')
+    expect(info.rings.map(ring => ring.size)).toEqual([3, 6])
+    expect(info.systems).toHaveLength(2)
+  })
+})
@@ -0,0 +1,214 @@
+/**
+ * Rings - Ring perception on molecule graphs
+ *
+ * Finds the smallest set of smallest rings (SSSR) of a decodeToAST() graph
+ * with Horton's method: every shortest cycle through each atom is a
+ * candidate, and candidates are taken smallest first while they are
+ * independent of those already taken (over GF(2) on their bonds). The
+ * relevant rings are the candidates independent of all smaller ones.
+ */
+
+/**
+ * Finds the smallest set of smallest rings
+ * @param {Object} graph - Molecule graph with atoms, bonds, and rings
+ * @returns {number[][]} Atom indices of each ring in ring order, smallest
+ *   rings first
+ *
+ * The number of rings is the cyclomatic number, bonds - atoms + fragments.
+ * Where several rings of the same size are possible (e.g. in cubane), one
+ * choice is made consistently for the same graph.
+ *
+ * Example:
+ *   findSSSR(decodeToAST('[C][C][C][C][Ring1][Ring1][C][Ring1][Ring1]'))
+ *   // => [[1, 2, 3], [2, 3, 4]]
+ */
+export function findSSSR(graph) {
+  const { cycles, ringCount } = getCandidateCycles(graph)
+  const basis = []
+  const rings = []
+  for (const cycle of cycles) {
+    if (rings.length === ringCount) break
+    if (addToBasis(basis, cycle.mask)) rings.push(cycle.atoms)
+  }
+
+  return rings
+}
+
+/**
+ * Finds the relevant rings: those that are not a sum of smaller rings
+ * @param {Object} graph - Molecule graph with atoms, bonds, and rings
+ * @returns {number[][]} Atom indices of each ring in ring order, smallest
+ *   rings first
+ *
+ * These are every ring that can be part of an SSSR, so unlike findSSSR()
+ * the result does not depend on atom order where the SSSR is not unique
+ * (all six faces of cubane, all 32 of C60).
+ *
+ * Example:
+ *   findRelevantRings(decodeToAST(encode('C12C3C4C1C5C2C3C45'))).length // => 6
+ */
+export function findRelevantRings(graph) {
+  const { cycles } = getCandidateCycles(graph)
+  const basis = []
+  const rings = []
+  for (let start = 0; start < cycles.length;) {
+    let end = start
+    while (end < cycles.length && cycles[end].atoms.length === cycles[start].atoms.length) end++
+
+    // Test a size against the smaller rings only, then add it to them
+    const sameSize = cycles.slice(start, end)
+    for (const cycle of sameSize) {
+      if (reduceMask(basis, cycle.mask) !== 0n) rings.push(cycle.atoms)
+    }
+    for (const cycle of sameSize) {
+      addToBasis(basis, cycle.mask)
+    }
+    start = end
+  }
+
+  return rings
+}
+
+/**
+ * Lists the shortest cycles through every atom, smallest first
+ * @param {Object} graph - Molecule graph with atoms, bonds, and rings
+ * @returns {{cycles: Object[], ringCount: number}} Distinct cycles as
+ *   { atoms, mask }, and the cyclomatic number
+ */
+function getCandidateCycles(graph) {
+  const count = graph.atoms.length
+  const edges = [...graph.bonds, ...graph.rings]
+  const adjacency = graph.atoms.map(() => [])
+  edges.forEach((edge, index) => {
+    adjacency[edge.from].push({ atom: edge.to, edge: index })
+    adjacency[edge.to].push({ atom: edge.from, edge: index })
+  })
+
+  const ringCount = edges.length - count + countFragments(adjacency)
+  if (ringCount === 0) return { cycles: [], ringCount }
+
+  const candidates = new Map()
+  for (let root = 0; root < count; root++) {
+    for (const cycle of getCyclesThrough(root, adjacency, edges)) {
+      if (!candidates.has(cycle.mask)) candidates.set(cycle.mask, cycle)
+    }
+  }
+
+  const cycles = [...candidates.values()].sort((a, b) => a.atoms.length - b.atoms.length)
+  return { cycles, ringCount }
+}
+
+/**
+ * Finds the shortest cycles through an atom
+ * @param {number} root - Atom index
+ * @param {Object[][]} adjacency - Neighbors ({ atom, edge }) of each atom
+ * @param {Object[]} edges - Bonds and rings
+ * @returns {Object[]} { atoms, mask } per cycle, mask having one bit per bond
+ *
+ * Each bond (x, y) off the breadth-first tree from root closes a cycle
+ * root → x, y → root, kept when the two paths meet only at root.
+ */
+function getCyclesThrough(root, adjacency, edges) {
+  const parentEdge = new Map([[root, -1]])
+  const queue = [root]
+  for (let i = 0; i < queue.length; i++) {
+    const atom = queue[i]
+    for (const neighbor of adjacency[atom]) {
+      if (parentEdge.has(neighbor.atom)) continue
+      parentEdge.set(neighbor.atom, neighbor.edge)
+      queue.push(neighbor.atom)
+    }
+  }
+
+  // Atoms and bonds from root to an atom along the tree
+  const pathTo = atom => {
+    const atoms = [atom]
+    const bonds = []
+    while (atom !== root) {
+      const edge = edges[parentEdge.get(atom)]
+      bonds.push(parentEdge.get(atom))
+      atom = edge.from === atom ? edge.to : edge.from
+      atoms.push(atom)
+    }
+    return { atoms: atoms.reverse(), bonds }
+  }
+
+  const cycles = []
+  edges.forEach((edge, index) => {
+    if (!parentEdge.has(edge.from) || parentEdge.get(edge.from) === index || parentEdge.get(edge.to) === index) return
+
+    const a = pathTo(edge.from)
+    const b = pathTo(edge.to)
+    const shared = a.atoms.filter(atom => b.atoms.includes(atom))
+    if (shared.length !== 1) return
+
+    let mask = 1n << BigInt(index)
+    for (const bond of [...a.bonds, ...b.bonds]) {
+      mask |= 1n << BigInt(bond)
+    }
+    cycles.push({ atoms: [...a.atoms, ...b.atoms.slice(1).reverse()], mask })
+  })
+
+  return cycles
+}
+
+/**
+ * Adds a cycle to a GF(2) basis if it is independent of it
+ * @param {bigint[]} basis - Reduced cycle masks, modified in place
+ * @param {bigint} mask - Bond mask of the cycle
+ * @returns {boolean} True if the cycle was added
+ */
+function addToBasis(basis, mask) {
+  mask = reduceMask(basis, mask)
+  if (mask === 0n) return false
+
+  basis.push(mask)
+  basis.sort((a, b) => (highestBit(b) > highestBit(a) ? 1 : -1))
+  return true
+}
+
+/**
+ * Reduces a cycle mask by a GF(2) basis
+ * @param {bigint[]} basis - Reduced cycle masks
+ * @param {bigint} mask - Bond mask of the cycle
+ * @returns {bigint} What is left, 0n if the cycle depends on the basis
+ */
+function reduceMask(basis, mask) {
+  for (const vector of basis) {
+    const pivot = highestBit(vector)
+    if (mask & pivot) mask ^= vector
+  }
+  return mask
+}
+
+/**
+ * Gets the highest set bit of a mask
+ */
+function highestBit(mask) {
+  return 1n << BigInt(mask.toString(2).length - 1)
+}
+
+/**
+ * Counts connected fragments
+ * @param {Object[][]} adjacency - Neighbors ({ atom }) of each atom
+ * @returns {number} Number of fragments
+ */
+function countFragments(adjacency) {
+  const seen = new Set()
+  let fragments = 0
+  for (let start = 0; start < adjacency.length; start++) {
+    if (seen.has(start)) continue
+    fragments++
+    const stack = [start]
+    seen.add(start)
+    while (stack.length > 0) {
+      for (const { atom } of adjacency[stack.pop()]) {
+        if (!seen.has(atom)) {
+          seen.add(atom)
+          stack.push(atom)
+        }
+      }
+    }
+  }
+  return fragments
+}
@@ -0,0 +1,55 @@
+/**
+ * Tests for ring perception
+ */
+
+import { describe, test, expect } from 'bun:test'
+import { findSSSR, findRelevantRings } from './rings.js'
+import { decodeToAST } from './decoder.js'
+import { encode } from './encoder.js'
+
+function ringSizes(smiles) {
+  return findSSSR(decodeToAST(encode(smiles))).map(ring => ring.length)
+}
+
+describe('findSSSR', () => {
+  test('finds no rings in acyclic molecules', () => {
+    expect(findSSSR(decodeToAST('[C][C][Branch1][C][O][N]'))).toEqual([])
+    expect(findSSSR(decodeToAST(''))).toEqual([])
+  })
+
+  test('returns ring atoms in ring order', () => {
+    expect(findSSSR(decodeToAST('[C][C][C][C][Ring1][Ring1][C][Ring1][Ring1]'))).toEqual([[1, 2, 3], [2, 3, 4]])
+    expect(findSSSR(decodeToAST('[C][=C][C][=C][C][=C][Ring1][=Branch1]'))).toEqual([[0, 1, 2, 3, 4, 5]])
+  })
+
+  test('finds the smallest rings of fused and bridged systems', () => {
+    expect(ringSizes('c1ccc2ccccc2c1')).toEqual([6, 6])
+    expect(ringSizes('C1CC12CC2')).toEqual([3, 3])
+    expect(ringSizes('C1CC2CCC1CC2')).toEqual([6, 6])
+    // Norbornane: the 7-membered envelope is not needed
+    expect(ringSizes('C1CC2CCC1C2')).toEqual([5, 5])
+  })
+
+  test('finds one ring per independent cycle', () => {
+    // Cubane: 12 bonds - 8 atoms + 1
+    expect(ringSizes('C12C3C4C1C5C2C3C45')).toEqual([4, 4, 4, 4, 4])
+  })
+
+  test('finds rings in every fragment', () => {
+    expect(ringSizes('C1CCCCC1.C1CC1')).toEqual([3, 6])
+  })
+})
+
+describe('findRelevantRings', () => {
+  test('matches the SSSR where it is unique', () => {
+    expect(findRelevantRings(decodeToAST('[C][C][C][C][Ring1][Ring1][C][Ring1][Ring1]'))).toEqual([[1, 2, 3], [2, 3, 4]])
+    expect(findRelevantRings(decodeToAST(encode('C1CC2CCC1C2'))).map(ring => ring.length)).toEqual([5, 5])
+    expect(findRelevantRings(decodeToAST(encode('CCO')))).toEqual([])
+  })
+
+  test('finds every ring that can be part of an SSSR', () => {
+    // All six faces of cubane, and the three 6-rings of bicyclo[2.2.2]octane
+    expect(findRelevantRings(decodeToAST(encode('C12C3C4C1C5C2C3C45'))).map(ring => ring.length)).toEqual([4, 4, 4, 4, 4, 4])
+    expect(findRelevantRings(decodeToAST(encode('C1CC2CCC1CC2'))).map(ring => ring.length)).toEqual([6, 6, 6])
+  })
+})
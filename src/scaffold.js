@@ -0,0 +1,218 @@
+/**
+ * Scaffold - Bemis-Murcko scaffolds and generic frameworks
+ *
+ * The scaffold of a molecule is its ring systems plus the linkers between
+ * them, found by repeatedly stripping non-ring atoms with at most one
+ * neighbor left. As in RDKit's MurckoScaffold.GetScaffoldForMol, atoms
+ * double-bonded to the scaffold (such as a ring C=O) are kept. The generic
+ * framework turns every scaffold atom into carbon and every bond single.
+ *
+ * Results are canonical, so molecules sharing a scaffold give the same
+ * SELFIES and SMILES. Acyclic molecules have the empty scaffold ''.
+ */
+
+import { decodeToAST, graphToSmiles } from './decoder.js'
+import { encode } from './encoder.js'
+import { canonicalizeGraph } from './canonical.js'
+import { getImplicitHydrogens, isOrganicSubset } from './hydrogens.js'
+
+/**
+ * Gets the Bemis-Murcko scaffold of a SELFIES molecule
+ * @param {string} selfies - SELFIES string
+ * @returns {{selfies: string, smiles: string}} Canonical scaffold
+ * @throws {Error} If the SELFIES string is invalid
+ *
+ * Atoms that lose a side chain get the hydrogens it replaced and lose
+ * their chirality, and hydrogen counts are written only where they differ
+ * from the implicit ones; directional bonds are kept only where both ends of
+ * their double bond still have one.
+ *
+ * Example:
+ *   getScaffold('[C][C][=Branch1][C][=O][N][C][=C][C][=C][C][=C][Ring1][=Branch1]')
+ *   // => { selfies: '[C][=C][C][=C][C][=C][Ring1][=Branch1]', smiles: 'C1=CC=CC=C1' }
+ */
+export function getScaffold(selfies) {
+  return toResult(getScaffoldGraph(decodeToAST(selfies)))
+}
+
+/**
+ * Gets the generic framework of a SELFIES molecule
+ * @param {string} selfies - SELFIES string
+ * @returns {{selfies: string, smiles: string}} Canonical framework
+ * @throws {Error} If the SELFIES string is invalid
+ *
+ * The scaffold with all atoms as uncharged carbon and all bonds single, as
+ * RDKit's MakeScaffoldGeneric(GetScaffoldForMol(mol)). Kept exocyclic
+ * double-bonded atoms become single-bonded carbons.
+ *
+ * Example:
+ *   getGenericFramework('[O][=C][C][C][C][C][N][Ring1][=Branch1]')
+ *   // => { selfies: '[C][C][C][C][C][C][C][Ring1][=Branch1]', smiles: 'CC1CCCCC1' }
+ */
+export function getGenericFramework(selfies) {
+  return toResult(makeGeneric(getScaffoldGraph(decodeToAST(selfies))))
+}
+
+/**
+ * Groups SELFIES molecules by scaffold
+ * @param {string[]} selfiesList - SELFIES strings
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.generic=false] - Group by generic framework
+ *   instead of scaffold
+ * @returns {Map<string, number[]>} Input indices of the molecules with each
+ *   scaffold SELFIES, in order of first appearance; acyclic molecules are
+ *   grouped under ''
+ * @throws {Error} If a SELFIES string is invalid
+ *
+ * Example:
+ *   // Scaffold split: whole groups go to either the training or test set
+ *   const groups = [...groupByScaffold(library).values()].sort((a, b) => b.length - a.length)
+ */
+export function groupByScaffold(selfiesList, options = {}) {
+  const { generic = false } = options
+  const getKey = generic ? getGenericFramework : getScaffold
+
+  const groups = new Map()
+  selfiesList.forEach((selfies, index) => {
+    const key = getKey(selfies).selfies
+    if (!groups.has(key)) groups.set(key, [])
+    groups.get(key).push(index)
+  })
+  return groups
+}
+
+/**
+ * Strips the side chains of a molecule graph
+ * @param {Object} graph - Molecule graph from decodeToAST()
+ * @returns {Object} Graph of the scaffold atoms, in their original order
+ */
+function getScaffoldGraph(graph) {
+  const edges = [...graph.bonds, ...graph.rings]
+  const adjacency = graph.atoms.map(() => [])
+  for (const edge of edges) {
+    adjacency[edge.from].push({ atom: edge.to, edge })
+    adjacency[edge.to].push({ atom: edge.from, edge })
+  }
+
+  // Ring atoms and linkers are what is left once no atom has one neighbor
+  const inCore = graph.atoms.map(() => true)
+  const degrees = adjacency.map(neighbors => neighbors.length)
+  const stack = graph.atoms.flatMap((atom, index) => (degrees[index] <= 1 ? [index] : []))
+  while (stack.length > 0) {
+    const index = stack.pop()
+    if (!inCore[index]) continue
+    inCore[index] = false
+    for (const { atom } of adjacency[index]) {
+      if (inCore[atom] && --degrees[atom] === 1) stack.push(atom)
+    }
+  }
+
+  const kept = graph.atoms.map((atom, index) =>
+    inCore[index] || adjacency[index].some(({ atom: other, edge }) => inCore[other] && edge.order === 2))
+
+  const lostOrders = graph.atoms.map(() => 0)
+  for (const edge of edges) {
+    if (kept[edge.from] && !kept[edge.to]) lostOrders[edge.from] += edge.order
+    if (kept[edge.to] && !kept[edge.from]) lostOrders[edge.to] += edge.order
+  }
+
+  const newIndex = []
+  const atoms = []
+  graph.atoms.forEach((atom, index) => {
+    if (!kept[index]) return
+    newIndex[index] = atoms.length
+    const bondOrderSum = adjacency[index]
+      .filter(({ atom: other }) => kept[other])
+      .reduce((sum, { edge }) => sum + edge.order, 0)
+    const capped = lostOrders[index] > 0 ? capAtom(atom, lostOrders[index]) : atom
+    atoms.push(withImplicitHydrogens(capped, bondOrderSum))
+  })
+
+  const keepEdge = edge => kept[edge.from] && kept[edge.to]
+  const renumber = edge => ({ ...edge, from: newIndex[edge.from], to: newIndex[edge.to] })
+  const scaffold = {
+    atoms,
+    bonds: graph.bonds.filter(keepEdge).map(renumber),
+    rings: graph.rings.filter(keepEdge).map(renumber)
+  }
+  clearUnpairedBondStereo(scaffold)
+  return scaffold
+}
+
+/**
+ * Gives an atom the hydrogens of the side chains it lost
+ * @param {Object} atom - Graph atom
+ * @param {number} lostOrder - Total order of its removed bonds
+ * @returns {Object} New atom without chirality
+ *
+ * Atoms with implicit hydrogens gain them when written; atoms with an
+ * explicit count gain one per lost bond order.
+ */
+function capAtom(atom, lostOrder) {
+  const capped = { ...atom, stereo: null }
+  if (atom.hydrogens !== undefined) capped.hydrogens += lostOrder
+  return capped
+}
+
+/**
+ * Drops an explicit hydrogen count that equals the implicit one, so that
+ * e.g. the [nH] of pyrrole and of a stripped N-methylpyrrole write the same
+ * @param {Object} atom - Graph atom
+ * @param {number} bondOrderSum - Total order of its bonds
+ * @returns {Object} The atom, or a copy without hydrogens
+ */
+function withImplicitHydrogens(atom, bondOrderSum) {
+  if (atom.hydrogens === undefined || atom.stereo || atom.charge || atom.isotope) return atom
+  if (!isOrganicSubset(atom.element) || atom.hydrogens !== getImplicitHydrogens(atom.element, bondOrderSum)) {
+    return atom
+  }
+  const { hydrogens, ...rest } = atom
+  return rest
+}
+
+/**
+ * Removes directional bond markers whose double bond lost the markers on
+ * its other end, modifying the graph in place
+ */
+function clearUnpairedBondStereo(graph) {
+  const edges = [...graph.bonds, ...graph.rings]
+  const directional = graph.atoms.map(() => [])
+  for (const edge of edges) {
+    if (!edge.stereo) continue
+    directional[edge.from].push(edge)
+    directional[edge.to].push(edge)
+  }
+
+  const paired = new Set()
+  for (const edge of edges) {
+    if (edge.order !== 2) continue
+    const [fromSide, toSide] = [edge.from, edge.to].map(atom => directional[atom].filter(other => other !== edge))
+    if (fromSide.length === 0 || toSide.length === 0) continue
+    for (const other of [...fromSide, ...toSide]) paired.add(other)
+  }
+
+  for (const edge of edges) {
+    if (edge.stereo && !paired.has(edge)) delete edge.stereo
+  }
+}
+
+/**
+ * Turns every atom of a graph into carbon and every bond single
+ */
+function makeGeneric(graph) {
+  const generic = edge => ({ from: edge.from, to: edge.to, order: 1 })
+  return {
+    atoms: graph.atoms.map(() => ({ element: 'C', capacity: 4, stereo: null })),
+    bonds: graph.bonds.map(generic),
+    rings: graph.rings.map(generic)
+  }
+}
+
+/**
+ * Writes a scaffold graph as canonical SELFIES and SMILES, the same for
+ * every atom order and Kekulé structure (see canonical.js)
+ */
+function toResult(graph) {
+  const smiles = graphToSmiles(canonicalizeGraph(graph).graph)
+  return { selfies: smiles === '' ? '' : encode(smiles), smiles }
+}
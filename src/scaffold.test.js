@@ -0,0 +1,132 @@
+/**
+ * Tests for Murcko scaffolds and generic frameworks
+ *
+ * Expected scaffolds are RDKit's (MurckoScaffold.GetScaffoldForMol), as
+ * canonical SMILES from this package.
+ */
+
+import { describe, test, expect } from 'bun:test'
+import { getScaffold, getGenericFramework, groupByScaffold } from './scaffold.js'
+import { decode } from './decoder.js'
+import { encode } from './encoder.js'
+
+function scaffold(smiles) {
+  return getScaffold(encode(smiles)).smiles
+}
+
+function framework(smiles) {
+  return getGenericFramework(encode(smiles)).smiles
+}
+
+function canonical(smiles) {
+  return decode(encode(smiles), { canonical: true })
+}
+
+describe('getScaffold', () => {
+  test('strips side chains from ring systems', () => {
+    const benzene = canonical('c1ccccc1')
+    expect(scaffold('CC(=O)Oc1ccccc1C(=O)O')).toBe(benzene)
+    expect(scaffold('CC(C)Cc1ccc(cc1)C(C)C(=O)O')).toBe(benzene)
+    expect(scaffold('CCOP(=O)(OCC)Oc1ccccc1')).toBe(benzene)
+  })
+
+  test('keeps linkers between rings', () => {
+    expect(scaffold('OC(c1ccccc1)c1ccccc1')).toBe(canonical('c1ccc(Cc2ccccc2)cc1'))
+    expect(scaffold('c1ccccc1CCOc1ccncc1')).toBe(canonical('c1ccc(CCOc2ccncc2)cc1'))
+    expect(scaffold('CN1CCN(Cc2ccc(cc2)C(=O)Nc2ccc(C)c(Nc3nccc(n3)-c3cccnc3)c2)CC1'))
+      .toBe(canonical('O=C(Nc1cccc(Nc2nccc(-c3cccnc3)n2)c1)c1ccc(CN2CCNCC2)cc1'))
+  })
+
+  test('keeps atoms double-bonded to the scaffold', () => {
+    expect(scaffold('CC1CCCC(=O)C1')).toBe(canonical('O=C1CCCCC1'))
+    expect(scaffold('CS1(=O)=NCCC1')).toBe(canonical('O=S1=NCCC1'))
+    expect(scaffold('C1CC1C(=O)C1CC1')).toBe(canonical('O=C(C1CC1)C1CC1'))
+  })
+
+  test('gives atoms the hydrogens of lost side chains', () => {
+    expect(scaffold('Cn1cccc1')).toBe(canonical('C1=CNC=C1'))
+    expect(scaffold('Cn1cccc1')).toBe(scaffold('c1cc[nH]c1'))
+    expect(scaffold('C[NH+]1CCCC1')).toBe(canonical('C1CC[NH2+]C1'))
+    expect(scaffold('C[13CH]1CCCCC1')).toBe(canonical('C1CC[13CH2]CC1'))
+  })
+
+  test('keeps stereo that does not depend on side chains', () => {
+    expect(scaffold('[C@H]12CCCC[C@@H]1CCCC2')).toContain('@')
+    expect(scaffold('C[C@H]1CC[C@@H](C)CC1')).toBe(canonical('C1CCCCC1'))
+    expect(scaffold('c1ccccc1/C=C/c1ccccc1')).toContain('/C=C/')
+    expect(scaffold('C/C=C1/CCCC1')).toBe(canonical('C=C1CCCC1'))
+  })
+
+  test('is empty for acyclic molecules', () => {
+    expect(getScaffold(encode('CCO'))).toEqual({ selfies: '', smiles: '' })
+    expect(getScaffold(encode('CC(=O)[O-].[Na+]'))).toEqual({ selfies: '', smiles: '' })
+    expect(getScaffold('')).toEqual({ selfies: '', smiles: '' })
+  })
+
+  test('drops acyclic fragments', () => {
+    expect(scaffold('c1ccccc1.CCO')).toBe(canonical('c1ccccc1'))
+  })
+
+  test('returns SELFIES of the scaffold', () => {
+    const { selfies, smiles } = getScaffold('[C][C][=Branch1][C][=O][N][C][=C][C][=C][C][=C][Ring1][=Branch1]')
+    expect(selfies).toBe('[C][=C][C][=C][C][=C][Ring1][=Branch1]')
+    expect(smiles).toBe('C1=CC=CC=C1')
+  })
+
+  test('gives the same scaffold however the molecule is written', () => {
+    expect(scaffold('Cc1ccc(O)cc1')).toBe(scaffold('Oc1ccccc1CC'))
+    expect(scaffold('c1ccccc1C(=O)NC1CCCCC1')).toBe(scaffold('O=C(NC1CCCCC1)c1ccccc1'))
+  })
+})
+
+describe('getGenericFramework', () => {
+  test('makes every atom carbon and every bond single', () => {
+    expect(framework('CC(=O)Oc1ccccc1C(=O)O')).toBe('C1CCCCC1')
+    expect(framework('Cn1cccc1')).toBe('C1CCCC1')
+    expect(framework('c1ccccc1Oc1ccncc1')).toBe(framework('C1CCCCC1CC1CCCCC1'))
+  })
+
+  test('keeps exocyclic double-bonded atoms as carbons', () => {
+    expect(getGenericFramework('[O][=C][C][C][C][C][N][Ring1][=Branch1]')).toEqual({
+      selfies: '[C][C][C][C][C][C][C][Ring1][=Branch1]',
+      smiles: 'CC1CCCCC1'
+    })
+  })
+
+  test('drops charges, isotopes, and stereo', () => {
+    expect(framework('C[NH+]1CCCC1')).toBe('C1CCCC1')
+    expect(framework('[13CH3][C@H]1CCCC[C@@H]1O')).toBe('C1CCCCC1')
+  })
+
+  test('is empty for acyclic molecules', () => {
+    expect(getGenericFramework(encode('CCO'))).toEqual({ selfies: '', smiles: '' })
+  })
+})
+
+describe('groupByScaffold', () => {
+  const library = ['Cc1ccccc1', 'CCO', 'Oc1ccccc1', 'C1CCCCC1', 'CC1CCCCC1'].map(smiles => encode(smiles))
+
+  test('groups input indices by scaffold SELFIES', () => {
+    const groups = groupByScaffold(library)
+    expect([...groups.values()]).toEqual([[0, 2], [1], [3, 4]])
+    expect([...groups.keys()]).toEqual([
+      getScaffold(library[0]).selfies,
+      '',
+      getScaffold(library[3]).selfies
+    ])
+  })
+
+  test('groups SMILES of one molecule together', () => {
+    // Nicotine, with the pyridine double bonds in different places
+    const groups = groupByScaffold([encode('CN1CCCC1c1cccnc1'), encode('C1CCC(N1C)c2cnccc2')])
+    expect([...groups.values()]).toEqual([[0, 1]])
+  })
+
+  test('groups by generic framework', () => {
+    expect([...groupByScaffold(library, { generic: true }).values()]).toEqual([[0, 2, 3, 4], [1]])
+  })
+
+  test('is empty for an empty library', () => {
+    expect(groupByScaffold([]).size).toBe(0)
+  })
+})
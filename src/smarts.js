@@ -0,0 +1,438 @@
+/**
+ * SMARTS - Parser for SMARTS-like substructure query patterns
+ *
+ * Supports the practical subset of Daylight SMARTS used for substructure
+ * filters:
+ *
+ *   atoms      C, c, Cl, *, a, A, and bracket atoms like [N,O], [#7], [13C]
+ *   counts     [CH3] hydrogens, [D2] heavy neighbors, [NX3] connections
+ *   charges    [N+], [O-], [N+1], [O--]
+ *   rings      [R] in a ring, [R2] in two SSSR rings, [r6] smallest ring
+ *              of six atoms, [x2] two ring bonds, and @ ring bonds
+ *   bonds      - = # : ~ @, and single-or-aromatic when no bond is written
+ *   logic      ! not, & and, , or, ; low-precedence and, as in [C,N;!R]
+ *   recursion  [$(C=O)], an atom matching the first atom of another pattern
+ *
+ * along with branches, ring closures (1-9 and %10-%99), and '.' between
+ * unconnected parts. Hydrogens are not atoms of the heavy-atom view that
+ * patterns are matched against, so they are matched through counts: [OH],
+ * [NH2], and [H] all mean an atom with that many hydrogens. Chirality,
+ * valence (v), implicit hydrogen (h), and reaction SMARTS are not
+ * supported.
+ *
+ * A parsed query is { smarts, atoms, bonds }: atoms are { expr } and bonds
+ * { from, to, expr }, where expr is a tree of { type: 'and' | 'or', args },
+ * { type: 'not', arg }, and primitives such as { type: 'element', symbol,
+ * aromatic } or { type: 'bond', symbol }. substructure.js evaluates them.
+ */
+
+import { ATOMIC_DATA } from './properties/atoms.js'
+import { ParseError } from './errors.js'
+import { isDigit, readRingNumber } from './smilesParser.js'
+
+/**
+ * Characters that make up bond expressions outside brackets
+ */
+const BOND_CHARS = new Set(['-', '=', '#', ':', '~', '@', '/', '\\', '!', '&', ',', ';'])
+
+/**
+ * Atoms that may be written without brackets, longest symbols first
+ */
+const ORGANIC_ATOMS = ['Cl', 'Br', 'B', 'C', 'N', 'O', 'P', 'S', 'F', 'I', 'b', 'c', 'n', 'o', 'p', 's', '*', 'a', 'A']
+
+/**
+ * Aromatic element symbols allowed in brackets, longest symbols first
+ */
+const AROMATIC_SYMBOLS = ['se', 'as', 'b', 'c', 'n', 'o', 'p', 's']
+
+/**
+ * Bond used when none is written: single or aromatic
+ */
+const DEFAULT_BOND = {
+  type: 'or',
+  args: [{ type: 'bond', symbol: '-' }, { type: 'bond', symbol: ':' }]
+}
+
+/**
+ * Parses a SMARTS pattern into a query
+ * @param {string} smarts - SMARTS pattern
+ * @returns {Object} Query { smarts, atoms, bonds }, atoms indexed in the
+ *   order they appear in the pattern
+ * @throws {ParseError} If the pattern is malformed or uses unsupported features
+ *
+ * Example:
+ *   parseSmarts('S(=O)(=O)N')
+ *   // => { smarts: 'S(=O)(=O)N', atoms: [4 atoms], bonds: [
+ *   //      { from: 0, to: 1, expr: { type: 'bond', symbol: '=' } }, ...] }
+ */
+export function parseSmarts(smarts) {
+  if (typeof smarts !== 'string' || smarts.length === 0) {
+    throw new ParseError('Empty SMARTS pattern')
+  }
+
+  const state = { smarts, atoms: [], bonds: [], branches: [], rings: new Map(), previous: null, bond: null }
+  let index = 0
+  while (index < smarts.length) {
+    const char = smarts[index]
+    if (char === '(') {
+      index = openBranch(index, state)
+    } else if (char === ')') {
+      index = closeBranch(index, state)
+    } else if (char === '.') {
+      index = readDot(index, state)
+    } else if (char === '[') {
+      index = readBracketAtom(index, state)
+    } else if (char === '%' || isDigit(char)) {
+      index = readRingBond(index, state)
+    } else if (BOND_CHARS.has(char)) {
+      index = readBond(index, state)
+    } else {
+      index = readOrganicAtom(index, state)
+    }
+  }
+
+  if (state.bond) {
+    throw new ParseError(`Invalid SMARTS: bond at end of pattern '${smarts}'`)
+  }
+  if (state.branches.length > 0) {
+    throw new ParseError(`Invalid SMARTS: unmatched parenthesis in '${smarts}'`)
+  }
+  if (state.rings.size > 0) {
+    throw new ParseError(`Invalid SMARTS: unclosed ring bond ${[...state.rings.keys()][0]} in '${smarts}'`)
+  }
+
+  return { smarts, atoms: state.atoms, bonds: state.bonds }
+}
+
+/**
+ * Adds an atom, bonded to the previous atom if there is one
+ */
+function addAtom(expr, state) {
+  const index = state.atoms.length
+  state.atoms.push({ expr })
+  if (state.previous !== null) {
+    state.bonds.push({ from: state.previous, to: index, expr: state.bond || DEFAULT_BOND })
+  }
+  state.previous = index
+  state.bond = null
+}
+
+/**
+ * Starts a branch at '('
+ */
+function openBranch(index, state) {
+  if (state.previous === null) {
+    throw new ParseError(`Invalid SMARTS: branch without a preceding atom at position ${index}`)
+  }
+  if (state.bond) {
+    throw new ParseError(`Invalid SMARTS: bond before branch at position ${index}`)
+  }
+  state.branches.push(state.previous)
+  return index + 1
+}
+
+/**
+ * Ends a branch at ')', returning to the atom it started from
+ */
+function closeBranch(index, state) {
+  if (state.branches.length === 0) {
+    throw new ParseError(`Invalid SMARTS: unexpected closing parenthesis at position ${index}`)
+  }
+  if (state.bond) {
+    throw new ParseError(`Invalid SMARTS: bond at end of branch at position ${index}`)
+  }
+  state.previous = state.branches.pop()
+  return index + 1
+}
+
+/**
+ * Starts an unconnected part at '.'
+ */
+function readDot(index, state) {
+  if (state.previous === null || state.bond) {
+    throw new ParseError(`Invalid SMARTS: empty part at position ${index}`)
+  }
+  if (state.branches.length > 0) {
+    throw new ParseError(`Invalid SMARTS: '.' inside a branch at position ${index}`)
+  }
+  state.previous = null
+  return index + 1
+}
+
+/**
+ * Reads a bond expression such as '=', '~', or '-!@'
+ */
+function readBond(index, state) {
+  if (state.previous === null) {
+    throw new ParseError(`Invalid SMARTS: bond without a preceding atom at position ${index}`)
+  }
+  if (state.bond) {
+    throw new ParseError(`Invalid SMARTS: consecutive bonds at position ${index}`)
+  }
+  let end = index
+  while (end < state.smarts.length && BOND_CHARS.has(state.smarts[end])) end++
+  state.bond = parseExpression(state.smarts.slice(index, end), readBondPrimitive)
+  return end
+}
+
+/**
+ * Reads a ring closure digit or %nn, opening or closing the ring bond
+ */
+function readRingBond(index, state) {
+  const ringNumber = readRingNumber(state.smarts, index)
+  if (!ringNumber) {
+    throw new ParseError(`Invalid SMARTS: malformed ring bond number at position ${index}`)
+  }
+  const { number: ring, end } = ringNumber
+  if (state.previous === null) {
+    throw new ParseError(`Invalid SMARTS: ring bond without a preceding atom at position ${index}`)
+  }
+
+  const opening = state.rings.get(ring)
+  if (!opening) {
+    state.rings.set(ring, { atom: state.previous, bond: state.bond })
+    state.bond = null
+    return end
+  }
+
+  const from = opening.atom
+  const to = state.previous
+  if (from === to) {
+    throw new ParseError(`Invalid SMARTS: ring bond ${ring} connects an atom to itself`)
+  }
+  if (state.bonds.some(bond => (bond.from === from && bond.to === to) || (bond.from === to && bond.to === from))) {
+    throw new ParseError(`Invalid SMARTS: ring bond ${ring} duplicates an existing bond`)
+  }
+  state.bonds.push({ from, to, expr: state.bond || opening.bond || DEFAULT_BOND })
+  state.rings.delete(ring)
+  state.bond = null
+  return end
+}
+
+/**
+ * Reads an atom written without brackets, such as C, c, Cl, or *
+ */
+function readOrganicAtom(index, state) {
+  const symbol = ORGANIC_ATOMS.find(atom => state.smarts.startsWith(atom, index))
+  if (!symbol) {
+    throw new ParseError(`Invalid SMARTS: unexpected character '${state.smarts[index]}' at position ${index}`)
+  }
+  addAtom(parseExpression(symbol, readOrganicPrimitive), state)
+  return index + symbol.length
+}
+
+/**
+ * Reads a bracket atom, which may contain recursive patterns with their
+ * own brackets
+ */
+function readBracketAtom(index, state) {
+  const { smarts } = state
+  let depth = 0
+  let end = index + 1
+  for (; end < smarts.length; end++) {
+    if (smarts[end] === '[') depth++
+    if (smarts[end] === ']' && depth-- === 0) break
+  }
+  if (end >= smarts.length) {
+    throw new ParseError(`Invalid SMARTS: unclosed bracket atom at position ${index}`)
+  }
+  const content = smarts.slice(index + 1, end)
+  if (content.length === 0) {
+    throw new ParseError(`Invalid SMARTS: empty bracket atom at position ${index}`)
+  }
+  addAtom(parseExpression(content, readAtomPrimitive), state)
+  return end + 1
+}
+
+/**
+ * Parses a logical expression of primitives
+ * @param {string} text - Expression, e.g. 'C,N;!R' or '-@'
+ * @param {Function} readPrimitive - (text, position) => [node, next]
+ * @returns {Object} Expression tree
+ *
+ * Operators bind from tightest to loosest: '!', '&' (or nothing), ',', ';'.
+ */
+function parseExpression(text, readPrimitive) {
+  let position = 0
+
+  const parseNot = () => {
+    if (text[position] === '!') {
+      position++
+      return { type: 'not', arg: parseNot() }
+    }
+    if (position >= text.length || '&,;'.includes(text[position])) {
+      throw new ParseError(`Invalid SMARTS: missing operand in '${text}'`)
+    }
+    const [node, next] = readPrimitive(text, position)
+    position = next
+    return node
+  }
+  const parseHigh = () => {
+    const args = [parseNot()]
+    while (position < text.length && text[position] !== ',' && text[position] !== ';') {
+      if (text[position] === '&') position++
+      args.push(parseNot())
+    }
+    return combine('and', args)
+  }
+  const parseOr = () => {
+    const args = [parseHigh()]
+    while (text[position] === ',') {
+      position++
+      args.push(parseHigh())
+    }
+    return combine('or', args)
+  }
+
+  const args = [parseOr()]
+  while (text[position] === ';') {
+    position++
+    args.push(parseOr())
+  }
+  return combine('and', args)
+}
+
+/**
+ * Joins expressions with an operator, unless there is only one
+ */
+function combine(type, args) {
+  return args.length === 1 ? args[0] : { type, args }
+}
+
+/**
+ * Reads one primitive of a bond expression
+ */
+function readBondPrimitive(text, position) {
+  const char = text[position]
+  switch (char) {
+    case '-':
+    case '=':
+    case '#':
+    case ':':
+      return [{ type: 'bond', symbol: char }, position + 1]
+    case '/':
+    case '\\':
+      return [{ type: 'bond', symbol: '-' }, position + 1]
+    case '~':
+      return [{ type: 'any' }, position + 1]
+    case '@':
+      return [{ type: 'ring' }, position + 1]
+  }
+  throw new ParseError(`Invalid SMARTS: unexpected '${char}' in bond '${text}'`)
+}
+
+/**
+ * Reads an atom written without brackets: aliphatic and aromatic organic
+ * atoms, *, a, and A
+ */
+function readOrganicPrimitive(text, position) {
+  if (text === '*') return [{ type: 'any' }, 1]
+  if (text === 'a' || text === 'A') return [{ type: 'aromatic', value: text === 'a' }, 1]
+  const aromatic = text === text.toLowerCase()
+  const symbol = aromatic ? text.toUpperCase() : text
+  return [{ type: 'element', symbol, aromatic }, text.length]
+}
+
+/**
+ * Reads one primitive of a bracket atom expression
+ */
+function readAtomPrimitive(text, position) {
+  const char = text[position]
+
+  if (char === '*') return [{ type: 'any' }, position + 1]
+  if (char === '$') return readRecursive(text, position)
+  if (char === '+' || char === '-') return readCharge(text, position)
+  if (isDigit(char)) {
+    const [value, next] = readNumber(text, position)
+    return [{ type: 'isotope', value }, next]
+  }
+  if (char === '#') {
+    const [value, next] = readNumber(text, position + 1)
+    if (value === null) {
+      throw new ParseError(`Invalid SMARTS: missing atomic number in [${text}]`)
+    }
+    return [{ type: 'atomicNumber', value }, next]
+  }
+
+  const pair = text.slice(position, position + 2)
+  if (/^[A-Z][a-z]$/.test(pair) && Object.prototype.hasOwnProperty.call(ATOMIC_DATA, pair)) {
+    return [{ type: 'element', symbol: pair, aromatic: false }, position + 2]
+  }
+  const aromatic = AROMATIC_SYMBOLS.find(symbol => text.startsWith(symbol, position))
+  if (aromatic) {
+    const symbol = aromatic[0].toUpperCase() + aromatic.slice(1)
+    return [{ type: 'element', symbol, aromatic: true }, position + aromatic.length]
+  }
+
+  switch (char) {
+    case 'a':
+    case 'A':
+      return [{ type: 'aromatic', value: char === 'a' }, position + 1]
+    case 'H':
+      return readCount('hydrogens', text, position, 1)
+    case 'D':
+      return readCount('degree', text, position, 1)
+    case 'X':
+      return readCount('connectivity', text, position, 1)
+    case 'R':
+      return readCount('ringCount', text, position, null)
+    case 'r':
+      return readCount('ringSize', text, position, null)
+    case 'x':
+      return readCount('ringConnectivity', text, position, null)
+  }
+
+  if (Object.prototype.hasOwnProperty.call(ATOMIC_DATA, char)) {
+    return [{ type: 'element', symbol: char, aromatic: false }, position + 1]
+  }
+  throw new ParseError(`Invalid SMARTS: unsupported '${char}' in [${text}]`)
+}
+
+/**
+ * Reads a counting primitive such as H2, D3, or R, with a default value
+ * when no number follows (null meaning "at least one")
+ */
+function readCount(type, text, position, fallback) {
+  const [value, next] = readNumber(text, position + 1)
+  return [{ type, value: value === null ? fallback : value }, next]
+}
+
+/**
+ * Reads a charge: +, ++, +2, -, --, -1
+ */
+function readCharge(text, position) {
+  const sign = text[position] === '+' ? 1 : -1
+  const [value, next] = readNumber(text, position + 1)
+  if (value !== null) return [{ type: 'charge', value: sign * value }, next]
+
+  let end = position
+  while (text[end] === text[position]) end++
+  return [{ type: 'charge', value: sign * (end - position) }, end]
+}
+
+/**
+ * Reads a recursive pattern $(...)
+ */
+function readRecursive(text, position) {
+  if (text[position + 1] !== '(') {
+    throw new ParseError(`Invalid SMARTS: expected '(' after '$' in [${text}]`)
+  }
+  let depth = 0
+  for (let end = position + 1; end < text.length; end++) {
+    if (text[end] === '(') depth++
+    if (text[end] === ')' && --depth === 0) {
+      return [{ type: 'recursive', query: parseSmarts(text.slice(position + 2, end)) }, end + 1]
+    }
+  }
+  throw new ParseError(`Invalid SMARTS: unclosed recursive pattern in [${text}]`)
+}
+
+/**
+ * Reads a decimal number
+ * @returns {Array} [value, next], value being null if there are no digits
+ */
+function readNumber(text, position) {
+  let end = position
+  while (end < text.length && isDigit(text[end])) end++
+  return [end > position ? parseInt(text.slice(position, end)) : null, end]
+}
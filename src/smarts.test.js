@@ -0,0 +1,117 @@
+/**
+ * Tests for SMARTS parsing
+ */
+
+import { describe, test, expect } from 'bun:test'
+import { parseSmarts } from './smarts.js'
+import { ParseError } from './errors.js'
+
+const SINGLE_OR_AROMATIC = {
+  type: 'or',
+  args: [{ type: 'bond', symbol: '-' }, { type: 'bond', symbol: ':' }]
+}
+
+describe('parseSmarts', () => {
+  test('parses organic atoms and bonds', () => {
+    const query = parseSmarts('C=Oc')
+    expect(query.atoms.map(atom => atom.expr)).toEqual([
+      { type: 'element', symbol: 'C', aromatic: false },
+      { type: 'element', symbol: 'O', aromatic: false },
+      { type: 'element', symbol: 'C', aromatic: true }
+    ])
+    expect(query.bonds).toEqual([
+      { from: 0, to: 1, expr: { type: 'bond', symbol: '=' } },
+      { from: 1, to: 2, expr: SINGLE_OR_AROMATIC }
+    ])
+  })
+
+  test('attaches branches and closes rings', () => {
+    const query = parseSmarts('S(=O)(=O)N')
+    expect(query.bonds.map(({ from, to }) => [from, to])).toEqual([[0, 1], [0, 2], [0, 3]])
+
+    const ring = parseSmarts('C1CC=1')
+    expect(ring.bonds.map(({ from, to }) => [from, to])).toEqual([[0, 1], [1, 2], [0, 2]])
+    expect(ring.bonds[2].expr).toEqual({ type: 'bond', symbol: '=' })
+    expect(parseSmarts('C%10CC%10').bonds).toHaveLength(3)
+    // '%01' and '1' are the same ring bond, as in SMILES
+    expect(parseSmarts('C%01CC1').bonds).toHaveLength(3)
+  })
+
+  test('leaves parts after a dot unbonded', () => {
+    const query = parseSmarts('C.N')
+    expect(query.atoms).toHaveLength(2)
+    expect(query.bonds).toEqual([])
+  })
+
+  test('parses bracket primitives', () => {
+    const expr = smarts => parseSmarts(smarts).atoms[0].expr
+    expect(expr('[#7]')).toEqual({ type: 'atomicNumber', value: 7 })
+    expect(expr('[13C]')).toEqual({
+      type: 'and',
+      args: [{ type: 'isotope', value: 13 }, { type: 'element', symbol: 'C', aromatic: false }]
+    })
+    expect(expr('[nH]').args[1]).toEqual({ type: 'hydrogens', value: 1 })
+    expect(expr('[CH3]').args[1]).toEqual({ type: 'hydrogens', value: 3 })
+    expect(expr('[X4]')).toEqual({ type: 'connectivity', value: 4 })
+    expect(expr('[D2]')).toEqual({ type: 'degree', value: 2 })
+    expect(expr('[R]')).toEqual({ type: 'ringCount', value: null })
+    expect(expr('[r6]')).toEqual({ type: 'ringSize', value: 6 })
+    expect(expr('[x2]')).toEqual({ type: 'ringConnectivity', value: 2 })
+    expect(expr('[se]')).toEqual({ type: 'element', symbol: 'Se', aromatic: true })
+    expect(expr('[Cl]')).toEqual({ type: 'element', symbol: 'Cl', aromatic: false })
+  })
+
+  test('parses charges', () => {
+    const charge = smarts => parseSmarts(smarts).atoms[0].expr.args[1].value
+    expect(charge('[N+]')).toBe(1)
+    expect(charge('[O-]')).toBe(-1)
+    expect(charge('[Fe++]')).toBe(2)
+    expect(charge('[Fe+3]')).toBe(3)
+    expect(charge('[O-2]')).toBe(-2)
+  })
+
+  test('applies operator precedence', () => {
+    expect(parseSmarts('[C,N;!R]').atoms[0].expr).toEqual({
+      type: 'and',
+      args: [
+        {
+          type: 'or',
+          args: [
+            { type: 'element', symbol: 'C', aromatic: false },
+            { type: 'element', symbol: 'N', aromatic: false }
+          ]
+        },
+        { type: 'not', arg: { type: 'ringCount', value: null } }
+      ]
+    })
+    expect(parseSmarts('C-!@C').bonds[0].expr).toEqual({
+      type: 'and',
+      args: [{ type: 'bond', symbol: '-' }, { type: 'not', arg: { type: 'ring' } }]
+    })
+  })
+
+  test('parses recursive patterns', () => {
+    const expr = parseSmarts('[$([NX3][CX3]=O)]').atoms[0].expr
+    expect(expr.type).toBe('recursive')
+    expect(expr.query.atoms).toHaveLength(3)
+    expect(expr.query.bonds[1].expr).toEqual({ type: 'bond', symbol: '=' })
+  })
+
+  test('rejects malformed patterns', () => {
+    expect(() => parseSmarts('')).toThrow('Empty SMARTS pattern')
+    expect(() => parseSmarts('C(')).toThrow('unmatched parenthesis')
+    expect(() => parseSmarts('C)')).toThrow('unexpected closing parenthesis')
+    expect(() => parseSmarts('C1CC')).toThrow('unclosed ring bond 1')
+    expect(() => parseSmarts('C=')).toThrow('bond at end of pattern')
+    expect(() => parseSmarts('=C')).toThrow('bond without a preceding atom')
+    expect(() => parseSmarts('[C')).toThrow('unclosed bracket atom')
+    expect(() => parseSmarts('[C,]')).toThrow('missing operand')
+    expect(() => parseSmarts('Q')).toThrow("unexpected character 'Q'")
+    expect(() => parseSmarts('C(')).toThrow(ParseError)
+  })
+
+  test('rejects unsupported features', () => {
+    expect(() => parseSmarts('[C@H]')).toThrow("unsupported '@'")
+    expect(() => parseSmarts('[Cv4]')).toThrow("unsupported 'v'")
+  })
+})
@@ -0,0 +1,535 @@
+/**
+ * SMILES Parser - Converts SMILES strings into a molecule graph
+ *
+ * The graph uses the same shape as the decoder's AST so that both sides of
+ * the library can share graph algorithms:
+ *
+ * {
+ *   atoms: [{ element, aromatic, bracket, isotope, chirality, hydrogens, charge }],
+ *   bonds: [{ from, to, order, stereo }],   // tree bonds, parent → child
+ *   rings: [{ from, to, order, stereo }],   // ring closures, opening → closing atom
+ *   spans: { atoms, bonds, rings }          // where each item is written in the SMILES
+ * }
+ *
+ * Atoms are indexed in the order they appear in the SMILES string, which is a
+ * depth-first preorder of the forest formed by `bonds`: one tree per
+ * '.'-separated fragment, rooted at the fragment's first atom. Aromatic bonds
+ * are given order 1.5 until the graph is kekulized.
+ *
+ * Chirality is stored relative to the reference neighbor order described in
+ * stereo.js, and bond stereo ('/' or '\') relative to the from → to direction.
+ *
+ * Spans are { start, end } character ranges, parallel to the atoms, bonds,
+ * and rings arrays: one per atom, one per bond (null if the bond symbol is
+ * implicit), and a pair per ring (opening and closing digits, each with its
+ * bond symbol).
+ */
+
+import { EncodeError } from './errors.js'
+import { isSupported } from './properties/atoms.js'
+import {
+  buildNeighborOrder,
+  flipBondStereo,
+  getNeighbors,
+  getReferenceOrder,
+  hasImplicitNeighbor,
+  reorderChirality
+} from './stereo.js'
+
+/**
+ * Elements that may be written without brackets
+ */
+const ORGANIC_SUBSET = new Set(['B', 'C', 'N', 'O', 'P', 'S', 'F', 'Cl', 'Br', 'I'])
+
+/**
+ * Elements that may be written without brackets in aromatic (lowercase) form
+ */
+const AROMATIC_ORGANIC_SUBSET = new Set(['b', 'c', 'n', 'o', 'p', 's'])
+
+/**
+ * Lowercase symbols allowed inside bracket atoms
+ */
+const AROMATIC_BRACKET_SYMBOLS = new Set(['b', 'c', 'n', 'o', 'p', 's', 'se', 'as', 'te'])
+
+/**
+ * Bond orders for SMILES bond symbols
+ */
+const BOND_ORDERS = {
+  '-': 1,
+  '=': 2,
+  '#': 3,
+  '$': 4,
+  ':': 1.5,
+  '/': 1,
+  '\\': 1
+}
+
+/**
+ * Parses a SMILES string into a molecule graph
+ * @param {string} smiles - SMILES string
+ * @returns {Object} Molecule graph with atoms, bonds, and rings arrays
+ * @throws {EncodeError} If the SMILES string is malformed
+ *
+ * Example:
+ *   parseSmiles('CC(=O)O')
+ *   // atoms: C, C, O, O
+ *   // bonds: 0-1 (1), 1-2 (2), 1-3 (1)
+ */
+export function parseSmiles(smiles) {
+  if (!smiles || smiles.length === 0) {
+    throw new EncodeError('Empty SMILES string', smiles)
+  }
+
+  const state = {
+    smiles,
+    atoms: [],
+    bonds: [],
+    rings: [],
+    spans: { atoms: [], bonds: [], rings: [] },
+    openRings: new Map(),
+    writtenNeighbors: [],
+    branchStack: [],
+    prevAtom: null,
+    pendingBond: null
+  }
+
+  let i = 0
+  while (i < smiles.length) {
+    const char = smiles[i]
+
+    if (char === '(') {
+      i = openBranch(i, state)
+    } else if (char === ')') {
+      i = closeBranch(i, state)
+    } else if (char in BOND_ORDERS) {
+      i = readBond(i, state)
+    } else if (isDigit(char) || char === '%') {
+      i = readRingBond(i, state)
+    } else if (char === '[') {
+      i = readBracketAtom(i, state)
+    } else if (char === '.') {
+      i = readDot(i, state)
+    } else if (char === '*') {
+      throw new EncodeError('Wildcard atoms (*) are not supported', smiles)
+    } else {
+      i = readOrganicAtom(i, state)
+    }
+  }
+
+  if (state.pendingBond !== null) {
+    throw new EncodeError('Invalid SMILES: bond symbol at end', smiles)
+  }
+  if (state.prevAtom === null) {
+    throw new EncodeError('Invalid SMILES: empty fragment at end', smiles)
+  }
+  if (state.branchStack.length > 0) {
+    throw new EncodeError('Unmatched parenthesis in SMILES', smiles)
+  }
+  if (state.openRings.size > 0) {
+    const [ringNum] = state.openRings.keys()
+    throw new EncodeError(`Unclosed ring bond ${ringNum} in SMILES`, smiles)
+  }
+
+  const graph = { atoms: state.atoms, bonds: state.bonds, rings: state.rings, spans: state.spans }
+  normalizeChirality(graph, state.writtenNeighbors)
+  return graph
+}
+
+/**
+ * Converts chirality from SMILES neighbor order to the reference order
+ * @param {Object} graph - Parsed molecule graph (modified in place)
+ * @param {Object[][]} writtenNeighbors - Ring bond partners and children of
+ *                                        each atom, in the order written
+ *
+ * In SMILES the neighbors of an atom are ordered: preceding atom, implicit H,
+ * then ring bonds, branches, and the chain in the order they are written.
+ */
+function normalizeChirality(graph, writtenNeighbors) {
+  graph.atoms.forEach((atom, index) => {
+    if (!atom.chirality) return
+
+    const parentBond = graph.bonds.find(bond => bond.to === index)
+    const parent = parentBond ? parentBond.from : null
+
+    const neighbors = getNeighbors(graph, index)
+    const implicit = hasImplicitNeighbor(atom.hydrogens, neighbors.length)
+    const following = writtenNeighbors[index].map(slot => slot.partner)
+    const written = buildNeighborOrder(parent, following, implicit)
+
+    atom.chirality = reorderChirality(atom.chirality, written, getReferenceOrder(neighbors, implicit))
+  })
+}
+
+/**
+ * Handles an opening parenthesis
+ * @param {number} index - Current position
+ * @param {Object} state - Parser state
+ * @returns {number} New position
+ */
+function openBranch(index, state) {
+  if (state.prevAtom === null) {
+    throw new EncodeError(`Invalid SMILES: branch without a preceding atom at position ${index}`, state.smiles)
+  }
+  if (state.pendingBond !== null) {
+    throw new EncodeError(`Invalid SMILES: bond symbol before branch at position ${index}`, state.smiles)
+  }
+  if (state.smiles[index + 1] === ')') {
+    throw new EncodeError(`Invalid SMILES: empty branch at position ${index}`, state.smiles)
+  }
+
+  state.branchStack.push(state.prevAtom)
+  return index + 1
+}
+
+/**
+ * Handles a closing parenthesis
+ * @param {number} index - Current position
+ * @param {Object} state - Parser state
+ * @returns {number} New position
+ */
+function closeBranch(index, state) {
+  if (state.branchStack.length === 0) {
+    throw new EncodeError('Unexpected closing parenthesis', state.smiles)
+  }
+  if (state.pendingBond !== null) {
+    throw new EncodeError(`Invalid SMILES: bond symbol at end of branch at position ${index}`, state.smiles)
+  }
+
+  state.prevAtom = state.branchStack.pop()
+  return index + 1
+}
+
+/**
+ * Handles a '.' fragment separator; the next atom starts a new fragment
+ * @param {number} index - Current position
+ * @param {Object} state - Parser state
+ * @returns {number} New position
+ */
+function readDot(index, state) {
+  if (state.prevAtom === null) {
+    throw new EncodeError(`Invalid SMILES: empty fragment at position ${index}`, state.smiles)
+  }
+  if (state.pendingBond !== null) {
+    throw new EncodeError(`Invalid SMILES: bond symbol before '.' at position ${index}`, state.smiles)
+  }
+  if (state.branchStack.length > 0) {
+    throw new EncodeError(`Invalid SMILES: '.' inside a branch at position ${index}`, state.smiles)
+  }
+  if (state.openRings.size > 0) {
+    throw new EncodeError('Ring bonds between fragments (.) are not supported', state.smiles)
+  }
+
+  state.prevAtom = null
+  return index + 1
+}
+
+/**
+ * Reads a bond symbol and stores it for the next atom or ring bond
+ * @param {number} index - Current position
+ * @param {Object} state - Parser state
+ * @returns {number} New position
+ */
+function readBond(index, state) {
+  const char = state.smiles[index]
+
+  if (state.pendingBond !== null) {
+    throw new EncodeError(`Invalid SMILES: consecutive bond symbols at position ${index}`, state.smiles)
+  }
+  if (state.prevAtom === null) {
+    throw new EncodeError(`Invalid SMILES: bond symbol without a preceding atom at position ${index}`, state.smiles)
+  }
+  if (char === '$') {
+    throw new EncodeError('Quadruple bonds ($) cannot be represented in SELFIES', state.smiles)
+  }
+
+  state.pendingBond = {
+    order: BOND_ORDERS[char],
+    stereo: char === '/' || char === '\\' ? char : null,
+    span: { start: index, end: index + 1 }
+  }
+  return index + 1
+}
+
+/**
+ * Reads a ring bond number (digit or %nn) and opens or closes the ring
+ * @param {number} index - Current position
+ * @param {Object} state - Parser state
+ * @returns {number} New position
+ */
+function readRingBond(index, state) {
+  const { smiles } = state
+  const ring = readRingNumber(smiles, index)
+  if (!ring) {
+    throw new EncodeError(`Invalid SMILES: malformed ring bond number at position ${index}`, smiles)
+  }
+  const { number: ringNum, end: next } = ring
+
+  if (state.prevAtom === null) {
+    throw new EncodeError(`Invalid SMILES: ring bond without a preceding atom at position ${index}`, smiles)
+  }
+
+  const bond = state.pendingBond
+  const span = { start: bond ? bond.span.start : index, end: next }
+  state.pendingBond = null
+
+  if (state.openRings.has(ringNum)) {
+    closeRing(ringNum, bond, span, state)
+  } else {
+    // The partner is filled in when the ring closes
+    const slot = { partner: null }
+    state.writtenNeighbors[state.prevAtom].push(slot)
+    state.openRings.set(ringNum, { atom: state.prevAtom, bond, slot, span })
+  }
+
+  return next
+}
+
+/**
+ * Closes an open ring bond at the current atom
+ * @param {number} ringNum - Ring bond number
+ * @param {Object|null} closingBond - Bond symbol written at the closing digit
+ * @param {Object} span - Span of the closing digit and its bond symbol
+ * @param {Object} state - Parser state
+ */
+function closeRing(ringNum, closingBond, span, state) {
+  const { atom: openAtom, bond: openingBond, slot, span: openingSpan } = state.openRings.get(ringNum)
+  const closeAtom = state.prevAtom
+  state.openRings.delete(ringNum)
+
+  if (openAtom === closeAtom) {
+    throw new EncodeError(`Invalid SMILES: ring bond ${ringNum} connects an atom to itself`, state.smiles)
+  }
+  if (hasBondBetween(openAtom, closeAtom, state)) {
+    throw new EncodeError(`Invalid SMILES: ring bond ${ringNum} duplicates an existing bond`, state.smiles)
+  }
+  if (openingBond && closingBond && openingBond.order !== closingBond.order) {
+    throw new EncodeError(`Invalid SMILES: conflicting bond orders on ring bond ${ringNum}`, state.smiles)
+  }
+
+  slot.partner = closeAtom
+  state.writtenNeighbors[closeAtom].push({ partner: openAtom })
+
+  // A stereo symbol at the closing digit points from the closing atom back
+  // to the opening atom, so it is flipped to the opening → closing direction
+  const specified = openingBond || closingBond
+  let stereo = null
+  if (openingBond && openingBond.stereo) {
+    stereo = openingBond.stereo
+  } else if (closingBond && closingBond.stereo) {
+    stereo = flipBondStereo(closingBond.stereo)
+  }
+
+  state.rings.push({
+    from: openAtom,
+    to: closeAtom,
+    order: specified ? specified.order : defaultBondOrder(openAtom, closeAtom, state),
+    stereo
+  })
+  state.spans.rings.push([openingSpan, span])
+}
+
+/**
+ * Reads a bracket atom such as [nH], [NH4+], [13C] or [C@@H]
+ * @param {number} index - Current position
+ * @param {Object} state - Parser state
+ * @returns {number} New position
+ */
+function readBracketAtom(index, state) {
+  const closeBracket = state.smiles.indexOf(']', index)
+
+  if (closeBracket === -1) {
+    throw new EncodeError('Invalid SMILES: unclosed bracket atom', state.smiles)
+  }
+
+  const content = state.smiles.substring(index + 1, closeBracket)
+  addAtom(parseBracketAtom(content, state.smiles), { start: index, end: closeBracket + 1 }, state)
+  return closeBracket + 1
+}
+
+/**
+ * Parses the contents of a bracket atom
+ * @param {string} content - Text between the brackets
+ * @param {string} smiles - Full SMILES string (for error reporting)
+ * @returns {Object} Atom properties
+ * @throws {EncodeError} If the bracket atom is malformed
+ *
+ * Example:
+ *   parseBracketAtom('13CH3+', 'C[13CH3+]')
+ *   // { element: 'C', aromatic: false, isotope: 13, hydrogens: 3, charge: 1, ... }
+ */
+export function parseBracketAtom(content, smiles = content) {
+  const match = content.match(/^(\d+)?([A-Z][a-z]?|[a-z][a-z]?|\*)(@@|@)?(H\d*)?(\+\+|--|[+-]\d*)?(:\d+)?$/)
+  if (!match) {
+    throw new EncodeError(`Invalid SMILES: malformed bracket atom [${content}]`, smiles)
+  }
+
+  const [, isotope, symbol, chirality, hydrogens, charge] = match
+
+  if (symbol === '*') {
+    throw new EncodeError('Wildcard atoms (*) are not supported', smiles)
+  }
+
+  const aromatic = symbol[0] === symbol[0].toLowerCase()
+  if (aromatic && !AROMATIC_BRACKET_SYMBOLS.has(symbol)) {
+    throw new EncodeError(`Invalid SMILES: unknown aromatic atom [${content}]`, smiles)
+  }
+
+  const element = symbol[0].toUpperCase() + symbol.slice(1)
+  if (!isElementSymbol(element)) {
+    throw new EncodeError(`Invalid SMILES: unknown element in [${content}]`, smiles)
+  }
+
+  return {
+    element,
+    aromatic,
+    bracket: true,
+    isotope: isotope ? parseInt(isotope) : null,
+    chirality: chirality || null,
+    hydrogens: hydrogens ? parseCount(hydrogens.slice(1)) : 0,
+    charge: charge ? parseCharge(charge) : 0
+  }
+}
+
+/**
+ * Reads an unbracketed organic-subset atom
+ * @param {number} index - Current position
+ * @param {Object} state - Parser state
+ * @returns {number} New position
+ */
+function readOrganicAtom(index, state) {
+  const { smiles } = state
+  const twoLetter = smiles.substring(index, index + 2)
+  const char = smiles[index]
+
+  let symbol
+  if (twoLetter === 'Cl' || twoLetter === 'Br') {
+    symbol = twoLetter
+  } else if (ORGANIC_SUBSET.has(char) || AROMATIC_ORGANIC_SUBSET.has(char)) {
+    symbol = char
+  } else {
+    throw new EncodeError(`Invalid SMILES character: ${char}`, smiles)
+  }
+
+  const aromatic = AROMATIC_ORGANIC_SUBSET.has(symbol)
+  addAtom({
+    element: aromatic ? symbol.toUpperCase() : symbol,
+    aromatic,
+    bracket: false,
+    isotope: null,
+    chirality: null,
+    hydrogens: null,
+    charge: 0
+  }, { start: index, end: index + symbol.length }, state)
+
+  return index + symbol.length
+}
+
+/**
+ * Appends an atom to the graph and bonds it to the previous atom
+ * @param {Object} atom - Atom properties
+ * @param {Object} span - Where the atom is written
+ * @param {Object} state - Parser state
+ */
+function addAtom(atom, span, state) {
+  const atomIndex = state.atoms.length
+  state.atoms.push(atom)
+  state.spans.atoms.push(span)
+  state.writtenNeighbors.push([])
+
+  if (state.prevAtom !== null) {
+    state.writtenNeighbors[state.prevAtom].push({ partner: atomIndex })
+    const bond = state.pendingBond
+    state.bonds.push({
+      from: state.prevAtom,
+      to: atomIndex,
+      order: bond ? bond.order : defaultBondOrder(state.prevAtom, atomIndex, state),
+      stereo: bond ? bond.stereo : null
+    })
+    state.spans.bonds.push(bond ? bond.span : null)
+  }
+
+  state.prevAtom = atomIndex
+  state.pendingBond = null
+}
+
+/**
+ * Gets the order of an unwritten bond: aromatic between aromatic atoms, else single
+ * @param {number} a - First atom index
+ * @param {number} b - Second atom index
+ * @param {Object} state - Parser state
+ * @returns {number} Bond order
+ */
+function defaultBondOrder(a, b, state) {
+  return state.atoms[a].aromatic && state.atoms[b].aromatic ? 1.5 : 1
+}
+
+/**
+ * Checks if two atoms are already bonded
+ * @param {number} a - First atom index
+ * @param {number} b - Second atom index
+ * @param {Object} state - Parser state
+ * @returns {boolean} True if a bond or ring bond exists
+ */
+function hasBondBetween(a, b, state) {
+  const matches = bond => (bond.from === a && bond.to === b) || (bond.from === b && bond.to === a)
+  return state.bonds.some(matches) || state.rings.some(matches)
+}
+
+/**
+ * Parses a hydrogen count suffix ('' means 1)
+ * @param {string} digits - Digits after H
+ * @returns {number} Hydrogen count
+ */
+function parseCount(digits) {
+  return digits === '' ? 1 : parseInt(digits)
+}
+
+/**
+ * Parses a SMILES charge such as +, -, ++, +2 or -3
+ * @param {string} text - Charge text
+ * @returns {number} Formal charge
+ */
+function parseCharge(text) {
+  const sign = text[0] === '+' ? 1 : -1
+  const rest = text.slice(1)
+
+  if (rest === '') return sign
+  if (rest === text[0]) return 2 * sign
+  return sign * parseInt(rest)
+}
+
+/**
+ * Checks if a string is a known element symbol
+ * @param {string} symbol - Capitalized element symbol
+ * @returns {boolean} True if the periodic table in properties/atoms.js has it
+ */
+export function isElementSymbol(symbol) {
+  return isSupported(symbol)
+}
+
+/**
+ * Reads a ring bond number: a digit, or '%' and two digits
+ * @param {string} text - SMILES or SMARTS string
+ * @param {number} index - Position of the digit or '%'
+ * @returns {{number: number, end: number}|null} Ring bond number and the
+ *   position after it, or null if '%' is not followed by two digits
+ *
+ * Shared with the SMARTS parser, so '%01' and '1' are the same ring bond
+ * in both.
+ */
+export function readRingNumber(text, index) {
+  if (text[index] !== '%') {
+    return { number: parseInt(text[index]), end: index + 1 }
+  }
+  const digits = text.substring(index + 1, index + 3)
+  return /^\d\d$/.test(digits) ? { number: parseInt(digits), end: index + 3 } : null
+}
+
+/**
+ * Checks if character is a digit
+ * @param {string} char - Character to check
+ * @returns {boolean} True if digit
+ */
+export function isDigit(char) {
+  return char >= '0' && char <= '9'
+}
@@ -0,0 +1,120 @@
+/**
+ * Tests for SMILES parsing
+ */
+
+import { describe, test, expect } from 'bun:test'
+import { parseSmiles, parseBracketAtom } from './smilesParser.js'
+
+describe('parseSmiles', () => {
+  test('parses a chain into atoms and bonds', () => {
+    const graph = parseSmiles('CCO')
+    expect(graph.atoms.map(atom => atom.element)).toEqual(['C', 'C', 'O'])
+    expect(graph.bonds).toEqual([
+      { from: 0, to: 1, order: 1, stereo: null },
+      { from: 1, to: 2, order: 1, stereo: null }
+    ])
+    expect(graph.rings).toEqual([])
+  })
+
+  test('attaches branches to the branch point', () => {
+    const graph = parseSmiles('CC(=O)O')
+    expect(graph.bonds.map(({ from, to, order }) => [from, to, order])).toEqual([
+      [0, 1, 1],
+      [1, 2, 2],
+      [1, 3, 1]
+    ])
+  })
+
+  test('records ring closures separately from tree bonds', () => {
+    const graph = parseSmiles('C1CC1')
+    expect(graph.bonds).toHaveLength(2)
+    expect(graph.rings).toEqual([{ from: 0, to: 2, order: 1, stereo: null }])
+  })
+
+  test('reads ring bond orders and %nn ring numbers', () => {
+    expect(parseSmiles('C=1CC1').rings[0].order).toBe(2)
+    expect(parseSmiles('C%12CC%12').rings).toEqual([{ from: 0, to: 2, order: 1, stereo: null }])
+  })
+
+  test('closes rings from inside branches', () => {
+    const graph = parseSmiles('c1ccc(cc1)C')
+    expect(graph.rings).toEqual([{ from: 0, to: 5, order: 1.5, stereo: null }])
+    expect(graph.bonds[graph.bonds.length - 1]).toEqual({ from: 3, to: 6, order: 1, stereo: null })
+  })
+
+  test('marks bonds between aromatic atoms as aromatic', () => {
+    const graph = parseSmiles('c1ccccc1C')
+    expect(graph.atoms[0].aromatic).toBe(true)
+    expect(graph.bonds[0].order).toBe(1.5)
+    expect(graph.bonds[graph.bonds.length - 1].order).toBe(1)
+  })
+
+  test('parses bracket atoms', () => {
+    const [atom] = parseSmiles('[13CH3-]').atoms
+    expect(atom).toEqual({
+      element: 'C',
+      aromatic: false,
+      bracket: true,
+      isotope: 13,
+      chirality: null,
+      hydrogens: 3,
+      charge: -1
+    })
+  })
+
+  test('stores chirality relative to ascending neighbor indices', () => {
+    // Written order matches the reference order (implicit H first, then indices)
+    expect(parseSmiles('[C@@H](F)(Cl)Br').atoms[0].chirality).toBe('@@')
+    expect(parseSmiles('F[C@](Cl)(Br)I').atoms[1].chirality).toBe('@')
+    // N, H, C, C is one swap away from H, N, C, C
+    expect(parseSmiles('N[C@@H](C)C').atoms[1].chirality).toBe('@')
+    // Ring bond 1 (to atom 6) is written before atoms 2 and 3: an even move
+    expect(parseSmiles('F[C@]1(Cl)CCCC1').atoms[1].chirality).toBe('@')
+  })
+
+  test('stores ring bond stereo in the opening to closing direction', () => {
+    expect(parseSmiles('C/C=C/1CCCC1').rings[0].stereo).toBe('/')
+    expect(parseSmiles('C/C=C1CCCC/1').rings[0].stereo).toBe('\\')
+  })
+
+  test('throws on malformed SMILES', () => {
+    expect(() => parseSmiles('')).toThrow('Empty SMILES string')
+    expect(() => parseSmiles('C)')).toThrow('Unexpected closing parenthesis')
+    expect(() => parseSmiles('CC(C')).toThrow('Unmatched parenthesis')
+    expect(() => parseSmiles('C1CC')).toThrow('Unclosed ring bond 1')
+    expect(() => parseSmiles('C=1CC-1')).toThrow('conflicting bond orders')
+  })
+
+  test('starts a new tree at each fragment separator', () => {
+    const graph = parseSmiles('CC(=O)[O-].[Na+]')
+    expect(graph.atoms.map(atom => atom.element)).toEqual(['C', 'C', 'O', 'O', 'Na'])
+    expect(graph.bonds.some(bond => bond.to === 4)).toBe(false)
+    expect(graph.atoms[4].charge).toBe(1)
+  })
+
+  test('does not carry chirality context across fragments', () => {
+    // The first atom of a fragment has no preceding atom
+    expect(parseSmiles('O.[C@@H](F)(Cl)Br').atoms[1].chirality).toBe('@@')
+  })
+
+  test('throws on malformed fragment separators', () => {
+    expect(() => parseSmiles('.C')).toThrow('empty fragment')
+    expect(() => parseSmiles('C..C')).toThrow('empty fragment')
+    expect(() => parseSmiles('C.')).toThrow('empty fragment')
+    expect(() => parseSmiles('C=.C')).toThrow("bond symbol before '.'")
+    expect(() => parseSmiles('C(.C)C')).toThrow("'.' inside a branch")
+    expect(() => parseSmiles('C1.C1')).toThrow('not supported')
+  })
+})
+
+describe('parseBracketAtom', () => {
+  test('parses chirality and charges', () => {
+    expect(parseBracketAtom('C@@H')).toMatchObject({ element: 'C', chirality: '@@', hydrogens: 1 })
+    expect(parseBracketAtom('NH4+')).toMatchObject({ element: 'N', hydrogens: 4, charge: 1 })
+    expect(parseBracketAtom('O--')).toMatchObject({ element: 'O', hydrogens: 0, charge: -2 })
+  })
+
+  test('throws on unknown elements', () => {
+    expect(() => parseBracketAtom('Xx')).toThrow()
+  })
+})
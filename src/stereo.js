@@ -0,0 +1,166 @@
+/**
+ * Stereo - Helpers for tetrahedral and double-bond stereochemistry
+ *
+ * SMILES and SELFIES express chirality ('@' or '@@') relative to the order in
+ * which an atom's neighbors are written, so the same centre can be written
+ * with either symbol. Molecule graphs store chirality relative to a fixed
+ * reference order, and each writer converts it to the order it emits:
+ *
+ *   reference order: the implicit H or lone pair (if any), then neighbor
+ *                    atoms in ascending index order
+ *
+ * The implicit H or lone pair is represented by IMPLICIT_NEIGHBOR. Following
+ * SMILES, it sits right after the preceding atom, or first if there is none.
+ *
+ * Directional bonds ('/' or '\') are stored relative to the bond's
+ * from → to direction and flipped when written the other way round.
+ */
+
+/**
+ * Placeholder for an implicit hydrogen or lone pair in a neighbor order
+ */
+export const IMPLICIT_NEIGHBOR = -1
+
+/**
+ * Inverts a chirality symbol
+ * @param {string} chirality - '@' or '@@'
+ * @returns {string} The opposite symbol
+ */
+export function invertChirality(chirality) {
+  return chirality === '@' ? '@@' : '@'
+}
+
+/**
+ * Flips a directional bond symbol
+ * @param {string|null} stereo - '/', '\' or null
+ * @returns {string|null} The symbol for the opposite direction
+ */
+export function flipBondStereo(stereo) {
+  if (stereo === '/') return '\\'
+  if (stereo === '\\') return '/'
+  return stereo
+}
+
+/**
+ * Gets the chirality symbol from a decoded atom's stereo string
+ * @param {Object} atom - Atom with a stereo string such as 'C@@H', or null
+ * @returns {string|null} '@', '@@', or null if the atom has no chirality
+ */
+export function getChirality(atom) {
+  const match = atom.stereo && atom.stereo.match(/@@?/)
+  return match ? match[0] : null
+}
+
+/**
+ * Replaces the chirality symbol in a stereo string
+ * @param {string} stereo - Stereo string such as 'C@@H'
+ * @param {string} chirality - '@' or '@@'
+ * @returns {string} Stereo string with the new symbol
+ */
+export function withChirality(stereo, chirality) {
+  return stereo.replace(/@@?/, chirality)
+}
+
+/**
+ * Re-expresses a chirality symbol for a different neighbor order
+ * @param {string} chirality - '@' or '@@' relative to fromOrder
+ * @param {number[]} fromOrder - Neighbor order the symbol refers to
+ * @param {number[]} toOrder - Same neighbors in the new order
+ * @returns {string} Chirality relative to toOrder
+ *
+ * Example:
+ *   reorderChirality('@', [1, 2, 3, 4], [2, 1, 3, 4]) // => '@@'
+ */
+export function reorderChirality(chirality, fromOrder, toOrder) {
+  const position = new Map(fromOrder.map((neighbor, i) => [neighbor, i]))
+  const permutation = toOrder.map(neighbor => position.get(neighbor))
+
+  let inversions = 0
+  for (let i = 0; i < permutation.length; i++) {
+    for (let j = i + 1; j < permutation.length; j++) {
+      if (permutation[i] > permutation[j]) inversions++
+    }
+  }
+
+  return inversions % 2 === 0 ? chirality : invertChirality(chirality)
+}
+
+/**
+ * Checks if a stereocentre has an implicit H or lone pair as a neighbor
+ * @param {number} hydrogens - Explicit hydrogen count on the atom
+ * @param {number} degree - Number of neighbor atoms
+ * @returns {boolean} True if IMPLICIT_NEIGHBOR belongs in its neighbor order
+ */
+export function hasImplicitNeighbor(hydrogens, degree) {
+  return hydrogens === 1 || (!hydrogens && degree === 3)
+}
+
+/**
+ * Builds a neighbor order as written: preceding atom, implicit neighbor, rest
+ * @param {number|null} preceding - Atom written before this one, if any
+ * @param {number[]} following - Neighbors written after the atom, in order
+ * @param {boolean} implicit - Whether to include IMPLICIT_NEIGHBOR
+ * @returns {number[]} Neighbor order
+ */
+export function buildNeighborOrder(preceding, following, implicit) {
+  const order = preceding === null ? [] : [preceding]
+  if (implicit) order.push(IMPLICIT_NEIGHBOR)
+  return [...order, ...following]
+}
+
+/**
+ * Gets the reference neighbor order for an atom
+ * @param {number[]} neighbors - Neighbor atom indices
+ * @param {boolean} implicit - Whether to include IMPLICIT_NEIGHBOR
+ * @returns {number[]} IMPLICIT_NEIGHBOR (if any), then ascending indices
+ */
+export function getReferenceOrder(neighbors, implicit) {
+  const sorted = [...neighbors].sort((a, b) => a - b)
+  return implicit ? [IMPLICIT_NEIGHBOR, ...sorted] : sorted
+}
+
+/**
+ * Gets the neighbor order of an atom as written in SELFIES
+ * @param {Object} graph - Molecule graph with bonds and rings
+ * @param {number} atomIndex - Atom index
+ * @param {boolean} implicit - Whether to include IMPLICIT_NEIGHBOR
+ * @returns {number[]} Neighbor order
+ *
+ * Follows selfies-py (_should_invert_chirality): parent, implicit neighbor,
+ * atoms closed by ring symbols that follow this atom, later atoms whose ring
+ * symbols point back to this atom, then children (branches, then the chain).
+ */
+export function getSelfiesNeighborOrder(graph, atomIndex, implicit) {
+  let parent = null
+  const children = []
+  for (const bond of graph.bonds) {
+    if (bond.to === atomIndex) parent = bond.from
+    if (bond.from === atomIndex) children.push(bond.to)
+  }
+
+  const closing = []
+  const opening = []
+  for (const ring of graph.rings) {
+    const [open, close] = ring.from < ring.to ? [ring.from, ring.to] : [ring.to, ring.from]
+    if (close === atomIndex) closing.push(open)
+    if (open === atomIndex) opening.push(close)
+  }
+  opening.sort((a, b) => a - b)
+
+  return buildNeighborOrder(parent, [...closing, ...opening, ...children], implicit)
+}
+
+/**
+ * Lists the neighbor atoms of an atom across tree and ring bonds
+ * @param {Object} graph - Molecule graph with bonds and rings
+ * @param {number} atomIndex - Atom index
+ * @returns {number[]} Neighbor atom indices
+ */
+export function getNeighbors(graph, atomIndex) {
+  const neighbors = []
+  for (const bond of [...graph.bonds, ...graph.rings]) {
+    if (bond.from === atomIndex) neighbors.push(bond.to)
+    if (bond.to === atomIndex) neighbors.push(bond.from)
+  }
+  return neighbors
+}
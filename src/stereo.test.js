@@ -0,0 +1,76 @@
+/**
+ * Tests for stereochemistry helpers
+ */
+
+import { describe, test, expect } from 'bun:test'
+import {
+  IMPLICIT_NEIGHBOR,
+  invertChirality,
+  flipBondStereo,
+  reorderChirality,
+  hasImplicitNeighbor,
+  buildNeighborOrder,
+  getReferenceOrder,
+  getSelfiesNeighborOrder
+} from './stereo.js'
+
+describe('invertChirality', () => {
+  test('swaps @ and @@', () => {
+    expect(invertChirality('@')).toBe('@@')
+    expect(invertChirality('@@')).toBe('@')
+  })
+})
+
+describe('flipBondStereo', () => {
+  test('swaps / and \\', () => {
+    expect(flipBondStereo('/')).toBe('\\')
+    expect(flipBondStereo('\\')).toBe('/')
+    expect(flipBondStereo(null)).toBeNull()
+  })
+})
+
+describe('reorderChirality', () => {
+  test('keeps chirality for even permutations', () => {
+    expect(reorderChirality('@', [1, 2, 3, 4], [2, 3, 1, 4])).toBe('@')
+  })
+
+  test('inverts chirality for odd permutations', () => {
+    expect(reorderChirality('@', [1, 2, 3, 4], [2, 1, 3, 4])).toBe('@@')
+    expect(reorderChirality('@@', [1, IMPLICIT_NEIGHBOR, 3], [IMPLICIT_NEIGHBOR, 1, 3])).toBe('@')
+  })
+})
+
+describe('hasImplicitNeighbor', () => {
+  test('counts a single hydrogen or a lone pair', () => {
+    expect(hasImplicitNeighbor(1, 3)).toBe(true)
+    expect(hasImplicitNeighbor(0, 3)).toBe(true)
+    expect(hasImplicitNeighbor(0, 4)).toBe(false)
+  })
+})
+
+describe('neighbor orders', () => {
+  test('places the implicit neighbor after the preceding atom', () => {
+    expect(buildNeighborOrder(0, [2, 3], true)).toEqual([0, IMPLICIT_NEIGHBOR, 2, 3])
+    expect(buildNeighborOrder(null, [2, 3], true)).toEqual([IMPLICIT_NEIGHBOR, 2, 3])
+  })
+
+  test('sorts the reference order by atom index', () => {
+    expect(getReferenceOrder([5, 1, 3], true)).toEqual([IMPLICIT_NEIGHBOR, 1, 3, 5])
+  })
+
+  test('lists ring partners before children in SELFIES order', () => {
+    // F[C@]1(Cl)CCC1: atom 1 has parent 0, children 2 and 3, ring partner 5
+    const graph = {
+      bonds: [
+        { from: 0, to: 1 },
+        { from: 1, to: 2 },
+        { from: 1, to: 3 },
+        { from: 3, to: 4 },
+        { from: 4, to: 5 }
+      ],
+      rings: [{ from: 1, to: 5 }]
+    }
+    expect(getSelfiesNeighborOrder(graph, 1, false)).toEqual([0, 5, 2, 3])
+    expect(getSelfiesNeighborOrder(graph, 5, true)).toEqual([4, IMPLICIT_NEIGHBOR, 1])
+  })
+})
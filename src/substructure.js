@@ -0,0 +1,311 @@
+/**
+ * Substructure - Substructure search with SMARTS-like query patterns
+ *
+ * Matches queries from smarts.js against the heavy-atom view of decoded
+ * molecules (molecule.js) with a VF2-style backtracking search: query atoms
+ * are visited depth-first, each new atom is only looked for among the
+ * neighbors of the atom it hangs off, and every bond back to an atom that
+ * is already matched is checked before going deeper.
+ */
+
+import { decodeToAST } from './decoder.js'
+import { buildMolecule, pairKey } from './molecule.js'
+import { ATOMIC_DATA } from './properties/atoms.js'
+import { parseSmarts } from './smarts.js'
+
+/**
+ * Search orders of parsed queries, computed once per query
+ */
+const PLANS = new WeakMap()
+
+/**
+ * Finds the matches of a query in a molecule graph
+ * @param {Object} graph - Molecule graph from decodeToAST()
+ * @param {string|Object} query - SMARTS pattern, or a query from
+ *   parseSmarts() to avoid parsing it again
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.unique=true] - Report each set of matched atoms
+ *   once, rather than once per symmetric mapping onto it
+ * @param {number} [options.limit=Infinity] - Stop after this many matches
+ * @returns {number[][]} Matches, each listing the graph atom index matched
+ *   by each query atom, in query atom order
+ * @throws {ParseError} If the SMARTS pattern is invalid
+ *
+ * Example:
+ *   findSubstructureMatches(decodeToAST('[C][C][=Branch1][C][=O][O]'), 'C(=O)[OH]')
+ *   // => [[1, 2, 3]]
+ */
+export function findSubstructureMatches(graph, query, options = {}) {
+  return createMatcher(graph)(query, options)
+}
+
+/**
+ * Prepares a molecule graph for matching many queries against it
+ * @param {Object} graph - Molecule graph from decodeToAST()
+ * @returns {Function} (query, options) => matches, taking the same
+ *   arguments and returning the same matches as findSubstructureMatches()
+ *
+ * Rings, aromaticity, and hydrogen counts are only worked out once, which
+ * makes running a set of patterns on one molecule much cheaper.
+ *
+ * Example:
+ *   const match = createMatcher(decodeToAST(selfies))
+ *   const groups = ['C(=O)[OH]', '[NH2]', 'S(=O)(=O)N'].filter(smarts => match(smarts, { limit: 1 }).length > 0)
+ */
+export function createMatcher(graph) {
+  const target = prepareTarget(buildMolecule(graph))
+  return (query, options = {}) => matchQuery(target, toQuery(query), options)
+    .map(match => match.map(atom => target.atoms[atom].index))
+}
+
+/**
+ * Checks if a SELFIES molecule contains a substructure
+ * @param {string} selfies - SELFIES string
+ * @param {string|Object} query - SMARTS pattern or query from parseSmarts()
+ * @returns {boolean} True if the query matches at least once
+ *
+ * Example:
+ *   hasSubstructure('[C][C][O]', '[OX2H]') // => true
+ */
+export function hasSubstructure(selfies, query) {
+  return findSubstructureMatches(decodeToAST(selfies), query, { limit: 1 }).length > 0
+}
+
+/**
+ * Filters an array of SELFIES by a substructure
+ * @param {string[]} selfiesList - SELFIES strings
+ * @param {string|Object} query - SMARTS pattern or query from parseSmarts()
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.exclude=false] - Keep the molecules that do not
+ *   contain the substructure instead
+ * @returns {string[]} The SELFIES that match, in their original order
+ *
+ * The pattern is parsed once for the whole array.
+ *
+ * Example:
+ *   filterBySubstructure(library, 'S(=O)(=O)N')  // sulfonamides
+ */
+export function filterBySubstructure(selfiesList, query, options = {}) {
+  const { exclude = false } = options
+  const parsed = toQuery(query)
+  return selfiesList.filter(selfies => hasSubstructure(selfies, parsed) !== exclude)
+}
+
+/**
+ * Parses a SMARTS pattern unless it already is a parsed query
+ */
+function toQuery(query) {
+  return typeof query === 'string' ? parseSmarts(query) : query
+}
+
+/**
+ * Adds ring details to a heavy-atom view for matching
+ * @param {Object} molecule - Heavy-atom view from buildMolecule()
+ * @returns {Object} { atoms, recursive }: atoms gain ringSizes (the size
+ *   of each SSSR ring they are in) and neighbors a ring flag; recursive
+ *   caches the atoms matched by each recursive pattern
+ */
+function prepareTarget(molecule) {
+  const ringSizes = molecule.atoms.map(() => [])
+  molecule.rings.forEach(ring => ring.forEach(atom => ringSizes[atom].push(ring.length)))
+
+  const atoms = molecule.atoms.map((atom, index) => ({
+    ...atom,
+    ringSizes: ringSizes[index],
+    neighbors: atom.neighbors.map(neighbor => ({
+      ...neighbor,
+      ring: molecule.ringBonds.has(pairKey(index, neighbor.atom))
+    }))
+  }))
+  return { atoms, recursive: new Map() }
+}
+
+/**
+ * Finds the matches of a query in a prepared target
+ * @param {Object} target - Target from prepareTarget()
+ * @param {Object} query - Query from parseSmarts()
+ * @param {Object} options - { unique, limit, root }, root pinning the
+ *   first query atom to one target atom
+ * @returns {number[][]} Matches as target atom indices
+ */
+function matchQuery(target, query, options) {
+  const { unique = true, limit = Infinity, root = null } = options
+  const plan = getPlan(query)
+  const mapping = new Array(query.atoms.length).fill(-1)
+  const used = new Set()
+  const matches = []
+  const seen = new Set()
+
+  const extend = step => {
+    if (step === plan.length) {
+      const key = unique ? [...mapping].sort((a, b) => a - b).join(',') : null
+      if (key === null || !seen.has(key)) {
+        seen.add(key)
+        matches.push([...mapping])
+      }
+      return
+    }
+
+    const { atom, parent, degree, bonds } = plan[step]
+    let candidates
+    if (parent !== null) {
+      candidates = target.atoms[mapping[parent]].neighbors.map(neighbor => neighbor.atom)
+    } else {
+      candidates = step === 0 && root !== null ? [root] : target.atoms.keys()
+    }
+
+    for (const candidate of candidates) {
+      if (used.has(candidate) || target.atoms[candidate].neighbors.length < degree) continue
+      if (!matchesAtom(query.atoms[atom].expr, target, candidate)) continue
+      if (!bonds.every(bond => matchesBondTo(target, candidate, mapping[bond.other], bond.expr))) continue
+
+      mapping[atom] = candidate
+      used.add(candidate)
+      extend(step + 1)
+      used.delete(candidate)
+      mapping[atom] = -1
+      if (matches.length >= limit) return
+    }
+  }
+
+  extend(0)
+  return matches
+}
+
+/**
+ * Orders the atoms of a query for matching
+ * @param {Object} query - Query from parseSmarts()
+ * @returns {Object[]} Steps { atom, parent, degree, bonds }, depth-first
+ *   from atom 0 and then from each unconnected part; parent is the matched
+ *   atom to search the neighbors of (null to search every atom), degree
+ *   the query bonds of the atom, and bonds { other, expr } the query bonds
+ *   to atoms matched in earlier steps
+ */
+function getPlan(query) {
+  if (PLANS.has(query)) return PLANS.get(query)
+
+  const adjacency = query.atoms.map(() => [])
+  for (const { from, to, expr } of query.bonds) {
+    adjacency[from].push({ other: to, expr })
+    adjacency[to].push({ other: from, expr })
+  }
+
+  const plan = []
+  const visited = new Set()
+  const visit = (atom, parent) => {
+    visited.add(atom)
+    plan.push({
+      atom,
+      parent,
+      degree: adjacency[atom].length,
+      bonds: adjacency[atom].filter(bond => visited.has(bond.other))
+    })
+    for (const { other } of adjacency[atom]) {
+      if (!visited.has(other)) visit(other, atom)
+    }
+  }
+  query.atoms.forEach((atom, index) => {
+    if (!visited.has(index)) visit(index, null)
+  })
+
+  PLANS.set(query, plan)
+  return plan
+}
+
+/**
+ * Checks a bond between two target atoms against a bond expression
+ */
+function matchesBondTo(target, from, to, expr) {
+  const neighbor = target.atoms[from].neighbors.find(other => other.atom === to)
+  return neighbor !== undefined && matchesBond(expr, neighbor)
+}
+
+/**
+ * Evaluates an atom expression on a target atom
+ * @param {Object} expr - Atom expression from parseSmarts()
+ * @param {Object} target - Target from prepareTarget()
+ * @param {number} index - Target atom index
+ * @returns {boolean} True if the atom matches
+ */
+function matchesAtom(expr, target, index) {
+  const atom = target.atoms[index]
+  switch (expr.type) {
+    case 'and':
+      return expr.args.every(arg => matchesAtom(arg, target, index))
+    case 'or':
+      return expr.args.some(arg => matchesAtom(arg, target, index))
+    case 'not':
+      return !matchesAtom(expr.arg, target, index)
+    case 'any':
+      return true
+    case 'aromatic':
+      return atom.aromatic === expr.value
+    case 'element':
+      return atom.element === expr.symbol && atom.aromatic === expr.aromatic
+    case 'atomicNumber':
+      return ATOMIC_DATA[atom.element].number === expr.value
+    case 'isotope':
+      return atom.isotope === expr.value
+    case 'charge':
+      return atom.charge === expr.value
+    case 'hydrogens':
+      return atom.hydrogens === expr.value
+    case 'degree':
+      return atom.neighbors.length === expr.value
+    case 'connectivity':
+      return atom.neighbors.length + atom.hydrogens === expr.value
+    case 'ringCount':
+      return matchesCount(atom.ringSizes.length, expr.value)
+    case 'ringSize':
+      return expr.value === null ? atom.ringSizes.length > 0 : Math.min(...atom.ringSizes) === expr.value
+    case 'ringConnectivity':
+      return matchesCount(atom.neighbors.filter(neighbor => neighbor.ring).length, expr.value)
+    case 'recursive':
+      return matchesRecursive(expr.query, target, index)
+  }
+  throw new Error(`Unknown atom expression: ${expr.type}`)
+}
+
+/**
+ * Compares a count with a query value, null meaning "at least one"
+ */
+function matchesCount(count, value) {
+  return value === null ? count > 0 : count === value
+}
+
+/**
+ * Checks if a recursive pattern matches with its first atom on a target
+ * atom, caching the result on the target
+ */
+function matchesRecursive(query, target, index) {
+  if (!target.recursive.has(query)) target.recursive.set(query, new Map())
+  const results = target.recursive.get(query)
+  if (!results.has(index)) {
+    results.set(index, matchQuery(target, query, { limit: 1, root: index }).length > 0)
+  }
+  return results.get(index)
+}
+
+/**
+ * Evaluates a bond expression on a target bond
+ * @param {Object} expr - Bond expression from parseSmarts()
+ * @param {Object} neighbor - Target neighbor { atom, bond, ring }
+ * @returns {boolean} True if the bond matches
+ */
+function matchesBond(expr, neighbor) {
+  switch (expr.type) {
+    case 'and':
+      return expr.args.every(arg => matchesBond(arg, neighbor))
+    case 'or':
+      return expr.args.some(arg => matchesBond(arg, neighbor))
+    case 'not':
+      return !matchesBond(expr.arg, neighbor)
+    case 'any':
+      return true
+    case 'bond':
+      return neighbor.bond === expr.symbol
+    case 'ring':
+      return neighbor.ring
+  }
+  throw new Error(`Unknown bond expression: ${expr.type}`)
+}
@@ -0,0 +1,117 @@
+/**
+ * Tests for substructure search
+ */
+
+import { describe, test, expect } from 'bun:test'
+import { findSubstructureMatches, createMatcher, hasSubstructure, filterBySubstructure } from './substructure.js'
+import { parseSmarts } from './smarts.js'
+import { decodeToAST } from './decoder.js'
+import { encode } from './encoder.js'
+
+function matches(smiles, smarts, options) {
+  return findSubstructureMatches(decodeToAST(encode(smiles)), smarts, options)
+}
+
+const SULFANILAMIDE = encode('NS(=O)(=O)c1ccc(N)cc1')
+const ASPIRIN = encode('CC(=O)Oc1ccccc1C(=O)O')
+const SILDENAFIL = encode('CCCc1nc(C)c2n1[nH]c(nc2=O)-c1cc(ccc1OCC)S(=O)(=O)N1CCN(C)CC1')
+
+describe('findSubstructureMatches', () => {
+  test('returns graph atom indices in query atom order', () => {
+    expect(findSubstructureMatches(decodeToAST('[C][C][=Branch1][C][=O][O]'), 'C(=O)[OH]')).toEqual([[1, 2, 3]])
+    expect(matches('CCO', 'OC')).toEqual([[2, 1]])
+  })
+
+  test('reports symmetric matches once unless asked', () => {
+    expect(matches('c1ccccc1', 'c1ccccc1')).toHaveLength(1)
+    expect(matches('c1ccccc1', 'c1ccccc1', { unique: false })).toHaveLength(12)
+  })
+
+  test('stops at the limit', () => {
+    expect(matches('CCCCCC', 'C', { limit: 2 })).toEqual([[0], [1]])
+  })
+
+  test('distinguishes aromatic and aliphatic atoms and bonds', () => {
+    expect(matches('c1ccccc1', 'C')).toEqual([])
+    expect(matches('c1ccccc1', 'c:c')).toHaveLength(6)
+    expect(matches('c1ccccc1', 'c-c')).toEqual([])
+    expect(matches('C1=CC=CC=C1', '[#6]=[#6]')).toEqual([])
+    expect(matches('C=CC=C', 'C=C')).toHaveLength(2)
+    expect(matches('c1ccccc1-c1ccccc1', 'c-c')).toHaveLength(1)
+  })
+
+  test('counts hydrogens written as [H] atoms', () => {
+    expect(findSubstructureMatches(decodeToAST('[C][O][H]'), '[OH1]')).toEqual([[1]])
+  })
+
+  test('matches ring membership and ring bonds', () => {
+    // Cyclohexylmethanol
+    expect(matches('OCC1CCCCC1', '[C;R]')).toHaveLength(6)
+    expect(matches('OCC1CCCCC1', '[C;!R]')).toEqual([[1]])
+    expect(matches('OCC1CCCCC1', 'C-!@C')).toEqual([[1, 2]])
+    expect(matches('c1ccc2ccccc2c1', '[R2]')).toHaveLength(2)
+    expect(matches('C1CC1C1CCCC1', '[r3]')).toHaveLength(3)
+  })
+
+  test('matches charges and isotopes', () => {
+    expect(matches('C[N+](=O)[O-]', '[N+](=O)[O-]')).toHaveLength(1)
+    expect(matches('C[N+](=O)[O-]', '[O-]')).toHaveLength(1)
+    expect(matches('[13CH3]C', '[13C]')).toEqual([[0]])
+  })
+
+  test('matches atom lists and recursive environments', () => {
+    expect(matches('NCCO', '[N,O]')).toHaveLength(2)
+    // Amide nitrogens only
+    expect(matches('NCC(=O)NC', '[N;$(NC=O)]')).toEqual([[4]])
+    expect(matches('NCC(=O)NC', '[N;!$(NC=O)]')).toEqual([[0]])
+  })
+
+  test('matches unconnected parts anywhere', () => {
+    expect(matches('CC(=O)[O-].[Na+]', '[O-].[Na+]')).toHaveLength(1)
+    expect(matches('OCCO', 'O.O')).toHaveLength(1)
+  })
+
+  test('finds no matches in an empty molecule', () => {
+    expect(findSubstructureMatches(decodeToAST(''), 'C')).toEqual([])
+  })
+})
+
+describe('createMatcher', () => {
+  test('matches many patterns against one molecule', () => {
+    const match = createMatcher(decodeToAST(ASPIRIN))
+    expect(match('C(=O)[OH]')).toHaveLength(1)
+    expect(match('[#6]C(=O)O[#6]')).toHaveLength(1)
+    expect(match('[NH2]')).toEqual([])
+    expect(match('c', { limit: 2 })).toHaveLength(2)
+  })
+})
+
+describe('hasSubstructure', () => {
+  test('finds sulfonamides', () => {
+    expect(hasSubstructure(SULFANILAMIDE, 'S(=O)(=O)N')).toBe(true)
+    expect(hasSubstructure(SILDENAFIL, 'S(=O)(=O)N')).toBe(true)
+    expect(hasSubstructure(ASPIRIN, 'S(=O)(=O)N')).toBe(false)
+  })
+
+  test('accepts parsed queries', () => {
+    const ester = parseSmarts('[#6]C(=O)O[#6]')
+    expect(hasSubstructure(ASPIRIN, ester)).toBe(true)
+    expect(hasSubstructure(SULFANILAMIDE, ester)).toBe(false)
+  })
+})
+
+describe('filterBySubstructure', () => {
+  test('keeps matching SELFIES in order', () => {
+    const library = [ASPIRIN, SULFANILAMIDE, '[C][C][O]', SILDENAFIL]
+    expect(filterBySubstructure(library, 'S(=O)(=O)N')).toEqual([SULFANILAMIDE, SILDENAFIL])
+  })
+
+  test('keeps non-matching SELFIES with exclude', () => {
+    const library = [ASPIRIN, SULFANILAMIDE, '[C][C][O]']
+    expect(filterBySubstructure(library, 'c1ccccc1', { exclude: true })).toEqual(['[C][C][O]'])
+  })
+
+  test('rejects invalid patterns before searching', () => {
+    expect(() => filterBySubstructure([ASPIRIN], 'C(')).toThrow('Invalid SMARTS')
+  })
+})
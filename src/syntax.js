@@ -26,7 +26,7 @@ export const SyntaxTokenType = {
   OPERATOR: 'operator',       // =
   COMMENT: 'comment',         // # comment
   STRING: 'string',           // "path/to/file.selfies"
-  PUNCTUATION: 'punctuation', // *, ,
+  PUNCTUATION: 'punctuation', // *, , and the SELFIES fragment separator .
 
   // Common
   WHITESPACE: 'whitespace',
@@ -106,6 +106,9 @@ export function tokenizeSelfies(selfies, options = {}) {
   const alphabet = validateAgainstAlphabet ? getAlphabet() : null
 
   while ((match = regex.exec(selfies)) !== null) {
+    // Fragment separators between tokens
+    lastEnd = pushSeparators(selfies, lastEnd, match.index, tokens)
+
     // Check for gap (invalid content between tokens)
     if (match.index > lastEnd) {
       const gapContent = selfies.slice(lastEnd, match.index)
@@ -141,7 +144,8 @@ export function tokenizeSelfies(selfies, options = {}) {
     lastEnd = match.index + value.length
   }
 
-  // Check for trailing content
+  // Check for trailing content, after any final fragment separators
+  lastEnd = pushSeparators(selfies, lastEnd, selfies.length, tokens)
   if (lastEnd < selfies.length) {
     const trailingContent = selfies.slice(lastEnd)
     tokens.push({
@@ -162,6 +166,30 @@ export function tokenizeSelfies(selfies, options = {}) {
   return { tokens, errors, metadata: {} }
 }
 
+/**
+ * Pushes the '.' fragment separators that start at a position
+ * @param {string} selfies - SELFIES string
+ * @param {number} start - Position to start at
+ * @param {number} end - Position to stop at
+ * @param {Object[]} tokens - Token list to push to
+ * @returns {number} Position after the last separator
+ */
+function pushSeparators(selfies, start, end, tokens) {
+  let position = start
+  while (position < end && selfies[position] === '.') {
+    tokens.push({
+      type: SyntaxTokenType.PUNCTUATION,
+      value: '.',
+      start: position,
+      end: position + 1,
+      line: 1,
+      column: position + 1
+    })
+    position++
+  }
+  return position
+}
+
 /**
  * Classifies a SELFIES token content (without brackets)
  * @param {string} content - Token content without brackets
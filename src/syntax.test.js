@@ -88,6 +88,20 @@ describe('tokenizeSelfies', () => {
     expect(result.errors).toHaveLength(1)
   })
 
+  it('should mark fragment separators as punctuation', () => {
+    const result = tokenizeSelfies('[C][C].[O]')
+    expect(result.tokens).toHaveLength(4)
+    expect(result.tokens[2]).toMatchObject({ type: SyntaxTokenType.PUNCTUATION, value: '.', start: 6, end: 7 })
+    expect(result.errors).toHaveLength(0)
+  })
+
+  it('should accept a trailing fragment separator', () => {
+    const result = tokenizeSelfies('[C].')
+    expect(result.tokens).toHaveLength(2)
+    expect(result.tokens[1]).toMatchObject({ type: SyntaxTokenType.PUNCTUATION, value: '.', start: 3, end: 4 })
+    expect(result.errors).toHaveLength(0)
+  })
+
   it('should detect trailing content as error', () => {
     const result = tokenizeSelfies('[C]trailing')
     expect(result.tokens).toHaveLength(2)
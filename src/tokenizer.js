@@ -2,6 +2,8 @@
  * Tokenizer - Splits SELFIES strings into individual tokens
  *
  * SELFIES tokens are bracketed expressions like [C], [=C], [Branch1], etc.
+ * A '.' between tokens separates the fragments of a multi-fragment molecule
+ * (e.g. a salt) and is returned as a token of its own, as in selfies-py.
  */
 
 /**
@@ -12,6 +14,8 @@
  * Example:
  *   tokenize('[C][=C][Branch1][C][O]')
  *   // => ['[C]', '[=C]', '[Branch1]', '[C]', '[O]']
+ *   tokenize('[Na+1].[Cl-1]')
+ *   // => ['[Na+1]', '.', '[Cl-1]']
  */
 export function tokenize(selfies) {
   if (selfies === '') {
@@ -47,6 +51,8 @@ export function tokenize(selfies) {
       inToken = false
     } else if (inToken) {
       current += char
+    } else if (char === '.') {
+      tokens.push('.')
     } else {
       throw new Error(`Character '${char}' outside of token at position ${i}`)
     }
@@ -77,21 +83,22 @@ export function join(tokens) {
  * @param {string} selfies - The SELFIES string
  * @returns {number} Number of symbols
  *
- * This is more efficient than tokenize().length as it just counts '[' characters.
- * Based on selfies-py's len_selfies() function.
+ * This is more efficient than tokenize().length as it just counts '[' and '.'
+ * characters. Based on selfies-py's len_selfies() function.
  *
  * Example:
  *   lenSelfies('[C][C][O]')  // => 3 (not 9!)
  *   lenSelfies('[Cl][Br]')   // => 2
+ *   lenSelfies('[Na+1].[Cl-1]') // => 3
  *
  * Reference: selfies-py/selfies/utils/selfies_utils.py::len_selfies()
  */
 export function lenSelfies(selfies) {
-  // Count occurrences of '[' character
+  // Count occurrences of '[' and '.' characters
   // This equals the number of symbols and is faster than tokenizing
   let count = 0
   for (let i = 0; i < selfies.length; i++) {
-    if (selfies[i] === '[') {
+    if (selfies[i] === '[' || selfies[i] === '.') {
       count++
     }
   }
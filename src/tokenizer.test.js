@@ -3,7 +3,7 @@
  */
 
 import { describe, test, expect } from 'bun:test'
-import { tokenize, join } from './tokenizer.js'
+import { tokenize, join, lenSelfies } from './tokenizer.js'
 
 describe('tokenize', () => {
   test('tokenizes simple molecule', () => {
@@ -33,6 +33,26 @@ describe('tokenize', () => {
   test('throws on empty token', () => {
     expect(() => tokenize('[]')).toThrow()
   })
+
+  test('tokenizes fragment separators', () => {
+    expect(tokenize('[C][C][=Branch1][C][=O][O-1].[Na+1]')).toEqual(
+      ['[C]', '[C]', '[=Branch1]', '[C]', '[=O]', '[O-1]', '.', '[Na+1]']
+    )
+  })
+
+  test('throws on other characters outside tokens', () => {
+    expect(() => tokenize('[C],[C]')).toThrow()
+  })
+})
+
+describe('lenSelfies', () => {
+  test('counts symbols', () => {
+    expect(lenSelfies('[C][C][O]')).toBe(3)
+  })
+
+  test('counts fragment separators as symbols', () => {
+    expect(lenSelfies('[Na+1].[Cl-1]')).toBe(tokenize('[Na+1].[Cl-1]').length)
+  })
 })
 
 describe('join', () => {
@@ -52,4 +72,9 @@ describe('join', () => {
     const selfies = '[C][=C][C][=C][C][=C][Ring1][=Branch1]'
     expect(join(tokenize(selfies))).toBe(selfies)
   })
+
+  test('round-trips multi-fragment SELFIES', () => {
+    const selfies = '[C][O-1].[Na+1]'
+    expect(join(tokenize(selfies))).toBe(selfies)
+  })
 })
@@ -0,0 +1,144 @@
+/**
+ * Traversal - Renumbers molecule graphs along a depth-first walk
+ *
+ * SMILES writers visit atoms depth-first, so choosing where each fragment
+ * starts and the order of neighbors at each atom chooses the string. The
+ * walk renumbers the graph in visit order: bonds the walk follows become
+ * graph.bonds and all other bonds become graph.rings, whichever list they
+ * came from. Chirality and directional bonds are re-expressed for the new
+ * numbering, so the result is the same molecule.
+ */
+
+import {
+  flipBondStereo,
+  getChirality,
+  getNeighbors,
+  getReferenceOrder,
+  hasImplicitNeighbor,
+  reorderChirality,
+  withChirality
+} from './stereo.js'
+
+/**
+ * Renumbers a molecule graph along a depth-first walk
+ * @param {Object} graph - Molecule graph from decodeToAST()
+ * @param {function(number[][]): number[]} chooseRoots - Given the atom
+ *   indices of each fragment, returns one starting atom per fragment, in
+ *   the order the fragments should be walked
+ * @param {function(number, Object[]): Object[]} orderNeighbors - Given an
+ *   atom index and its neighbors ({ atom, edge }), returns them in the
+ *   order to visit
+ * @returns {{graph: Object, order: number[]}} Renumbered graph, and the
+ *   original index of each of its atoms
+ */
+export function walkGraph(graph, chooseRoots, orderNeighbors) {
+  const count = graph.atoms.length
+  const edges = [...graph.bonds, ...graph.rings]
+  const adjacency = graph.atoms.map(() => [])
+  edges.forEach((edge, index) => {
+    adjacency[edge.from].push({ atom: edge.to, edge, index })
+    adjacency[edge.to].push({ atom: edge.from, edge, index })
+  })
+
+  const newIndex = new Array(count).fill(-1)
+  const order = []
+  const used = new Set()
+  const bonds = []
+  const rings = []
+
+  function visit(atomIndex) {
+    newIndex[atomIndex] = order.length
+    order.push(atomIndex)
+
+    for (const { atom: other, edge, index } of orderNeighbors(atomIndex, adjacency[atomIndex])) {
+      if (used.has(index)) continue
+      used.add(index)
+
+      if (newIndex[other] !== -1) {
+        rings.push(orientEdge(edge, other, newIndex[other], newIndex[atomIndex]))
+      } else {
+        bonds.push(orientEdge(edge, atomIndex, newIndex[atomIndex], order.length))
+        visit(other)
+      }
+    }
+  }
+
+  for (const root of chooseRoots(getFragments(count, adjacency))) {
+    visit(root)
+  }
+
+  // Number ring closures in the order they open
+  rings.sort((a, b) => a.from - b.from || a.to - b.to)
+
+  const atoms = order.map(oldIndex => renumberStereo(graph, oldIndex, newIndex))
+  return { graph: { atoms, bonds, rings }, order }
+}
+
+/**
+ * Groups atom indices into connected fragments, ordered by their first atom
+ * @param {number} count - Number of atoms
+ * @param {Object[][]} adjacency - Neighbors ({ atom }) of each atom
+ * @returns {number[][]} Atom indices of each fragment
+ */
+function getFragments(count, adjacency) {
+  const seen = new Set()
+  const fragments = []
+
+  for (let start = 0; start < count; start++) {
+    if (seen.has(start)) continue
+    const fragment = []
+    const stack = [start]
+    seen.add(start)
+    while (stack.length > 0) {
+      const atomIndex = stack.pop()
+      fragment.push(atomIndex)
+      for (const { atom: other } of adjacency[atomIndex]) {
+        if (!seen.has(other)) {
+          seen.add(other)
+          stack.push(other)
+        }
+      }
+    }
+    fragments.push(fragment)
+  }
+
+  return fragments
+}
+
+/**
+ * Copies a bond between new atom indices, keeping its stereo direction
+ * @param {Object} edge - Bond or ring from the original graph
+ * @param {number} fromAtom - Original index of the atom the copy starts at
+ * @param {number} from - New index of the start atom
+ * @param {number} to - New index of the end atom
+ * @returns {Object} Bond { from, to, order, stereo?, aromatic? }
+ */
+function orientEdge(edge, fromAtom, from, to) {
+  const bond = { from, to, order: edge.order }
+  if (edge.stereo) {
+    bond.stereo = edge.from === fromAtom ? edge.stereo : flipBondStereo(edge.stereo)
+  }
+  if (edge.aromatic) bond.aromatic = true
+  return bond
+}
+
+/**
+ * Copies an atom, re-expressing its chirality for the new atom indices
+ * @param {Object} graph - Original molecule graph
+ * @param {number} atomIndex - Original atom index
+ * @param {number[]} newIndex - New index of each original atom
+ * @returns {Object} Atom with chirality relative to the new reference order
+ */
+function renumberStereo(graph, atomIndex, newIndex) {
+  const atom = graph.atoms[atomIndex]
+  const chirality = getChirality(atom)
+  if (!chirality) return { ...atom }
+
+  const neighbors = getNeighbors(graph, atomIndex)
+  const implicit = hasImplicitNeighbor(atom.hydrogens, neighbors.length)
+  const renumbered = neighbors.map(neighbor => newIndex[neighbor])
+  const previous = getReferenceOrder(neighbors, implicit).map(neighbor => (neighbor < 0 ? neighbor : newIndex[neighbor]))
+  const current = getReferenceOrder(renumbered, implicit)
+
+  return { ...atom, stereo: withChirality(atom.stereo, reorderChirality(chirality, previous, current)) }
+}
@@ -6,7 +6,8 @@
  */
 
 import { tokenize } from './tokenizer.js'
-import { getAlphabet } from './alphabet.js'
+import { parseAtomSymbol } from './decoder.js'
+import { processBranchSymbol, processRingSymbol } from './grammar_rules.js'
 
 /**
  * Checks if a SELFIES string is syntactically valid
@@ -15,13 +16,20 @@ import { getAlphabet } from './alphabet.js'
  *
  * Validation checks:
  * - All tokens are properly bracketed
- * - All tokens are in the valid alphabet
+ * - All tokens are branch, ring, or atom symbols as the decoder reads them,
+ *   with any element, isotope, hydrogen count, and charge ('.' fragment
+ *   separators allowed)
+ * - Stereo symbols are allowed: chiral atoms ('[C@@H1]'), directional
+ *   bonds ('[/C]'), and directional ring bonds ('[-/Ring1]')
  * - Branch/Ring tokens have proper length specifiers
  *
  * Example:
  *   isValid('[C][C][O]') // => true
  *   isValid('[C][C][O') // => false (unclosed bracket)
  *   isValid('[Xyz]') // => false (invalid token)
+ *   isValid('[NH4+1]') // => true (charged atom, as encode('[NH4+]') writes)
+ *   isValid('[F][/C][=C][/F]') // => true (trans double bond)
+ *   isValid('[C][C].[O]') // => true (two fragments)
  */
 export function isValid(selfies) {
   // Empty string is invalid
@@ -33,10 +41,9 @@ export function isValid(selfies) {
     // Try to tokenize - will catch bracket errors
     const tokens = tokenize(selfies)
 
-    // Check each token against alphabet
-    const alphabet = getAlphabet()
+    // Check each token is a symbol the decoder reads
     for (let i = 0; i < tokens.length; i++) {
-      if (!alphabet.has(tokens[i])) {
+      if (tokens[i] !== '.' && !isValidToken(tokens[i])) {
         return false
       }
     }
@@ -52,10 +59,17 @@ export function isValid(selfies) {
  * Validates a single token
  * @param {string} token - SELFIES token to validate
  * @returns {boolean} True if token is valid
+ *
+ * Tokens are parsed as the decoder parses them rather than looked up in
+ * getAlphabet(), which lists only common atoms and would reject encoder
+ * output such as '[13CH4]', '[Fe]', or '[=Ring1]'. The '[nop]' padding
+ * symbol is valid; the decoder skips it.
  */
 function isValidToken(token) {
-  const alphabet = getAlphabet()
-  return alphabet.has(token)
+  return token === '[nop]' ||
+    processBranchSymbol(token) !== null ||
+    processRingSymbol(token) !== null ||
+    parseAtomSymbol(token.slice(1, -1)) !== null
 }
 
 /**
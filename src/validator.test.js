@@ -4,6 +4,9 @@
 
 import { describe, test, expect } from 'bun:test'
 import { isValid } from './validator.js'
+import { encode } from './encoder.js'
+import { decode } from './decoder.js'
+import { createVocabulary, selfiesToEncoding, encodingToSelfies } from './encoding.js'
 
 describe('isValid', () => {
   test('validates simple molecule', () => {
@@ -41,4 +44,47 @@ describe('isValid', () => {
   test('rejects missing brackets', () => {
     expect(isValid('CCO')).toBe(false)
   })
+
+  test('validates atom tokens outside the alphabet', () => {
+    expect(isValid('[NH4+1]')).toBe(true)
+    expect(isValid('[13CH4]')).toBe(true)
+    expect(isValid('[Na+1].[Cl-1]')).toBe(true)
+    expect(isValid('[Fe]')).toBe(true)
+    expect(isValid('[=Se]')).toBe(true)
+    expect(isValid('[C][Fe+9x]')).toBe(false)
+  })
+
+  test('validates encoder output', () => {
+    for (const smiles of ['[NH4+]', '[13CH4]', 'c1cc[nH]c1', '[Na+]', '[Fe]', '[2H]', 'CC(=O)[O-].[Na+]']) {
+      expect(isValid(encode(smiles))).toBe(true)
+    }
+  })
+
+  test('validates stereo tokens', () => {
+    expect(isValid('[C][C@H1][Branch1][C][N][O]')).toBe(true)
+    expect(isValid('[C][C@@H1][Branch1][C][N][O]')).toBe(true)
+    expect(isValid('[F][/C][=C][\\F]')).toBe(true)
+    expect(isValid('[C][C][C][-/Ring1][Ring1]')).toBe(true)
+    expect(isValid('[C@@@H1]')).toBe(false)
+  })
+
+  test('validates encoder output for chiral and cis/trans molecules', () => {
+    for (const smiles of ['C[C@H](N)O', 'N[C@@H](C)C(=O)O', 'F/C=C/F', 'F/C=C\\F', 'C/C=C/C=C/C', 'C[C@H]1CC[C@@H](C)CC1']) {
+      expect(isValid(encode(smiles))).toBe(true)
+    }
+  })
+
+  test('validates multi-fragment molecules', () => {
+    expect(isValid('[C][C].[O]')).toBe(true)
+    expect(isValid('[C][C],[O]')).toBe(false)
+  })
+
+  test('validates [nop]-padded encodings', () => {
+    const vocabulary = createVocabulary(['[C]', '[=C]', '[O]'])
+    const encoding = selfiesToEncoding('[C][=C][O]', vocabulary, { padToLength: 6, encType: 'label' })
+    const padded = encodingToSelfies(encoding, vocabulary)
+    expect(padded).toBe('[C][=C][O][nop][nop][nop]')
+    expect(isValid(padded)).toBe(true)
+    expect(decode(padded)).toBe('C=CO')
+  })
 })
@@ -5,6 +5,7 @@
  * - Charged atoms
  * - Isotopes
  * - Radicals
+ * - Stereochemistry
  * - Kekulization
  * - Complex aromatic systems
  * - Valence edge cases
@@ -18,7 +19,18 @@ import {
   getCanonicalSmiles,
   validateRoundtrip
 } from '../src/chemistryValidator.js'
-import { decode, encode } from '../src/index.js'
+import {
+  decode,
+  decodeToAST,
+  encode,
+  enumerateSelfies,
+  getDescriptors,
+  findSubstructureMatches,
+  getMorganFingerprint,
+  getMaccsKeys,
+  isSameMolecule,
+  mutate
+} from '../src/index.js'
 import { initRDKit } from '../src/renderers/svg.js'
 
 describe('Advanced Chemistry Features', () => {
@@ -73,6 +85,208 @@ describe('Advanced Chemistry Features', () => {
     })
   })
 
+  describe('Multi-fragment molecules', () => {
+    test('roundtrips salts and mixtures', async () => {
+      const molecules = [
+        'CC(=O)[O-].[Na+]',              // sodium acetate
+        'C[NH3+].[Cl-]',                 // methylammonium chloride
+        '[O-]C(=O)c1ccccc1.[K+]',        // potassium benzoate
+        'O=C([O-])CC(=O)[O-].[Ca+2]',    // calcium malonate
+        'CCO.O',                         // aqueous ethanol
+        'C[C@H](N)C(=O)O.Cl'             // alanine hydrochloride
+      ]
+
+      for (const smiles of molecules) {
+        const selfies = encode(smiles)
+        expect(selfies).toContain('.')
+        const valid = await validateRoundtrip(smiles, selfies)
+        expect(valid).toBe(true)
+      }
+    })
+  })
+
+  describe('Randomized SELFIES', () => {
+    test('enumerated SELFIES are the same molecule', async () => {
+      const molecules = [
+        'CC(=O)Oc1ccccc1C(=O)O',         // aspirin
+        'N[C@@H](Cc1ccccc1)C(=O)O',      // L-phenylalanine
+        'C[C@@]1(O)CC[C@H](C)CC1',       // ring stereocentres
+        'F/C=C/C=C\\C',                  // conjugated cis/trans
+        'O=C1C=C[C@H]2[C@H]1CC2',        // fused bicycle
+        'CC(=O)[O-].[Na+]'               // sodium acetate
+      ]
+
+      for (const smiles of molecules) {
+        const selfies = encode(smiles)
+        const expected = await getCanonicalSmiles(selfies)
+        for (const variant of enumerateSelfies(selfies, { count: 10, seed: 1 })) {
+          expect(await getCanonicalSmiles(variant)).toBe(expected)
+        }
+      }
+    })
+  })
+
+  describe('Canonical SMILES', () => {
+    test('canonical decoding agrees with RDKit', async () => {
+      const molecules = [
+        'CC(=O)Oc1ccccc1C(=O)O',
+        'N[C@@H](Cc1ccccc1)C(=O)O',
+        'C[C@H]1CC[C@@H](C)CC1',
+        'F/C(Cl)=C(/F)Cl',
+        'O=C1C=C[C@H]2[C@H]1CC2',
+        'CC(=O)[O-].[Na+]'
+      ]
+
+      for (const smiles of molecules) {
+        const selfies = encode(smiles)
+        const canonical = decode(selfies, { canonical: true })
+        expect(await getCanonicalSmiles(encode(canonical))).toBe(await getCanonicalSmiles(selfies))
+        for (const variant of enumerateSelfies(selfies, { count: 10, seed: 2 })) {
+          expect(decode(variant, { canonical: true })).toBe(canonical)
+        }
+      }
+    })
+  })
+
+  describe('Aromatic SMILES', () => {
+    test('aromatic decoding agrees with RDKit', async () => {
+      const molecules = [
+        'c1ccc2cc3ccccc3cc2c1',          // anthracene
+        'c1cc2ccc3cccc4ccc(c1)c2c34',    // pyrene
+        'c1ccc2[nH]ccc2c1',              // indole
+        'Cn1cnc2c1c(=O)n(C)c(=O)n2C',    // caffeine
+        'O=c1ccc2ccccc2o1',              // coumarin
+        'c1ccc(cc1)-c1ccccc1',           // biphenyl
+        'O=C1C=CC(=O)C=C1',              // p-benzoquinone, not aromatic
+        'N[C@@H](Cc1ccccc1)C(=O)O'
+      ]
+
+      for (const smiles of molecules) {
+        const selfies = encode(smiles)
+        const aromatic = decode(selfies, { aromatic: true })
+        expect(await getCanonicalSmiles(encode(aromatic))).toBe(await getCanonicalSmiles(selfies))
+      }
+    })
+  })
+
+  describe('Drug-likeness descriptors', () => {
+    test('descriptors agree with RDKit', async () => {
+      const RDKit = await initRDKit()
+      const molecules = [
+        'CN1C(=O)CN=C(c2ccccc2)c2cc(Cl)ccc21',                 // diazepam
+        'O=C(O)Cc1ccccc1Nc1c(Cl)cccc1Cl',                      // diclofenac
+        'CCCc1nc(C)c2n1[nH]c(nc2=O)-c1cc(ccc1OCC)S(=O)(=O)N1CCN(C)CC1',
+        'Nc1ncnc2c1ncn2C1OC(COP(=O)(O)O)C(O)C1O',              // AMP
+        'CC(=O)OCC[N+](C)(C)C',                                // acetylcholine
+        'CC(C)(C)OC(=O)NC',
+        'O=[N+]([O-])c1ccccc1',
+        'c1ccc(cc1)P(c1ccccc1)c1ccccc1',
+        'C1OC1'
+      ]
+
+      for (const smiles of molecules) {
+        const mol = RDKit.get_mol(smiles)
+        const expected = JSON.parse(mol.get_descriptors())
+        mol.delete()
+
+        const descriptors = getDescriptors(encode(smiles))
+        expect(descriptors.heavyAtoms).toBe(expected.NumHeavyAtoms)
+        expect(descriptors.rings).toBe(expected.NumRings)
+        expect(descriptors.hBondDonors).toBe(expected.lipinskiHBD)
+        expect(descriptors.hBondAcceptors).toBe(expected.lipinskiHBA)
+        expect(descriptors.rotatableBonds).toBe(expected.NumRotatableBonds)
+        expect(descriptors.tpsa).toBeCloseTo(expected.tpsa, 2)
+        expect(descriptors.logP).toBeCloseTo(expected.CrippenClogP, 3)
+        expect(descriptors.molarRefractivity).toBeCloseTo(expected.CrippenMR, 2)
+      }
+    })
+  })
+
+  describe('Substructure search', () => {
+    test('match counts agree with RDKit', async () => {
+      const RDKit = await initRDKit()
+      const molecules = [
+        'CCCc1nc(C)c2n1[nH]c(nc2=O)-c1cc(ccc1OCC)S(=O)(=O)N1CCN(C)CC1',
+        'Nc1ncnc2c1ncn2C1OC(COP(=O)(O)O)C(O)C1O',              // AMP
+        'O=C1NC(=O)C(N1)(c1ccccc1)c1ccccc1',                   // phenytoin
+        'c1ccc2c(c1)oc1ccccc12',                               // dibenzofuran
+        'C1CCC2(CC1)CCCC2',                                    // spiro[4.5]decane
+        'CC(=O)[O-].[Na+]'
+      ]
+      const patterns = [
+        '[#6]', '[N,O]', '[CH2]', '[nH]', '[NX3]', '[R2]', '[r5]', '[r6;!a]', '[x3]',
+        '[O-]', 'C(=O)[OH]', 'S(=O)(=O)N', 'c:c', 'C-!@C', '*@*', '[$([NX3][CX3]=O)]',
+        '[N;!$(NC=O)]', 'c1ccccc1', '[#6]1~[#6]~[#6]~[#6]~[#6]1', 'O.O'
+      ]
+
+      for (const smiles of molecules) {
+        const mol = RDKit.get_mol(smiles)
+        const graph = decodeToAST(encode(smiles))
+        for (const smarts of patterns) {
+          const query = RDKit.get_qmol(smarts)
+          // RDKit returns an array of matches, or {} when there are none
+          const expected = JSON.parse(mol.get_substruct_matches(query))
+          query.delete()
+          expect(findSubstructureMatches(graph, smarts).length).toBe(Array.isArray(expected) ? expected.length : 0)
+        }
+        mol.delete()
+      }
+    })
+  })
+
+  describe('Fingerprints', () => {
+    test('Morgan and MACCS bits agree with RDKit', async () => {
+      const RDKit = await initRDKit()
+      const molecules = [
+        'CN1C(=O)CN=C(c2ccccc2)c2cc(Cl)ccc21',                 // diazepam
+        'CCCc1nc(C)c2n1[nH]c(nc2=O)-c1cc(ccc1OCC)S(=O)(=O)N1CCN(C)CC1',
+        'Nc1ncnc2c1ncn2C1OC(COP(=O)(O)O)C(O)C1O',              // AMP
+        'CC(=O)OCC[N+](C)(C)C',                                // acetylcholine
+        'C1CC2CCC1C2',                                         // norbornane
+        'c1ccc2c(c1)oc1ccccc12',
+        '[13CH3]C(=O)[O-].[Na+]'
+      ]
+      const toBits = fingerprint => Array.from({ length: fingerprint.length * 32 }, (_, i) => (fingerprint[i >>> 5] >>> (i & 31)) & 1).join('')
+
+      for (const smiles of molecules) {
+        const mol = RDKit.get_mol(smiles)
+        const selfies = encode(smiles)
+        for (const [radius, nBits] of [[1, 1024], [2, 2048], [3, 512]]) {
+          const expected = mol.get_morgan_fp(JSON.stringify({ radius, nBits }))
+          expect(toBits(getMorganFingerprint(selfies, { radius, nBits })).slice(0, nBits)).toBe(expected)
+        }
+        expect(toBits(getMaccsKeys(selfies)).slice(0, 167)).toBe(mol.get_maccs_fp())
+        mol.delete()
+      }
+    })
+  })
+
+  describe('Molecule identity', () => {
+    test('isSameMolecule agrees with RDKit canonical SMILES', async () => {
+      const RDKit = await initRDKit()
+      const molecules = [
+        'Cc1ccc(C)cc1', 'Cc1cccc(C)c1', 'CC1=CC=C(C)C=C1',
+        'C[C@H](N)C(=O)O', 'C[C@@H](N)C(=O)O', 'OC(=O)[C@@H](N)C', 'CC(N)C(=O)O',
+        'C[C@H]1CC[C@@H](C)CC1', 'C[C@@H]1CC[C@@H](C)CC1', 'C[C@H]1CC[C@H](C)CC1',
+        'C/C=C/C=C/C', 'C/C=C\\C=C/C', 'C\\C=C\\C=C\\C',
+        'c1ccc2c(c1)ccc1ccccc12', 'c1ccc2cc3ccccc3cc2c1',
+        'CC(=O)[O-].[Na+]', '[Na+].CC([O-])=O', 'CC(=O)O'
+      ]
+      const canonical = molecules.map(smiles => {
+        const mol = RDKit.get_mol(smiles)
+        const result = mol.get_smiles()
+        mol.delete()
+        return result
+      })
+
+      for (let i = 0; i < molecules.length; i++) {
+        for (let j = i + 1; j < molecules.length; j++) {
+          expect(isSameMolecule(encode(molecules[i]), encode(molecules[j]))).toBe(canonical[i] === canonical[j])
+        }
+      }
+    })
+  })
+
   describe('Kekulization and aromatic systems', () => {
     test('validates benzene kekulization', async () => {
       // Aromatic benzene
@@ -109,7 +323,6 @@ describe('Advanced Chemistry Features', () => {
     })
 
     test('validates naphthalene (fused rings)', async () => {
-      // TODO: Encoder may have issues with complex fused ring systems
       const selfies = encode('c1ccc2ccccc2c1')
       const valid = await isChemicallyValid(selfies)
       expect(valid).toBe(true)
@@ -182,12 +395,16 @@ describe('Advanced Chemistry Features', () => {
       expect(valid).toBe(true)
     })
 
-    test('encodes purine successfully', async () => {
-      // Purine has two fused rings - a known complex case
-      // Note: Full roundtrip validation is a known limitation for fused ring systems
-      const selfies = encode('c1ncc2c(n1)ncn2')
-      expect(selfies).toBeTruthy()
-      expect(selfies.length).toBeGreaterThan(0)
+    test('validates purine', async () => {
+      // Purine has two fused rings; the imidazole NH must be explicit
+      const selfies = encode('c1ncc2[nH]cnc2n1')
+      const valid = await isChemicallyValid(selfies)
+      expect(valid).toBe(true)
+    })
+
+    test('rejects purine without the pyrrole-type hydrogen', () => {
+      // Nine aromatic atoms that all need a double bond cannot be kekulized
+      expect(() => encode('c1ncc2c(n1)ncn2')).toThrow('Cannot kekulize')
     })
   })
 
@@ -209,9 +426,6 @@ describe('Advanced Chemistry Features', () => {
 
   describe('Stereochemistry', () => {
     test('validates molecules with stereocenters', async () => {
-      // Note: Full stereochemistry validation would require
-      // checking that @ and @@ notations are preserved
-
       // Simple chiral center
       const molecules = [
         'C[C@H](O)N',  // L-alanine-like
@@ -226,8 +440,6 @@ describe('Advanced Chemistry Features', () => {
     })
 
     test('validates E/Z double bond stereochemistry', async () => {
-      // Note: SELFIES doesn't preserve E/Z stereochemistry information
-      // but the encoder should handle these SMILES strings without erroring
       const molecules = [
         'C/C=C/C', // trans
         'C/C=C\\C', // cis
@@ -239,6 +451,50 @@ describe('Advanced Chemistry Features', () => {
         expect(valid).toBe(true)
       }
     })
+
+    test('roundtrips tetrahedral stereocenters', async () => {
+      const molecules = [
+        'N[C@@H](C)C(=O)O',  // L-alanine
+        'N[C@H](C)C(=O)O',   // D-alanine
+        'Br[C@H](F)Cl',
+        'C[S@](=O)CC',       // lone pair as the implicit neighbor
+        'F[C@]1(Cl)CCC1',    // ring bond at the stereocenter
+        'C1CC[C@H]1F',       // ring closing at the stereocenter
+        '[C@H]12CC[C@@H](C1)CC2',
+        'OC[C@H]1O[C@@H](O)[C@H](O)[C@@H](O)[C@@H]1O', // glucose
+        'C[C@]12CC[C@H]3[C@@H](CC=C4C[C@@H](O)CC[C@@]43C)[C@@H]1CC[C@@H]2O' // testosterone isomer
+      ]
+
+      for (const smiles of molecules) {
+        const selfies = encode(smiles)
+        const valid = await validateRoundtrip(smiles, selfies)
+        expect(valid).toBe(true)
+      }
+    })
+
+    test('keeps enantiomers distinct', async () => {
+      const l = await getCanonicalSmiles(encode('N[C@@H](C)C(=O)O'))
+      const d = await getCanonicalSmiles(encode('N[C@H](C)C(=O)O'))
+      expect(l).not.toBe(d)
+    })
+
+    test('roundtrips cis/trans double bonds', async () => {
+      const molecules = [
+        'F/C=C/F',
+        'F/C=C\\F',
+        'F/C=C/C=C\\C',
+        'CC/C(C)=C(\\C)CC',
+        'C/C=C/1CCCC1',       // stereo bond on a ring opening
+        'C\\1CCCC/C1=C/C',  // stereo bond on a ring closure
+        'C/1=C/CCCCCC1'
+      ]
+
+      for (const smiles of molecules) {
+        const selfies = encode(smiles)
+        const valid = await validateRoundtrip(smiles, selfies)
+        expect(valid).toBe(true)
+      }
+    })
   })
 
   describe('Large molecules', () => {
@@ -318,6 +574,18 @@ describe('Advanced Chemistry Features', () => {
       expect(valid).toBe(true)
     })
 
+    test('caps ring closures in mutated children', async () => {
+      // Inserted ring bonds to F or to the =C atom would exceed their valence
+      for (let seed = 0; seed < 20; seed++) {
+        const child = mutate('[F][C][=C][C][C][Ring1][Ring1][C]', {
+          seed,
+          operations: ['insert', 'replace'],
+          alphabet: ['[=Ring1]', '[#Ring1]']
+        })
+        expect(await isChemicallyValid(child.selfies)).toBe(true)
+      }
+    })
+
     test('handles terminal atoms with capacity 1', async () => {
       // Halogens have capacity 1, chain should terminate
       const molecules = [